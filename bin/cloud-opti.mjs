@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * cloud-opti executable
+ * The library modules are ES modules in a package without "type": "module"; Node detects
+ * that and warns on every run, so that one warning is dropped
+ */
+
+process.removeAllListeners('warning');
+process.on('warning', warning => {
+  if (warning.code !== 'MODULE_TYPELESS_PACKAGE_JSON') {
+    console.warn(`${warning.name}: ${warning.message}`);
+  }
+});
+
+const { runCli } = await import('../src/lib/cli/cli.js');
+
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+process.exitCode = await runCli(process.argv.slice(2), { signal: controller.signal });
@@ -3,51 +3,61 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import GitHubUrlInput from '@/components/forms/GitHubUrlInput';
+import ArchiveUploadInput from '@/components/forms/ArchiveUploadInput';
+import GitHubAuthPanel from '@/components/forms/GitHubAuthPanel';
 import AnalysisProgress, { useAnalysisProgress } from '@/components/forms/AnalysisProgress';
 import TechnologyEditor from '@/components/forms/TechnologyEditor';
+import RequirementsForm from '@/components/forms/RequirementsForm';
 import ArchitectureCards from '@/components/forms/ArchitectureCards';
-import { GitHubService } from '@/lib/github/GitHubService';
+import { detectRepositoryProvider } from '@/lib/repositories';
+import { runAnalysisJob } from '@/lib/jobs/analysisJobClient';
+import { GitHubError, defaultErrorHandler, getAccessToken } from '@/lib/github';
 import { ArchitectureRecommendationService } from '@/lib/cloud/ArchitectureRecommendationService';
+import { DEFAULT_REQUIREMENTS } from '@/lib/cloud/requirements';
 import { ariaUtils } from '@/lib/accessibility';
-
-// Analysis steps configuration
-const ANALYSIS_STEPS = [
-  { name: 'Fetching Repository', description: 'Downloading repository contents', duration: 3 },
-  { name: 'Analyzing Code Structure', description: 'Examining file structure and patterns', duration: 5 },
-  { name: 'Detecting Technologies', description: 'Identifying frameworks and dependencies', duration: 4 },
-  { name: 'Parsing Dependencies', description: 'Reading package files and configurations', duration: 3 },
-  { name: 'Finalizing Analysis', description: 'Compiling technology stack results', duration: 2 }
-];
+import { ANALYSIS_STAGE_STEPS, ANALYSIS_STEPS } from '@/lib/analysis/analysisStages';
 
 /**
- * Multi-step analyze page with complete GitHub repository analysis workflow
+ * Multi-step analyze page with complete repository analysis workflow
  * Implements state management, step navigation, and accessibility features
  */
 export default function AnalyzePage() {
   // Step management
-  const [currentStep, setCurrentStep] = useState('input'); // 'input' | 'analyzing' | 'review' | 'results'
+  const [currentStep, setCurrentStep] = useState('input'); // 'input' | 'analyzing' | 'review' | 'requirements' | 'results'
   const [canNavigateBack, setCanNavigateBack] = useState(false);
   
   // Repository state
   const [repositoryUrl, setRepositoryUrl] = useState('');
   const [repositoryData, setRepositoryData] = useState(null);
+  const [analysisDetails, setAnalysisDetails] = useState(null);
   const [validationState, setValidationState] = useState(null);
+  const [uploadedArchive, setUploadedArchive] = useState(null);
+  const [selectedRef, setSelectedRef] = useState('');
+  const [githubToken, setGitHubToken] = useState(null);
   
   // Technology state
   const [detectedTechnologies, setDetectedTechnologies] = useState([]);
   const [confirmedTechnologies, setConfirmedTechnologies] = useState([]);
   
+  // Requirements from the questionnaire, kept when starting over with another repository
+  const [requirements, setRequirements] = useState(DEFAULT_REQUIREMENTS);
+  
   // Recommendations state
   const [recommendations, setRecommendations] = useState([]);
+  const [currentArchitecture, setCurrentArchitecture] = useState(null);
   const [selectedRecommendation, setSelectedRecommendation] = useState(null);
   const [isGeneratingRecommendations, setIsGeneratingRecommendations] = useState(false);
   
-  // Error handling
+  // Error handling: a message, or {title, message, suggestions} from getUserFriendlyError
   const [error, setError] = useState(null);
   const [retryCount, setRetryCount] = useState(0);
   
+  // The running analysis: aborting the controller stops its requests, and results from any
+  // run but the latest are discarded
+  const analysisControllerRef = useRef(null);
+  const analysisRunRef = useRef(0);
+  
   // Services
-  const githubService = useRef(new GitHubService());
   const recommendationService = useRef(new ArchitectureRecommendationService());
   
   // Progress management
@@ -64,10 +74,11 @@ export default function AnalyzePage() {
   const manageFocus = useCallback((step) => {
     // Announce step change to screen readers
     const stepMessages = {
-      input: 'Step 1: Enter GitHub repository URL',
+      input: 'Step 1: Enter repository URL',
       analyzing: 'Step 2: Analyzing repository',
       review: 'Step 3: Review detected technologies',
-      results: 'Step 4: View architecture recommendations'
+      requirements: 'Step 4: Describe your requirements',
+      results: 'Step 5: View architecture recommendations'
     };
     
     ariaUtils.announce(stepMessages[step], 'polite');
@@ -83,16 +94,41 @@ export default function AnalyzePage() {
   // Handle URL input validation
   const handleUrlValidation = useCallback((validation) => {
     setValidationState(validation);
+    setUploadedArchive(null);
+    setError(null);
+  }, []);
+
+  // Handle source archive upload; the extracted archive replaces the URL as the source
+  const handleArchiveValidation = useCallback((validation) => {
+    setValidationState(validation);
+    setUploadedArchive(validation.archive);
     setError(null);
   }, []);
 
+  // Stop the running analysis; its results arrive too late to be applied
+  const cancelAnalysis = useCallback(() => {
+    analysisRunRef.current++;
+    analysisControllerRef.current?.abort();
+    analysisControllerRef.current = null;
+  }, []);
+
+  // Cancel a running analysis when leaving the page
+  useEffect(() => cancelAnalysis, [cancelAnalysis]);
+
   // Handle repository analysis
   const handleAnalyzeRepository = useCallback(async () => {
     if (!validationState?.isValid || !validationState?.isAccessible) {
-      setError('Please enter a valid and accessible GitHub repository URL');
+      setError('Please enter a valid and accessible repository URL or upload a source archive');
       return;
     }
 
+    // A new run supersedes any earlier one
+    cancelAnalysis();
+    const controller = new AbortController();
+    analysisControllerRef.current = controller;
+    const runId = analysisRunRef.current;
+    const isCurrentRun = () => runId === analysisRunRef.current;
+
     try {
       setCurrentStep('analyzing');
       setError(null);
@@ -100,54 +136,109 @@ export default function AnalyzePage() {
       manageFocus('analyzing');
 
       // Start analysis with progress tracking
-      progressState.updateProgress(10, 'Fetching Repository');
+      progressState.updateProgress(0, 'Fetching Repository');
       
-      const analysisResult = await githubService.current.analyzeRepository(
-        repositoryUrl,
-        (progress, stage) => {
-          progressState.updateProgress(progress, stage);
+      const reportProgress = (progress, stage, detail) => {
+        if (isCurrentRun()) {
+          progressState.updateProgress(progress, stage, detail);
         }
-      );
+      };
+
+      // Uploaded archives are read in the browser; repositories are analyzed by a server job
+      let analysisResult;
+      if (uploadedArchive) {
+        analysisResult = await uploadedArchive.analyzeRepository(
+          uploadedArchive.name,
+          (message, progress, { stage } = {}) => reportProgress(progress, ANALYSIS_STAGE_STEPS[stage], message),
+          { signal: controller.signal }
+        );
+      } else {
+        const { analysis } = await runAnalysisJob(
+          {
+            url: repositoryUrl,
+            ref: selectedRef || null,
+            token: detectRepositoryProvider(repositoryUrl) === 'github' ? githubToken : null
+          },
+          {
+            onProgress: ({ progress, stage, detail }) => reportProgress(progress, stage, detail),
+            signal: controller.signal
+          }
+        );
+        analysisResult = analysis;
+      }
+
+      if (!isCurrentRun()) {
+        return;
+      }
+      analysisControllerRef.current = null;
+
+      // The analysis reports failures in its result; rate limits, timeouts and access errors
+      // must not pass for a repository without technologies
+      if (analysisResult.error) {
+        throw new GitHubError(analysisResult.error, analysisResult.errorType);
+      }
 
       setRepositoryData(analysisResult.repository);
+      setAnalysisDetails(analysisResult);
       setDetectedTechnologies(analysisResult.technologies);
       
       progressState.updateProgress(100, 'Analysis Complete');
       
       // Move to review step after a brief delay
       setTimeout(() => {
-        setCurrentStep('review');
-        manageFocus('review');
+        if (isCurrentRun()) {
+          setCurrentStep('review');
+          manageFocus('review');
+        }
       }, 1000);
 
     } catch (error) {
+      if (!isCurrentRun()) {
+        return;
+      }
       console.error('Analysis failed:', error);
-      progressState.handleError(error.message);
-      setError(`Analysis failed: ${error.message}`);
+      const friendlyError = defaultErrorHandler.getUserFriendlyError(
+        error instanceof GitHubError ? error : defaultErrorHandler.handleError(error, 'Repository analysis')
+      );
+      progressState.handleError(friendlyError.message);
+      setError(friendlyError);
     }
-  }, [repositoryUrl, validationState, progressState, manageFocus]);
+  }, [repositoryUrl, uploadedArchive, selectedRef, githubToken, validationState, progressState, manageFocus, cancelAnalysis]);
+
+  // Handle the Cancel button while analyzing
+  const handleCancelAnalysis = useCallback(() => {
+    cancelAnalysis();
+    setCurrentStep('input');
+    setError(null);
+    progressState.reset();
+    ariaUtils.announce('Analysis cancelled', 'polite');
+    manageFocus('input');
+  }, [cancelAnalysis, progressState, manageFocus]);
 
   // Handle technology confirmation
-  const handleTechnologyConfirmation = useCallback(async (technologies) => {
+  const handleTechnologyConfirmation = useCallback((technologies) => {
+    setConfirmedTechnologies(technologies);
+    setError(null);
+    setCurrentStep('requirements');
+    manageFocus('requirements');
+  }, [manageFocus]);
+
+  // Handle the requirements questionnaire; requirements arrive validated
+  const handleRequirementsSubmit = useCallback(async (submittedRequirements) => {
     try {
       setIsGeneratingRecommendations(true);
-      setConfirmedTechnologies(technologies);
+      setRequirements(submittedRequirements);
       setError(null);
 
-      // Generate architecture recommendations
-      const recommendations = await recommendationService.current.generateRecommendations(
-        technologies,
-        {
-          repository: repositoryData,
-          preferences: {
-            costOptimization: true,
-            managedServices: true,
-            scalability: 'medium'
-          }
-        }
+      // Generate architecture recommendations and the declared baseline they are compared against
+      const report = await recommendationService.current.generateRecommendationReport(
+        confirmedTechnologies,
+        submittedRequirements,
+        analysisDetails || {}
       );
 
-      setRecommendations(recommendations);
+      setRecommendations(report.recommendations);
+      setCurrentArchitecture(report.currentArchitecture);
       setCurrentStep('results');
       manageFocus('results');
 
@@ -157,7 +248,14 @@ export default function AnalyzePage() {
     } finally {
       setIsGeneratingRecommendations(false);
     }
-  }, [repositoryData, manageFocus]);
+  }, [confirmedTechnologies, analysisDetails, manageFocus]);
+
+  // Return from the questionnaire to the technology review; edits were kept through onModify
+  const handleRequirementsBack = useCallback(() => {
+    setError(null);
+    setCurrentStep('review');
+    manageFocus('review');
+  }, [manageFocus]);
 
   // Handle retry functionality
   const handleRetry = useCallback(() => {
@@ -167,20 +265,21 @@ export default function AnalyzePage() {
     
     if (currentStep === 'analyzing') {
       handleAnalyzeRepository();
-    } else if (currentStep === 'results') {
-      handleTechnologyConfirmation(confirmedTechnologies);
+    } else if (currentStep === 'requirements' || currentStep === 'results') {
+      handleRequirementsSubmit(requirements);
     }
-  }, [currentStep, handleAnalyzeRepository, handleTechnologyConfirmation, confirmedTechnologies, progressState]);
+  }, [currentStep, handleAnalyzeRepository, handleRequirementsSubmit, requirements, progressState]);
 
   // Handle step navigation
   const handleStepNavigation = useCallback((targetStep) => {
     if (targetStep === 'input' && currentStep !== 'input') {
+      cancelAnalysis();
       setCurrentStep('input');
       setError(null);
       progressState.reset();
       manageFocus('input');
     }
-  }, [currentStep, progressState, manageFocus]);
+  }, [currentStep, progressState, manageFocus, cancelAnalysis]);
 
   // Handle recommendation selection
   const handleRecommendationSelect = useCallback((recommendation) => {
@@ -194,6 +293,7 @@ export default function AnalyzePage() {
       const analysisResults = {
         repository: repositoryData,
         technologies: confirmedTechnologies,
+        requirements,
         recommendation: selectedRecommendation,
         timestamp: Date.now()
       };
@@ -201,7 +301,12 @@ export default function AnalyzePage() {
       sessionStorage.setItem('cloudOptiAnalysisResults', JSON.stringify(analysisResults));
       router.push('/results');
     }
-  }, [selectedRecommendation, repositoryData, confirmedTechnologies, router]);
+  }, [selectedRecommendation, repositoryData, confirmedTechnologies, requirements, router]);
+
+  // Restore a token kept for this browser session
+  useEffect(() => {
+    setGitHubToken(getAccessToken());
+  }, []);
 
   // Update navigation state based on current step
   useEffect(() => {
@@ -248,8 +353,12 @@ export default function AnalyzePage() {
                   3. Review
                 </span>
                 <span>→</span>
+                <span className={currentStep === 'requirements' ? 'text-blue-600 font-medium' : ''}>
+                  4. Requirements
+                </span>
+                <span>→</span>
                 <span className={currentStep === 'results' ? 'text-blue-600 font-medium' : ''}>
-                  4. Results
+                  5. Results
                 </span>
               </div>
             </div>
@@ -293,12 +402,19 @@ export default function AnalyzePage() {
               </svg>
               <div className="flex-1">
                 <h3 className="text-sm font-medium text-red-900 dark:text-red-100">
-                  Error
+                  {error.title || 'Error'}
                 </h3>
                 <p className="text-sm text-red-700 dark:text-red-300 mt-1">
-                  {error}
+                  {error.message || error}
                 </p>
-                {(currentStep === 'analyzing' || currentStep === 'results') && (
+                {error.suggestions && (
+                  <ul className="mt-2 list-disc list-inside text-sm text-red-700 dark:text-red-300">
+                    {error.suggestions.map(suggestion => (
+                      <li key={suggestion}>{suggestion}</li>
+                    ))}
+                  </ul>
+                )}
+                {['analyzing', 'requirements', 'results'].includes(currentStep) && (
                   <button
                     onClick={handleRetry}
                     className="mt-2 text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 underline"
@@ -319,7 +435,7 @@ export default function AnalyzePage() {
                 Analyze Your Repository
               </h2>
               <p className="text-gray-600 dark:text-gray-400">
-                Enter your GitHub repository URL to get cloud architecture recommendations
+                Enter a GitHub, GitLab, Bitbucket or Azure Repos URL to get cloud architecture recommendations
               </p>
             </div>
             
@@ -328,10 +444,24 @@ export default function AnalyzePage() {
                 value={repositoryUrl}
                 onChange={setRepositoryUrl}
                 onValidation={handleUrlValidation}
+                selectedRef={selectedRef}
+                onRefChange={setSelectedRef}
+                apiToken={githubToken}
                 autoFocus
                 className="text-lg"
               />
               
+              <GitHubAuthPanel
+                apiToken={githubToken}
+                onTokenChange={setGitHubToken}
+                className="mt-6"
+              />
+
+              <ArchiveUploadInput
+                onValidation={handleArchiveValidation}
+                className="mt-6"
+              />
+              
               <div className="mt-6 text-center">
                 <button
                   onClick={handleAnalyzeRepository}
@@ -351,9 +481,11 @@ export default function AnalyzePage() {
             <AnalysisProgress
               progress={progressState.progress}
               currentStage={progressState.currentStage}
+              stageDetail={progressState.stageDetail}
               stages={progressState.stages}
               error={progressState.error}
               onRetry={handleRetry}
+              onCancel={handleCancelAnalysis}
               estimatedTimeRemaining={progressState.estimatedTimeRemaining}
               isComplete={progressState.isComplete}
             />
@@ -366,11 +498,20 @@ export default function AnalyzePage() {
             detectedTechnologies={detectedTechnologies}
             onModify={setDetectedTechnologies}
             onConfirm={handleTechnologyConfirmation}
+          />
+        )}
+
+        {/* Step 4: Requirements */}
+        {currentStep === 'requirements' && (
+          <RequirementsForm
+            initialRequirements={requirements}
+            onSubmit={handleRequirementsSubmit}
+            onBack={handleRequirementsBack}
             isLoading={isGeneratingRecommendations}
           />
         )}
 
-        {/* Step 4: Architecture Recommendations */}
+        {/* Step 5: Architecture Recommendations */}
         {currentStep === 'results' && (
           <div className="space-y-6">
             <div className="text-center">
@@ -378,12 +519,19 @@ export default function AnalyzePage() {
                 Architecture Recommendations
               </h2>
               <p className="text-gray-600 dark:text-gray-400">
-                Based on your technology stack, here are optimized cloud architectures
+                Based on your technology stack and requirements, here are optimized cloud architectures
               </p>
+              {analysisDetails?.path && (
+                <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                  Scoped to <code className="font-mono">{analysisDetails.path}</code>
+                  {analysisDetails.ref?.name && <> on <code className="font-mono">{analysisDetails.ref.name}</code></>}
+                </p>
+              )}
             </div>
             
             <ArchitectureCards
               recommendations={recommendations}
+              currentArchitecture={currentArchitecture}
               onSelect={handleRecommendationSelect}
               selectedRecommendation={selectedRecommendation}
             />
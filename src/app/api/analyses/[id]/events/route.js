@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { FINISHED_STATUSES, analysisJobQueue, formatServerSentEvent, isAuthorizedCaller } from '@/lib/jobs/AnalysisJobQueue';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Streams an analysis job's events as server-sent events
+ * Earlier events are replayed first, from after Last-Event-ID when reconnecting; the stream
+ * closes after the completed, failed or cancelled event. Jobs that ran with the server's token
+ * need the API key, as for GET /api/analyses/{id}
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const authorized = isAuthorizedCaller(request.headers.get('Authorization'));
+  if (!analysisJobQueue.getJob(id, { authorized })) {
+    return NextResponse.json({ error: 'Analysis not found' }, { status: 404 });
+  }
+
+  const encoder = new TextEncoder();
+  const after = parseInt(request.headers.get('Last-Event-ID')) || 0;
+  let unsubscribe = null;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      const close = () => {
+        if (!closed) {
+          closed = true;
+          unsubscribe?.();
+          controller.close();
+        }
+      };
+
+      unsubscribe = analysisJobQueue.subscribe(id, (event) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(formatServerSentEvent(event)));
+        if (FINISHED_STATUSES.includes(event.type)) {
+          // Replayed events arrive before subscribe returns; close once it has
+          queueMicrotask(close);
+        }
+      }, { after, authorized });
+
+      // A finished job has nothing left to send once its events are replayed
+      if (FINISHED_STATUSES.includes(analysisJobQueue.getJob(id, { authorized })?.status)) {
+        close();
+      }
+
+      request.signal.addEventListener('abort', close);
+    },
+    cancel() {
+      unsubscribe?.();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { analysisJobQueue, isAuthorizedCaller } from '@/lib/jobs/AnalysisJobQueue';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Reads an analysis job: its status, progress and, once completed, the analysis with its
+ * recommendations. Jobs that ran with the server's token need the API key they were queued with
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const job = analysisJobQueue.getJob(id, { authorized: isAuthorizedCaller(request.headers.get('Authorization')) });
+  if (!job) {
+    return NextResponse.json({ error: 'Analysis not found' }, { status: 404 });
+  }
+  return NextResponse.json(job);
+}
+
+/**
+ * Cancels a queued or running analysis job
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  const job = analysisJobQueue.cancel(id, { authorized: isAuthorizedCaller(request.headers.get('Authorization')) });
+  if (!job) {
+    return NextResponse.json({ error: 'Analysis not found' }, { status: 404 });
+  }
+  return NextResponse.json(job);
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { analysisJobQueue, isAuthorizedCaller } from '@/lib/jobs/AnalysisJobQueue';
+
+// Jobs live in this server process's memory
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Queues a server-side analysis of {url, ref?, path?, requirements?, token?}
+ * Without a token, callers authorized with `Authorization: Bearer <ANALYSIS_API_KEY>` get the
+ * server's token for the repository host; anyone else only reaches public repositories
+ */
+export async function POST(request) {
+  const body = await request.json().catch(() => null);
+  if (!body || typeof body !== 'object') {
+    return NextResponse.json({ error: 'Expected a JSON body with the repository url' }, { status: 400 });
+  }
+
+  try {
+    const job = analysisJobQueue.enqueue({
+      ...body,
+      authenticated: isAuthorizedCaller(request.headers.get('Authorization'))
+    });
+    return NextResponse.json(job, {
+      status: 202,
+      headers: { Location: `/api/analyses/${job.id}` }
+    });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: error.statusCode || 500 });
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { getDeviceFlowClientId, requestDeviceCode } from '@/lib/github/deviceFlow';
+
+/**
+ * Starts GitHub sign-in with the device flow
+ * Responds with the code the user enters at the verification URL
+ */
+export async function POST() {
+  const clientId = getDeviceFlowClientId();
+  if (!clientId) {
+    return NextResponse.json({ error: 'GitHub sign-in is not configured. Set GITHUB_CLIENT_ID' }, { status: 501 });
+  }
+
+  try {
+    return NextResponse.json(await requestDeviceCode(clientId));
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 502 });
+  }
+}
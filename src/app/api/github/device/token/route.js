@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { getDeviceFlowClientId, pollDeviceToken } from '@/lib/github/deviceFlow';
+
+/**
+ * Exchanges an authorized device code for an access token
+ * The token is returned to the browser that started the flow and not kept on the server
+ */
+export async function POST(request) {
+  const clientId = getDeviceFlowClientId();
+  if (!clientId) {
+    return NextResponse.json({ error: 'GitHub sign-in is not configured. Set GITHUB_CLIENT_ID' }, { status: 501 });
+  }
+
+  const body = await request.json().catch(() => null);
+  const deviceCode = body?.deviceCode;
+  if (!deviceCode) {
+    return NextResponse.json({ error: 'deviceCode is required' }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await pollDeviceToken(clientId, deviceCode));
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 502 });
+  }
+}
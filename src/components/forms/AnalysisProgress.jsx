@@ -12,9 +12,11 @@ import ReducedMotionWrapper from '@/components/accessibility/ReducedMotionWrappe
 export default function AnalysisProgress({
   progress = 0,
   currentStage = '',
+  stageDetail = null,
   stages = [],
   error = null,
   onRetry = null,
+  onCancel = null,
   estimatedTimeRemaining = null,
   isComplete = false,
   className = ''
@@ -146,6 +148,13 @@ export default function AnalysisProgress({
             </span>
           </div>
           
+          {/* Stage Detail, e.g. files fetched so far */}
+          {stageDetail && !isComplete && (
+            <p className="text-xs text-gray-600 dark:text-gray-400 ml-5">
+              {stageDetail}
+            </p>
+          )}
+          
           {/* Estimated Time Remaining */}
           {estimatedTimeRemaining && !isComplete && (
             <p className="text-xs text-gray-600 dark:text-gray-400 ml-5">
@@ -277,6 +286,20 @@ export default function AnalysisProgress({
         </div>
       )}
 
+      {/* Cancel Button */}
+      {onCancel && !isComplete && !error && (
+        <div className="mb-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 text-sm leading-4 font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+            aria-label="Cancel analysis"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
       {/* Success Message */}
       {isComplete && !error && (
         <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4">
@@ -315,6 +338,7 @@ export default function AnalysisProgress({
 export function useAnalysisProgress(initialStages = []) {
   const [progress, setProgress] = useState(0);
   const [currentStage, setCurrentStage] = useState('');
+  const [stageDetail, setStageDetail] = useState(null);
   const [stages, setStages] = useState(initialStages);
   const [error, setError] = useState(null);
   const [isComplete, setIsComplete] = useState(false);
@@ -333,11 +357,12 @@ export function useAnalysisProgress(initialStages = []) {
     }
   }, [progress, isComplete, startTime]);
 
-  const updateProgress = (newProgress, stageName = '') => {
+  const updateProgress = (newProgress, stageName = '', detail = null) => {
     setProgress(Math.min(Math.max(newProgress, 0), 100));
     if (stageName) {
       setCurrentStage(stageName);
     }
+    setStageDetail(detail);
     if (newProgress >= 100) {
       setIsComplete(true);
     }
@@ -361,6 +386,7 @@ export function useAnalysisProgress(initialStages = []) {
   const reset = () => {
     setProgress(0);
     setCurrentStage('');
+    setStageDetail(null);
     setError(null);
     setIsComplete(false);
     setEstimatedTimeRemaining(null);
@@ -370,6 +396,7 @@ export function useAnalysisProgress(initialStages = []) {
   return {
     progress,
     currentStage,
+    stageDetail,
     stages,
     error,
     isComplete,
@@ -9,6 +9,7 @@ import Card from '@/components/ui/Card';
  */
 export default function ArchitectureCards({
   recommendations = [],
+  currentArchitecture = null,
   onSelect,
   selectedRecommendation = null,
   className = ''
@@ -154,6 +155,39 @@ export default function ArchitectureCards({
         </button>
       </div>
 
+      {/* Current architecture baseline */}
+      {currentArchitecture && (
+        <Card className="border-dashed">
+          <div className="flex items-start justify-between">
+            <div>
+              <h4 className="font-semibold text-gray-900 dark:text-white">
+                Current Architecture
+              </h4>
+              <p className="text-xs text-gray-600 dark:text-gray-400">
+                {getProviderName(currentArchitecture.provider)} · declared in{' '}
+                {currentArchitecture.tools.join(', ')}
+              </p>
+            </div>
+            <div className="text-right">
+              <span className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatCost(currentArchitecture.estimatedCost.monthly)}
+              </span>
+              <span className="text-sm text-gray-600 dark:text-gray-400"> /month</span>
+            </div>
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {currentArchitecture.services.map((service, index) => (
+              <span
+                key={`current-service-${index}`}
+                className="px-2 py-1 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+              >
+                {service.quantity > 1 ? `${service.quantity} × ` : ''}{service.name}
+              </span>
+            ))}
+          </div>
+        </Card>
+      )}
+
       {/* Recommendations grid */}
       <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
         {recommendations.map((recommendation) => {
@@ -222,6 +256,20 @@ export default function ArchitectureCards({
                     /month
                   </span>
                 </div>
+
+                {recommendation.costComparison && (
+                  <p
+                    className={`mt-1 text-xs font-medium ${
+                      recommendation.costComparison.monthlySavings >= 0
+                        ? 'text-green-600 dark:text-green-400'
+                        : 'text-red-600 dark:text-red-400'
+                    }`}
+                  >
+                    {recommendation.costComparison.monthlySavings >= 0
+                      ? `Saves ${formatCost(recommendation.costComparison.monthlySavings)}/month (${recommendation.costComparison.percentage}%) vs current`
+                      : `${formatCost(-recommendation.costComparison.monthlySavings)}/month more than current`}
+                  </p>
+                )}
                 
                 {recommendation.estimatedCost.breakdown && (
                   <div className="mt-2 text-xs text-gray-600 dark:text-gray-400">
@@ -265,6 +313,20 @@ export default function ArchitectureCards({
                 </div>
               </div>
 
+              {/* Runtime compatibility */}
+              {recommendation.compatibilityWarnings?.length > 0 && (
+                <div className="mb-4 rounded-md bg-amber-50 dark:bg-amber-900/20 p-2">
+                  {recommendation.compatibilityWarnings.map((warning, index) => (
+                    <p
+                      key={`${recommendation.id}-warning-${index}`}
+                      className="text-xs text-amber-800 dark:text-amber-200"
+                    >
+                      ⚠ {warning.message}
+                    </p>
+                  ))}
+                </div>
+              )}
+
               {/* Reasoning preview */}
               <div className="mb-4">
                 <h5 className="text-sm font-medium text-gray-900 dark:text-white mb-2">
@@ -496,11 +558,42 @@ export default function ArchitectureCards({
                             <div className="text-xs text-gray-600 dark:text-gray-400">
                               {service.purpose}
                             </div>
+                            {service.nodePool && (
+                              <div className="text-xs text-gray-500 dark:text-gray-500 mt-1">
+                                {service.nodePool.count} × {service.nodePool.instanceType} nodes
+                                {service.nodePool.maxCount > service.nodePool.count &&
+                                  ` (autoscales to ${service.nodePool.maxCount})`}
+                              </div>
+                            )}
+                            {service.topologyService && (
+                              <div className="text-xs text-gray-500 dark:text-gray-500 mt-1">
+                                Compose service {service.topologyService.name}
+                                {service.topologyService.dependsOn.length > 0 &&
+                                  ` → depends on ${service.topologyService.dependsOn.join(', ')}`}
+                              </div>
+                            )}
                           </div>
                         ))}
                       </div>
                     </div>
 
+                    {/* Runtime Compatibility */}
+                    {detailsModal.compatibilityWarnings?.length > 0 && (
+                      <div>
+                        <h4 className="text-lg font-medium text-gray-900 dark:text-white mb-3">
+                          Runtime Compatibility
+                        </h4>
+                        <ul className="space-y-2">
+                          {detailsModal.compatibilityWarnings.map((warning, index) => (
+                            <li key={`modal-warning-${index}`} className="flex items-start space-x-2 text-sm">
+                              <span className="text-amber-500 mt-1">⚠</span>
+                              <span className="text-gray-600 dark:text-gray-400">{warning.message}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     {/* Architecture Reasoning */}
                     <div>
                       <h4 className="text-lg font-medium text-gray-900 dark:text-white mb-3">
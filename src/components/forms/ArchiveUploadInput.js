@@ -0,0 +1,81 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import { ARCHIVE_EXTENSIONS, ArchiveService, validateArchiveFile } from '@/lib/repositories';
+
+/**
+ * ArchiveUploadInput Component
+ *
+ * File input for analyzing source code that is not hosted on a git service:
+ * - Accepts .zip, .tar.gz, .tgz and .tar archives
+ * - Extracts the archive in the browser; nothing is uploaded to a server
+ * - Reports the same validation shape as GitHubUrlInput, plus the extracted `archive` service
+ */
+export default function ArchiveUploadInput({
+  onValidation,
+  disabled = false,
+  id = 'archive-upload-input',
+  className = ''
+}) {
+  const [state, setState] = useState({ isExtracting: false, error: null, fileName: null });
+
+  const handleFileChange = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    const fileValidation = validateArchiveFile(file);
+    if (!fileValidation.isValid) {
+      setState({ isExtracting: false, error: fileValidation.error, fileName: file.name });
+      onValidation?.({ isValid: false, isAccessible: null, error: fileValidation.error, repository: null, archive: null });
+      return;
+    }
+
+    setState({ isExtracting: true, error: null, fileName: file.name });
+
+    try {
+      const archive = await ArchiveService.fromFile(file);
+      const validation = await archive.validateRepository(file.name);
+
+      setState({ isExtracting: false, error: validation.error, fileName: file.name });
+      onValidation?.({ ...validation, archive: validation.isValid ? archive : null });
+    } catch (error) {
+      const message = `Could not read archive: ${error.message}`;
+      setState({ isExtracting: false, error: message, fileName: file.name });
+      onValidation?.({ isValid: false, isAccessible: false, error: message, repository: null, archive: null });
+    }
+  }, [onValidation]);
+
+  const errorId = `${id}-error`;
+  const statusId = `${id}-status`;
+
+  return (
+    <div className={className}>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        Or upload a source archive ({ARCHIVE_EXTENSIONS.join(', ')})
+      </label>
+      <input
+        type="file"
+        id={id}
+        accept={ARCHIVE_EXTENSIONS.join(',')}
+        onChange={handleFileChange}
+        disabled={disabled || state.isExtracting}
+        aria-describedby={`${errorId} ${statusId}`}
+        aria-invalid={Boolean(state.error)}
+        className="block w-full text-sm text-gray-700 dark:text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200 disabled:opacity-50"
+      />
+
+      <div id={statusId} role="status" aria-live="polite" className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+        {state.isExtracting && `Extracting ${state.fileName}...`}
+        {!state.isExtracting && !state.error && state.fileName && `Ready to analyze ${state.fileName}`}
+      </div>
+
+      {state.error && (
+        <div id={errorId} role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">
+          {state.error}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { GitHubService, clearAccessToken, setAccessToken } from '@/lib/github';
+
+/**
+ * GitHubAuthPanel Component
+ *
+ * Access to private GitHub repositories:
+ * - Personal access token entry, kept in memory or for the browser session only
+ * - Sign in with GitHub through the device flow route handlers (OAuth App or GitHub App)
+ * - Shows the signed-in account and the token's scopes
+ */
+export default function GitHubAuthPanel({
+  apiToken = null,
+  onTokenChange,
+  disabled = false,
+  id = 'github-auth',
+  className = ''
+}) {
+  const [tokenInput, setTokenInput] = useState('');
+  const [persist, setPersist] = useState(false);
+  const [tokenInfo, setTokenInfo] = useState(null);
+  const [device, setDevice] = useState(null);
+  const [error, setError] = useState(null);
+  const pollTimeoutRef = useRef(null);
+
+  // Look up the account and scopes of the current token
+  useEffect(() => {
+    if (!apiToken) {
+      setTokenInfo(null);
+      return;
+    }
+
+    let cancelled = false;
+    new GitHubService(apiToken).getTokenInfo()
+      .then(info => {
+        if (cancelled) return;
+        setTokenInfo(info);
+        setError(info ? null : 'GitHub rejected this token. It may have expired or been revoked');
+      })
+      .catch(() => {
+        if (!cancelled) setTokenInfo(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiToken]);
+
+  // Stop polling when the panel unmounts
+  useEffect(() => () => clearTimeout(pollTimeoutRef.current), []);
+
+  const applyToken = useCallback((token) => {
+    setAccessToken(token, { persist });
+    onTokenChange?.(token);
+  }, [persist, onTokenChange]);
+
+  const handleTokenSubmit = useCallback((e) => {
+    e.preventDefault();
+    const token = tokenInput.trim();
+    if (!token) {
+      return;
+    }
+    setTokenInput('');
+    setError(null);
+    applyToken(token);
+  }, [tokenInput, applyToken]);
+
+  const handleSignOut = useCallback(() => {
+    clearTimeout(pollTimeoutRef.current);
+    clearAccessToken();
+    setDevice(null);
+    setError(null);
+    onTokenChange?.(null);
+  }, [onTokenChange]);
+
+  const pollForToken = useCallback((deviceCode, interval) => {
+    pollTimeoutRef.current = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/github/device/token', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ deviceCode })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+          throw new Error(result.error);
+        }
+        if (result.status === 'pending') {
+          pollForToken(deviceCode, result.interval || interval);
+        } else if (result.status === 'complete') {
+          setDevice(null);
+          applyToken(result.accessToken);
+        } else {
+          setDevice(null);
+          setError(result.status === 'denied' ? 'Sign-in was cancelled on GitHub' : 'The sign-in code expired. Start again');
+        }
+      } catch (pollError) {
+        setDevice(null);
+        setError(`GitHub sign-in failed: ${pollError.message}`);
+      }
+    }, interval * 1000);
+  }, [applyToken]);
+
+  const handleDeviceSignIn = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await fetch('/api/github/device', { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error);
+      }
+
+      setDevice(result);
+      pollForToken(result.deviceCode, result.interval || 5);
+    } catch (signInError) {
+      setError(`GitHub sign-in failed: ${signInError.message}`);
+    }
+  }, [pollForToken]);
+
+  const tokenInputId = `${id}-token`;
+  const persistId = `${id}-persist`;
+  const errorId = `${id}-error`;
+
+  return (
+    <section className={`rounded-lg border border-gray-200 dark:border-gray-700 p-4 ${className}`} aria-labelledby={`${id}-heading`}>
+      <h3 id={`${id}-heading`} className="text-sm font-medium text-gray-900 dark:text-white">
+        GitHub access
+      </h3>
+
+      {apiToken && tokenInfo ? (
+        <div className="mt-2 text-sm text-gray-700 dark:text-gray-300" role="status">
+          <p>
+            Signed in as <strong>{tokenInfo.login}</strong>
+          </p>
+          <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+            {tokenInfo.scopes
+              ? `Scopes: ${tokenInfo.scopes.length > 0 ? tokenInfo.scopes.join(', ') : 'none (public repositories only)'}`
+              : 'Fine-grained token or GitHub App: access follows the permissions granted to it'}
+          </p>
+          <button
+            type="button"
+            onClick={handleSignOut}
+            disabled={disabled}
+            className="mt-2 text-xs text-blue-600 hover:underline disabled:opacity-50"
+          >
+            Forget token
+          </button>
+        </div>
+      ) : (
+        <>
+          <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+            Private repositories need a token. It stays in this browser tab and is only sent to the GitHub API.
+          </p>
+
+          <form onSubmit={handleTokenSubmit} className="mt-3 space-y-2">
+            <label htmlFor={tokenInputId} className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+              Personal access token
+            </label>
+            <div className="flex gap-2">
+              <input
+                id={tokenInputId}
+                type="password"
+                autoComplete="off"
+                spellCheck="false"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+                disabled={disabled}
+                aria-describedby={error ? errorId : undefined}
+                placeholder="ghp_... or github_pat_..."
+                className="flex-1 px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={disabled || !tokenInput.trim()}
+                className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                Use token
+              </button>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                id={persistId}
+                type="checkbox"
+                checked={persist}
+                onChange={(e) => setPersist(e.target.checked)}
+                disabled={disabled}
+              />
+              <label htmlFor={persistId} className="text-xs text-gray-600 dark:text-gray-400">
+                Keep until this tab is closed
+              </label>
+            </div>
+          </form>
+
+          <div className="mt-3">
+            {device ? (
+              <p className="text-sm text-gray-700 dark:text-gray-300" role="status" aria-live="polite">
+                Enter <strong className="font-mono">{device.userCode}</strong> at{' '}
+                <a href={device.verificationUri} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline">
+                  {device.verificationUri}
+                </a>
+                . Waiting for authorization...
+              </p>
+            ) : (
+              <button
+                type="button"
+                onClick={handleDeviceSignIn}
+                disabled={disabled}
+                className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+              >
+                Sign in with GitHub instead
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {error && (
+        <p id={errorId} role="alert" className="mt-2 text-xs text-red-600 dark:text-red-400">
+          {error}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -1,29 +1,34 @@
 'use client';
 
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { validateGitHubUrl } from '@/lib/github/urlValidation';
-import { GitHubService } from '@/lib/github/GitHubService';
+import { createRepositoryService, validateRepositoryUrl } from '@/lib/repositories';
 
 /**
  * GitHubUrlInput Component
  * 
- * A specialized input component for GitHub repository URLs with:
+ * A specialized input component for GitHub, GitLab, Bitbucket and Azure Repos URLs with:
  * - Real-time URL format validation
  * - Repository accessibility checking
  * - Comprehensive accessibility features
  * - Loading states and error handling
  * - ARIA labels and announcements
+ * - Branch and tag selector, preset from tree/blob/commit URLs
+ * - Shows the subdirectory a tree or blob URL scopes the analysis to
+ * - Checks GitHub repositories with the signed-in token, telling missing repositories from inaccessible ones
  */
 export default function GitHubUrlInput({
   value = '',
   onChange,
   onValidation,
-  placeholder = 'Enter GitHub repository URL (e.g., https://github.com/owner/repo)',
+  selectedRef = '',
+  onRefChange,
+  apiToken = null,
+  placeholder = 'Enter repository URL (e.g., https://github.com/owner/repo)',
   disabled = false,
   autoFocus = false,
   className = '',
   id = 'github-url-input',
-  'aria-label': ariaLabel = 'GitHub repository URL',
+  'aria-label': ariaLabel = 'Repository URL',
   'aria-describedby': ariaDescribedBy,
   ...props
 }) {
@@ -37,18 +42,25 @@ export default function GitHubUrlInput({
     repository: null
   });
   const [hasUserInteracted, setHasUserInteracted] = useState(false);
+  const [source, setSource] = useState(null);
+  const [refs, setRefs] = useState(null);
   
   // Refs for accessibility
   const inputRef = useRef(null);
   const errorRef = useRef(null);
   const statusRef = useRef(null);
   const validationTimeoutRef = useRef(null);
+  const lastValidatedRef = useRef(null);
   
-  // GitHub service instance
-  const githubService = useRef(new GitHubService());
-
   // Debounced validation function
   const validateUrl = useCallback(async (url) => {
+    // The debounce and the blur handler both validate; check each URL and token once
+    const validationKey = `${url.trim()}\n${apiToken || ''}`;
+    if (validationKey === lastValidatedRef.current) {
+      return;
+    }
+    lastValidatedRef.current = validationKey;
+
     if (!url.trim()) {
       setValidationState({
         isValidating: false,
@@ -64,7 +76,7 @@ export default function GitHubUrlInput({
 
     try {
       // First, validate URL format
-      const formatValidation = validateGitHubUrl(url);
+      const formatValidation = validateRepositoryUrl(url);
       
       if (!formatValidation.isValid) {
         const newState = {
@@ -74,18 +86,26 @@ export default function GitHubUrlInput({
           error: formatValidation.error,
           repository: null
         };
+        setSource(null);
         setValidationState(newState);
         onValidation?.(newState);
         return;
       }
 
-      // Then check repository accessibility
-      const accessibilityCheck = await githubService.current.validateRepository(url);
+      // A tree, blob or commit URL preselects its ref
+      setSource({ url: url.trim(), ...formatValidation.details });
+      onRefChange?.(formatValidation.details.ref || '');
+
+      // Then check repository accessibility with the provider serving the host; the token
+      // is a GitHub token and is never sent to other hosts
+      const token = formatValidation.details.provider === 'github' ? apiToken : null;
+      const accessibilityCheck = await createRepositoryService(url, token).validateRepository(url);
       
       const newState = {
         isValidating: false,
         isValid: formatValidation.isValid,
         isAccessible: accessibilityCheck.isAccessible,
+        accessError: accessibilityCheck.accessError || null,
         error: accessibilityCheck.error,
         repository: accessibilityCheck.repository
       };
@@ -94,6 +114,8 @@ export default function GitHubUrlInput({
       onValidation?.(newState);
       
     } catch (error) {
+      // Let the next blur retry after a network failure
+      lastValidatedRef.current = null;
       const newState = {
         isValidating: false,
         isValid: false,
@@ -104,7 +126,41 @@ export default function GitHubUrlInput({
       setValidationState(newState);
       onValidation?.(newState);
     }
-  }, [onValidation]);
+  }, [onValidation, onRefChange, apiToken]);
+
+  // Check the repository again when the user signs in or out
+  const lastTokenRef = useRef(apiToken);
+  useEffect(() => {
+    if (lastTokenRef.current === apiToken) {
+      return;
+    }
+    lastTokenRef.current = apiToken;
+    if (inputValue.trim()) {
+      validateUrl(inputValue);
+    }
+  }, [apiToken, inputValue, validateUrl]);
+
+  // Load branches and tags for the selector once the repository is reachable
+  useEffect(() => {
+    if (!source || !validationState.isAccessible) {
+      setRefs(null);
+      return;
+    }
+
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => createRepositoryService(source.url, source.provider === 'github' ? apiToken : null).listRefs(source.owner, source.repo))
+      .then(result => {
+        if (!cancelled) setRefs(result);
+      })
+      .catch(() => {
+        if (!cancelled) setRefs(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, validationState.isAccessible, apiToken]);
 
   // Handle input changes with debouncing
   const handleInputChange = useCallback((e) => {
@@ -252,6 +308,8 @@ export default function GitHubUrlInput({
   // Generate unique IDs for accessibility
   const errorId = `${id}-error`;
   const statusId = `${id}-status`;
+  const refSelectId = `${id}-ref`;
+  const knownRefs = refs ? [...refs.branches, ...refs.tags] : [];
   const describedBy = [ariaDescribedBy, errorId, statusId].filter(Boolean).join(' ');
 
   return (
@@ -328,6 +386,11 @@ export default function GitHubUrlInput({
           aria-live="polite"
         >
           {validationState.error}
+          {validationState.accessError === 'not_found' && source?.provider === 'github' && !apiToken && (
+            <span className="block mt-1 text-xs text-gray-600">
+              If the repository is private, add a GitHub token to analyze it.
+            </span>
+          )}
         </div>
       )}
 
@@ -347,6 +410,46 @@ export default function GitHubUrlInput({
               Primary language: {validationState.repository.language}
             </div>
           )}
+          {source?.path && (
+            <div className="mt-1 text-xs text-gray-600">
+              Analysis scoped to <code className="font-mono">{source.path}</code>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Branch and tag selector */}
+      {refs && knownRefs.length > 0 && (
+        <div className="mt-3">
+          <label htmlFor={refSelectId} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Branch or tag
+          </label>
+          <select
+            id={refSelectId}
+            value={selectedRef}
+            onChange={(e) => onRefChange?.(e.target.value)}
+            disabled={disabled}
+            className="w-full px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Default branch</option>
+            {selectedRef && !knownRefs.includes(selectedRef) && (
+              <option value={selectedRef}>{selectedRef}</option>
+            )}
+            {refs.branches.length > 0 && (
+              <optgroup label="Branches">
+                {refs.branches.map(branch => (
+                  <option key={`branch-${branch}`} value={branch}>{branch}</option>
+                ))}
+              </optgroup>
+            )}
+            {refs.tags.length > 0 && (
+              <optgroup label="Tags">
+                {refs.tags.map(tag => (
+                  <option key={`tag-${tag}`} value={tag}>{tag}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
         </div>
       )}
 
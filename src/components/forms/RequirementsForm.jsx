@@ -0,0 +1,193 @@
+import React, { useState, useCallback } from 'react';
+import { DEFAULT_REQUIREMENTS, REQUIREMENTS_SCHEMA, validateRequirements } from '@/lib/cloud/requirements';
+
+// Regions offered in the questionnaire, named as the cost estimates name them
+const REGIONS = {
+  'us-east-1': 'US East',
+  'us-west-2': 'US West',
+  'eu-west-1': 'Europe (Ireland)',
+  'eu-central-1': 'Europe (Frankfurt)',
+  'ap-southeast-1': 'Asia Pacific (Singapore)',
+  'ap-northeast-1': 'Asia Pacific (Tokyo)'
+};
+
+const LEVEL_LABELS = { low: 'Low', medium: 'Medium', high: 'High' };
+
+// Questions in display order; answers come from the schema so the form cannot offer values it rejects
+const QUESTIONS = [
+  { name: 'scale', label: 'Deployment size', options: { small: 'Small', medium: 'Medium', large: 'Large' } },
+  {
+    name: 'traffic',
+    label: 'Traffic pattern',
+    options: { low: 'Low', medium: 'Steady', high: 'High', variable: 'Spiky or unpredictable' }
+  },
+  { name: 'workload', label: 'Workload', options: { predictable: 'Predictable, always on', variable: 'Varies over time' } },
+  { name: 'region', label: 'Region', options: REGIONS },
+  {
+    name: 'commitment',
+    label: 'Capacity commitment',
+    options: { none: 'Pay as you go', '1year': '1-year reserved', '3year': '3-year reserved' }
+  },
+  {
+    name: 'priority',
+    label: 'Top priority',
+    options: { balanced: 'Balanced', cost: 'Lowest cost', performance: 'Performance', simplicity: 'Simplicity' }
+  },
+  {
+    name: 'organizationType',
+    label: 'Organization',
+    options: { startup: 'Startup', smb: 'Small or medium business', enterprise: 'Enterprise' }
+  },
+  { name: 'performance', label: 'Performance needs', options: LEVEL_LABELS },
+  { name: 'expectedGrowth', label: 'Expected growth', options: LEVEL_LABELS }
+];
+
+const getOptions = ({ name, options }) => {
+  const values = REQUIREMENTS_SCHEMA.properties[name].enum || Object.keys(options);
+  return values.map(value => [value, options[value] || value]);
+};
+
+const toFormValues = (requirements) => ({
+  ...DEFAULT_REQUIREMENTS,
+  ...requirements,
+  maxBudget: requirements.maxBudget ?? ''
+});
+
+/**
+ * Requirements questionnaire shown between technology review and recommendations
+ * Collects the scale, traffic, budget and priorities the recommendation rules read
+ */
+const RequirementsForm = ({
+  initialRequirements = DEFAULT_REQUIREMENTS,
+  onSubmit,
+  onBack,
+  isLoading = false
+}) => {
+  const [values, setValues] = useState(() => toFormValues(initialRequirements));
+  const [errors, setErrors] = useState({});
+
+  const handleChange = useCallback((name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  }, []);
+
+  const handleSubmit = useCallback((event) => {
+    event.preventDefault();
+
+    const { maxBudget, ...answers } = values;
+    const budget = String(maxBudget).trim();
+    const validation = validateRequirements(budget === '' ? answers : { ...answers, maxBudget: Number(budget) });
+
+    if (!validation.isValid) {
+      setErrors(Object.fromEntries(validation.errors.map(error => [error.field, error.message])));
+      return;
+    }
+    onSubmit?.(validation.requirements);
+  }, [values, onSubmit]);
+
+  const handleReset = useCallback(() => {
+    setValues(toFormValues(DEFAULT_REQUIREMENTS));
+    setErrors({});
+  }, []);
+
+  const inputClassName = (name) => `w-full px-3 py-2 border rounded-md focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white ${
+    errors[name] ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'
+  }`;
+
+  // Help text under a field, replaced by the validation message when the answer is rejected
+  const renderHelp = (name) => (
+    <p
+      id={`requirement-${name}-help`}
+      className={`mt-1 text-xs ${errors[name] ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}
+      role={errors[name] ? 'alert' : undefined}
+    >
+      {errors[name] || REQUIREMENTS_SCHEMA.properties[name].description}
+    </p>
+  );
+
+  return (
+    <form className="space-y-6" onSubmit={handleSubmit} noValidate>
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Your Requirements
+        </h2>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          Tell us how the application runs so recommendations and cost estimates match your workload
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-800">
+        {QUESTIONS.map(question => (
+          <div key={question.name}>
+            <label htmlFor={`requirement-${question.name}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              {question.label}
+            </label>
+            <select
+              id={`requirement-${question.name}`}
+              value={values[question.name]}
+              onChange={(e) => handleChange(question.name, e.target.value)}
+              aria-invalid={Boolean(errors[question.name])}
+              aria-describedby={`requirement-${question.name}-help`}
+              className={inputClassName(question.name)}
+            >
+              {getOptions(question).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {renderHelp(question.name)}
+          </div>
+        ))}
+
+        <div>
+          <label htmlFor="requirement-maxBudget" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Monthly budget in USD (optional)
+          </label>
+          <input
+            id="requirement-maxBudget"
+            type="number"
+            inputMode="decimal"
+            min="0"
+            value={values.maxBudget}
+            onChange={(e) => handleChange('maxBudget', e.target.value)}
+            aria-invalid={Boolean(errors.maxBudget)}
+            aria-describedby="requirement-maxBudget-help"
+            className={inputClassName('maxBudget')}
+            placeholder="e.g., 500"
+          />
+          {renderHelp('maxBudget')}
+        </div>
+      </div>
+
+      {/* Actions */}
+      <div className="flex justify-between items-center pt-6 border-t border-gray-200 dark:border-gray-700">
+        <button
+          type="button"
+          onClick={onBack}
+          className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+        >
+          ← Back to Technologies
+        </button>
+
+        <div className="flex space-x-3">
+          <button
+            type="button"
+            onClick={handleReset}
+            className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            Use Defaults
+          </button>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isLoading ? 'Generating...' : 'Generate Recommendations'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default RequirementsForm;
@@ -145,6 +145,8 @@ const TechnologyEditor = ({
       language: '🔤',
       framework: '🏗️',
       database: '🗄️',
+      cache: '⚡',
+      queue: '📨',
       tool: '🔧',
       service: '☁️'
     };
@@ -325,6 +327,8 @@ const TechnologyEditor = ({
                   <option value="language">Language</option>
                   <option value="framework">Framework</option>
                   <option value="database">Database</option>
+                  <option value="cache">Cache</option>
+                  <option value="queue">Queue</option>
                   <option value="tool">Tool</option>
                   <option value="service">Service</option>
                 </select>
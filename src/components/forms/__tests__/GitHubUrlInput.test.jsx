@@ -2,12 +2,10 @@ import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
 import userEvent from '@testing-library/user-event';
 import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
 import GitHubUrlInput from '../GitHubUrlInput';
-import { validateGitHubUrl } from '@/lib/github/urlValidation';
-import { GitHubService } from '@/lib/github/GitHubService';
+import { createRepositoryService, validateRepositoryUrl } from '@/lib/repositories';
 
-// Mock the GitHub validation utilities
-vi.mock('@/lib/github/urlValidation');
-vi.mock('@/lib/github/GitHubService');
+// Mock the repository validation utilities and provider services
+vi.mock('@/lib/repositories');
 
 describe('GitHubUrlInput', () => {
   let mockOnChange;
@@ -18,11 +16,11 @@ describe('GitHubUrlInput', () => {
     mockOnChange = vi.fn();
     mockOnValidation = vi.fn();
     
-    // Mock GitHubService
+    // Mock the provider service
     mockGitHubService = {
       validateRepository: vi.fn()
     };
-    GitHubService.mockImplementation(() => mockGitHubService);
+    createRepositoryService.mockImplementation(() => mockGitHubService);
 
     // Reset all mocks
     vi.clearAllMocks();
@@ -39,7 +37,7 @@ describe('GitHubUrlInput', () => {
       const input = screen.getByRole('textbox');
       expect(input).toBeInTheDocument();
       expect(input).toHaveAttribute('type', 'url');
-      expect(input).toHaveAttribute('placeholder', 'Enter GitHub repository URL (e.g., https://github.com/owner/repo)');
+      expect(input).toHaveAttribute('placeholder', 'Enter repository URL (e.g., https://github.com/owner/repo)');
     });
 
     it('renders with custom props', () => {
@@ -106,7 +104,8 @@ describe('GitHubUrlInput', () => {
 
   describe('URL Format Validation', () => {
     beforeEach(() => {
-      vi.useFakeTimers();
+      // Let the clock run too, so waitFor and user-event can poll while the debounce is faked
+      vi.useFakeTimers({ shouldAdvanceTime: true });
     });
 
     afterEach(() => {
@@ -114,7 +113,7 @@ describe('GitHubUrlInput', () => {
     });
 
     it('validates URL format on input with debouncing', async () => {
-      validateGitHubUrl.mockReturnValue({
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo', normalizedUrl: 'https://github.com/test/repo' }
@@ -134,7 +133,7 @@ describe('GitHubUrlInput', () => {
       await user.type(input, 'https://github.com/test/repo');
       
       // Validation should not be called immediately (debounced)
-      expect(validateGitHubUrl).not.toHaveBeenCalled();
+      expect(validateRepositoryUrl).not.toHaveBeenCalled();
       
       // Advance timers to trigger debounced validation
       act(() => {
@@ -142,12 +141,12 @@ describe('GitHubUrlInput', () => {
       });
       
       await waitFor(() => {
-        expect(validateGitHubUrl).toHaveBeenCalledWith('https://github.com/test/repo');
+        expect(validateRepositoryUrl).toHaveBeenCalledWith('https://github.com/test/repo');
       });
     });
 
     it('shows error for invalid URL format', async () => {
-      validateGitHubUrl.mockReturnValue({
+      validateRepositoryUrl.mockReturnValue({
         isValid: false,
         error: 'Invalid GitHub URL format',
         details: null
@@ -171,7 +170,7 @@ describe('GitHubUrlInput', () => {
     });
 
     it('validates immediately on blur', async () => {
-      validateGitHubUrl.mockReturnValue({
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo' }
@@ -192,15 +191,15 @@ describe('GitHubUrlInput', () => {
       await user.tab(); // Trigger blur
       
       await waitFor(() => {
-        expect(validateGitHubUrl).toHaveBeenCalledWith('https://github.com/test/repo');
+        expect(validateRepositoryUrl).toHaveBeenCalledWith('https://github.com/test/repo');
       });
     });
   });
 
   describe('Repository Accessibility Checking', () => {
     beforeEach(() => {
-      vi.useFakeTimers();
-      validateGitHubUrl.mockReturnValue({
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo' }
@@ -289,8 +288,8 @@ describe('GitHubUrlInput', () => {
 
   describe('Loading States', () => {
     beforeEach(() => {
-      vi.useFakeTimers();
-      validateGitHubUrl.mockReturnValue({
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo' }
@@ -343,6 +342,14 @@ describe('GitHubUrlInput', () => {
   });
 
   describe('Accessibility Features', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
     it('has proper ARIA attributes', () => {
       render(
         <GitHubUrlInput 
@@ -359,7 +366,7 @@ describe('GitHubUrlInput', () => {
     });
 
     it('announces validation errors to screen readers', async () => {
-      validateGitHubUrl.mockReturnValue({
+      validateRepositoryUrl.mockReturnValue({
         isValid: false,
         error: 'Invalid URL format',
         details: null
@@ -383,7 +390,7 @@ describe('GitHubUrlInput', () => {
     });
 
     it('provides status updates for screen readers', async () => {
-      validateGitHubUrl.mockReturnValue({
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo' }
@@ -408,7 +415,7 @@ describe('GitHubUrlInput', () => {
       
       await waitFor(() => {
         const statusElement = screen.getByText(/Valid repository: test\/repo/);
-        expect(statusElement.parentElement).toHaveAttribute('aria-live', 'polite');
+        expect(statusElement).toHaveAttribute('aria-live', 'polite');
       });
     });
 
@@ -441,8 +448,8 @@ describe('GitHubUrlInput', () => {
 
   describe('Error Handling', () => {
     beforeEach(() => {
-      vi.useFakeTimers();
-      validateGitHubUrl.mockReturnValue({
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo' }
@@ -467,7 +474,7 @@ describe('GitHubUrlInput', () => {
       });
       
       await waitFor(() => {
-        expect(screen.getByText(/Validation failed: Network error/)).toBeInTheDocument();
+        expect(screen.getByRole('alert')).toHaveTextContent('Validation failed: Network error');
       });
       
       expect(mockOnValidation).toHaveBeenCalledWith(
@@ -500,7 +507,7 @@ describe('GitHubUrlInput', () => {
 
   describe('Validation Callback', () => {
     beforeEach(() => {
-      vi.useFakeTimers();
+      vi.useFakeTimers({ shouldAdvanceTime: true });
     });
 
     afterEach(() => {
@@ -508,7 +515,7 @@ describe('GitHubUrlInput', () => {
     });
 
     it('calls onValidation with validation results', async () => {
-      validateGitHubUrl.mockReturnValue({
+      validateRepositoryUrl.mockReturnValue({
         isValid: true,
         error: null,
         details: { owner: 'test', repo: 'repo' }
@@ -536,6 +543,7 @@ describe('GitHubUrlInput', () => {
           isValidating: false,
           isValid: true,
           isAccessible: true,
+          accessError: null,
           error: null,
           repository: { fullName: 'test/repo' }
         });
@@ -545,7 +553,7 @@ describe('GitHubUrlInput', () => {
 
   describe('Component Cleanup', () => {
     beforeEach(() => {
-      vi.useFakeTimers();
+      vi.useFakeTimers({ shouldAdvanceTime: true });
     });
 
     afterEach(() => {
@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import RequirementsForm from '../RequirementsForm.jsx';
+import { DEFAULT_PREFERENCES, DEFAULT_REQUIREMENTS } from '../../../lib/cloud/requirements.js';
+
+describe('RequirementsForm', () => {
+  let mockOnSubmit;
+  let mockOnBack;
+  let user;
+
+  beforeEach(() => {
+    mockOnSubmit = vi.fn();
+    mockOnBack = vi.fn();
+    user = userEvent.setup();
+  });
+
+  it('starts from the default requirements', async () => {
+    render(<RequirementsForm onSubmit={mockOnSubmit} onBack={mockOnBack} />);
+
+    expect(screen.getByLabelText('Traffic pattern')).toHaveValue('medium');
+    expect(screen.getByLabelText('Region')).toHaveValue('us-east-1');
+
+    await user.click(screen.getByText('Generate Recommendations'));
+
+    expect(mockOnSubmit).toHaveBeenCalledWith(DEFAULT_REQUIREMENTS);
+  });
+
+  it('submits the answers the recommendation rules read', async () => {
+    render(<RequirementsForm onSubmit={mockOnSubmit} onBack={mockOnBack} />);
+
+    await user.selectOptions(screen.getByLabelText('Deployment size'), 'large');
+    await user.selectOptions(screen.getByLabelText('Traffic pattern'), 'variable');
+    await user.selectOptions(screen.getByLabelText('Workload'), 'predictable');
+    await user.selectOptions(screen.getByLabelText('Region'), 'eu-west-1');
+    await user.selectOptions(screen.getByLabelText('Capacity commitment'), '1year');
+    await user.selectOptions(screen.getByLabelText('Top priority'), 'cost');
+    await user.selectOptions(screen.getByLabelText('Organization'), 'startup');
+    await user.type(screen.getByLabelText('Monthly budget in USD (optional)'), '250');
+    await user.click(screen.getByText('Generate Recommendations'));
+
+    expect(mockOnSubmit).toHaveBeenCalledWith({
+      ...DEFAULT_REQUIREMENTS,
+      scale: 'large',
+      traffic: 'variable',
+      workload: 'predictable',
+      region: 'eu-west-1',
+      commitment: '1year',
+      priority: 'cost',
+      organizationType: 'startup',
+      maxBudget: 250,
+      preferences: DEFAULT_PREFERENCES
+    });
+  });
+
+  it('shows validation errors instead of submitting', async () => {
+    render(<RequirementsForm onSubmit={mockOnSubmit} onBack={mockOnBack} />);
+
+    await user.type(screen.getByLabelText('Monthly budget in USD (optional)'), '-5');
+    await user.click(screen.getByText('Generate Recommendations'));
+
+    expect(mockOnSubmit).not.toHaveBeenCalled();
+    expect(screen.getByRole('alert')).toHaveTextContent('maxBudget must be at least 0');
+    expect(screen.getByLabelText('Monthly budget in USD (optional)')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  it('keeps earlier answers and restores the defaults on request', async () => {
+    render(
+      <RequirementsForm
+        initialRequirements={{ ...DEFAULT_REQUIREMENTS, priority: 'performance', maxBudget: 900 }}
+        onSubmit={mockOnSubmit}
+        onBack={mockOnBack}
+      />
+    );
+
+    expect(screen.getByLabelText('Top priority')).toHaveValue('performance');
+    expect(screen.getByLabelText('Monthly budget in USD (optional)')).toHaveValue(900);
+
+    await user.click(screen.getByText('Use Defaults'));
+    await user.click(screen.getByText('← Back to Technologies'));
+
+    expect(screen.getByLabelText('Top priority')).toHaveValue('balanced');
+    expect(screen.getByLabelText('Monthly budget in USD (optional)')).toHaveValue(null);
+    expect(mockOnBack).toHaveBeenCalled();
+  });
+
+  it('disables submission while recommendations are generated', () => {
+    render(<RequirementsForm onSubmit={mockOnSubmit} onBack={mockOnBack} isLoading />);
+
+    expect(screen.getByText('Generating...')).toBeDisabled();
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it, expect } from 'vitest'
+import {
+  analyzeCiWorkflows,
+  findCiFiles,
+  parseAzurePipeline,
+  parseGitHubWorkflow,
+  parseGitLabPipeline,
+  parseJenkinsfile
+} from '../ciWorkflows.js'
+import { file, treeEntry } from '../../../test/files.js'
+
+const GITHUB_WORKFLOW = `
+name: CI
+on:
+  push:
+    branches: [main]
+  pull_request:
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    strategy:
+      matrix:
+        node-version: [18, 20, 22]
+        os: [ubuntu-latest, windows-latest]
+        include:
+          - node-version: 23
+            os: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+      - run: npm ci
+      - run: npm test
+  deploy:
+    needs: test
+    runs-on: ubuntu-latest
+    steps:
+      - uses: aws-actions/configure-aws-credentials@v4
+        with:
+          role-to-assume: arn:aws:iam::123456789012:role/deploy
+      - uses: aws-actions/amazon-ecr-login@v2
+      - run: |
+          docker build -t app .
+          docker push app
+      - uses: aws-actions/amazon-ecs-deploy-task-definition@v1
+  shared:
+    uses: org/workflows/.github/workflows/release.yml@main
+`
+
+describe('ciWorkflows', () => {
+  describe('findCiFiles', () => {
+    it('should select workflow definitions of every supported CI system', () => {
+      const entries = [
+        '.github/workflows/ci.yml',
+        '.github/workflows/nested/ignored.yml',
+        '.github/dependabot.yml',
+        '.gitlab-ci.yml',
+        'Jenkinsfile',
+        'services/api/Jenkinsfile',
+        'azure-pipelines.yml',
+        'docs/azure-pipelines.yml'
+      ].map(path => treeEntry(path))
+
+      expect(findCiFiles(entries)).toEqual([
+        '.github/workflows/ci.yml',
+        '.gitlab-ci.yml',
+        'Jenkinsfile',
+        'services/api/Jenkinsfile',
+        'azure-pipelines.yml'
+      ])
+    })
+  })
+
+  describe('parseGitHubWorkflow', () => {
+    it('should read triggers, steps and the test matrix', () => {
+      const workflow = parseGitHubWorkflow(GITHUB_WORKFLOW)
+
+      expect(workflow.name).toBe('CI')
+      expect(workflow.triggers).toEqual(['push', 'pull_request'])
+      expect(workflow.jobs[0].matrix).toEqual({
+        dimensions: { 'node-version': ['18', '20', '22'], os: ['ubuntu-latest', 'windows-latest'] },
+        combinations: 7
+      })
+      expect(workflow.jobs[1].steps[0]).toEqual({ uses: 'aws-actions/configure-aws-credentials', run: null })
+      expect(workflow.jobs[2].steps).toEqual([{ uses: 'org/workflows/.github/workflows/release.yml', run: null }])
+    })
+  })
+
+  describe('parseGitLabPipeline', () => {
+    it('should skip pipeline keywords and hidden jobs', () => {
+      const pipeline = parseGitLabPipeline(`
+stages: [test, deploy]
+image: node:20
+before_script:
+  - npm ci
+.deploy-template:
+  script: echo template
+test:
+  stage: test
+  script:
+    - npm test
+  parallel:
+    matrix:
+      - NODE: ["18", "20"]
+        DB: [postgres]
+      - NODE: "22"
+deploy:
+  stage: deploy
+  image: google/cloud-sdk
+  script:
+    - gcloud auth activate-service-account --key-file $KEY
+    - gcloud run deploy api --source .
+`)
+
+      expect(pipeline.jobs.map(job => job.name)).toEqual(['test', 'deploy'])
+      expect(pipeline.jobs[0].steps.map(step => step.run)).toEqual(['npm ci', 'npm test'])
+      expect(pipeline.jobs[0].matrix).toEqual({
+        dimensions: { NODE: ['18', '20', '22'], DB: ['postgres'] },
+        combinations: 3
+      })
+    })
+  })
+
+  describe('parseAzurePipeline', () => {
+    it('should read jobs nested in stages and deployment strategies', () => {
+      const pipeline = parseAzurePipeline(`
+trigger:
+  - main
+stages:
+  - stage: Build
+    jobs:
+      - job: Build
+        strategy:
+          matrix:
+            linux:
+              imageName: ubuntu-latest
+            windows:
+              imageName: windows-latest
+        steps:
+          - script: dotnet test
+  - stage: Deploy
+    jobs:
+      - deployment: Production
+        strategy:
+          runOnce:
+            deploy:
+              steps:
+                - task: AzureWebApp@1
+                  inputs:
+                    appName: api
+`)
+
+      expect(pipeline.triggers).toEqual(['trigger'])
+      expect(pipeline.jobs).toEqual([
+        {
+          name: 'Build',
+          steps: [{ uses: null, run: 'dotnet test' }],
+          matrix: { dimensions: { imageName: ['ubuntu-latest', 'windows-latest'] }, combinations: 2 }
+        },
+        { name: 'Production', steps: [{ uses: 'AzureWebApp', run: null }], matrix: null }
+      ])
+    })
+  })
+
+  describe('parseJenkinsfile', () => {
+    it('should split stages into shell steps and credential wrappers', () => {
+      const pipeline = parseJenkinsfile(`
+pipeline {
+  agent any
+  triggers { cron('H 2 * * *') }
+  stages {
+    stage('Build') {
+      steps {
+        // sh 'ignored'
+        sh './gradlew build'
+      }
+    }
+    stage('Deploy') {
+      steps {
+        withAWS(credentials: 'deploy', region: 'us-east-1') {
+          sh """
+            aws s3 sync build/ s3://bucket
+          """
+        }
+      }
+    }
+  }
+}
+`)
+
+      expect(pipeline.triggers).toEqual(['cron'])
+      expect(pipeline.jobs).toEqual([
+        { name: 'Build', steps: [{ uses: null, run: './gradlew build' }], matrix: null },
+        {
+          name: 'Deploy',
+          steps: [{ uses: 'withAWS', run: null }, { uses: null, run: 'aws s3 sync build/ s3://bucket' }],
+          matrix: null
+        }
+      ])
+    })
+  })
+
+  describe('analyzeCiWorkflows', () => {
+    it('should collect build tools, test matrices, deployments and credentials', () => {
+      const ci = analyzeCiWorkflows([file('.github/workflows/ci.yml', GITHUB_WORKFLOW)])
+
+      expect(ci.systems).toEqual(['github-actions'])
+      expect(ci.buildTools).toEqual(['npm', 'docker'])
+      expect(ci.testMatrix).toEqual([
+        expect.objectContaining({ job: 'test', runsTests: true, combinations: 7 })
+      ])
+      expect(ci.deployments.map(deployment => `${deployment.provider}:${deployment.target}`)).toEqual([
+        'aws:ECR',
+        'aws:ECS'
+      ])
+      expect(ci.credentials).toEqual([
+        expect.objectContaining({
+          provider: 'aws',
+          evidence: 'aws-actions/configure-aws-credentials',
+          source: '.github/workflows/ci.yml',
+          job: 'deploy'
+        })
+      ])
+      expect(ci.deployProviders).toEqual(['aws'])
+    })
+
+    it('should rank providers and keep platform targets without a provider', () => {
+      const ci = analyzeCiWorkflows([
+        file('.gitlab-ci.yml', 'deploy:\n  script:\n    - gcloud run deploy api\n    - kubectl apply -f k8s/\n'),
+        file('azure-pipelines.yml', 'steps:\n  - task: AzureCLI@2\n  - task: AzureFunctionApp@2\n  - script: az webapp deploy --name api\n')
+      ])
+
+      expect(ci.systems).toEqual(['gitlab-ci', 'azure-pipelines'])
+      expect(ci.deployments.find(deployment => deployment.target === 'Kubernetes').provider).toBeNull()
+      expect(ci.deployProviders).toEqual(['azure', 'gcp'])
+    })
+
+    it('should skip unparseable workflows', () => {
+      const ci = analyzeCiWorkflows([file('.github/workflows/broken.yml', 'jobs: [unclosed')])
+
+      expect(ci.systems).toEqual([])
+      expect(ci.workflows).toEqual([])
+    })
+  })
+})
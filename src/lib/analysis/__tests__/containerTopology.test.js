@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildContainerTopology,
+  parseComposeFile,
+  parseComposePorts,
+  parseDockerfile
+} from '../containerTopology.js'
+import { file } from '../../../test/files.js'
+
+const COMPOSE = `
+services:
+  web:
+    build:
+      context: ./web
+    ports:
+      - "3000:3000"
+    environment:
+      - DATABASE_URL=postgres://db/app
+      - REDIS_URL=redis://cache
+    depends_on:
+      db:
+        condition: service_healthy
+      cache:
+        condition: service_started
+  worker:
+    build: ./worker
+    depends_on: [db]
+  db:
+    image: postgres:16
+    volumes:
+      - pgdata:/var/lib/postgresql/data
+  cache:
+    image: redis:7-alpine
+volumes:
+  pgdata:
+`
+
+describe('containerTopology', () => {
+  describe('parseComposePorts', () => {
+    it('should parse short and long port syntax', () => {
+      expect(parseComposePorts(['8080:80', '127.0.0.1:5432:5432/tcp', '9000', { target: 53, published: 5353, protocol: 'udp' }]))
+        .toEqual([
+          { published: 8080, target: 80, protocol: 'tcp' },
+          { published: 5432, target: 5432, protocol: 'tcp' },
+          { published: null, target: 9000, protocol: 'tcp' },
+          { published: 5353, target: 53, protocol: 'udp' }
+        ])
+    })
+  })
+
+  describe('parseComposeFile', () => {
+    it('should read services with build contexts, volumes, environment names and dependencies', () => {
+      const services = parseComposeFile(COMPOSE, 'deploy/docker-compose.yml')
+      const web = services.find(service => service.name === 'web')
+      const db = services.find(service => service.name === 'db')
+
+      expect(web).toEqual(expect.objectContaining({
+        image: null,
+        build: { context: 'deploy/web', dockerfile: 'Dockerfile' },
+        ports: [{ published: 3000, target: 3000, protocol: 'tcp' }],
+        environment: ['DATABASE_URL', 'REDIS_URL'],
+        dependsOn: ['db', 'cache'],
+        source: 'deploy/docker-compose.yml'
+      }))
+      expect(services.find(service => service.name === 'worker').dependsOn).toEqual(['db'])
+      expect(db.volumes).toEqual([{ source: 'pgdata', target: '/var/lib/postgresql/data' }])
+    })
+  })
+
+  describe('parseDockerfile', () => {
+    it('should use the final stage for base image, ports and command', () => {
+      const dockerfile = parseDockerfile(`
+# syntax=docker/dockerfile:1
+FROM --platform=$BUILDPLATFORM node:20-alpine AS build
+EXPOSE 9229
+RUN npm ci && \\
+    npm run build
+
+FROM node:20-alpine
+COPY --from=build /app/dist ./dist
+EXPOSE 3000 3001/tcp
+CMD ["node", "dist/server.js"]
+`, 'api/Dockerfile')
+
+      expect(dockerfile).toEqual({
+        path: 'api/Dockerfile',
+        baseImage: 'node:20-alpine',
+        stages: ['node:20-alpine', 'node:20-alpine'],
+        exposedPorts: [3000, 3001],
+        cmd: 'node dist/server.js',
+        entrypoint: null
+      })
+    })
+
+    it('should resolve stages built from earlier stages', () => {
+      const dockerfile = parseDockerfile('FROM python:3.12-slim AS base\nFROM base\nENTRYPOINT gunicorn app:app')
+
+      expect(dockerfile.baseImage).toBe('python:3.12-slim')
+      expect(dockerfile.entrypoint).toBe('gunicorn app:app')
+    })
+  })
+
+  describe('buildContainerTopology', () => {
+    it('should classify compose services and keep dependency edges', () => {
+      const topology = buildContainerTopology([
+        file('docker-compose.yml', COMPOSE),
+        file('web/Dockerfile', 'FROM node:20\nEXPOSE 3000\nCMD npm start')
+      ])
+
+      expect(topology.services.map(service => [service.name, service.role, service.storeId])).toEqual([
+        ['web', 'application', null],
+        ['worker', 'application', null],
+        ['db', 'database', 'postgresql'],
+        ['cache', 'cache', 'redis']
+      ])
+      expect(topology.services[0].dockerfile.baseImage).toBe('node:20')
+      expect(topology.services[2].version).toBe('16')
+      expect(topology.edges).toEqual([
+        { from: 'web', to: 'db' },
+        { from: 'web', to: 'cache' },
+        { from: 'worker', to: 'db' }
+      ])
+    })
+
+    it('should treat each Dockerfile as a service when there is no compose file', () => {
+      const topology = buildContainerTopology([
+        file('Dockerfile', 'FROM golang:1.22\nEXPOSE 8080'),
+        file('services/billing/Dockerfile', 'FROM node:20')
+      ])
+
+      expect(topology.services.map(service => [service.name, service.origin])).toEqual([
+        ['app', 'dockerfile'],
+        ['billing', 'dockerfile']
+      ])
+      expect(topology.services[0].ports).toEqual([{ published: null, target: 8080, protocol: 'tcp' }])
+      expect(topology.edges).toEqual([])
+    })
+
+    it('should skip compose files that are not valid YAML', () => {
+      expect(buildContainerTopology([file('compose.yaml', 'services: [: bad')]).services).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest'
+import {
+  attachDeploymentHints,
+  detectDeploymentHints,
+  parseDeploymentHint,
+  resolveDeploymentModel
+} from '../deploymentHints.js'
+import { file } from '../../../test/files.js'
+
+describe('deploymentHints', () => {
+  describe('parseDeploymentHint', () => {
+    it('should read the deployment model from each platform configuration', () => {
+      const hints = [
+        file('vercel.json', JSON.stringify({ functions: { 'api/*.js': { runtime: 'edge' } } })),
+        file('netlify.toml', '[build]\npublish = "dist"\n'),
+        file('site/netlify.toml', '[[plugins]]\npackage = "@netlify/plugin-nextjs"\n'),
+        file('wrangler.toml', 'name = "worker"\nmain = "src/index.ts"\n'),
+        file('firebase.json', JSON.stringify({ hosting: { public: 'build' } })),
+        file('web/firebase.json', JSON.stringify({ hosting: { rewrites: [{ source: '**', run: { serviceId: 'web' } }] } })),
+        file('app.yaml', 'runtime: python312\n'),
+        file('Procfile', 'web: gunicorn app:app\nworker: celery -A app worker\n'),
+        file('fly.toml', 'app = "api"\n[http_service]\ninternal_port = 8080\n')
+      ].map(parseDeploymentHint)
+
+      expect(hints.map(hint => `${hint.platform}:${hint.model}`)).toEqual([
+        'vercel:edge',
+        'netlify:static',
+        'netlify:server',
+        'cloudflare-workers:edge',
+        'firebase:static',
+        'firebase:server',
+        'app-engine:server',
+        'heroku:server',
+        'fly:server'
+      ])
+      expect(hints[8].evidence).toBe('internal_port = 8080 in fly.toml')
+    })
+
+    it('should read Next.js output and runtime settings', () => {
+      const exported = parseDeploymentHint(file('apps/web/next.config.mjs', "export default { output: 'export' }"))
+      const edge = parseDeploymentHint(file('next.config.js', "module.exports = { experimental: { runtime: 'experimental-edge' } }"))
+
+      expect(exported).toEqual({
+        platform: null,
+        framework: 'nextjs',
+        model: 'static',
+        source: 'apps/web/next.config.mjs',
+        evidence: "output: 'export' in apps/web/next.config.mjs"
+      })
+      expect(edge.model).toBe('edge')
+      expect(parseDeploymentHint(file('next.config.js', 'module.exports = {}'))).toBeNull()
+    })
+
+    it('should ignore app.yaml files without an App Engine runtime', () => {
+      expect(parseDeploymentHint(file('deploy/app.yaml', 'replicas: 2\n'))).toBeNull()
+    })
+  })
+
+  describe('detectDeploymentHints', () => {
+    it('should skip unrelated and unparseable files', () => {
+      const hints = detectDeploymentHints([
+        file('vercel.json', '{ invalid'),
+        file('package.json', '{}'),
+        file('Procfile', 'release: npm run migrate\n')
+      ])
+
+      expect(hints).toEqual([
+        expect.objectContaining({ platform: 'heroku', model: null, evidence: 'release processes in Procfile' })
+      ])
+    })
+  })
+
+  describe('attachDeploymentHints', () => {
+    it('should annotate frameworks and report platforms as tools', () => {
+      const hints = detectDeploymentHints([
+        file('next.config.js', "module.exports = { output: 'standalone' }"),
+        file('vercel.json', '{}')
+      ])
+      const technologies = attachDeploymentHints([
+        { id: 'nextjs', name: 'Next.js', category: 'framework', confidence: 0.9 }
+      ], hints)
+
+      expect(technologies[0].deploymentHints).toEqual([expect.objectContaining({ model: 'server' })])
+      expect(technologies[1]).toEqual(expect.objectContaining({
+        id: 'vercel',
+        category: 'tool',
+        evidence: ['Vercel project in vercel.json']
+      }))
+    })
+  })
+
+  describe('resolveDeploymentModel', () => {
+    it('should prefer framework settings over platform configuration', () => {
+      const deployment = resolveDeploymentModel([
+        { platform: 'netlify', framework: null, model: 'edge', evidence: 'edge_functions in netlify.toml' },
+        { platform: null, framework: 'nextjs', model: 'static', evidence: "output: 'export' in next.config.js" }
+      ])
+
+      expect(deployment).toEqual({ model: 'static', evidence: "output: 'export' in next.config.js" })
+    })
+
+    it('should rank edge over server over static and ignore hints without a model', () => {
+      expect(resolveDeploymentModel([
+        { platform: 'firebase', model: 'static', evidence: 'a' },
+        { platform: 'fly', model: 'server', evidence: 'b' },
+        { platform: 'vercel', model: null, evidence: 'c' }
+      ]).model).toBe('server')
+      expect(resolveDeploymentModel([{ platform: 'vercel', model: null, evidence: 'c' }])).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEV_MATCH_CONFIDENCE,
+  RUNTIME_MATCH_CONFIDENCE,
+  detectFrameworksFromDependencies,
+  findFrameworkRule,
+  mergeTechnologies,
+  normalizePackageName
+} from '../frameworkRules.js'
+
+describe('frameworkRules', () => {
+  describe('normalizePackageName', () => {
+    it('should normalize PyPI separators and Go major versions', () => {
+      expect(normalizePackageName('Flask_SQLAlchemy')).toBe('flask-sqlalchemy')
+      expect(normalizePackageName('github.com/labstack/echo/v4')).toBe('github.com/labstack/echo')
+      expect(normalizePackageName('@NestJS/Core')).toBe('@nestjs/core')
+    })
+  })
+
+  describe('findFrameworkRule', () => {
+    it('should only match exact package names', () => {
+      expect(findFrameworkRule('react-icons')).toBeNull()
+      expect(findFrameworkRule('@angular-eslint/builder')).toBeNull()
+      expect(findFrameworkRule('expressive-code')).toBeNull()
+      expect(findFrameworkRule('next-auth')).toBeNull()
+    })
+
+    it('should match scoped packages and aliases', () => {
+      expect(findFrameworkRule('@nestjs/core').id).toBe('nestjs')
+      expect(findFrameworkRule('@remix-run/node').id).toBe('remix')
+      expect(findFrameworkRule('@sveltejs/kit').id).toBe('sveltekit')
+      expect(findFrameworkRule('FastAPI').id).toBe('fastapi')
+      expect(findFrameworkRule('github.com/gofiber/fiber/v2').id).toBe('fiber')
+    })
+
+    it('should match JVM packages by group and starter prefix', () => {
+      expect(findFrameworkRule({ name: 'spring-boot-starter-web', group: 'org.springframework.boot' }).id)
+        .toBe('spring-boot')
+      expect(findFrameworkRule({ name: 'quarkus-resteasy', group: 'io.quarkus' }).id).toBe('quarkus')
+      expect(findFrameworkRule({ name: 'spring-core', group: 'org.springframework' })).toBeNull()
+    })
+  })
+
+  describe('detectFrameworksFromDependencies', () => {
+    it('should emit one technology per framework with merged evidence', () => {
+      const result = detectFrameworksFromDependencies([
+        { name: '@remix-run/node', version: '^2.8.0', scope: 'runtime', resolvedVersion: '2.8.1' },
+        { name: '@remix-run/react', version: '^2.8.0', scope: 'runtime' },
+        { name: 'react', version: '^18.2.0', scope: 'runtime' }
+      ])
+
+      expect(result).toEqual([
+        {
+          id: 'remix',
+          name: 'Remix',
+          category: 'framework',
+          version: '2.8.1',
+          confidence: RUNTIME_MATCH_CONFIDENCE,
+          source: 'package_dependencies',
+          evidence: ['Found @remix-run/node in dependencies', 'Found @remix-run/react in dependencies']
+        },
+        expect.objectContaining({ id: 'react' })
+      ])
+    })
+
+    it('should lower confidence for dev-only matches', () => {
+      const [express] = detectFrameworksFromDependencies([
+        { name: 'express', version: '^4.18.0', scope: 'dev' }
+      ])
+
+      expect(express.confidence).toBe(DEV_MATCH_CONFIDENCE)
+      expect(express.evidence).toEqual(['Found express in dev dependencies'])
+    })
+
+    it('should restore runtime confidence when any match ships with the app', () => {
+      const [springBoot] = detectFrameworksFromDependencies([
+        { name: 'spring-boot-starter-test', scope: 'dev', group: 'org.springframework.boot' },
+        { name: 'spring-boot-starter-web', scope: 'runtime', group: 'org.springframework.boot' }
+      ])
+
+      expect(springBoot.confidence).toBe(RUNTIME_MATCH_CONFIDENCE)
+      expect(springBoot.evidence).toHaveLength(2)
+    })
+  })
+
+  describe('mergeTechnologies', () => {
+    it('should merge technologies by id', () => {
+      const result = mergeTechnologies([
+        { id: 'react', name: 'React', confidence: 0.5, version: null, evidence: ['Found react in dev dependencies'] },
+        { id: 'docker', name: 'Docker', confidence: 0.9, evidence: ['Docker configuration files found'] },
+        { id: 'react', name: 'React', confidence: 0.8, version: '18.2.0', evidence: ['Found react in dependencies'] }
+      ])
+
+      expect(result).toHaveLength(2)
+      expect(result[0]).toEqual({
+        id: 'react',
+        name: 'React',
+        confidence: 0.8,
+        version: '18.2.0',
+        evidence: ['Found react in dev dependencies', 'Found react in dependencies']
+      })
+      expect(result[1]).not.toHaveProperty('version')
+    })
+  })
+})
@@ -0,0 +1,254 @@
+import { describe, it, expect } from 'vitest'
+import {
+  detectInfrastructureAsCode,
+  findInfrastructureFiles,
+  parseCdkProgram,
+  parseCloudFormationTemplate,
+  parsePulumiProgram,
+  parsePulumiProject,
+  parseServerlessConfig,
+  parseTerraform,
+  resolveResourceService
+} from '../infrastructureAsCode.js'
+import { file, treeEntry } from '../../../test/files.js'
+
+const TERRAFORM = `
+provider "aws" {
+  region = "us-east-1"
+}
+
+# resource "aws_instance" "commented" {}
+
+resource "aws_db_instance" "main" {
+  engine         = "mysql"
+  instance_class = "db.t3.micro"
+  tags = {
+    engine = "ignored"
+  }
+}
+
+resource "aws_instance" "web" {
+  count         = 2
+  instance_type = "t3.small"
+}
+
+resource "aws_iam_role" "lambda" {
+  name = "lambda-role"
+}
+
+module "cluster" {
+  source  = "terraform-aws-modules/eks/aws"
+  version = "~> 20.0"
+}
+`
+
+describe('infrastructureAsCode', () => {
+  describe('findInfrastructureFiles', () => {
+    it('should select IaC definitions and program files next to CDK and Pulumi projects', () => {
+      const entries = [
+        'infra/main.tf',
+        'infra/.terraform/modules/vpc/main.tf',
+        'template.yaml',
+        'stacks/api.cfn.yaml',
+        'serverless.yml',
+        'cdk/cdk.json',
+        'cdk/bin/app.ts',
+        'cdk/lib/api-stack.ts',
+        'cdk/lib/api-stack.d.ts',
+        'cdk/test/api.test.ts',
+        'pulumi/Pulumi.yaml',
+        'pulumi/index.ts',
+        'src/index.ts'
+      ].map(path => treeEntry(path))
+
+      expect(findInfrastructureFiles(entries)).toEqual([
+        'infra/main.tf',
+        'template.yaml',
+        'stacks/api.cfn.yaml',
+        'serverless.yml',
+        'cdk/cdk.json',
+        'cdk/bin/app.ts',
+        'cdk/lib/api-stack.ts',
+        'pulumi/Pulumi.yaml',
+        'pulumi/index.ts'
+      ])
+    })
+  })
+
+  describe('resolveResourceService', () => {
+    it('should pick engine variants', () => {
+      expect(resolveResourceService('google_sql_database_instance', { database_version: 'MYSQL_8_0' }))
+        .toEqual({ provider: 'gcp', name: 'Cloud SQL MySQL', category: 'database', type: 'managed' })
+      expect(resolveResourceService('AWS::ElastiCache::CacheCluster', { engine: 'memcached' }).name)
+        .toBe('ElastiCache for Memcached')
+      expect(resolveResourceService('aws_iam_role')).toBeNull()
+    })
+  })
+
+  describe('parseTerraform', () => {
+    it('should read resources, top-level attributes and registry modules', () => {
+      const resources = parseTerraform(TERRAFORM, 'infra/main.tf')
+
+      expect(resources.map(resource => [resource.type, resource.name, resource.service?.name ?? null])).toEqual([
+        ['aws_db_instance', 'main', 'RDS MySQL'],
+        ['aws_instance', 'web', 'EC2'],
+        ['aws_iam_role', 'lambda', null],
+        ['aws_eks_cluster', 'cluster', 'EKS']
+      ])
+      expect(resources[1].instances).toBe(2)
+      expect(resources.every(resource => resource.provider === 'aws')).toBe(true)
+    })
+  })
+
+  describe('parseCloudFormationTemplate', () => {
+    it('should detect SAM templates with intrinsic function tags', () => {
+      const template = parseCloudFormationTemplate(`
+AWSTemplateFormatVersion: '2010-09-09'
+Transform: AWS::Serverless-2016-10-31
+Resources:
+  ApiFunction:
+    Type: AWS::Serverless::Function
+    Properties:
+      Role: !GetAtt ApiRole.Arn
+  Orders:
+    Type: AWS::DynamoDB::Table
+  Cache:
+    Type: AWS::ElastiCache::CacheCluster
+    Properties:
+      Engine: !Ref CacheEngine
+`, 'template.yaml')
+
+      expect(template.tool).toBe('aws-sam')
+      expect(template.resources.map(resource => resource.service.name)).toEqual([
+        'Lambda',
+        'DynamoDB',
+        'ElastiCache for Redis'
+      ])
+    })
+
+    it('should parse JSON templates and ignore other YAML files', () => {
+      const template = parseCloudFormationTemplate(
+        JSON.stringify({ Resources: { Queue: { Type: 'AWS::SQS::Queue' } } }),
+        'stack.template.json'
+      )
+
+      expect(template).toEqual({
+        tool: 'cloudformation',
+        resources: [expect.objectContaining({ type: 'AWS::SQS::Queue', name: 'Queue' })]
+      })
+      expect(parseCloudFormationTemplate('name: Bug report\nbody: []', '.github/ISSUE_TEMPLATE/template.yml')).toBeNull()
+    })
+  })
+
+  describe('parseServerlessConfig', () => {
+    it('should map functions, HTTP events and extra CloudFormation resources', () => {
+      const resources = parseServerlessConfig(`
+service: orders
+provider:
+  name: aws
+  runtime: nodejs20.x
+functions:
+  create:
+    handler: src/create.handler
+    events:
+      - httpApi: POST /orders
+  nightly:
+    handler: src/nightly.handler
+    events:
+      - schedule: rate(1 day)
+resources:
+  Resources:
+    OrdersTable:
+      Type: AWS::DynamoDB::Table
+`, 'serverless.yml')
+
+      expect(resources.map(resource => [resource.name, resource.service.name])).toEqual([
+        ['create', 'Lambda'],
+        ['create-http', 'API Gateway'],
+        ['nightly', 'Lambda'],
+        ['OrdersTable', 'DynamoDB']
+      ])
+    })
+  })
+
+  describe('Pulumi', () => {
+    it('should read YAML program resources', () => {
+      const project = parsePulumiProject(`
+name: site
+runtime: yaml
+resources:
+  bucket:
+    type: aws:s3/bucketV2:BucketV2
+  db:
+    type: gcp:sql:DatabaseInstance
+    properties:
+      databaseVersion: POSTGRES_15
+`, 'Pulumi.yaml')
+
+      expect(project.runtime).toBe('yaml')
+      expect(project.resources.map(resource => [resource.type, resource.service.name])).toEqual([
+        ['aws:s3:BucketV2', 'S3'],
+        ['gcp:sql:DatabaseInstance', 'Cloud SQL PostgreSQL']
+      ])
+    })
+
+    it('should find resources constructed in program code', () => {
+      const resources = parsePulumiProgram(`
+import * as aws from "@pulumi/aws";
+const fn = new aws.lambda.Function("handler", { runtime: "nodejs20.x" });
+const queue = new aws.sqs.Queue('jobs');
+`, 'index.ts')
+
+      expect(resources.map(resource => [resource.name, resource.service.name])).toEqual([
+        ['handler', 'Lambda'],
+        ['jobs', 'SQS']
+      ])
+    })
+  })
+
+  describe('parseCdkProgram', () => {
+    it('should resolve constructs through TypeScript and Python import aliases', () => {
+      const typescript = parseCdkProgram(`
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import { aws_dynamodb as dynamodb, aws_ecs_patterns as patterns } from 'aws-cdk-lib';
+new lambda.Function(this, 'Handler', {});
+new dynamodb.TableV2(this, 'Orders', {});
+new patterns.ApplicationLoadBalancedFargateService(this, 'Web', {});
+new lambda.Alias(this, 'Live', {});
+`, 'lib/stack.ts')
+      const python = parseCdkProgram(`
+from aws_cdk import aws_s3 as s3, aws_rds as rds
+s3.Bucket(self, "Assets")
+rds.DatabaseInstance(self, "Db", engine=rds.DatabaseInstanceEngine.postgres())
+`, 'app/stack.py')
+
+      expect(typescript.map(resource => resource.service.name)).toEqual(['Lambda', 'DynamoDB', 'ECS Fargate'])
+      expect(python.map(resource => [resource.name, resource.service.name])).toEqual([
+        ['Assets', 'S3'],
+        ['Db', 'RDS PostgreSQL']
+      ])
+    })
+  })
+
+  describe('detectInfrastructureAsCode', () => {
+    it('should report tools, providers and aggregated services', () => {
+      const result = detectInfrastructureAsCode([
+        file('infra/main.tf', TERRAFORM),
+        file('infra/extra.tf', 'resource "aws_instance" "worker" {}\nresource "google_storage_bucket" "logs" {}'),
+        file('cdk/cdk.json', '{"app": "npx ts-node bin/app.ts"}'),
+        file('cdk/lib/stack.ts', "import * as sqs from 'aws-cdk-lib/aws-sqs';\nnew sqs.Queue(this, 'Jobs');"),
+        file('template.yaml', 'Resources: [: broken')
+      ])
+
+      expect(result.tools).toEqual(['terraform', 'aws-cdk'])
+      expect(result.providers).toEqual(['aws', 'gcp'])
+      expect(result.primaryProvider).toBe('aws')
+      expect(result.services).toEqual(expect.arrayContaining([
+        expect.objectContaining({ provider: 'aws', name: 'EC2', count: 3, resources: ['web', 'worker'] }),
+        expect.objectContaining({ provider: 'aws', name: 'SQS', count: 1, tool: 'aws-cdk' }),
+        expect.objectContaining({ provider: 'gcp', name: 'Cloud Storage', count: 1 })
+      ]))
+      expect(result.resources.filter(resource => !resource.service)).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,275 @@
+import { describe, it, expect } from 'vitest'
+import {
+  analyzeKubernetesManifests,
+  findKubernetesFiles,
+  parseCpuQuantity,
+  parseHelmValues,
+  parseKubernetesManifest,
+  parseMemoryQuantity,
+  summarizeKubernetesSizing
+} from '../kubernetesManifests.js'
+import { file, treeEntry } from '../../../test/files.js'
+
+const MANIFEST = `
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: api
+spec:
+  replicas: 3
+  template:
+    spec:
+      containers:
+        - name: api
+          image: ghcr.io/acme/api:1.4.0
+          resources:
+            requests:
+              cpu: 500m
+              memory: 512Mi
+        - name: sidecar
+          image: envoyproxy/envoy:v1.30
+          resources:
+            limits:
+              cpu: "0.1"
+              memory: 128Mi
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: api
+spec:
+  type: LoadBalancer
+  ports:
+    - port: 80
+---
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: api
+spec:
+  tls:
+    - hosts: [api.example.com]
+  rules:
+    - host: api.example.com
+---
+apiVersion: autoscaling/v2
+kind: HorizontalPodAutoscaler
+metadata:
+  name: api
+spec:
+  scaleTargetRef:
+    kind: Deployment
+    name: api
+  minReplicas: 2
+  maxReplicas: 10
+---
+apiVersion: apps/v1
+kind: StatefulSet
+metadata:
+  name: db
+spec:
+  replicas: 2
+  template:
+    spec:
+      containers:
+        - name: postgres
+          image: postgres:16
+          resources:
+            requests:
+              cpu: "1"
+              memory: 2Gi
+  volumeClaimTemplates:
+    - spec:
+        resources:
+          requests:
+            storage: 20Gi
+---
+apiVersion: batch/v1
+kind: CronJob
+metadata:
+  name: nightly-report
+spec:
+  schedule: "0 2 * * *"
+  jobTemplate:
+    spec:
+      template:
+        spec:
+          containers:
+            - name: report
+              image: ghcr.io/acme/report:1.0
+`
+
+describe('kubernetesManifests', () => {
+  describe('quantities', () => {
+    it('should convert CPU quantities to cores', () => {
+      expect(parseCpuQuantity('250m')).toBe(0.25)
+      expect(parseCpuQuantity('2')).toBe(2)
+      expect(parseCpuQuantity(0.5)).toBe(0.5)
+      expect(parseCpuQuantity('lots')).toBeNull()
+    })
+
+    it('should convert memory quantities to GiB', () => {
+      expect(parseMemoryQuantity('512Mi')).toBe(0.5)
+      expect(parseMemoryQuantity('10Gi')).toBe(10)
+      expect(parseMemoryQuantity('1G')).toBeCloseTo(0.931, 3)
+      expect(parseMemoryQuantity(undefined)).toBeNull()
+    })
+  })
+
+  describe('findKubernetesFiles', () => {
+    it('should select manifests and chart values but not templates or compose files', () => {
+      const entries = [
+        'k8s/api.yaml',
+        'deploy/overlays/prod/kustomization.yml',
+        'charts/web/Chart.yaml',
+        'charts/web/values.yaml',
+        'charts/web/templates/deployment.yaml',
+        'ops/chart/Chart.yaml',
+        'ops/chart/values.yaml',
+        'deploy/docker-compose.yml',
+        '.github/workflows/ci.yml',
+        'config/settings.yaml',
+        'k8s-deployment.yaml',
+        'ops/api.kubernetes.yml',
+        'config/k8sconfig.yaml'
+      ].map(path => treeEntry(path))
+
+      expect(findKubernetesFiles(entries)).toEqual([
+        'k8s/api.yaml',
+        'deploy/overlays/prod/kustomization.yml',
+        'charts/web/Chart.yaml',
+        'charts/web/values.yaml',
+        'ops/chart/Chart.yaml',
+        'ops/chart/values.yaml',
+        'k8s-deployment.yaml',
+        'ops/api.kubernetes.yml'
+      ])
+    })
+  })
+
+  describe('parseKubernetesManifest', () => {
+    it('should extract workloads, services, ingresses, autoscalers and schedules', () => {
+      const result = parseKubernetesManifest(MANIFEST, 'k8s/app.yaml')
+
+      expect(result.workloads.map(workload => [workload.kind, workload.name, workload.replicas])).toEqual([
+        ['Deployment', 'api', 3],
+        ['StatefulSet', 'db', 2],
+        ['CronJob', 'nightly-report', 1]
+      ])
+      expect(result.workloads[0].cpu).toBeCloseTo(0.6)
+      expect(result.workloads[0].memoryGB).toBe(0.625)
+      expect(result.workloads[1].storageGB).toBe(20)
+      expect(result.workloads[2]).toEqual(expect.objectContaining({ schedule: '0 2 * * *', cpu: null }))
+      expect(result.services).toEqual([{ name: 'api', type: 'LoadBalancer', ports: [80], source: 'k8s/app.yaml' }])
+      expect(result.ingresses[0]).toEqual(expect.objectContaining({ hosts: ['api.example.com'], tls: true }))
+      expect(result.autoscalers[0]).toEqual(expect.objectContaining({ target: 'api', minReplicas: 2, maxReplicas: 10 }))
+    })
+
+    it('should unwrap List resources and skip non-Kubernetes documents', () => {
+      const result = parseKubernetesManifest(`
+apiVersion: v1
+kind: List
+items:
+  - apiVersion: v1
+    kind: PersistentVolumeClaim
+    metadata:
+      name: uploads
+    spec:
+      resources:
+        requests:
+          storage: 5Gi
+---
+just: some config
+`, 'k8s/list.yaml')
+
+      expect(result.volumes).toEqual([{ name: 'uploads', storageGB: 5, source: 'k8s/list.yaml' }])
+      expect(result.workloads).toEqual([])
+    })
+  })
+
+  describe('parseHelmValues', () => {
+    it('should read chart and subchart sizing conventions', () => {
+      const result = parseHelmValues(`
+replicaCount: 2
+image:
+  repository: acme/web
+resources:
+  requests:
+    cpu: 250m
+    memory: 256Mi
+autoscaling:
+  enabled: true
+  minReplicas: 2
+  maxReplicas: 6
+ingress:
+  enabled: true
+  hosts:
+    - host: web.example.com
+worker:
+  replicaCount: 1
+  resources:
+    limits:
+      cpu: 1
+      memory: 1Gi
+  persistence:
+    size: 8Gi
+`, 'web', 'charts/web/values.yaml')
+
+      expect(result.workloads.map(workload => [workload.name, workload.replicas, workload.cpu, workload.memoryGB, workload.storageGB]))
+        .toEqual([
+          ['web', 2, 0.25, 0.25, 0],
+          ['worker', 1, 1, 1, 8]
+        ])
+      expect(result.autoscalers).toEqual([expect.objectContaining({ target: 'web', minReplicas: 2, maxReplicas: 6 })])
+      expect(result.ingresses[0].hosts).toEqual(['web.example.com'])
+    })
+  })
+
+  describe('summarizeKubernetesSizing', () => {
+    it('should total steady-state and autoscaled capacity', () => {
+      const sizing = summarizeKubernetesSizing(parseKubernetesManifest(MANIFEST, 'k8s/app.yaml'))
+
+      expect(sizing).toEqual({
+        workloads: 2,
+        pods: 5,
+        maxPods: 12,
+        cpu: 3.8,
+        memoryGB: 5.88,
+        maxCpu: 8,
+        maxMemoryGB: 10.25,
+        largestPod: { cpu: 1, memoryGB: 2 },
+        storageGB: 40,
+        scheduledJobs: 1,
+        ingress: true,
+        assumedResources: false
+      })
+    })
+
+    it('should assume default requests for containers without any', () => {
+      const sizing = summarizeKubernetesSizing({
+        workloads: [{ kind: 'Deployment', name: 'web', replicas: 2, cpu: null, memoryGB: null, storageGB: 0 }]
+      })
+
+      expect(sizing).toEqual(expect.objectContaining({ cpu: 0.5, memoryGB: 1, assumedResources: true }))
+    })
+
+    it('should return null without workloads', () => {
+      expect(summarizeKubernetesSizing({ workloads: [] })).toBeNull()
+    })
+  })
+
+  describe('analyzeKubernetesManifests', () => {
+    it('should read Helm values for charts and plain manifests elsewhere', () => {
+      const result = analyzeKubernetesManifests([
+        file('charts/web/Chart.yaml', 'apiVersion: v2\nname: web\nversion: 0.3.1\n'),
+        file('charts/web/values.yaml', 'replicaCount: 3\n'),
+        file('k8s/app.yaml', MANIFEST),
+        file('k8s/broken.yaml', 'kind: [')
+      ])
+
+      expect(result.helmCharts).toEqual([{ name: 'web', version: '0.3.1', path: 'charts/web/Chart.yaml' }])
+      expect(result.workloads.map(workload => workload.name)).toEqual(['web', 'api', 'db', 'nightly-report'])
+      expect(result.sizing.pods).toBe(8)
+    })
+  })
+})
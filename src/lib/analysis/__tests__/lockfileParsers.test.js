@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getExactVersion,
+  parseComposerLock,
+  parseGemfileLock,
+  parseGoSum,
+  parseLockfile,
+  parsePackageLock,
+  parsePackageTableLock,
+  parsePipfileLock,
+  parsePnpmLock,
+  parseYarnLock,
+  resolveDependencyVersions
+} from '../lockfileParsers.js'
+
+describe('lockfileParsers', () => {
+  describe('parsePackageLock', () => {
+    it('should read hoisted packages from lockfile v3', () => {
+      const lock = JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app' },
+          'node_modules/next': { version: '14.1.4' },
+          'node_modules/@prisma/client': { version: '5.10.0' },
+          'node_modules/foo/node_modules/next': { version: '12.0.0' },
+          'packages/web/node_modules/react': { version: '18.2.0' }
+        }
+      })
+
+      expect(parsePackageLock(lock)).toEqual({
+        next: '14.1.4',
+        '@prisma/client': '5.10.0',
+        react: '18.2.0'
+      })
+    })
+
+    it('should read lockfile v1 dependencies', () => {
+      const lock = JSON.stringify({ lockfileVersion: 1, dependencies: { express: { version: '4.18.2' } } })
+      expect(parsePackageLock(lock)).toEqual({ express: '4.18.2' })
+    })
+  })
+
+  describe('parsePnpmLock', () => {
+    it('should read v9 importers and strip peer suffixes', () => {
+      const lock = `
+lockfileVersion: '9.0'
+importers:
+  .:
+    dependencies:
+      next:
+        specifier: ^14.1.0
+        version: 14.1.4(react@18.2.0)
+  packages/ui:
+    dependencies:
+      shared:
+        specifier: workspace:*
+        version: link:../shared
+`
+      expect(parsePnpmLock(lock)).toEqual({ next: '14.1.4' })
+    })
+
+    it('should read v5 top-level dependencies', () => {
+      const lock = "lockfileVersion: 5.4\ndependencies:\n  vue: 3.4.21_typescript@5.3.3\n"
+      expect(parsePnpmLock(lock)).toEqual({ vue: '3.4.21' })
+    })
+  })
+
+  describe('parseYarnLock', () => {
+    it('should parse classic yarn.lock entries', () => {
+      const lock = [
+        '# yarn lockfile v1',
+        '',
+        '"@nestjs/core@^10.0.0", "@nestjs/core@^10.3.0":',
+        '  version "10.3.3"',
+        '  resolved "https://registry.yarnpkg.com/..."',
+        '',
+        'express@^4.18.0:',
+        '  version "4.18.2"'
+      ].join('\n')
+
+      expect(parseYarnLock(lock)).toEqual({ '@nestjs/core': '10.3.3', express: '4.18.2' })
+    })
+
+    it('should parse Berry yarn.lock entries', () => {
+      const lock = [
+        '__metadata:',
+        '  version: 8',
+        '',
+        '"react@npm:^18.2.0":',
+        '  version: 18.2.0',
+        '  resolution: "react@npm:18.2.0"'
+      ].join('\n')
+
+      expect(parseYarnLock(lock)).toEqual({ react: '18.2.0' })
+    })
+  })
+
+  describe('parsePackageTableLock', () => {
+    it('should keep the highest version of packages locked twice', () => {
+      const lock = `
+[[package]]
+name = "syn"
+version = "1.0.109"
+
+[[package]]
+name = "syn"
+version = "2.0.52"
+
+[[package]]
+name = "actix-web"
+version = "4.5.1"
+`
+      expect(parsePackageTableLock(lock)).toEqual({ syn: '2.0.52', 'actix-web': '4.5.1' })
+    })
+  })
+
+  describe('parsePipfileLock', () => {
+    it('should strip pins from default and develop sections', () => {
+      const lock = JSON.stringify({
+        default: { flask: { version: '==3.0.2' } },
+        develop: { pytest: { version: '==8.0.2' } }
+      })
+      expect(parsePipfileLock(lock)).toEqual({ flask: '3.0.2', pytest: '8.0.2' })
+    })
+  })
+
+  describe('parseGoSum', () => {
+    it('should merge go.mod checksum lines', () => {
+      const sum = [
+        'github.com/gin-gonic/gin v1.9.0/go.mod h1:abc=',
+        'github.com/gin-gonic/gin v1.9.1 h1:def=',
+        'github.com/gin-gonic/gin v1.9.1/go.mod h1:ghi='
+      ].join('\n')
+      expect(parseGoSum(sum)).toEqual({ 'github.com/gin-gonic/gin': 'v1.9.1' })
+    })
+  })
+
+  describe('parseGemfileLock', () => {
+    it('should read specs and drop platform suffixes', () => {
+      const lock = [
+        'GEM',
+        '  remote: https://rubygems.org/',
+        '  specs:',
+        '    rails (7.1.3)',
+        '      actionpack (= 7.1.3)',
+        '    nokogiri (1.16.2-x86_64-linux)',
+        '',
+        'PLATFORMS',
+        '  x86_64-linux'
+      ].join('\n')
+      expect(parseGemfileLock(lock)).toEqual({ rails: '7.1.3', nokogiri: '1.16.2' })
+    })
+  })
+
+  describe('parseComposerLock', () => {
+    it('should read packages and dev packages', () => {
+      const lock = JSON.stringify({
+        packages: [{ name: 'laravel/framework', version: 'v11.0.3' }],
+        'packages-dev': [{ name: 'phpunit/phpunit', version: '11.0.1' }]
+      })
+      expect(parseComposerLock(lock)).toEqual({
+        'laravel/framework': '11.0.3',
+        'phpunit/phpunit': '11.0.1'
+      })
+    })
+  })
+
+  describe('parseLockfile', () => {
+    it('should return no versions for malformed or unknown lockfiles', () => {
+      expect(parseLockfile('package-lock.json', '{broken')).toEqual({})
+      expect(parseLockfile('bun.lockb', 'binary')).toEqual({})
+    })
+  })
+
+  describe('getExactVersion', () => {
+    it('should only accept exact pins', () => {
+      expect(getExactVersion('3.2.1')).toBe('3.2.1')
+      expect(getExactVersion('==2.28.1')).toBe('2.28.1')
+      expect(getExactVersion('v1.9.1')).toBe('1.9.1')
+      expect(getExactVersion('^18.2.0')).toBeNull()
+      expect(getExactVersion('>=3.2')).toBeNull()
+      expect(getExactVersion(null)).toBeNull()
+    })
+  })
+
+  describe('resolveDependencyVersions', () => {
+    it('should use the nearest lockfile of the same ecosystem', () => {
+      const packageFiles = [
+        {
+          name: 'package.json',
+          path: 'apps/web/package.json',
+          dependencies: [{ name: 'next', version: '^14.0.0', scope: 'runtime' }]
+        },
+        {
+          name: 'pom.xml',
+          path: 'api/pom.xml',
+          dependencies: [{ name: 'spring-core', version: '6.1.4', scope: 'runtime' }]
+        }
+      ]
+      const lockfiles = [
+        { name: 'Cargo.lock', path: 'apps/web/Cargo.lock', versions: { next: '0.0.1' } },
+        { name: 'pnpm-lock.yaml', path: 'pnpm-lock.yaml', versions: { next: '14.1.4' } }
+      ]
+
+      const [web, api] = resolveDependencyVersions(packageFiles, lockfiles)
+
+      expect(web.dependencies[0].resolvedVersion).toBe('14.1.4')
+      expect(api.dependencies[0].resolvedVersion).toBe('6.1.4')
+    })
+
+    it('should leave unresolved ranges without a version', () => {
+      const [file] = resolveDependencyVersions(
+        [{ name: 'Gemfile', path: 'Gemfile', dependencies: [{ name: 'rails', version: '~> 7.1', scope: 'runtime' }] }],
+        []
+      )
+      expect(file.dependencies[0]).not.toHaveProperty('resolvedVersion')
+    })
+  })
+})
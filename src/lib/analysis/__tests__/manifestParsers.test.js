@@ -0,0 +1,311 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MANIFEST_FILE_NAMES,
+  parseCargoToml,
+  parseComposerJson,
+  parseGemfile,
+  parseGoMod,
+  parseGradle,
+  parseManifest,
+  parsePep508,
+  parsePipfile,
+  parsePomXml,
+  parsePyproject,
+  parseRequirementsTxt,
+  parseSetupPy
+} from '../manifestParsers.js'
+
+const byName = (dependencies) =>
+  Object.fromEntries(dependencies.map(dep => [dep.name, dep]))
+
+describe('manifestParsers', () => {
+  describe('parsePep508', () => {
+    it('should split names, extras, constraints and markers', () => {
+      expect(parsePep508('uvicorn[standard]>=0.20; python_version > "3.8"')).toEqual({
+        name: 'uvicorn',
+        version: '>=0.20'
+      })
+      expect(parsePep508('Django (>=4.2,<5)')).toEqual({ name: 'Django', version: '>=4.2,<5' })
+      expect(parsePep508('requests')).toEqual({ name: 'requests', version: null })
+    })
+
+    it('should reject URLs without a package name', () => {
+      expect(parsePep508('git+https://github.com/org/repo.git')).toBeNull()
+    })
+  })
+
+  describe('parseRequirementsTxt', () => {
+    it('should skip pip options and inline comments', () => {
+      const result = parseRequirementsTxt('-r base.txt\n--index-url https://pypi.org\nflask==3.0.0  # web\n')
+      expect(result).toEqual([{ name: 'flask', version: '==3.0.0', scope: 'runtime' }])
+    })
+  })
+
+  describe('parsePomXml', () => {
+    it('should ignore plugin artifacts and the project coordinates', () => {
+      const pom = `
+        <project>
+          <artifactId>my-app</artifactId>
+          <dependencies>
+            <dependency>
+              <groupId>org.springframework.boot</groupId>
+              <artifactId>spring-boot-starter-web</artifactId>
+            </dependency>
+            <dependency>
+              <groupId>javax.servlet</groupId>
+              <artifactId>servlet-api</artifactId>
+              <scope>provided</scope>
+            </dependency>
+          </dependencies>
+          <build><plugins><plugin><artifactId>maven-compiler-plugin</artifactId></plugin></plugins></build>
+        </project>
+      `
+      const result = parsePomXml(pom)
+
+      expect(result.map(dep => dep.name)).toEqual(['spring-boot-starter-web', 'servlet-api'])
+      expect(result[1].scope).toBe('dev')
+    })
+  })
+
+  describe('parseGradle', () => {
+    it('should parse Groovy DSL notations', () => {
+      const gradle = `
+        plugins {
+          id 'org.springframework.boot' version '3.2.0'
+        }
+        dependencies {
+          implementation 'org.springframework.boot:spring-boot-starter-web'
+          implementation group: 'com.google.guava', name: 'guava', version: '32.1.0-jre'
+          runtimeOnly "org.postgresql:postgresql:$postgresVersion"
+          // implementation 'commented:out:1.0'
+          testImplementation 'org.junit.jupiter:junit-jupiter:5.10.0'
+        }
+      `
+      const result = byName(parseGradle(gradle))
+
+      expect(Object.keys(result)).toEqual(['spring-boot-starter-web', 'postgresql', 'junit-jupiter', 'guava'])
+      expect(result['spring-boot-starter-web']).toEqual({
+        name: 'spring-boot-starter-web',
+        version: null,
+        scope: 'runtime',
+        group: 'org.springframework.boot'
+      })
+      expect(result.guava.version).toBe('32.1.0-jre')
+      expect(result.postgresql.version).toBeNull()
+      expect(result['junit-jupiter'].scope).toBe('dev')
+    })
+
+    it('should parse Kotlin DSL notations', () => {
+      const gradle = `
+        dependencies {
+            implementation("io.ktor:ktor-server-core:2.3.7")
+            implementation(platform("software.amazon.awssdk:bom:2.21.0"))
+            kapt("com.google.dagger:dagger-compiler:2.48")
+            testImplementation(kotlin("test"))
+        }
+      `
+      const result = parseGradle(gradle)
+
+      expect(result).toEqual([
+        { name: 'ktor-server-core', version: '2.3.7', scope: 'runtime', group: 'io.ktor' },
+        { name: 'bom', version: '2.21.0', scope: 'runtime', group: 'software.amazon.awssdk' },
+        { name: 'dagger-compiler', version: '2.48', scope: 'dev', group: 'com.google.dagger' }
+      ])
+    })
+  })
+
+  describe('parseGoMod', () => {
+    it('should parse single-line and block requires', () => {
+      const goMod = [
+        'module github.com/acme/api',
+        '',
+        'go 1.22',
+        '',
+        'require github.com/labstack/echo/v4 v4.11.4',
+        '',
+        'require (',
+        '\tgithub.com/jackc/pgx/v5 v5.5.1',
+        '\tgolang.org/x/net v0.19.0 // indirect',
+        ')'
+      ].join('\n')
+      const result = byName(parseGoMod(goMod))
+
+      expect(Object.keys(result)).toHaveLength(3)
+      expect(result['github.com/labstack/echo/v4'].version).toBe('v4.11.4')
+      expect(result['golang.org/x/net'].indirect).toBe(true)
+      expect(result['github.com/jackc/pgx/v5'].scope).toBe('runtime')
+    })
+  })
+
+  describe('parseCargoToml', () => {
+    it('should parse dependency tables and table specs', () => {
+      const cargo = `
+[package]
+name = "api"
+
+[dependencies]
+actix-web = "4"
+serde = { version = "1.0", features = ["derive"] }
+shared = { path = "../shared" }
+
+[dev-dependencies]
+mockito = "1.2"
+
+[target.'cfg(unix)'.dependencies]
+nix = "0.27"
+`
+      const result = byName(parseCargoToml(cargo))
+
+      expect(result['actix-web']).toEqual({ name: 'actix-web', version: '4', scope: 'runtime' })
+      expect(result.serde.version).toBe('1.0')
+      expect(result.shared.version).toBeNull()
+      expect(result.mockito.scope).toBe('dev')
+      expect(result.nix.scope).toBe('runtime')
+    })
+  })
+
+  describe('parseGemfile', () => {
+    it('should honour group blocks and inline groups', () => {
+      const gemfile = `
+source 'https://rubygems.org'
+ruby '3.2.2'
+
+gem 'rails', '~> 7.1', '>= 7.1.2'
+gem 'pg'
+gem 'debug', group: :development
+
+group :development, :test do
+  gem 'rspec-rails', '~> 6.0'
+end
+
+group :production do
+  gem 'sidekiq'
+end
+`
+      const result = byName(parseGemfile(gemfile))
+
+      expect(result.rails).toEqual({ name: 'rails', version: '~> 7.1, >= 7.1.2', scope: 'runtime' })
+      expect(result.pg.version).toBeNull()
+      expect(result.debug.scope).toBe('dev')
+      expect(result['rspec-rails'].scope).toBe('dev')
+      expect(result.sidekiq.scope).toBe('runtime')
+    })
+  })
+
+  describe('parseComposerJson', () => {
+    it('should skip platform requirements', () => {
+      const composer = JSON.stringify({
+        require: { php: '^8.2', 'ext-json': '*', 'laravel/framework': '^11.0' },
+        'require-dev': { 'phpunit/phpunit': '^11.0' }
+      })
+
+      expect(parseComposerJson(composer)).toEqual([
+        { name: 'laravel/framework', version: '^11.0', scope: 'runtime' },
+        { name: 'phpunit/phpunit', version: '^11.0', scope: 'dev' }
+      ])
+    })
+  })
+
+  describe('parsePyproject', () => {
+    it('should parse PEP 621 dependencies and optional groups', () => {
+      const pyproject = `
+[project]
+name = "service"
+dependencies = ["fastapi>=0.110", "sqlalchemy[asyncio]"]
+
+[project.optional-dependencies]
+test = ["pytest>=8"]
+redis = ["redis>=5"]
+
+[dependency-groups]
+lint = ["ruff"]
+`
+      const result = byName(parsePyproject(pyproject))
+
+      expect(result.fastapi).toEqual({ name: 'fastapi', version: '>=0.110', scope: 'runtime' })
+      expect(result.sqlalchemy.version).toBeNull()
+      expect(result.pytest.scope).toBe('dev')
+      expect(result.redis.scope).toBe('runtime')
+      expect(result.ruff.scope).toBe('dev')
+    })
+
+    it('should parse Poetry dependencies and groups', () => {
+      const pyproject = `
+[tool.poetry.dependencies]
+python = "^3.11"
+django = "^5.0"
+celery = { version = "^5.3", extras = ["redis"] }
+
+[tool.poetry.dev-dependencies]
+black = "^24.0"
+
+[tool.poetry.group.test.dependencies]
+pytest = "^8.0"
+`
+      const result = byName(parsePyproject(pyproject))
+
+      expect(result.python).toBeUndefined()
+      expect(result.django).toEqual({ name: 'django', version: '^5.0', scope: 'runtime' })
+      expect(result.celery.version).toBe('^5.3')
+      expect(result.black.scope).toBe('dev')
+      expect(result.pytest.scope).toBe('dev')
+    })
+  })
+
+  describe('parsePipfile', () => {
+    it('should parse packages and dev packages', () => {
+      const pipfile = `
+[packages]
+flask = "*"
+gunicorn = { version = ">=21.2" }
+
+[dev-packages]
+pytest = "*"
+`
+      expect(parsePipfile(pipfile)).toEqual([
+        { name: 'flask', version: null, scope: 'runtime' },
+        { name: 'gunicorn', version: '>=21.2', scope: 'runtime' },
+        { name: 'pytest', version: null, scope: 'dev' }
+      ])
+    })
+  })
+
+  describe('parseSetupPy', () => {
+    it('should parse install, test and extra requirements', () => {
+      const setupPy = `
+from setuptools import setup
+
+setup(
+    name="worker",
+    install_requires=[
+        "celery>=5.3",
+        'boto3',
+    ],
+    tests_require=["pytest"],
+    extras_require={
+        "dev": ["mypy"],
+        "s3": ["s3fs>=2023.1"],
+    },
+)
+`
+      const result = byName(parseSetupPy(setupPy))
+
+      expect(result.celery).toEqual({ name: 'celery', version: '>=5.3', scope: 'runtime' })
+      expect(result.boto3.scope).toBe('runtime')
+      expect(result.pytest.scope).toBe('dev')
+      expect(result.mypy.scope).toBe('dev')
+      expect(result.s3fs.scope).toBe('runtime')
+    })
+  })
+
+  describe('parseManifest', () => {
+    it('should cover Gradle Kotlin DSL build scripts', () => {
+      expect(MANIFEST_FILE_NAMES).toContain('build.gradle.kts')
+    })
+
+    it('should return no dependencies for unknown or malformed manifests', () => {
+      expect(parseManifest('unknown.txt', 'content')).toEqual([])
+      expect(parseManifest('Cargo.toml', '[dependencies\nbroken')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import {
+  compareVersions,
+  detectRuntimeVersions,
+  isVersionSupported,
+  normalizeVersionConstraint
+} from '../runtimeVersions.js'
+import { file } from '../../../test/files.js'
+
+describe('runtimeVersions', () => {
+  describe('compareVersions', () => {
+    it('should compare numerically', () => {
+      expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0)
+      expect(compareVersions('v2.0', '2.0.0')).toBe(0)
+      expect(compareVersions('3.9', '3.12')).toBeLessThan(0)
+    })
+  })
+
+  describe('normalizeVersionConstraint', () => {
+    it('should extract pinned and minimum versions', () => {
+      expect(normalizeVersionConstraint('v20.11.1')).toEqual({ version: '20.11.1', minimum: false })
+      expect(normalizeVersionConstraint('>=18 <21')).toEqual({ version: '18', minimum: true })
+      expect(normalizeVersionConstraint('==3.11')).toEqual({ version: '3.11', minimum: false })
+      expect(normalizeVersionConstraint('lts/iron')).toBeNull()
+    })
+
+    it('should treat caret, tilde and compatible-release ranges as minimums', () => {
+      expect(normalizeVersionConstraint('^3.10')).toEqual({ version: '3.10', minimum: true })
+      expect(normalizeVersionConstraint('~3.10')).toEqual({ version: '3.10', minimum: true })
+      expect(normalizeVersionConstraint('~=3.8')).toEqual({ version: '3.8', minimum: true })
+      expect(normalizeVersionConstraint('~> 3.2')).toEqual({ version: '3.2', minimum: true })
+    })
+  })
+
+  describe('detectRuntimeVersions', () => {
+    it('should prefer version files over manifest constraints', () => {
+      const runtimes = detectRuntimeVersions([
+        file('.nvmrc', '20.11.1\n'),
+        file('package.json', JSON.stringify({ engines: { node: '>=18' } }))
+      ])
+
+      expect(runtimes.node).toEqual({ version: '20.11.1', minimum: false, source: '.nvmrc' })
+    })
+
+    it('should read manifests across ecosystems', () => {
+      const runtimes = detectRuntimeVersions([
+        file('pyproject.toml', '[project]\nname = "api"\nrequires-python = ">=3.10"\n'),
+        file('go.mod', 'module example.com/api\n\ngo 1.22.1\n'),
+        file('Gemfile', "source 'https://rubygems.org'\nruby '3.3.0'\n"),
+        file('composer.json', JSON.stringify({ require: { php: '^8.2' } })),
+        file('pom.xml', '<properties><java.version>1.8</java.version></properties>')
+      ])
+
+      expect(runtimes.python).toEqual({ version: '3.10', minimum: true, source: 'pyproject.toml' })
+      expect(runtimes.go.version).toBe('1.22.1')
+      expect(runtimes.ruby.version).toBe('3.3.0')
+      expect(runtimes.php.version).toBe('8.2')
+      expect(runtimes.java.version).toBe('8')
+    })
+
+    it('should read asdf .tool-versions and runtime.txt', () => {
+      const runtimes = detectRuntimeVersions([
+        file('.tool-versions', 'nodejs 18.19.0\njava temurin-17.0.9+9\n'),
+        file('runtime.txt', 'python-3.11.8')
+      ])
+
+      expect(runtimes.node.version).toBe('18.19.0')
+      expect(runtimes.java.version).toBe('17.0.9')
+      expect(runtimes.python.source).toBe('runtime.txt')
+    })
+
+    it('should ignore files outside the root', () => {
+      expect(detectRuntimeVersions([file('apps/web/.nvmrc', '20')])).toEqual({})
+    })
+  })
+
+  describe('isVersionSupported', () => {
+    it('should match pinned versions by prefix', () => {
+      expect(isVersionSupported({ version: '20.11.1', minimum: false }, ['18', '20'])).toBe(true)
+      expect(isVersionSupported({ version: '16.20.2', minimum: false }, ['18', '20'])).toBe(false)
+      expect(isVersionSupported({ version: '3.12.1', minimum: false }, ['3.11', '3.12'])).toBe(true)
+      expect(isVersionSupported({ version: '3', minimum: false }, ['3.11'])).toBe(true)
+    })
+
+    it('should accept minimums that a newer supported version satisfies', () => {
+      expect(isVersionSupported({ version: '18', minimum: true }, ['16', '20'])).toBe(true)
+      expect(isVersionSupported({ version: '3.14', minimum: true }, ['3.12'])).toBe(false)
+      expect(isVersionSupported(normalizeVersionConstraint('^3.10'), ['3.12'])).toBe(true)
+      expect(isVersionSupported(normalizeVersionConstraint('~=3.8'), ['3.11', '3.12'])).toBe(true)
+    })
+
+    it('should accept anything for wildcard runtimes', () => {
+      expect(isVersionSupported({ version: '1.23', minimum: false }, ['*'])).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest'
+import {
+  globToRegExp,
+  matchesGlob,
+  getPathDepth,
+  normalizeTreeEntries,
+  normalizeScopePath,
+  filterTree
+} from '../treeFilter.js'
+
+describe('treeFilter', () => {
+  describe('globToRegExp', () => {
+    it('should match single-segment wildcards', () => {
+      expect(globToRegExp('*.md').test('README.md')).toBe(true)
+      expect(globToRegExp('*.md').test('docs/README.md')).toBe(false)
+    })
+
+    it('should match recursive wildcards', () => {
+      const regex = globToRegExp('**/node_modules/**')
+      expect(regex.test('node_modules/react/package.json')).toBe(true)
+      expect(regex.test('apps/web/node_modules/react/package.json')).toBe(true)
+      expect(regex.test('apps/web/package.json')).toBe(false)
+    })
+
+    it('should support alternation', () => {
+      const regex = globToRegExp('docs/*.{md,mdx}')
+      expect(regex.test('docs/intro.md')).toBe(true)
+      expect(regex.test('docs/intro.mdx')).toBe(true)
+      expect(regex.test('docs/intro.txt')).toBe(false)
+    })
+
+    it('should expand wildcards inside alternatives', () => {
+      const regex = globToRegExp('.github/workflows/{*.yml,*.yaml}')
+      expect(regex.test('.github/workflows/ci.yml')).toBe(true)
+      expect(regex.test('.github/workflows/deploy.yaml')).toBe(true)
+      expect(regex.test('.github/workflows/nested/ci.yml')).toBe(false)
+      expect(globToRegExp('{src,lib}/v?.js').test('lib/v1.js')).toBe(true)
+    })
+  })
+
+  describe('matchesGlob', () => {
+    it('should match the directory itself for directory patterns', () => {
+      expect(matchesGlob('vendor', '**/vendor/**')).toBe(true)
+      expect(matchesGlob('services/api/vendor', '**/vendor/**')).toBe(true)
+    })
+  })
+
+  describe('getPathDepth', () => {
+    it('should count directory levels', () => {
+      expect(getPathDepth('package.json')).toBe(0)
+      expect(getPathDepth('apps/web/package.json')).toBe(2)
+    })
+  })
+
+  describe('normalizeTreeEntries', () => {
+    it('should convert git tree entries to contents shape', () => {
+      const result = normalizeTreeEntries([
+        { path: 'apps', type: 'tree', sha: 'a1' },
+        { path: 'apps/web/package.json', type: 'blob', sha: 'b2', size: 120 },
+        { path: 'libs/shared', type: 'commit', sha: 'c3' }
+      ])
+
+      expect(result).toEqual([
+        { name: 'apps', path: 'apps', type: 'dir', sha: 'a1', size: 0 },
+        { name: 'package.json', path: 'apps/web/package.json', type: 'file', sha: 'b2', size: 120 }
+      ])
+    })
+
+    it('should return empty array for invalid input', () => {
+      expect(normalizeTreeEntries(undefined)).toEqual([])
+    })
+  })
+
+  describe('filterTree', () => {
+    const entries = [
+      { name: 'package.json', path: 'package.json', type: 'file' },
+      { name: 'package.json', path: 'apps/web/package.json', type: 'file' },
+      { name: 'package.json', path: 'node_modules/react/package.json', type: 'file' },
+      { name: 'go.mod', path: 'services/a/b/c/go.mod', type: 'file' }
+    ]
+
+    it('should drop ignored paths by default', () => {
+      const { entries: result } = filterTree(entries)
+      expect(result.map(e => e.path)).not.toContain('node_modules/react/package.json')
+      expect(result.map(e => e.path)).toContain('apps/web/package.json')
+    })
+
+    it('should respect maximum depth', () => {
+      const { entries: result } = filterTree(entries, { maxDepth: 2 })
+      expect(result.map(e => e.path)).not.toContain('services/a/b/c/go.mod')
+    })
+
+    it('should report entries pruned by the depth limit as truncation', () => {
+      expect(filterTree(entries, { maxDepth: 2 }).truncated).toBe(true)
+      expect(filterTree(entries, { maxDepth: 4 }).truncated).toBe(false)
+    })
+
+    it('should apply custom ignore patterns', () => {
+      const { entries: result } = filterTree(entries, { ignore: ['apps/**'] })
+      expect(result.map(e => e.path)).not.toContain('apps/web/package.json')
+      expect(result.map(e => e.path)).toContain('node_modules/react/package.json')
+    })
+
+    it('should stop at the file budget and report truncation', () => {
+      const { entries: result, truncated } = filterTree(entries, { maxFiles: 1 })
+      expect(result).toHaveLength(1)
+      expect(truncated).toBe(true)
+    })
+
+    it('should keep only a scoped subtree, relative to the scope', () => {
+      const { entries: result } = filterTree(entries, { path: '/services/a/', maxDepth: 2 })
+      expect(result.map(e => e.path)).toEqual(['b/c/go.mod'])
+    })
+  })
+
+  describe('normalizeScopePath', () => {
+    it('should strip surrounding and duplicate slashes but keep dot directories', () => {
+      expect(normalizeScopePath('./services//billing/')).toBe('services/billing')
+      expect(normalizeScopePath('.github/workflows')).toBe('.github/workflows')
+      expect(normalizeScopePath('.')).toBe('')
+      expect(normalizeScopePath(null)).toBe('')
+    })
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import { MAX_SOURCE_FILES, detectWorkloads, selectSourceSample } from '../workloadDetection.js'
+import { file } from '../../../test/files.js'
+
+describe('workloadDetection', () => {
+  describe('selectSourceSample', () => {
+    it('should pick entry points first and skip tests, vendored and oversized files', () => {
+      const entries = [
+        { path: 'src/lib/utils/format.js', type: 'file', size: 200 },
+        { path: 'src/routes/users.ts', type: 'file', size: 200 },
+        { path: 'src/server.ts', type: 'file', size: 200 },
+        { path: 'src/server.test.ts', type: 'file', size: 200 },
+        { path: 'node_modules/ws/index.js', type: 'file', size: 200 },
+        { path: 'dist/main.js', type: 'file', size: 200 },
+        { path: 'src/bundle.js', type: 'file', size: 500 * 1024 },
+        { path: 'worker/tasks.py', type: 'file', size: 200 },
+        { path: 'README.md', type: 'file', size: 200 },
+        { path: 'src', type: 'dir' }
+      ]
+
+      expect(selectSourceSample(entries)).toEqual([
+        'src/server.ts',
+        'worker/tasks.py',
+        'src/routes/users.ts',
+        'src/lib/utils/format.js'
+      ])
+    })
+
+    it('should bound the sample', () => {
+      const entries = Array.from({ length: MAX_SOURCE_FILES + 10 }, (_, index) => ({ path: `src/file${index}.js`, type: 'file' }))
+
+      expect(selectSourceSample(entries)).toHaveLength(MAX_SOURCE_FILES)
+      expect(selectSourceSample(entries, 5)).toHaveLength(5)
+    })
+  })
+
+  describe('detectWorkloads', () => {
+    it('should describe APIs, workers, scheduled jobs and realtime servers', () => {
+      const workloads = detectWorkloads([
+        file('src/server.js', "const app = express()\nconst wss = new WebSocketServer({ server })\napp.listen(3000)"),
+        file('src/jobs.js', "import cron from 'node-cron'\ncron.schedule('0 * * * *', cleanup)"),
+        file('src/queue.js', "import { Worker } from 'bullmq'\nnew Worker('emails', send)"),
+        file('worker/tasks.py', "from celery import Celery\napp = Celery('tasks')\n\n@app.task\ndef send():\n    pass")
+      ])
+
+      expect(workloads.map(workload => workload.type)).toEqual(['api', 'worker', 'scheduled', 'realtime'])
+      expect(workloads[1]).toEqual({
+        type: 'worker',
+        name: 'Background worker',
+        longRunning: true,
+        evidence: ['BullMQ worker in src/queue.js', 'Celery task in worker/tasks.py'],
+        sources: ['src/queue.js', 'worker/tasks.py']
+      })
+      expect(workloads[3].evidence).toEqual(['WebSocketServer in src/server.js'])
+    })
+
+    it('should keep listening servers up and leave request handlers to functions', () => {
+      const [server] = detectWorkloads([file('src/server.js', "const app = express()\napp.listen(3000)")])
+      const [handlers] = detectWorkloads([
+        file('src/handler.js', 'export const handler = async (event) => ({ statusCode: 200 })'),
+        file('api/users.js', 'export default function users(req, res) { res.json([]) }')
+      ])
+      const [mixed] = detectWorkloads([
+        file('src/handler.js', 'exports.handler = async () => ({ statusCode: 200 })'),
+        file('main.py', 'import uvicorn\nuvicorn.run(app)')
+      ])
+
+      expect(server).toEqual(expect.objectContaining({ type: 'api', longRunning: true, evidence: ['listen() in src/server.js'] }))
+      expect(handlers).toEqual(expect.objectContaining({
+        longRunning: false,
+        evidence: ['Lambda handler in src/handler.js', 'Vercel function in api/users.js']
+      }))
+      expect(mixed.longRunning).toBe(true)
+    })
+
+    it('should require every pattern of a rule', () => {
+      // `new Worker` without BullMQ is a worker thread, `app.run` without Flask is not an API
+      const workloads = detectWorkloads([
+        file('src/index.js', "const { Worker } = require('worker_threads')\nnew Worker('./hash.js')"),
+        file('main.py', 'app.run()')
+      ])
+
+      expect(workloads).toEqual([])
+    })
+
+    it('should recognize JVM annotations', () => {
+      const workloads = detectWorkloads([
+        file('src/main/java/com/acme/Application.java', '@SpringBootApplication\npublic class Application { SpringApplication.run(Application.class, args); }'),
+        file('src/main/java/com/acme/Reports.java', '@Scheduled(cron = "0 0 * * * *")\npublic void nightly() {}')
+      ])
+
+      expect(workloads.map(workload => workload.type)).toEqual(['api', 'scheduled'])
+    })
+  })
+})
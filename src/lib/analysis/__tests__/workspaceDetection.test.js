@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest'
+import {
+  detectWorkspaceLayout,
+  findComponentDirectories,
+  getComponentName,
+  getDirectory,
+  isWithinDirectory
+} from '../workspaceDetection.js'
+import { file } from '../../../test/files.js'
+
+describe('workspaceDetection', () => {
+  describe('path helpers', () => {
+    it('should return parent directories', () => {
+      expect(getDirectory('package.json')).toBe('')
+      expect(getDirectory('apps/web/package.json')).toBe('apps/web')
+    })
+
+    it('should check directory containment', () => {
+      expect(isWithinDirectory('apps/web/src/index.js', 'apps/web')).toBe(true)
+      expect(isWithinDirectory('apps/webhooks/index.js', 'apps/web')).toBe(false)
+      expect(isWithinDirectory('anything.js', '')).toBe(true)
+    })
+  })
+
+  describe('detectWorkspaceLayout', () => {
+    it('should detect npm workspaces and turborepo', () => {
+      const layout = detectWorkspaceLayout([
+        file('package.json', JSON.stringify({ workspaces: ['apps/*', './packages/*/'] })),
+        file('turbo.json', '{}')
+      ])
+
+      expect(layout.tools).toEqual(['npm-workspaces', 'turborepo'])
+      expect(layout.patterns).toEqual(['apps/*', 'packages/*'])
+    })
+
+    it('should detect yarn workspaces in object form', () => {
+      const layout = detectWorkspaceLayout([
+        file('package.json', JSON.stringify({ workspaces: { packages: ['services/*'] } }))
+      ])
+
+      expect(layout.patterns).toEqual(['services/*'])
+    })
+
+    it('should detect pnpm workspaces including exclusions', () => {
+      const layout = detectWorkspaceLayout([
+        file('pnpm-workspace.yaml', "packages:\n  - 'apps/*'\n  - '!apps/legacy'\n")
+      ])
+
+      expect(layout.tools).toEqual(['pnpm-workspaces'])
+      expect(layout.patterns).toEqual(['apps/*', '!apps/legacy'])
+    })
+
+    it('should default lerna packages', () => {
+      const layout = detectWorkspaceLayout([file('lerna.json', '{"version": "1.0.0"}')])
+      expect(layout.patterns).toEqual(['packages/*'])
+    })
+
+    it('should detect Cargo workspaces', () => {
+      const layout = detectWorkspaceLayout([
+        file('Cargo.toml', '[workspace]\nmembers = ["crates/*"]\n')
+      ])
+
+      expect(layout.tools).toEqual(['cargo-workspace'])
+      expect(layout.patterns).toEqual(['crates/*'])
+    })
+
+    it('should detect go.work and multiple go modules', () => {
+      const layout = detectWorkspaceLayout([
+        file('go.work', 'go 1.22\n\nuse (\n\t./api\n\t./worker // jobs\n)\n'),
+        file('api/go.mod', 'module example.com/api\n'),
+        file('worker/go.mod', 'module example.com/worker\n')
+      ])
+
+      expect(layout.tools).toEqual(['go-workspace', 'go-modules'])
+      expect(layout.directories).toEqual(expect.arrayContaining(['api', 'worker']))
+    })
+
+    it('should detect Maven modules', () => {
+      const layout = detectWorkspaceLayout([
+        file('pom.xml', '<project><modules><module>api</module><module>batch</module></modules></project>')
+      ])
+
+      expect(layout.tools).toEqual(['maven-modules'])
+      expect(layout.directories).toEqual(['api', 'batch'])
+    })
+
+    it('should return an empty layout for single projects', () => {
+      const layout = detectWorkspaceLayout([file('package.json', '{"name": "app"}')])
+      expect(layout.tools).toEqual([])
+    })
+  })
+
+  describe('findComponentDirectories', () => {
+    const packageFiles = [
+      file('package.json', ''),
+      file('apps/web/package.json', ''),
+      file('apps/legacy/package.json', ''),
+      file('packages/ui/package.json', '')
+    ]
+
+    it('should match manifest directories against workspace patterns', () => {
+      const layout = { tools: ['pnpm-workspaces'], patterns: ['apps/*', '!apps/legacy'], directories: [] }
+      expect(findComponentDirectories(layout, packageFiles)).toEqual(['apps/web'])
+    })
+
+    it('should use project.json files for Nx', () => {
+      const layout = { tools: ['nx'], patterns: [], directories: [] }
+      const entries = [{ name: 'project.json', path: 'apps/api/project.json', type: 'file' }]
+      expect(findComponentDirectories(layout, packageFiles, entries)).toEqual(['apps/api'])
+    })
+
+    it('should fall back to manifest directories without workspace tooling', () => {
+      const layout = { tools: [], patterns: [], directories: [] }
+      const result = findComponentDirectories(layout, [
+        file('frontend/package.json', ''),
+        file('backend/requirements.txt', '')
+      ])
+      expect(result).toEqual(['backend', 'frontend'])
+    })
+
+    it('should treat a root manifest without workspace tooling as one application', () => {
+      const layout = { tools: [], patterns: [], directories: [] }
+      expect(findComponentDirectories(layout, [
+        file('package.json', ''),
+        file('scripts/release/package.json', '')
+      ])).toEqual([])
+    })
+
+    it('should never make tests, fixtures, examples or docs components', () => {
+      const layout = { tools: ['npm-workspaces'], patterns: ['**'], directories: [] }
+      const result = findComponentDirectories(layout, [
+        file('services/api/package.json', ''),
+        file('services/api/__tests__/fixtures/app/package.json', ''),
+        file('examples/basic/package.json', ''),
+        file('docs/package.json', ''),
+        file('worker/requirements.txt', '')
+      ])
+      expect(result).toEqual(['services/api', 'worker'])
+    })
+
+    it('should return no components for a single manifest directory', () => {
+      const layout = { tools: [], patterns: [], directories: [] }
+      expect(findComponentDirectories(layout, [file('package.json', '')])).toEqual([])
+    })
+  })
+
+  describe('getComponentName', () => {
+    it('should read names from manifests', () => {
+      expect(getComponentName('apps/web', [file('apps/web/package.json', '{"name": "@acme/web"}')])).toBe('@acme/web')
+      expect(getComponentName('api', [file('api/go.mod', 'module github.com/acme/api\n')])).toBe('api')
+      expect(getComponentName('core', [file('core/Cargo.toml', '[package]\nname = "core-lib"\n')])).toBe('core-lib')
+      expect(getComponentName('svc', [
+        file('svc/pom.xml', '<project><parent><artifactId>parent</artifactId></parent><artifactId>svc-api</artifactId></project>')
+      ])).toBe('svc-api')
+    })
+
+    it('should fall back to the directory name', () => {
+      expect(getComponentName('backend', [file('backend/requirements.txt', 'django')])).toBe('backend')
+      expect(getComponentName('', [])).toBe('root')
+    })
+  })
+})
@@ -0,0 +1,22 @@
+/**
+ * Analysis progress stages
+ * The steps useAnalysisProgress displays, and the step each analyzeRepository stage belongs to,
+ * shared by the analyze page and server-side analysis jobs
+ */
+
+export const ANALYSIS_STEPS = [
+  { name: 'Fetching Repository', description: 'Downloading repository contents', duration: 3 },
+  { name: 'Analyzing Code Structure', description: 'Examining file structure and patterns', duration: 5 },
+  { name: 'Parsing Dependencies', description: 'Reading package files and configurations', duration: 3 },
+  { name: 'Detecting Technologies', description: 'Identifying frameworks and dependencies', duration: 4 },
+  { name: 'Finalizing Analysis', description: 'Compiling technology stack results', duration: 2 }
+];
+
+// Analysis step for each stage reported by analyzeRepository
+export const ANALYSIS_STAGE_STEPS = {
+  repository: 'Fetching Repository',
+  tree: 'Analyzing Code Structure',
+  files: 'Parsing Dependencies',
+  technologies: 'Detecting Technologies',
+  complete: 'Finalizing Analysis'
+};
@@ -0,0 +1,397 @@
+/**
+ * CI/CD workflow analysis
+ * Reads GitHub Actions, GitLab CI, Jenkins and Azure Pipelines definitions into build tools,
+ * test matrices, deployment targets and the cloud credentials a repository already uses
+ */
+
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * CI systems and the technology they are reported as
+ */
+export const CI_SYSTEMS = {
+  'github-actions': { name: 'GitHub Actions' },
+  'gitlab-ci': { name: 'GitLab CI' },
+  jenkins: { name: 'Jenkins' },
+  'azure-pipelines': { name: 'Azure Pipelines' }
+};
+
+/**
+ * Build tools recognized from workflow commands and setup actions
+ */
+export const BUILD_TOOLS = {
+  npm: { name: 'npm', run: /\bnpm (ci|install|run|test|publish)\b/ },
+  yarn: { name: 'Yarn', run: /\byarn( |$)/ },
+  pnpm: { name: 'pnpm', run: /\bpnpm /, uses: ['pnpm/action-setup'] },
+  bun: { name: 'Bun', run: /\bbun (install|run|test)\b/, uses: ['oven-sh/setup-bun'] },
+  maven: { name: 'Maven', run: /(^|[\s/])mvnw? / },
+  gradle: { name: 'Gradle', run: /\bgradlew? /, uses: ['gradle/gradle-build-action', 'gradle/actions/setup-gradle'] },
+  poetry: { name: 'Poetry', run: /\bpoetry (install|run|build)\b/ },
+  make: { name: 'Make', run: /(^|[\s;&|])make( |$)/ },
+  bazel: { name: 'Bazel', run: /\bbazel(isk)? (build|test)\b/ },
+  docker: { name: 'Docker', run: /\bdocker (build|buildx|push)\b/, uses: ['docker/build-push-action'] }
+};
+
+/**
+ * Deployment and credential steps, matched by action, task or Jenkins step name (`uses`)
+ * or by command (`run`). Credential steps show which provider the pipeline can reach even
+ * when the deploy itself is a generic script
+ */
+const DEPLOY_RULES = [
+  { provider: 'aws', credentials: true, uses: ['aws-actions/configure-aws-credentials', 'withAWS', 'AWSShellScript'] },
+  { provider: 'aws', target: 'ECR', uses: ['aws-actions/amazon-ecr-login'] },
+  { provider: 'aws', target: 'ECS', uses: ['aws-actions/amazon-ecs-deploy-task-definition'], run: /\baws ecs (update-service|deploy)\b/ },
+  { provider: 'aws', target: 'Lambda', uses: ['aws-actions/aws-lambda-deploy'], run: /\baws lambda update-function-code\b/ },
+  { provider: 'aws', target: 'S3', uses: ['S3Upload'], run: /\baws s3 (sync|cp)\b/ },
+  { provider: 'aws', target: 'Elastic Beanstalk', run: /\beb deploy\b/ },
+  { provider: 'aws', target: 'AWS SAM', run: /\bsam deploy\b/ },
+  { provider: 'aws', target: 'AWS CDK', run: /\bcdk deploy\b/ },
+  { provider: 'aws', target: 'Serverless Framework', run: /\b(serverless|sls) deploy\b/ },
+  { provider: 'azure', credentials: true, uses: ['azure/login', 'AzureCLI', 'AzurePowerShell', 'withAzureCLI'] },
+  { provider: 'azure', target: 'App Service', uses: ['azure/webapps-deploy', 'AzureWebApp', 'AzureRmWebAppDeployment'], run: /\baz webapp (deploy|up)\b/ },
+  { provider: 'azure', target: 'Functions', uses: ['azure/functions-action', 'AzureFunctionApp'], run: /\bfunc azure functionapp publish\b/ },
+  { provider: 'azure', target: 'Container Apps', uses: ['azure/container-apps-deploy-action', 'AzureContainerApps'], run: /\baz containerapp (up|update)\b/ },
+  { provider: 'azure', target: 'Static Web Apps', uses: ['Azure/static-web-apps-deploy', 'AzureStaticWebApp'] },
+  { provider: 'gcp', credentials: true, uses: ['google-github-actions/auth', 'google-github-actions/setup-gcloud'], run: /\bgcloud auth activate-service-account\b/ },
+  { provider: 'gcp', target: 'Cloud Run', uses: ['google-github-actions/deploy-cloudrun'], run: /\bgcloud run deploy\b/ },
+  { provider: 'gcp', target: 'App Engine', uses: ['google-github-actions/deploy-appengine'], run: /\bgcloud app deploy\b/ },
+  { provider: 'gcp', target: 'Cloud Functions', uses: ['google-github-actions/deploy-cloud-functions'], run: /\bgcloud functions deploy\b/ },
+  { provider: null, target: 'Kubernetes', uses: ['azure/k8s-deploy', 'KubernetesManifest', 'HelmDeploy'], run: /\b(kubectl (apply|set image|rollout)|helm (upgrade|install))\b/ },
+  { provider: null, target: 'Vercel', uses: ['amondnet/vercel-action'], run: /\bvercel (deploy|--prod)\b/ },
+  { provider: null, target: 'Netlify', uses: ['nwtgck/actions-netlify'], run: /\bnetlify deploy\b/ },
+  { provider: null, target: 'Fly.io', uses: ['superfly/flyctl-actions'], run: /\bfly(ctl)? deploy\b/ },
+  { provider: null, target: 'Heroku', uses: ['akhileshns/heroku-deploy'], run: /\bgit push heroku\b/ }
+];
+
+const TEST_COMMAND = /\b(npm (run )?test|yarn test|pnpm (run )?test|jest|vitest|pytest|tox|go test|cargo test|mvnw? (test|verify)|gradlew? (test|check)|rspec|phpunit|dotnet test|bazel test)\b/;
+
+// Jenkins pipeline steps that wrap credentials rather than run a shell command
+const JENKINS_STEPS = ['withAWS', 'withAzureCLI', 'S3Upload'];
+
+/**
+ * Identifies the CI system a definition file belongs to
+ * @param {string} path - Repository-relative path
+ * @returns {string|null} - CI_SYSTEMS key
+ */
+export function getCiSystem(path) {
+  const name = path.split('/').pop();
+
+  if (/^\.github\/workflows\/[^/]+\.ya?ml$/.test(path)) {
+    return 'github-actions';
+  }
+  if (path === '.gitlab-ci.yml' || path === '.gitlab-ci.yaml') {
+    return 'gitlab-ci';
+  }
+  if (name === 'Jenkinsfile') {
+    return 'jenkins';
+  }
+  if (/^azure-pipelines\.ya?ml$/.test(path) || /^\.azure-pipelines\/[^/]+\.ya?ml$/.test(path)) {
+    return 'azure-pipelines';
+  }
+  return null;
+}
+
+/**
+ * Selects the CI/CD definitions worth fetching from a repository tree
+ * @param {Array} entries - Repository tree entries
+ * @returns {Array<string>} - Repository-relative paths
+ */
+export function findCiFiles(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  return entries
+    .filter(entry => entry.type !== 'dir')
+    .map(entry => entry.path || entry.name)
+    .filter(path => getCiSystem(path) !== null);
+}
+
+/**
+ * Counts the job combinations of a matrix given as dimension values
+ */
+function countCombinations(dimensions) {
+  const sizes = Object.values(dimensions).map(values => values.length);
+  return sizes.length > 0 ? sizes.reduce((product, size) => product * size, 1) : 0;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Reads a GitHub Actions `strategy.matrix`; `include` entries add combinations
+ */
+function parseGitHubMatrix(matrix) {
+  if (!matrix || typeof matrix !== 'object') {
+    return null;
+  }
+
+  const dimensions = {};
+  Object.entries(matrix)
+    .filter(([key]) => key !== 'include' && key !== 'exclude')
+    .forEach(([key, values]) => {
+      dimensions[key] = toArray(values).map(String);
+    });
+
+  const included = toArray(matrix.include).length;
+  const excluded = toArray(matrix.exclude).length;
+  const combinations = Math.max(countCombinations(dimensions) - excluded, 0) + included;
+
+  return combinations > 0 ? { dimensions, combinations } : null;
+}
+
+/**
+ * Reads a GitLab `parallel:matrix`, a list of variable maps whose values expand independently
+ */
+function parseGitLabMatrix(parallel) {
+  const entries = toArray(parallel?.matrix);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const dimensions = {};
+  let combinations = 0;
+  entries.forEach(entry => {
+    const entryDimensions = {};
+    Object.entries(entry || {}).forEach(([key, values]) => {
+      entryDimensions[key] = toArray(values).map(String);
+      dimensions[key] = [...new Set([...(dimensions[key] || []), ...entryDimensions[key]])];
+    });
+    combinations += countCombinations(entryDimensions);
+  });
+
+  return { dimensions, combinations };
+}
+
+/**
+ * Reads an Azure Pipelines `strategy.matrix`, a map of named configurations to variables
+ */
+function parseAzureMatrix(matrix) {
+  if (!matrix || typeof matrix !== 'object') {
+    return null;
+  }
+
+  const dimensions = {};
+  Object.values(matrix).forEach(variables => {
+    Object.entries(variables || {}).forEach(([key, value]) => {
+      dimensions[key] = [...new Set([...(dimensions[key] || []), String(value)])];
+    });
+  });
+
+  return { dimensions, combinations: Object.keys(matrix).length };
+}
+
+/**
+ * Parses a GitHub Actions workflow into jobs
+ * @param {string} content - Workflow YAML
+ * @returns {{name: string|null, triggers: Array<string>, jobs: Array<{name: string, steps: Array<{uses: string|null, run: string|null}>, matrix: object|null}>}}
+ */
+export function parseGitHubWorkflow(content) {
+  const workflow = parseYaml(content, { logLevel: 'error' }) || {};
+  const on = workflow.on;
+  const triggers = typeof on === 'string' ? [on] : Array.isArray(on) ? on : Object.keys(on || {});
+
+  const jobs = Object.entries(workflow.jobs || {}).map(([id, job]) => ({
+    name: job?.name || id,
+    // Reusable workflow calls have no steps of their own
+    steps: job?.uses
+      ? [{ uses: String(job.uses).split('@')[0], run: null }]
+      : toArray(job?.steps).map(step => ({
+        uses: step?.uses ? String(step.uses).split('@')[0] : null,
+        run: step?.run ? String(step.run) : null
+      })),
+    matrix: parseGitHubMatrix(job?.strategy?.matrix)
+  }));
+
+  return { name: workflow.name || null, triggers, jobs };
+}
+
+// Top-level .gitlab-ci.yml keys that configure the pipeline rather than define a job
+const GITLAB_KEYWORDS = ['stages', 'variables', 'default', 'include', 'workflow', 'image', 'services', 'cache', 'before_script', 'after_script'];
+
+/**
+ * Parses a .gitlab-ci.yml into jobs; hidden jobs (`.template`) are skipped
+ * @param {string} content - Pipeline YAML
+ * @returns {{name: string|null, triggers: Array<string>, jobs: Array}}
+ */
+export function parseGitLabPipeline(content) {
+  const pipeline = parseYaml(content, { logLevel: 'error' }) || {};
+  const globalScripts = [...toArray(pipeline.before_script), ...toArray(pipeline.default?.before_script)];
+
+  const jobs = Object.entries(pipeline)
+    .filter(([name, job]) => !GITLAB_KEYWORDS.includes(name) && !name.startsWith('.') && job && typeof job === 'object' && !Array.isArray(job))
+    .map(([name, job]) => ({
+      name,
+      steps: [...globalScripts, ...toArray(job.before_script), ...toArray(job.script), ...toArray(job.after_script)]
+        .map(line => ({ uses: null, run: String(line) })),
+      matrix: parseGitLabMatrix(job.parallel)
+    }));
+
+  return { name: null, triggers: [], jobs };
+}
+
+/**
+ * Collects the steps of an Azure Pipelines steps list
+ */
+function parseAzureSteps(steps) {
+  return toArray(steps).map(step => ({
+    uses: step?.task ? String(step.task).split('@')[0] : null,
+    run: step?.script || step?.bash || step?.pwsh || step?.powershell || step?.inputs?.inlineScript || null
+  }));
+}
+
+/**
+ * Parses an Azure Pipelines definition in its single-job, jobs or stages form
+ * @param {string} content - Pipeline YAML
+ * @returns {{name: string|null, triggers: Array<string>, jobs: Array}}
+ */
+export function parseAzurePipeline(content) {
+  const pipeline = parseYaml(content, { logLevel: 'error' }) || {};
+  const definitions = pipeline.stages
+    ? toArray(pipeline.stages).flatMap(stage => toArray(stage?.jobs))
+    : pipeline.jobs
+      ? toArray(pipeline.jobs)
+      : [{ job: 'default', steps: pipeline.steps, strategy: pipeline.strategy }];
+
+  const jobs = definitions
+    .filter(Boolean)
+    .map(job => ({
+      name: job.displayName || job.job || job.deployment || 'default',
+      // Deployment jobs nest their steps under a rollout strategy
+      steps: parseAzureSteps(job.steps || job.strategy?.runOnce?.deploy?.steps),
+      matrix: parseAzureMatrix(job.strategy?.matrix)
+    }));
+
+  const triggers = ['trigger', 'pr', 'schedules'].filter(key => pipeline[key] !== undefined && pipeline[key] !== 'none');
+  return { name: pipeline.name || null, triggers, jobs };
+}
+
+/**
+ * Parses a declarative or scripted Jenkinsfile into stages
+ * Stage bodies are read with a pattern match; `sh`/`bat` commands and credential wrappers become steps
+ * @param {string} content - Jenkinsfile
+ * @returns {{name: string|null, triggers: Array<string>, jobs: Array}}
+ */
+export function parseJenkinsfile(content) {
+  const withoutComments = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+  const stageMatches = [...withoutComments.matchAll(/stage\s*\(\s*['"]([^'"]+)['"]\s*\)/g)];
+  const sections = stageMatches.length > 0
+    ? stageMatches.map((match, index) => ({
+      name: match[1],
+      body: withoutComments.slice(match.index, stageMatches[index + 1]?.index ?? withoutComments.length)
+    }))
+    : [{ name: 'default', body: withoutComments }];
+
+  const jobs = sections.map(({ name, body }) => {
+    const commands = [...body.matchAll(/\b(?:sh|bat|pwsh)\s*\(?\s*(?:script:\s*)?('''|"""|'|")([\s\S]*?)\1/g)]
+      .map(match => ({ uses: null, run: match[2].trim() }));
+    const wrappers = JENKINS_STEPS
+      .filter(step => new RegExp(`\\b${step}\\s*\\(`).test(body))
+      .map(step => ({ uses: step, run: null }));
+    const axes = [...body.matchAll(/axis\s*\{\s*name\s+['"]([^'"]+)['"]\s+values\s+([^}]+)\}/g)];
+    const dimensions = Object.fromEntries(
+      axes.map(axis => [axis[1], [...axis[2].matchAll(/['"]([^'"]+)['"]/g)].map(value => value[1])])
+    );
+
+    return {
+      name,
+      steps: [...wrappers, ...commands],
+      matrix: axes.length > 0 ? { dimensions, combinations: countCombinations(dimensions) } : null
+    };
+  });
+
+  const triggers = [...withoutComments.matchAll(/\b(cron|pollSCM|upstream|githubPush)\s*\(/g)].map(match => match[1]);
+  return { name: null, triggers: [...new Set(triggers)], jobs };
+}
+
+const PARSERS = {
+  'github-actions': parseGitHubWorkflow,
+  'gitlab-ci': parseGitLabPipeline,
+  jenkins: parseJenkinsfile,
+  'azure-pipelines': parseAzurePipeline
+};
+
+function matchesStep(rule, step) {
+  return Boolean(
+    (rule.uses && step.uses && rule.uses.some(name => step.uses.toLowerCase() === name.toLowerCase())) ||
+    (rule.run && step.run && rule.run.test(step.run))
+  );
+}
+
+/**
+ * Analyzes CI/CD definitions for build tools, test matrices, deployment targets and cloud credentials
+ * @param {Array<{name: string, path: string, content: string}>} files - Files selected by findCiFiles
+ * @returns {{systems: Array<string>, workflows: Array, buildTools: Array<string>, testMatrix: Array, deployments: Array, credentials: Array, deployProviders: Array<string>}}
+ */
+export function analyzeCiWorkflows(files) {
+  const systems = new Set();
+  const buildTools = new Set();
+  const workflows = [];
+  const testMatrix = [];
+  const deployments = new Map();
+  const credentials = new Map();
+
+  files.forEach(file => {
+    const system = getCiSystem(file.path);
+    if (!system) {
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = PARSERS[system](file.content);
+    } catch (error) {
+      // Unparseable workflows are skipped; the rest still describe the pipeline
+      return;
+    }
+    systems.add(system);
+
+    const jobs = parsed.jobs.map(job => {
+      job.steps.forEach(step => {
+        Object.entries(BUILD_TOOLS).forEach(([id, tool]) => {
+          if (matchesStep(tool, step)) {
+            buildTools.add(id);
+          }
+        });
+
+        DEPLOY_RULES.filter(rule => matchesStep(rule, step)).forEach(rule => {
+          const entry = { provider: rule.provider, system, source: file.path, job: job.name, evidence: step.uses || step.run.split('\n')[0] };
+          if (rule.credentials) {
+            credentials.set(`${rule.provider}:${entry.evidence}`, entry);
+          } else if (!deployments.has(`${rule.provider}:${rule.target}`)) {
+            deployments.set(`${rule.provider}:${rule.target}`, { ...entry, target: rule.target });
+          }
+        });
+      });
+
+      const runsTests = job.steps.some(step => step.run && TEST_COMMAND.test(step.run));
+      if (job.matrix) {
+        testMatrix.push({ system, source: file.path, job: job.name, runsTests, ...job.matrix });
+      }
+      return { name: job.name, runsTests, matrix: job.matrix };
+    });
+
+    workflows.push({ system, path: file.path, name: parsed.name, triggers: parsed.triggers, jobs });
+  });
+
+  const providerCounts = {};
+  [...deployments.values(), ...credentials.values()]
+    .filter(entry => entry.provider)
+    .forEach(entry => {
+      providerCounts[entry.provider] = (providerCounts[entry.provider] || 0) + 1;
+    });
+
+  return {
+    systems: Array.from(systems),
+    workflows,
+    buildTools: Array.from(buildTools),
+    testMatrix,
+    deployments: Array.from(deployments.values()),
+    credentials: Array.from(credentials.values()),
+    deployProviders: Object.keys(providerCounts).sort((a, b) => providerCounts[b] - providerCounts[a])
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * Container topology
+ * Parses docker compose files and Dockerfiles into services and dependency edges
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { COMPOSE_FILE_NAMES, DATA_STORES, parseDataStoreImage } from './dataStoreDetection.js';
+import { getDirectory } from './workspaceDetection.js';
+
+/**
+ * Dockerfile names, matched at any depth
+ */
+export const DOCKERFILE_NAMES = ['Dockerfile', 'Containerfile'];
+
+/**
+ * Files, matched by name at any depth, that the topology parser reads
+ */
+export const CONTAINER_FILE_NAMES = [...COMPOSE_FILE_NAMES, ...DOCKERFILE_NAMES];
+
+/**
+ * Normalizes compose port entries in short (`8080:80/tcp`) or long syntax
+ * @param {Array} ports - Compose `ports` or `expose` entries
+ * @returns {Array<{published: number|null, target: number, protocol: string}>}
+ */
+export function parseComposePorts(ports) {
+  if (!Array.isArray(ports)) {
+    return [];
+  }
+
+  return ports
+    .map(port => {
+      if (port && typeof port === 'object') {
+        return {
+          published: port.published ? parseInt(port.published, 10) : null,
+          target: parseInt(port.target, 10),
+          protocol: port.protocol || 'tcp'
+        };
+      }
+
+      const [mapping, protocol = 'tcp'] = String(port).split('/');
+      // host_ip:published:target, published:target or target
+      const parts = mapping.split(':');
+      const target = parseInt(parts[parts.length - 1], 10);
+      const published = parts.length > 1 ? parseInt(parts[parts.length - 2], 10) : null;
+      return { published: Number.isNaN(published) ? null : published, target, protocol };
+    })
+    .filter(port => !Number.isNaN(port.target));
+}
+
+/**
+ * Reads compose `environment` in list or map form
+ * Only variable names are kept; values may hold secrets
+ */
+function parseEnvironmentNames(environment) {
+  if (Array.isArray(environment)) {
+    return environment.map(entry => String(entry).split('=')[0]);
+  }
+  return environment && typeof environment === 'object' ? Object.keys(environment) : [];
+}
+
+function parseVolumes(volumes) {
+  if (!Array.isArray(volumes)) {
+    return [];
+  }
+
+  return volumes.map(volume => {
+    if (volume && typeof volume === 'object') {
+      return { source: volume.source || null, target: volume.target };
+    }
+    const [source, target] = String(volume).split(':');
+    return target ? { source, target } : { source: null, target: source };
+  });
+}
+
+/**
+ * Parses a docker compose file into services
+ * @param {string} content - File content
+ * @param {string} path - Repository-relative path of the compose file
+ * @returns {Array<object>} - Services with image, build context, ports, volumes, environment and dependsOn
+ */
+export function parseComposeFile(content, path = 'docker-compose.yml') {
+  const compose = parseYaml(content);
+  const directory = getDirectory(path);
+
+  return Object.entries(compose?.services || {}).map(([name, service]) => {
+    const definition = service || {};
+    const build = typeof definition.build === 'string'
+      ? { context: definition.build }
+      : definition.build || null;
+    // depends_on is a list or a map of service name to condition
+    const dependsOn = Array.isArray(definition.depends_on)
+      ? definition.depends_on
+      : Object.keys(definition.depends_on || {});
+
+    return {
+      name,
+      image: definition.image || null,
+      build: build
+        ? {
+          context: joinPath(directory, build.context || '.'),
+          dockerfile: build.dockerfile || 'Dockerfile'
+        }
+        : null,
+      ports: parseComposePorts([...(definition.ports || []), ...(definition.expose || [])]),
+      volumes: parseVolumes(definition.volumes),
+      environment: parseEnvironmentNames(definition.environment),
+      dependsOn,
+      source: path
+    };
+  });
+}
+
+/**
+ * Parses a Dockerfile into its final stage base image, exposed ports and start command
+ * @param {string} content - File content
+ * @param {string} path - Repository-relative path of the Dockerfile
+ * @returns {{path: string, baseImage: string|null, stages: Array<string>, exposedPorts: Array<number>, cmd: string|null, entrypoint: string|null}}
+ */
+export function parseDockerfile(content, path = 'Dockerfile') {
+  const instructions = content
+    .replace(/\\\r?\n/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  const stages = [];
+  const exposedPorts = [];
+  let baseImage = null;
+  let cmd = null;
+  let entrypoint = null;
+
+  instructions.forEach(line => {
+    const [, keyword, rest = ''] = line.match(/^(\w+)\s*(.*)$/) || [];
+    switch (keyword?.toUpperCase()) {
+      case 'FROM': {
+        const [image, , alias] = rest.replace(/--platform=\S+\s*/, '').split(/\s+/);
+        // A stage built FROM an earlier stage runs on that stage's base image
+        const previous = stages.find(stage => stage.alias === image);
+        baseImage = previous ? previous.image : image;
+        stages.push({ image: baseImage, alias: alias || null });
+        // Ports and commands belong to the stage that declares them
+        exposedPorts.length = 0;
+        cmd = null;
+        entrypoint = null;
+        break;
+      }
+      case 'EXPOSE':
+        rest.split(/\s+/).forEach(port => {
+          const number = parseInt(port, 10);
+          if (!Number.isNaN(number) && !exposedPorts.includes(number)) {
+            exposedPorts.push(number);
+          }
+        });
+        break;
+      case 'CMD':
+        cmd = parseCommand(rest);
+        break;
+      case 'ENTRYPOINT':
+        entrypoint = parseCommand(rest);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return {
+    path,
+    baseImage,
+    stages: stages.map(stage => stage.image),
+    exposedPorts: [...exposedPorts],
+    cmd,
+    entrypoint
+  };
+}
+
+/**
+ * Joins exec-form (`["node", "server.js"]`) commands; shell form is returned as written
+ */
+function parseCommand(value) {
+  if (value.startsWith('[')) {
+    try {
+      return JSON.parse(value).join(' ');
+    } catch (error) {
+      return value;
+    }
+  }
+  return value || null;
+}
+
+function joinPath(directory, relative) {
+  const segments = directory ? directory.split('/') : [];
+  relative.split('/').forEach(segment => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+}
+
+/**
+ * Classifies a service as a data store or an application from its image
+ */
+function classifyService(image) {
+  const match = parseDataStoreImage(image);
+  if (!match) {
+    return { role: 'application', storeId: null, version: null };
+  }
+  return { role: DATA_STORES[match.storeId].category, storeId: match.storeId, version: match.version };
+}
+
+/**
+ * Builds the service topology of a repository from its compose files and Dockerfiles
+ * Compose services become nodes and `depends_on` entries become edges; without a compose
+ * file every Dockerfile is an application service of its own
+ * @param {Array<{name: string, path: string, content: string}>} files - Fetched compose files and Dockerfiles
+ * @returns {{services: Array<object>, edges: Array<{from: string, to: string}>, dockerfiles: Array<object>}}
+ */
+export function buildContainerTopology(files) {
+  const dockerfiles = files
+    .filter(file => DOCKERFILE_NAMES.includes(file.name))
+    .map(file => parseDockerfile(file.content, file.path || file.name));
+
+  const services = new Map();
+  files
+    .filter(file => COMPOSE_FILE_NAMES.includes(file.name))
+    .forEach(file => {
+      let parsed;
+      try {
+        parsed = parseComposeFile(file.content, file.path || file.name);
+      } catch (error) {
+        return;
+      }
+      parsed.forEach(service => {
+        if (!services.has(service.name)) {
+          services.set(service.name, service);
+        }
+      });
+    });
+
+  if (services.size === 0) {
+    return {
+      services: dockerfiles.map(dockerfile => {
+        const directory = getDirectory(dockerfile.path);
+        return {
+          name: directory ? directory.split('/').pop() : 'app',
+          image: null,
+          build: { context: directory, dockerfile: dockerfile.path.split('/').pop() },
+          ports: dockerfile.exposedPorts.map(target => ({ published: null, target, protocol: 'tcp' })),
+          volumes: [],
+          environment: [],
+          dependsOn: [],
+          source: dockerfile.path,
+          origin: 'dockerfile',
+          role: 'application',
+          storeId: null,
+          version: null,
+          dockerfile
+        };
+      }),
+      edges: [],
+      dockerfiles
+    };
+  }
+
+  const topologyServices = Array.from(services.values()).map(service => {
+    const dockerfilePath = service.build ? joinPath(service.build.context, service.build.dockerfile) : null;
+    const dockerfile = dockerfiles.find(candidate => candidate.path === dockerfilePath) || null;
+
+    return {
+      ...service,
+      origin: 'compose',
+      ...classifyService(service.image),
+      dockerfile,
+      ports: service.ports.length > 0 || !dockerfile
+        ? service.ports
+        : dockerfile.exposedPorts.map(target => ({ published: null, target, protocol: 'tcp' }))
+    };
+  });
+
+  const edges = topologyServices.flatMap(service =>
+    service.dependsOn
+      .filter(target => services.has(target))
+      .map(target => ({ from: service.name, to: target }))
+  );
+
+  return { services: topologyServices, edges, dockerfiles };
+}
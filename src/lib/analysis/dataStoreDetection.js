@@ -0,0 +1,311 @@
+/**
+ * Data store detection
+ * Identifies databases, caches and queues from drivers, compose images, Prisma schemas and env templates
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { normalizePackageName, mergeTechnologies } from './frameworkRules.js';
+import { isDeployablePath } from './workspaceDetection.js';
+
+/**
+ * Supported data stores and the technology category they are reported under
+ */
+export const DATA_STORES = {
+  postgresql: { name: 'PostgreSQL', category: 'database' },
+  mysql: { name: 'MySQL', category: 'database' },
+  mongodb: { name: 'MongoDB', category: 'database' },
+  sqlite: { name: 'SQLite', category: 'database' },
+  elasticsearch: { name: 'Elasticsearch', category: 'database' },
+  redis: { name: 'Redis', category: 'cache' },
+  memcached: { name: 'Memcached', category: 'cache' },
+  kafka: { name: 'Kafka', category: 'queue' },
+  rabbitmq: { name: 'RabbitMQ', category: 'queue' }
+};
+
+/**
+ * Driver and ORM packages that imply a specific data store
+ * Names are compared after normalizePackageName, so PyPI and Go spellings collapse
+ */
+export const DRIVER_PACKAGES = {
+  postgresql: [
+    'pg', 'pg-promise', 'postgres', '@neondatabase/serverless', 'psycopg', 'psycopg2', 'psycopg2-binary',
+    'asyncpg', 'github.com/lib/pq', 'github.com/jackc/pgx', 'postgresql', 'tokio-postgres', 'npgsql'
+  ],
+  mysql: [
+    'mysql', 'mysql2', 'mysqlclient', 'pymysql', 'aiomysql', 'github.com/go-sql-driver/mysql',
+    'mysql-connector-java', 'mysql-connector-j', 'mariadb'
+  ],
+  mongodb: [
+    'mongodb', 'mongoose', 'pymongo', 'motor', 'mongoengine', 'mongoid', 'go.mongodb.org/mongo-driver',
+    'spring-boot-starter-data-mongodb', 'mongodb/mongodb'
+  ],
+  sqlite: ['sqlite3', 'better-sqlite3', 'sqlite', 'github.com/mattn/go-sqlite3', 'rusqlite'],
+  elasticsearch: [
+    '@elastic/elasticsearch', 'elasticsearch', 'elasticsearch-dsl', 'github.com/elastic/go-elasticsearch',
+    'github.com/olivere/elastic', '@opensearch-project/opensearch', 'opensearch-py'
+  ],
+  redis: [
+    'redis', 'ioredis', '@redis/client', 'redis-py', 'github.com/redis/go-redis', 'github.com/go-redis/redis',
+    'jedis', 'lettuce-core', 'spring-boot-starter-data-redis', 'predis/predis', 'django-redis'
+  ],
+  memcached: ['memcached', 'memjs', 'pymemcache', 'python-memcached', 'dalli', 'github.com/bradfitz/gomemcache'],
+  kafka: [
+    'kafkajs', 'node-rdkafka', 'kafka-python', 'confluent-kafka', 'aiokafka', 'github.com/segmentio/kafka-go',
+    'github.com/confluentinc/confluent-kafka-go', 'kafka-clients', 'spring-kafka', 'rdkafka', 'ruby-kafka'
+  ],
+  rabbitmq: [
+    'amqplib', 'amqp-connection-manager', 'pika', 'aio-pika', 'bunny', 'github.com/rabbitmq/amqp091-go',
+    'github.com/streadway/amqp', 'spring-boot-starter-amqp', 'php-amqplib/php-amqplib', 'lapin'
+  ]
+};
+
+/**
+ * Container image names (without registry or tag) mapped to data stores
+ */
+export const DATA_STORE_IMAGES = {
+  postgres: 'postgresql',
+  postgis: 'postgresql',
+  timescaledb: 'postgresql',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  mongo: 'mongodb',
+  mongodb: 'mongodb',
+  'mongodb-community-server': 'mongodb',
+  redis: 'redis',
+  'redis-stack': 'redis',
+  'redis-stack-server': 'redis',
+  valkey: 'redis',
+  memcached: 'memcached',
+  kafka: 'kafka',
+  'cp-kafka': 'kafka',
+  redpanda: 'kafka',
+  rabbitmq: 'rabbitmq',
+  elasticsearch: 'elasticsearch',
+  opensearch: 'elasticsearch'
+};
+
+const PRISMA_PROVIDERS = {
+  postgresql: 'postgresql',
+  postgres: 'postgresql',
+  cockroachdb: 'postgresql',
+  mysql: 'mysql',
+  mongodb: 'mongodb',
+  sqlite: 'sqlite'
+};
+
+const CONNECTION_SCHEMES = {
+  postgres: 'postgresql',
+  postgresql: 'postgresql',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  mongodb: 'mongodb',
+  'mongodb+srv': 'mongodb',
+  sqlite: 'sqlite',
+  redis: 'redis',
+  rediss: 'redis',
+  memcached: 'memcached',
+  amqp: 'rabbitmq',
+  amqps: 'rabbitmq',
+  kafka: 'kafka'
+};
+
+// Variables whose values are host lists or plain URLs rather than scheme-qualified strings
+const CONNECTION_VARIABLES = [
+  { pattern: /^KAFKA_(BROKERS?|BOOTSTRAP_SERVERS|URL)$/, store: 'kafka' },
+  { pattern: /^(ELASTICSEARCH|ELASTIC|OPENSEARCH)_(URL|HOST|NODE)S?$/, store: 'elasticsearch' },
+  { pattern: /^MEMCACHED?_(URL|HOST|SERVERS?)$/, store: 'memcached' }
+];
+
+export const COMPOSE_FILE_NAMES = [
+  'docker-compose.yml',
+  'docker-compose.yaml',
+  'compose.yml',
+  'compose.yaml'
+];
+
+export const ENV_TEMPLATE_FILE_NAMES = ['.env.example', '.env.sample', '.env.template'];
+
+/**
+ * Files, matched by name at any depth, that the data store detector reads
+ */
+export const DATA_STORE_FILE_NAMES = [...COMPOSE_FILE_NAMES, 'schema.prisma', ...ENV_TEMPLATE_FILE_NAMES];
+
+const DRIVER_LOOKUP = Object.fromEntries(
+  Object.entries(DRIVER_PACKAGES).flatMap(([store, packages]) =>
+    packages.map(pkg => [normalizePackageName(pkg), store])
+  )
+);
+
+function createTechnology(storeId, confidence, evidence, version = null) {
+  const store = DATA_STORES[storeId];
+  return {
+    id: storeId,
+    name: store.name,
+    category: store.category,
+    version,
+    confidence,
+    source: 'data_stores',
+    evidence: [evidence]
+  };
+}
+
+/**
+ * Detects data stores from driver and ORM dependencies
+ * @param {Array} packageFiles - Package files with parsed dependencies
+ * @returns {Array}
+ */
+export function detectDataStoresFromDependencies(packageFiles) {
+  const technologies = [];
+
+  packageFiles.forEach(file => {
+    (file.dependencies || []).forEach(dep => {
+      const name = typeof dep === 'string' ? dep : dep.name;
+      const storeId = DRIVER_LOOKUP[normalizePackageName(name)];
+      if (!storeId) {
+        return;
+      }
+      const isDev = typeof dep === 'object' && dep.scope === 'dev';
+      technologies.push(createTechnology(
+        storeId,
+        isDev ? 0.5 : 0.8,
+        `Found ${name} driver in ${file.path || file.name}`
+      ));
+    });
+  });
+
+  return technologies;
+}
+
+/**
+ * Maps a container image reference to a data store and version
+ * @param {string} image - Image reference, e.g. `docker.io/library/postgres:16-alpine`
+ * @returns {{storeId: string, version: string|null}|null}
+ */
+export function parseDataStoreImage(image) {
+  if (typeof image !== 'string') {
+    return null;
+  }
+
+  const [reference] = image.split('@');
+  const lastSlash = reference.lastIndexOf('/');
+  const tagIndex = reference.indexOf(':', lastSlash + 1);
+  const repository = tagIndex === -1 ? reference : reference.slice(0, tagIndex);
+  const tag = tagIndex === -1 ? null : reference.slice(tagIndex + 1);
+  const storeId = DATA_STORE_IMAGES[repository.split('/').pop().toLowerCase()];
+
+  if (!storeId) {
+    return null;
+  }
+
+  const versionMatch = tag?.match(/^v?(\d+(?:\.\d+)*)/);
+  return { storeId, version: versionMatch ? versionMatch[1] : null };
+}
+
+/**
+ * Detects data stores from docker compose service images
+ * @param {Array<{name: string, path: string, content: string}>} composeFiles - Compose files
+ * @returns {Array}
+ */
+export function detectDataStoresFromCompose(composeFiles) {
+  const technologies = [];
+
+  composeFiles.forEach(file => {
+    let compose;
+    try {
+      compose = parseYaml(file.content);
+    } catch (error) {
+      return;
+    }
+
+    Object.entries(compose?.services || {}).forEach(([serviceName, service]) => {
+      const match = parseDataStoreImage(service?.image);
+      if (match) {
+        technologies.push(createTechnology(
+          match.storeId,
+          0.9,
+          `${service.image} image for service ${serviceName} in ${file.path || file.name}`,
+          match.version
+        ));
+      }
+    });
+  });
+
+  return technologies;
+}
+
+/**
+ * Detects data stores from Prisma datasource providers
+ * @param {Array<{name: string, path: string, content: string}>} schemaFiles - Prisma schema files
+ * @returns {Array}
+ */
+export function detectDataStoresFromPrisma(schemaFiles) {
+  const technologies = [];
+
+  schemaFiles.forEach(file => {
+    for (const block of file.content.matchAll(/datasource\s+\w+\s*\{([\s\S]*?)\}/g)) {
+      const provider = block[1].match(/provider\s*=\s*"([^"]+)"/)?.[1];
+      const storeId = PRISMA_PROVIDERS[provider];
+      if (storeId) {
+        technologies.push(createTechnology(
+          storeId,
+          0.9,
+          `Prisma datasource provider ${provider} in ${file.path || file.name}`
+        ));
+      }
+    }
+  });
+
+  return technologies;
+}
+
+/**
+ * Detects data stores from connection strings in env templates
+ * @param {Array<{name: string, path: string, content: string}>} envFiles - .env.example style files
+ * @returns {Array}
+ */
+export function detectDataStoresFromEnv(envFiles) {
+  const technologies = [];
+
+  envFiles.forEach(file => {
+    file.content.split('\n').forEach(line => {
+      const match = line.trim().match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*["']?([^"'\s#]*)/);
+      if (!match) {
+        return;
+      }
+
+      const [, key, value] = match;
+      const scheme = value.match(/^([a-z][a-z0-9+]*):\/\//i)?.[1].toLowerCase();
+      const storeId = (scheme && CONNECTION_SCHEMES[scheme]) ||
+        CONNECTION_VARIABLES.find(variable => variable.pattern.test(key.toUpperCase()))?.store;
+
+      if (storeId) {
+        technologies.push(createTechnology(
+          storeId,
+          0.7,
+          `${scheme ? `${scheme}:// connection string` : 'Connection setting'} ${key} in ${file.path || file.name}`
+        ));
+      }
+    });
+  });
+
+  return technologies;
+}
+
+/**
+ * Detects databases, caches and queues from all supported sources
+ * Files in test, fixture, example and documentation directories are skipped, as for components
+ * @param {Array} packageFiles - Package files with parsed dependencies
+ * @param {Array} configFiles - Fetched files, of which compose, Prisma and env templates are used
+ * @returns {Array} - One technology per data store with merged evidence
+ */
+export function detectDataStores(packageFiles, configFiles = []) {
+  const isDeployable = file => isDeployablePath(file.path || file.name);
+  const byName = (names) => configFiles.filter(file => names.includes(file.name) && isDeployable(file));
+
+  return mergeTechnologies([
+    ...detectDataStoresFromDependencies(packageFiles.filter(isDeployable)),
+    ...detectDataStoresFromCompose(byName(COMPOSE_FILE_NAMES)),
+    ...detectDataStoresFromPrisma(byName(['schema.prisma'])),
+    ...detectDataStoresFromEnv(byName(ENV_TEMPLATE_FILE_NAMES))
+  ]);
+}
@@ -0,0 +1,251 @@
+/**
+ * Deployment hints
+ * Reads hosting platform configuration and framework build settings into the deployment model
+ * (static files, a long-running server or edge functions) an application is built for
+ */
+
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * Deployment models, in the order a conflicting hint set resolves them
+ */
+export const DEPLOYMENT_MODELS = {
+  edge: { name: 'Edge functions' },
+  server: { name: 'Server-rendered container' },
+  static: { name: 'Static hosting' }
+};
+
+/**
+ * Hosting platforms and the technology they are reported as
+ */
+export const DEPLOYMENT_PLATFORMS = {
+  vercel: { name: 'Vercel' },
+  netlify: { name: 'Netlify' },
+  'cloudflare-workers': { name: 'Cloudflare Workers' },
+  firebase: { name: 'Firebase' },
+  'app-engine': { name: 'Google App Engine' },
+  heroku: { name: 'Heroku' },
+  fly: { name: 'Fly.io' }
+};
+
+const NEXT_CONFIG_FILE_NAMES = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts'];
+
+/**
+ * Files, matched by name at any depth, that carry deployment hints
+ */
+export const DEPLOYMENT_CONFIG_FILE_NAMES = [
+  'vercel.json',
+  'netlify.toml',
+  'wrangler.toml',
+  'wrangler.json',
+  'wrangler.jsonc',
+  'firebase.json',
+  'app.yaml',
+  'Procfile',
+  'fly.toml',
+  ...NEXT_CONFIG_FILE_NAMES
+];
+
+function parseVercelConfig(content) {
+  const config = JSON.parse(content);
+  const edge = Object.values(config.functions || {}).some(fn => String(fn?.runtime || '').includes('edge'));
+  return { platform: 'vercel', model: edge ? 'edge' : null, evidence: edge ? 'edge functions' : 'Vercel project' };
+}
+
+function parseNetlifyConfig(content) {
+  const config = parseToml(content);
+  const plugins = (config.plugins || []).map(plugin => plugin.package);
+
+  if (config.edge_functions) {
+    return { platform: 'netlify', model: 'edge', evidence: 'edge_functions' };
+  }
+  if (plugins.includes('@netlify/plugin-nextjs')) {
+    return { platform: 'netlify', model: 'server', evidence: '@netlify/plugin-nextjs' };
+  }
+  if (config.build?.publish && !config.functions && !config.build?.functions) {
+    return { platform: 'netlify', model: 'static', evidence: `publish = "${config.build.publish}"` };
+  }
+  return { platform: 'netlify', model: null, evidence: 'Netlify site' };
+}
+
+function parseWranglerConfig(content, name) {
+  // wrangler.jsonc allows comments
+  const config = name === 'wrangler.toml'
+    ? parseToml(content)
+    : JSON.parse(content.replace(/^\s*\/\/.*$/gm, ''));
+
+  if (config.main) {
+    return { platform: 'cloudflare-workers', model: 'edge', evidence: `main = "${config.main}"` };
+  }
+  if (config.pages_build_output_dir) {
+    return { platform: 'cloudflare-workers', model: 'static', evidence: 'pages_build_output_dir' };
+  }
+  return { platform: 'cloudflare-workers', model: null, evidence: 'Wrangler project' };
+}
+
+function parseFirebaseConfig(content) {
+  const config = JSON.parse(content);
+  const hosting = [].concat(config.hosting || []);
+  if (hosting.length === 0) {
+    return { platform: 'firebase', model: null, evidence: 'Firebase project' };
+  }
+
+  // Rewrites to Cloud Functions or Cloud Run and framework-aware hosting render on a server
+  const rendered = hosting.some(site =>
+    site.frameworksBackend ||
+    (site.rewrites || []).some(rewrite => rewrite.function || rewrite.run)
+  );
+  return rendered
+    ? { platform: 'firebase', model: 'server', evidence: 'hosting rewrites to a backend' }
+    : { platform: 'firebase', model: 'static', evidence: 'static hosting' };
+}
+
+function parseAppEngineConfig(content) {
+  const config = parseYaml(content, { logLevel: 'error' });
+  // app.yaml is a common name; only App Engine's declares a runtime
+  if (!config?.runtime) {
+    return null;
+  }
+  return { platform: 'app-engine', model: 'server', evidence: `runtime: ${config.runtime}` };
+}
+
+function parseProcfile(content) {
+  const processes = content
+    .split('\n')
+    .map(line => line.match(/^([\w-]+):\s*(.+)$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  return processes.includes('web')
+    ? { platform: 'heroku', model: 'server', evidence: 'web process' }
+    : { platform: 'heroku', model: null, evidence: `${processes.join(', ') || 'no'} processes` };
+}
+
+function parseFlyConfig(content) {
+  const config = parseToml(content);
+  const port = config.http_service?.internal_port;
+  return { platform: 'fly', model: 'server', evidence: port ? `internal_port = ${port}` : 'Fly.io app' };
+}
+
+/**
+ * Reads `output` and `runtime` settings from a Next.js config with a pattern match
+ */
+function parseNextConfig(content) {
+  const output = content.match(/\boutput\s*:\s*['"](export|standalone)['"]/);
+  const runtime = content.match(/\bruntime\s*:\s*['"]((?:experimental-)?edge)['"]/);
+
+  if (runtime) {
+    return { framework: 'nextjs', model: 'edge', evidence: `runtime: '${runtime[1]}'` };
+  }
+  if (output) {
+    return { framework: 'nextjs', model: output[1] === 'export' ? 'static' : 'server', evidence: `output: '${output[1]}'` };
+  }
+  return null;
+}
+
+/**
+ * Reads the deployment hint a single configuration file carries
+ * @param {{name: string, path: string, content: string}} file - Configuration file
+ * @returns {{platform: string|null, framework: string|null, model: string|null, source: string, evidence: string}|null}
+ */
+export function parseDeploymentHint(file) {
+  const { name, content } = file;
+  let hint = null;
+
+  if (name === 'vercel.json') {
+    hint = parseVercelConfig(content);
+  } else if (name === 'netlify.toml') {
+    hint = parseNetlifyConfig(content);
+  } else if (name.startsWith('wrangler.')) {
+    hint = parseWranglerConfig(content, name);
+  } else if (name === 'firebase.json') {
+    hint = parseFirebaseConfig(content);
+  } else if (name === 'app.yaml') {
+    hint = parseAppEngineConfig(content);
+  } else if (name === 'Procfile') {
+    hint = parseProcfile(content);
+  } else if (name === 'fly.toml') {
+    hint = parseFlyConfig(content);
+  } else if (NEXT_CONFIG_FILE_NAMES.includes(name)) {
+    hint = parseNextConfig(content);
+  }
+
+  return hint
+    ? { platform: null, framework: null, ...hint, source: file.path || name, evidence: `${hint.evidence} in ${file.path || name}` }
+    : null;
+}
+
+/**
+ * Detects deployment hints from platform configuration and framework build settings
+ * @param {Array<{name: string, path: string, content: string}>} files - Fetched configuration files
+ * @returns {Array<object>} - Hints with platform or framework, model, source and evidence
+ */
+export function detectDeploymentHints(files) {
+  return files
+    .filter(file => DEPLOYMENT_CONFIG_FILE_NAMES.includes(file.name))
+    .map(file => {
+      try {
+        return parseDeploymentHint(file);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Attaches hints to the technology list: framework settings annotate the detected framework and
+ * each hosting platform is reported as a tool
+ * @param {Array} technologies - Merged technologies
+ * @param {Array} hints - Result of detectDeploymentHints
+ * @returns {Array} - Technologies with `deploymentHints`
+ */
+export function attachDeploymentHints(technologies, hints) {
+  const annotated = technologies.map(tech => {
+    const frameworkHints = hints.filter(hint => hint.framework && hint.framework === tech.id);
+    return frameworkHints.length > 0
+      ? { ...tech, deploymentHints: [...(tech.deploymentHints || []), ...frameworkHints] }
+      : tech;
+  });
+
+  const platforms = new Map();
+  hints
+    .filter(hint => hint.platform)
+    .forEach(hint => {
+      const existing = platforms.get(hint.platform);
+      if (existing) {
+        existing.evidence.push(hint.evidence);
+        existing.deploymentHints.push(hint);
+        return;
+      }
+      platforms.set(hint.platform, {
+        id: hint.platform,
+        name: DEPLOYMENT_PLATFORMS[hint.platform].name,
+        category: 'tool',
+        confidence: 0.9,
+        source: 'deployment_config',
+        evidence: [hint.evidence],
+        deploymentHints: [hint]
+      });
+    });
+
+  return [...annotated, ...platforms.values()];
+}
+
+/**
+ * Resolves the deployment model a set of hints points to
+ * Framework build settings decide over platform configuration; within each, edge functions win
+ * over a server, and a server over static files
+ * @param {Array} hints - Deployment hints
+ * @returns {{model: string, evidence: string}|null}
+ */
+export function resolveDeploymentModel(hints) {
+  const order = Object.keys(DEPLOYMENT_MODELS);
+  const pick = (candidates) => candidates
+    .filter(hint => hint.model)
+    .sort((a, b) => order.indexOf(a.model) - order.indexOf(b.model))[0];
+
+  const hint = pick(hints.filter(candidate => candidate.framework)) || pick(hints);
+  return hint ? { model: hint.model, evidence: hint.evidence } : null;
+}
@@ -0,0 +1,184 @@
+/**
+ * Framework detection rules
+ * Maps exact package names across ecosystems to framework technologies
+ */
+
+/**
+ * Confidence for frameworks that ship with the application
+ */
+export const RUNTIME_MATCH_CONFIDENCE = 0.8;
+
+/**
+ * Confidence for frameworks only referenced by dev dependencies (tooling, tests, examples)
+ */
+export const DEV_MATCH_CONFIDENCE = 0.5;
+
+/**
+ * Framework rules
+ * - `packages`: exact package names (npm, PyPI, RubyGems, Composer, Cargo, Go module paths, Maven artifacts)
+ * - `groups`: Maven/Gradle group ids whose artifacts all belong to the framework
+ * - `prefixes`: artifact name prefixes, for starter-style JVM packages
+ */
+export const FRAMEWORK_RULES = [
+  // JavaScript frontends
+  { id: 'react', name: 'React', packages: ['react'] },
+  { id: 'nextjs', name: 'Next.js', packages: ['next'] },
+  { id: 'vue', name: 'Vue.js', packages: ['vue'] },
+  { id: 'nuxt', name: 'Nuxt.js', packages: ['nuxt', 'nuxt3'] },
+  { id: 'angular', name: 'Angular', packages: ['@angular/core', 'angular'] },
+  { id: 'svelte', name: 'Svelte', packages: ['svelte'] },
+  { id: 'sveltekit', name: 'SvelteKit', packages: ['@sveltejs/kit', 'sveltekit'] },
+  { id: 'remix', name: 'Remix', packages: ['@remix-run/node', '@remix-run/react', '@remix-run/serve', '@remix-run/cloudflare'] },
+  { id: 'gatsby', name: 'Gatsby', packages: ['gatsby'] },
+  { id: 'astro', name: 'Astro', packages: ['astro'] },
+
+  // JavaScript backends
+  { id: 'express', name: 'Express.js', packages: ['express'] },
+  { id: 'fastify', name: 'Fastify', packages: ['fastify'] },
+  { id: 'koa', name: 'Koa', packages: ['koa'] },
+  { id: 'hapi', name: 'hapi', packages: ['@hapi/hapi', 'hapi'] },
+  { id: 'nestjs', name: 'NestJS', packages: ['@nestjs/core'] },
+
+  // Python
+  { id: 'django', name: 'Django', packages: ['django'] },
+  { id: 'flask', name: 'Flask', packages: ['flask'] },
+  { id: 'fastapi', name: 'FastAPI', packages: ['fastapi'] },
+
+  // JVM
+  {
+    id: 'spring-boot',
+    name: 'Spring Boot',
+    groups: ['org.springframework.boot'],
+    prefixes: ['spring-boot-starter']
+  },
+  { id: 'quarkus', name: 'Quarkus', groups: ['io.quarkus'] },
+  { id: 'micronaut', name: 'Micronaut', groups: ['io.micronaut'] },
+  { id: 'ktor', name: 'Ktor', prefixes: ['ktor-server'] },
+
+  // PHP
+  { id: 'laravel', name: 'Laravel', packages: ['laravel/framework'] },
+  { id: 'symfony', name: 'Symfony', packages: ['symfony/framework-bundle', 'symfony/symfony'] },
+
+  // Ruby
+  { id: 'rails', name: 'Ruby on Rails', packages: ['rails'] },
+  { id: 'sinatra', name: 'Sinatra', packages: ['sinatra'] },
+
+  // Go
+  { id: 'gin', name: 'Gin', packages: ['github.com/gin-gonic/gin'] },
+  { id: 'echo', name: 'Echo', packages: ['github.com/labstack/echo'] },
+  { id: 'fiber', name: 'Fiber', packages: ['github.com/gofiber/fiber'] },
+
+  // Rust
+  { id: 'actix-web', name: 'Actix Web', packages: ['actix-web'] },
+  { id: 'axum', name: 'Axum', packages: ['axum'] },
+  { id: 'rocket', name: 'Rocket', packages: ['rocket'] }
+];
+
+/**
+ * Normalizes a package name for comparison
+ * Lowercases, applies PyPI separator rules and strips Go major-version suffixes
+ * @param {string} name - Package name as declared
+ * @returns {string}
+ */
+export function normalizePackageName(name) {
+  const lower = name.trim().toLowerCase();
+
+  if (lower.includes('/') && /\/v\d+$/.test(lower)) {
+    return lower.replace(/\/v\d+$/, '');
+  }
+  if (lower.startsWith('@') || lower.includes('/')) {
+    return lower;
+  }
+  return lower.replace(/[._]/g, '-');
+}
+
+/**
+ * Finds the framework rule a dependency belongs to
+ * @param {string|object} dependency - Dependency name or parsed dependency record
+ * @returns {object|null} - Matching rule
+ */
+export function findFrameworkRule(dependency) {
+  const name = normalizePackageName(typeof dependency === 'string' ? dependency : dependency.name);
+  const group = typeof dependency === 'object' && dependency.group ? dependency.group.toLowerCase() : null;
+
+  return FRAMEWORK_RULES.find(rule =>
+    rule.packages?.some(pkg => normalizePackageName(pkg) === name) ||
+    (group && rule.groups?.includes(group)) ||
+    rule.prefixes?.some(prefix => name.startsWith(prefix))
+  ) || null;
+}
+
+/**
+ * Detects frameworks from dependencies, one technology per framework
+ * Frameworks referenced only by dev dependencies get a lower confidence
+ * @param {Array<string|object>} dependencies - Dependency names or parsed dependency records
+ * @returns {Array} - Framework technologies with merged evidence
+ */
+export function detectFrameworksFromDependencies(dependencies) {
+  const detected = new Map();
+
+  dependencies.forEach(dep => {
+    const rule = findFrameworkRule(dep);
+    if (!rule) {
+      return;
+    }
+
+    const name = typeof dep === 'string' ? dep : dep.name;
+    const isDev = typeof dep === 'object' && dep.scope === 'dev';
+    const evidence = `Found ${name} in ${isDev ? 'dev dependencies' : 'dependencies'}`;
+    const existing = detected.get(rule.id);
+
+    if (!existing) {
+      detected.set(rule.id, {
+        id: rule.id,
+        name: rule.name,
+        category: 'framework',
+        version: dep.resolvedVersion || null,
+        confidence: isDev ? DEV_MATCH_CONFIDENCE : RUNTIME_MATCH_CONFIDENCE,
+        source: 'package_dependencies',
+        evidence: [evidence]
+      });
+      return;
+    }
+
+    existing.evidence.push(evidence);
+    if (!isDev) {
+      existing.confidence = RUNTIME_MATCH_CONFIDENCE;
+    }
+    if (!existing.version && dep.resolvedVersion) {
+      existing.version = dep.resolvedVersion;
+    }
+  });
+
+  return Array.from(detected.values());
+}
+
+/**
+ * Merges technologies detected more than once (across manifests or sources) by id
+ * Keeps the highest confidence, the first known version and all distinct evidence
+ * @param {Array} technologies - Detected technologies
+ * @returns {Array} - One technology per id, in first-seen order
+ */
+export function mergeTechnologies(technologies) {
+  const merged = new Map();
+
+  technologies.forEach(tech => {
+    const existing = merged.get(tech.id);
+    if (!existing) {
+      merged.set(tech.id, { ...tech, evidence: [...(tech.evidence || [])] });
+      return;
+    }
+
+    existing.confidence = Math.max(existing.confidence, tech.confidence);
+    if (!existing.version && tech.version) {
+      existing.version = tech.version;
+    }
+    (tech.evidence || []).forEach(item => {
+      if (!existing.evidence.includes(item)) {
+        existing.evidence.push(item);
+      }
+    });
+  });
+
+  return Array.from(merged.values());
+}
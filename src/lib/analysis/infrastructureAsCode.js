@@ -0,0 +1,534 @@
+/**
+ * Infrastructure-as-code detection
+ * Reads Terraform, CloudFormation, SAM, CDK, Pulumi and Serverless Framework definitions
+ * into the provider and cloud services a repository already deploys to
+ */
+
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * IaC tools and the technology they are reported as
+ */
+export const IAC_TOOLS = {
+  terraform: { name: 'Terraform' },
+  cloudformation: { name: 'CloudFormation' },
+  'aws-sam': { name: 'AWS SAM' },
+  'aws-cdk': { name: 'AWS CDK' },
+  pulumi: { name: 'Pulumi' },
+  'serverless-framework': { name: 'Serverless Framework' }
+};
+
+/**
+ * Upper bound on IaC files fetched per repository
+ */
+export const MAX_INFRASTRUCTURE_FILES = 60;
+
+const CLOUDFORMATION_FILE_NAMES = ['template.yaml', 'template.yml', 'template.json'];
+const SERVERLESS_FILE_NAMES = ['serverless.yml', 'serverless.yaml'];
+const PULUMI_FILE_NAMES = ['Pulumi.yaml', 'Pulumi.yml'];
+const PULUMI_PROGRAM_FILES = ['index.ts', 'index.js', '__main__.py', 'main.go'];
+const IGNORED_DIRECTORIES = ['.terraform', 'node_modules', 'cdk.out', 'test', 'tests', '__tests__'];
+
+/**
+ * Cloud services for declared resources, keyed by Terraform type, CloudFormation type or
+ * Pulumi token (`provider:module:Resource`). Names match the pricing catalog; `engine`
+ * picks a variant from the resource's engine or database version attribute
+ */
+const RESOURCE_SERVICES = [
+  // AWS
+  { types: ['aws_lambda_function', 'AWS::Lambda::Function', 'AWS::Serverless::Function', 'aws:lambda:Function'], provider: 'aws', name: 'Lambda', category: 'compute', type: 'serverless' },
+  { types: ['aws_instance', 'AWS::EC2::Instance', 'aws:ec2:Instance'], provider: 'aws', name: 'EC2', category: 'compute', type: 'self-managed' },
+  { types: ['aws_ecs_service', 'AWS::ECS::Service', 'aws:ecs:Service'], provider: 'aws', name: 'ECS Fargate', category: 'compute', type: 'managed' },
+  { types: ['aws_eks_cluster', 'AWS::EKS::Cluster', 'aws:eks:Cluster'], provider: 'aws', name: 'EKS', category: 'compute', type: 'managed' },
+  { types: ['aws_apprunner_service', 'AWS::AppRunner::Service', 'aws:apprunner:Service'], provider: 'aws', name: 'App Runner', category: 'compute', type: 'managed' },
+  { types: ['aws_elastic_beanstalk_environment', 'AWS::ElasticBeanstalk::Environment', 'aws:elasticbeanstalk:Environment'], provider: 'aws', name: 'Elastic Beanstalk', category: 'compute', type: 'managed' },
+  {
+    types: ['aws_db_instance', 'AWS::RDS::DBInstance', 'aws:rds:Instance'],
+    provider: 'aws',
+    category: 'database',
+    type: 'managed',
+    engine: (engine) => (/mysql|mariadb/.test(engine) ? 'RDS MySQL' : 'RDS PostgreSQL')
+  },
+  {
+    types: ['aws_rds_cluster', 'AWS::RDS::DBCluster', 'aws:rds:Cluster'],
+    provider: 'aws',
+    category: 'database',
+    type: 'managed',
+    engine: (engine) => (/mysql/.test(engine) ? 'Aurora MySQL' : 'Aurora PostgreSQL')
+  },
+  { types: ['aws_dynamodb_table', 'AWS::DynamoDB::Table', 'AWS::Serverless::SimpleTable', 'aws:dynamodb:Table'], provider: 'aws', name: 'DynamoDB', category: 'database', type: 'serverless' },
+  { types: ['aws_docdb_cluster', 'AWS::DocDB::DBCluster', 'aws:docdb:Cluster'], provider: 'aws', name: 'DocumentDB', category: 'database', type: 'managed' },
+  {
+    types: ['aws_elasticache_cluster', 'aws_elasticache_replication_group', 'AWS::ElastiCache::CacheCluster', 'AWS::ElastiCache::ReplicationGroup', 'aws:elasticache:Cluster', 'aws:elasticache:ReplicationGroup'],
+    provider: 'aws',
+    category: 'cache',
+    type: 'managed',
+    engine: (engine) => (/memcached/.test(engine) ? 'ElastiCache for Memcached' : 'ElastiCache for Redis')
+  },
+  { types: ['aws_opensearch_domain', 'aws_elasticsearch_domain', 'AWS::OpenSearchService::Domain', 'aws:opensearch:Domain'], provider: 'aws', name: 'OpenSearch Service', category: 'search', type: 'managed' },
+  { types: ['aws_s3_bucket', 'AWS::S3::Bucket', 'aws:s3:Bucket', 'aws:s3:BucketV2'], provider: 'aws', name: 'S3', category: 'storage', type: 'managed' },
+  { types: ['aws_cloudfront_distribution', 'AWS::CloudFront::Distribution', 'aws:cloudfront:Distribution'], provider: 'aws', name: 'CloudFront', category: 'networking', type: 'managed' },
+  { types: ['aws_api_gateway_rest_api', 'aws_apigatewayv2_api', 'AWS::ApiGateway::RestApi', 'AWS::ApiGatewayV2::Api', 'AWS::Serverless::Api', 'AWS::Serverless::HttpApi', 'aws:apigateway:RestApi', 'aws:apigatewayv2:Api'], provider: 'aws', name: 'API Gateway', category: 'networking', type: 'serverless' },
+  { types: ['aws_sqs_queue', 'AWS::SQS::Queue', 'aws:sqs:Queue'], provider: 'aws', name: 'SQS', category: 'messaging', type: 'serverless' },
+  { types: ['aws_sns_topic', 'AWS::SNS::Topic', 'aws:sns:Topic'], provider: 'aws', name: 'SNS', category: 'messaging', type: 'serverless' },
+  { types: ['aws_msk_cluster', 'AWS::MSK::Cluster', 'aws:msk:Cluster'], provider: 'aws', name: 'MSK', category: 'messaging', type: 'managed' },
+  { types: ['aws_mq_broker', 'AWS::AmazonMQ::Broker', 'aws:mq:Broker'], provider: 'aws', name: 'Amazon MQ', category: 'messaging', type: 'managed' },
+
+  // Azure
+  { types: ['azurerm_linux_function_app', 'azurerm_windows_function_app', 'azurerm_function_app', 'azure-native:web:WebAppFunction'], provider: 'azure', name: 'Functions', category: 'compute', type: 'serverless' },
+  { types: ['azurerm_linux_web_app', 'azurerm_windows_web_app', 'azurerm_app_service', 'azure-native:web:WebApp'], provider: 'azure', name: 'App Service', category: 'compute', type: 'managed' },
+  { types: ['azurerm_container_app', 'azure-native:app:ContainerApp'], provider: 'azure', name: 'Container Apps', category: 'compute', type: 'managed' },
+  { types: ['azurerm_kubernetes_cluster', 'azure-native:containerservice:ManagedCluster'], provider: 'azure', name: 'AKS', category: 'compute', type: 'managed' },
+  { types: ['azurerm_linux_virtual_machine', 'azurerm_windows_virtual_machine', 'azurerm_virtual_machine', 'azure-native:compute:VirtualMachine'], provider: 'azure', name: 'Virtual Machines', category: 'compute', type: 'self-managed' },
+  { types: ['azurerm_static_web_app', 'azurerm_static_site', 'azure-native:web:StaticSite'], provider: 'azure', name: 'Static Web Apps', category: 'hosting', type: 'managed' },
+  { types: ['azurerm_postgresql_flexible_server', 'azurerm_postgresql_server', 'azure-native:dbforpostgresql:Server'], provider: 'azure', name: 'Database for PostgreSQL', category: 'database', type: 'managed' },
+  { types: ['azurerm_mysql_flexible_server', 'azurerm_mysql_server', 'azure-native:dbformysql:Server'], provider: 'azure', name: 'Database for MySQL', category: 'database', type: 'managed' },
+  { types: ['azurerm_cosmosdb_account', 'azure-native:documentdb:DatabaseAccount'], provider: 'azure', name: 'Cosmos DB', category: 'database', type: 'managed' },
+  { types: ['azurerm_redis_cache', 'azure-native:cache:Redis'], provider: 'azure', name: 'Azure Cache for Redis', category: 'cache', type: 'managed' },
+  { types: ['azurerm_storage_account', 'azure-native:storage:StorageAccount'], provider: 'azure', name: 'Blob Storage', category: 'storage', type: 'managed' },
+  { types: ['azurerm_servicebus_namespace', 'azure-native:servicebus:Namespace'], provider: 'azure', name: 'Service Bus', category: 'messaging', type: 'managed' },
+  { types: ['azurerm_eventhub_namespace', 'azure-native:eventhub:Namespace'], provider: 'azure', name: 'Event Hubs', category: 'messaging', type: 'managed' },
+
+  // Google Cloud
+  { types: ['google_cloudfunctions_function', 'google_cloudfunctions2_function', 'gcp:cloudfunctions:Function', 'gcp:cloudfunctionsv2:Function'], provider: 'gcp', name: 'Cloud Functions', category: 'compute', type: 'serverless' },
+  { types: ['google_cloud_run_service', 'google_cloud_run_v2_service', 'gcp:cloudrun:Service', 'gcp:cloudrunv2:Service'], provider: 'gcp', name: 'Cloud Run', category: 'compute', type: 'managed' },
+  { types: ['google_container_cluster', 'gcp:container:Cluster'], provider: 'gcp', name: 'GKE', category: 'compute', type: 'managed' },
+  { types: ['google_app_engine_application', 'google_app_engine_standard_app_version', 'gcp:appengine:Application'], provider: 'gcp', name: 'App Engine', category: 'compute', type: 'managed' },
+  { types: ['google_compute_instance', 'gcp:compute:Instance'], provider: 'gcp', name: 'Compute Engine', category: 'compute', type: 'self-managed' },
+  {
+    types: ['google_sql_database_instance', 'gcp:sql:DatabaseInstance'],
+    provider: 'gcp',
+    category: 'database',
+    type: 'managed',
+    engine: (engine) => (/mysql/.test(engine) ? 'Cloud SQL MySQL' : 'Cloud SQL PostgreSQL')
+  },
+  { types: ['google_firestore_database', 'gcp:firestore:Database'], provider: 'gcp', name: 'Firestore', category: 'database', type: 'managed' },
+  { types: ['google_redis_instance', 'gcp:redis:Instance'], provider: 'gcp', name: 'Memorystore for Redis', category: 'cache', type: 'managed' },
+  { types: ['google_storage_bucket', 'gcp:storage:Bucket'], provider: 'gcp', name: 'Cloud Storage', category: 'storage', type: 'managed' },
+  { types: ['google_pubsub_topic', 'gcp:pubsub:Topic'], provider: 'gcp', name: 'Pub/Sub', category: 'messaging', type: 'serverless' }
+];
+
+const RESOURCE_LOOKUP = new Map(
+  RESOURCE_SERVICES.flatMap(entry => entry.types.map(type => [type, entry]))
+);
+
+/**
+ * Popular Terraform registry modules and the primary resource they create
+ */
+const TERRAFORM_MODULE_RESOURCES = {
+  'terraform-aws-modules/eks/aws': 'aws_eks_cluster',
+  'terraform-aws-modules/rds/aws': 'aws_db_instance',
+  'terraform-aws-modules/rds-aurora/aws': 'aws_rds_cluster',
+  'terraform-aws-modules/lambda/aws': 'aws_lambda_function',
+  'terraform-aws-modules/s3-bucket/aws': 'aws_s3_bucket',
+  'terraform-aws-modules/sqs/aws': 'aws_sqs_queue'
+};
+
+/**
+ * CDK constructs (module and class) and the CloudFormation resource they synthesize
+ */
+const CDK_CONSTRUCTS = {
+  'aws-lambda.Function': 'AWS::Lambda::Function',
+  'aws-lambda-nodejs.NodejsFunction': 'AWS::Lambda::Function',
+  'aws-lambda-python-alpha.PythonFunction': 'AWS::Lambda::Function',
+  'aws-ec2.Instance': 'AWS::EC2::Instance',
+  'aws-ecs.FargateService': 'AWS::ECS::Service',
+  'aws-ecs-patterns.ApplicationLoadBalancedFargateService': 'AWS::ECS::Service',
+  'aws-eks.Cluster': 'AWS::EKS::Cluster',
+  'aws-rds.DatabaseInstance': 'AWS::RDS::DBInstance',
+  'aws-rds.DatabaseCluster': 'AWS::RDS::DBCluster',
+  'aws-rds.ServerlessCluster': 'AWS::RDS::DBCluster',
+  'aws-dynamodb.Table': 'AWS::DynamoDB::Table',
+  'aws-dynamodb.TableV2': 'AWS::DynamoDB::Table',
+  'aws-elasticache.CfnCacheCluster': 'AWS::ElastiCache::CacheCluster',
+  'aws-elasticache.CfnReplicationGroup': 'AWS::ElastiCache::ReplicationGroup',
+  'aws-s3.Bucket': 'AWS::S3::Bucket',
+  'aws-cloudfront.Distribution': 'AWS::CloudFront::Distribution',
+  'aws-apigateway.RestApi': 'AWS::ApiGateway::RestApi',
+  'aws-apigateway.LambdaRestApi': 'AWS::ApiGateway::RestApi',
+  'aws-apigatewayv2.HttpApi': 'AWS::ApiGatewayV2::Api',
+  'aws-sqs.Queue': 'AWS::SQS::Queue',
+  'aws-sns.Topic': 'AWS::SNS::Topic'
+};
+
+function getExtension(path) {
+  const match = path.match(/\.([^./]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Selects the IaC definitions and programs worth fetching from a repository tree
+ * CDK and Pulumi programs are read from the directories holding their project files
+ * @param {Array} entries - Repository tree entries
+ * @returns {Array<string>} - Repository-relative paths
+ */
+export function findInfrastructureFiles(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const paths = entries
+    .filter(entry => entry.type !== 'dir')
+    .map(entry => entry.path || entry.name)
+    .filter(path => !path.split('/').some(segment => IGNORED_DIRECTORIES.includes(segment)));
+  const directoryOf = (path) => path.slice(0, path.length - path.split('/').pop().length);
+  const cdkDirectories = paths.filter(path => path.split('/').pop() === 'cdk.json').map(directoryOf);
+  const pulumiDirectories = paths.filter(path => PULUMI_FILE_NAMES.includes(path.split('/').pop())).map(directoryOf);
+
+  return paths
+    .filter(path => {
+      const name = path.split('/').pop();
+      const directory = directoryOf(path);
+      const segments = path.split('/').slice(0, -1);
+
+      return getExtension(path) === 'tf' ||
+        CLOUDFORMATION_FILE_NAMES.includes(name) ||
+        /\.(template|cfn)\.(ya?ml|json)$/.test(name) ||
+        (segments.includes('cloudformation') && /\.(ya?ml|json)$/.test(name)) ||
+        SERVERLESS_FILE_NAMES.includes(name) ||
+        PULUMI_FILE_NAMES.includes(name) ||
+        name === 'cdk.json' ||
+        (pulumiDirectories.includes(directory) && PULUMI_PROGRAM_FILES.includes(name)) ||
+        cdkDirectories.some(cdkDirectory =>
+          path.startsWith(cdkDirectory) &&
+          ['ts', 'js', 'py'].includes(getExtension(path)) &&
+          !name.endsWith('.d.ts') &&
+          path.slice(cdkDirectory.length).split('/').length <= 3
+        );
+    })
+    .slice(0, MAX_INFRASTRUCTURE_FILES);
+}
+
+/**
+ * Resolves the cloud service behind a declared resource
+ * @param {string} type - Terraform type, CloudFormation type or Pulumi token
+ * @param {object} attributes - Resource attributes with lower-cased keys
+ * @returns {{provider: string, name: string, category: string, type: string}|null}
+ */
+export function resolveResourceService(type, attributes = {}) {
+  const entry = RESOURCE_LOOKUP.get(type);
+  if (!entry) {
+    return null;
+  }
+
+  const engine = String(attributes.engine || attributes.database_version || attributes.databaseversion || '').toLowerCase();
+  return {
+    provider: entry.provider,
+    name: entry.engine ? entry.engine(engine) : entry.name,
+    category: entry.category,
+    type: entry.type
+  };
+}
+
+function getProviderFromType(type) {
+  if (type.startsWith('AWS::') || type.startsWith('aws')) return 'aws';
+  if (type.startsWith('azurerm_') || type.startsWith('azure')) return 'azure';
+  if (type.startsWith('google_') || type.startsWith('gcp:')) return 'gcp';
+  return null;
+}
+
+function createResource(tool, type, name, source, attributes = {}) {
+  const service = resolveResourceService(type, attributes);
+  return {
+    tool,
+    provider: service?.provider || getProviderFromType(type),
+    type,
+    name,
+    source,
+    service
+  };
+}
+
+/**
+ * Extracts the body of a block starting at an opening brace
+ */
+function readBlock(content, openIndex) {
+  let depth = 0;
+  let inString = false;
+  for (let i = openIndex; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"' && content[i - 1] !== '\\') {
+      inString = !inString;
+    } else if (!inString && char === '{') {
+      depth += 1;
+    } else if (!inString && char === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        return content.slice(openIndex + 1, i);
+      }
+    }
+  }
+  return content.slice(openIndex + 1);
+}
+
+/**
+ * Reads top-level `key = "value"` attributes of an HCL block body
+ */
+function readHclAttributes(body) {
+  const attributes = {};
+  let depth = 0;
+  body.split('\n').forEach(line => {
+    if (depth === 0) {
+      const match = line.match(/^\s*([a-z_][a-z0-9_]*)\s*=\s*"?([^"\n{[]*)"?\s*$/i);
+      if (match) {
+        attributes[match[1].toLowerCase()] = match[2].trim();
+      }
+    }
+    depth += (line.match(/[{[]/g) || []).length - (line.match(/[}\]]/g) || []).length;
+  });
+  return attributes;
+}
+
+/**
+ * Parses Terraform resource and registry module blocks
+ * @param {string} content - .tf file content
+ * @param {string} path - Repository-relative path
+ * @returns {Array} - Declared resources
+ */
+export function parseTerraform(content, path) {
+  const resources = [];
+  const withoutComments = content.replace(/^\s*(#|\/\/).*$/gm, '');
+
+  for (const match of withoutComments.matchAll(/^\s*resource\s+"([^"]+)"\s+"([^"]+)"\s*\{/gm)) {
+    const attributes = readHclAttributes(readBlock(withoutComments, match.index + match[0].length - 1));
+    const resource = createResource('terraform', match[1], match[2], path, attributes);
+    // Literal `count` meta-arguments declare several instances
+    const count = parseInt(attributes.count, 10);
+    resources.push(count > 1 ? { ...resource, instances: count } : resource);
+  }
+
+  for (const match of withoutComments.matchAll(/^\s*module\s+"([^"]+)"\s*\{/gm)) {
+    const attributes = readHclAttributes(readBlock(withoutComments, match.index + match[0].length - 1));
+    const type = TERRAFORM_MODULE_RESOURCES[attributes.source];
+    if (type) {
+      resources.push(createResource('terraform', type, match[1], path, attributes));
+    }
+  }
+
+  return resources;
+}
+
+function lowerCaseKeys(object) {
+  return Object.fromEntries(
+    Object.entries(object || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+/**
+ * Parses CloudFormation and SAM templates (YAML with intrinsic function tags, or JSON)
+ * @param {string} content - Template content
+ * @param {string} path - Repository-relative path
+ * @returns {{tool: string, resources: Array}|null} - null when the file is not a template
+ */
+export function parseCloudFormationTemplate(content, path) {
+  const template = path.endsWith('.json')
+    ? JSON.parse(content)
+    : parseYaml(content, { logLevel: 'silent' });
+
+  const resources = Object.entries(template?.Resources || {})
+    .filter(([, resource]) => typeof resource?.Type === 'string');
+  if (!template?.AWSTemplateFormatVersion && resources.length === 0) {
+    return null;
+  }
+
+  const transforms = [].concat(template.Transform || []);
+  const tool = transforms.some(transform => String(transform).startsWith('AWS::Serverless')) ||
+    resources.some(([, resource]) => resource.Type.startsWith('AWS::Serverless::'))
+    ? 'aws-sam'
+    : 'cloudformation';
+
+  return {
+    tool,
+    resources: resources.map(([name, resource]) =>
+      createResource(tool, resource.Type, name, path, lowerCaseKeys(resource.Properties))
+    )
+  };
+}
+
+/**
+ * Parses a Serverless Framework service definition
+ * Each function is a cloud function and HTTP events imply an API gateway
+ * @param {string} content - serverless.yml content
+ * @param {string} path - Repository-relative path
+ * @returns {Array} - Declared resources
+ */
+export function parseServerlessConfig(content, path) {
+  const config = parseYaml(content, { logLevel: 'silent' }) || {};
+  const provider = typeof config.provider === 'string' ? config.provider : config.provider?.name || 'aws';
+  const functionType = {
+    aws: 'AWS::Lambda::Function',
+    azure: 'azurerm_linux_function_app',
+    google: 'google_cloudfunctions_function'
+  }[provider];
+  const resources = [];
+
+  Object.entries(config.functions || {}).forEach(([name, definition]) => {
+    if (functionType) {
+      resources.push(createResource('serverless-framework', functionType, name, path));
+    }
+    const events = definition?.events || [];
+    if (provider === 'aws' && events.some(event => event?.http || event?.httpApi)) {
+      resources.push(createResource('serverless-framework', 'AWS::ApiGateway::RestApi', `${name}-http`, path));
+    }
+  });
+
+  Object.entries(config.resources?.Resources || {}).forEach(([name, resource]) => {
+    if (typeof resource?.Type === 'string') {
+      resources.push(createResource('serverless-framework', resource.Type, name, path, lowerCaseKeys(resource.Properties)));
+    }
+  });
+
+  return resources;
+}
+
+/**
+ * Normalizes Pulumi type tokens (`aws:s3/bucket:Bucket`) to `provider:module:Resource`
+ */
+function normalizePulumiType(token) {
+  const [provider, module = '', resource = ''] = token.split(':');
+  return `${provider}:${module.split('/')[0]}:${resource}`;
+}
+
+/**
+ * Parses a Pulumi YAML program's resources
+ * @param {string} content - Pulumi.yaml content
+ * @param {string} path - Repository-relative path
+ * @returns {{runtime: string|null, resources: Array}}
+ */
+export function parsePulumiProject(content, path) {
+  const project = parseYaml(content, { logLevel: 'silent' }) || {};
+  const runtime = typeof project.runtime === 'string' ? project.runtime : project.runtime?.name || null;
+
+  return {
+    runtime,
+    resources: Object.entries(project.resources || {})
+      .filter(([, resource]) => typeof resource?.type === 'string')
+      .map(([name, resource]) =>
+        createResource('pulumi', normalizePulumiType(resource.type), name, path, lowerCaseKeys(resource.properties))
+      )
+  };
+}
+
+/**
+ * Finds resources constructed in a Pulumi program (`new aws.s3.Bucket(`, `gcp.storage.Bucket(`)
+ * @param {string} content - Program source
+ * @param {string} path - Repository-relative path
+ * @returns {Array} - Declared resources
+ */
+export function parsePulumiProgram(content, path) {
+  const resources = [];
+  const pattern = /\b(aws|azure_native|azure-native|azurenative|gcp)\.(\w+)\.(\w+)\(\s*["'`]([^"'`]+)["'`]/g;
+
+  for (const match of content.matchAll(pattern)) {
+    const provider = match[1].startsWith('azure') ? 'azure-native' : match[1];
+    resources.push(createResource('pulumi', `${provider}:${match[2]}:${match[3]}`, match[4], path));
+  }
+
+  return resources;
+}
+
+/**
+ * Finds constructs instantiated in a CDK app (TypeScript, JavaScript or Python)
+ * @param {string} content - Program source
+ * @param {string} path - Repository-relative path
+ * @returns {Array} - Declared resources
+ */
+export function parseCdkProgram(content, path) {
+  const aliases = {};
+
+  // import * as lambda from 'aws-cdk-lib/aws-lambda'
+  for (const match of content.matchAll(/import\s+\*\s+as\s+(\w+)\s+from\s+['"](?:aws-cdk-lib\/|@aws-cdk\/)(aws-[\w-]+)['"]/g)) {
+    aliases[match[1]] = match[2];
+  }
+  // import { aws_lambda as lambda } from 'aws-cdk-lib' / from aws_cdk import aws_lambda as _lambda
+  for (const match of content.matchAll(/\baws_(\w+)(?:\s+as\s+(\w+))?/g)) {
+    aliases[match[2] || `aws_${match[1]}`] = `aws-${match[1].replace(/_/g, '-')}`;
+  }
+
+  const resources = [];
+  for (const match of content.matchAll(/(?:new\s+)?\b(\w+)\.(\w+)\(\s*(?:this|self|scope)\s*,\s*["']([^"']+)["']/g)) {
+    const type = CDK_CONSTRUCTS[`${aliases[match[1]]}.${match[2]}`];
+    if (type) {
+      resources.push(createResource('aws-cdk', type, match[3], path));
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * Detects the IaC tools, providers and cloud services a repository already declares
+ * @param {Array<{name: string, path: string, content: string}>} files - Files selected by findInfrastructureFiles
+ * @returns {{tools: Array<string>, providers: Array<string>, primaryProvider: string|null, resources: Array, services: Array}}
+ */
+export function detectInfrastructureAsCode(files) {
+  const tools = new Set();
+  const resources = [];
+  const pulumiDirectories = files
+    .filter(file => PULUMI_FILE_NAMES.includes(file.name))
+    .map(file => file.path.slice(0, -file.name.length));
+  const cdkDirectories = files
+    .filter(file => file.name === 'cdk.json')
+    .map(file => file.path.slice(0, -file.name.length));
+
+  files.forEach(file => {
+    const directory = file.path.slice(0, -file.name.length);
+    try {
+      if (getExtension(file.name) === 'tf') {
+        tools.add('terraform');
+        resources.push(...parseTerraform(file.content, file.path));
+      } else if (SERVERLESS_FILE_NAMES.includes(file.name)) {
+        tools.add('serverless-framework');
+        resources.push(...parseServerlessConfig(file.content, file.path));
+      } else if (PULUMI_FILE_NAMES.includes(file.name)) {
+        tools.add('pulumi');
+        resources.push(...parsePulumiProject(file.content, file.path).resources);
+      } else if (file.name === 'cdk.json') {
+        tools.add('aws-cdk');
+      } else if (pulumiDirectories.includes(directory) && PULUMI_PROGRAM_FILES.includes(file.name)) {
+        resources.push(...parsePulumiProgram(file.content, file.path));
+      } else if (cdkDirectories.some(cdkDirectory => file.path.startsWith(cdkDirectory)) && /\.(ts|js|py)$/.test(file.name)) {
+        resources.push(...parseCdkProgram(file.content, file.path));
+      } else if (/\.(ya?ml|json)$/.test(file.name)) {
+        const template = parseCloudFormationTemplate(file.content, file.path);
+        if (template) {
+          tools.add(template.tool);
+          resources.push(...template.resources);
+        }
+      }
+    } catch (error) {
+      // Unparseable definitions are skipped; the rest still describe the deployment
+    }
+  });
+
+  const services = new Map();
+  resources
+    .filter(resource => resource.service)
+    .forEach(resource => {
+      const key = `${resource.service.provider}:${resource.service.name}`;
+      const existing = services.get(key);
+      const instances = resource.instances || 1;
+      if (existing) {
+        existing.count += instances;
+        existing.resources.push(resource.name);
+        return;
+      }
+      services.set(key, { ...resource.service, count: instances, resources: [resource.name], tool: resource.tool });
+    });
+
+  const providerCounts = {};
+  resources
+    .filter(resource => resource.provider)
+    .forEach(resource => {
+      providerCounts[resource.provider] = (providerCounts[resource.provider] || 0) + 1;
+    });
+  const providers = Object.keys(providerCounts).sort((a, b) => providerCounts[b] - providerCounts[a]);
+
+  return {
+    tools: Array.from(tools),
+    providers,
+    primaryProvider: providers[0] || null,
+    resources,
+    services: Array.from(services.values())
+  };
+}
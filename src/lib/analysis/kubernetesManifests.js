@@ -0,0 +1,395 @@
+/**
+ * Kubernetes manifest analysis
+ * Extracts workloads, resource requests, autoscaling, storage and ingress from manifests and Helm values
+ */
+
+import { parse as parseYaml, parseAllDocuments } from 'yaml';
+import { COMPOSE_FILE_NAMES } from './dataStoreDetection.js';
+
+/**
+ * Directory names whose YAML files are read as Kubernetes manifests
+ */
+export const KUBERNETES_DIRECTORIES = [
+  'k8s',
+  'kubernetes',
+  'kube',
+  'manifests',
+  'deploy',
+  'deployment',
+  'deployments',
+  'kustomize',
+  'helm',
+  'charts',
+  'chart'
+];
+
+/**
+ * Upper bound on manifest files fetched per repository
+ */
+export const MAX_KUBERNETES_FILES = 40;
+
+/**
+ * Resource requests assumed for containers that declare none
+ */
+export const DEFAULT_CONTAINER_RESOURCES = { cpu: 0.25, memoryGB: 0.5 };
+
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job', 'CronJob'];
+const REPLICATED_KINDS = ['Deployment', 'StatefulSet', 'ReplicaSet'];
+const BATCH_KINDS = ['Job', 'CronJob'];
+
+const MEMORY_UNITS = {
+  Ki: 1024,
+  Mi: 1024 ** 2,
+  Gi: 1024 ** 3,
+  Ti: 1024 ** 4,
+  K: 1e3,
+  k: 1e3,
+  M: 1e6,
+  G: 1e9,
+  T: 1e12
+};
+
+// File names such as k8s-deployment.yaml or api.kubernetes.yml
+const KUBERNETES_FILE_NAME = /(^|[-_.])(k8s|kube|kubernetes)[-_.]/i;
+
+/**
+ * Selects the manifest and Helm files worth fetching from a repository tree
+ * YAML files in a Kubernetes directory or named for Kubernetes are candidates; whether they hold
+ * manifests is up to the parser. Helm `templates/` are Go templates rather than YAML and are skipped
+ * @param {Array} entries - Repository tree entries
+ * @returns {Array<string>} - Repository-relative paths
+ */
+export function findKubernetesFiles(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const paths = entries
+    .filter(entry => entry.type !== 'dir' && /\.ya?ml$/.test(entry.name))
+    .map(entry => entry.path || entry.name);
+  const chartDirectories = paths
+    .filter(path => path.split('/').pop() === 'Chart.yaml')
+    .map(path => path.slice(0, -'Chart.yaml'.length));
+
+  return paths
+    .filter(path => {
+      const segments = path.split('/');
+      const name = segments.pop();
+      if (segments.includes('templates') || COMPOSE_FILE_NAMES.includes(name)) {
+        return false;
+      }
+      return name === 'Chart.yaml' ||
+        (name === 'values.yaml' && chartDirectories.includes(path.slice(0, -name.length))) ||
+        KUBERNETES_FILE_NAME.test(name) ||
+        segments.some(segment => KUBERNETES_DIRECTORIES.includes(segment.toLowerCase()));
+    })
+    .slice(0, MAX_KUBERNETES_FILES);
+}
+
+/**
+ * Converts a Kubernetes CPU quantity (`250m`, `0.5`, `2`) to cores
+ * @param {string|number} quantity - CPU quantity
+ * @returns {number|null}
+ */
+export function parseCpuQuantity(quantity) {
+  if (quantity === undefined || quantity === null) {
+    return null;
+  }
+  const match = String(quantity).trim().match(/^(\d+(?:\.\d+)?)(m?)$/);
+  if (!match) {
+    return null;
+  }
+  const value = parseFloat(match[1]);
+  return match[2] === 'm' ? value / 1000 : value;
+}
+
+/**
+ * Converts a Kubernetes memory or storage quantity (`512Mi`, `1G`, `10Gi`) to GiB
+ * @param {string|number} quantity - Memory quantity
+ * @returns {number|null}
+ */
+export function parseMemoryQuantity(quantity) {
+  if (quantity === undefined || quantity === null) {
+    return null;
+  }
+  const match = String(quantity).trim().match(/^(\d+(?:\.\d+)?)([KkMGT]i?)?$/);
+  if (!match) {
+    return null;
+  }
+  const bytes = parseFloat(match[1]) * (match[2] ? MEMORY_UNITS[match[2]] : 1);
+  return bytes / 1024 ** 3;
+}
+
+/**
+ * Reads a container's requests, falling back to its limits
+ */
+function readResources(resources = {}) {
+  const requests = resources?.requests || {};
+  const limits = resources?.limits || {};
+  return {
+    cpu: parseCpuQuantity(requests.cpu ?? limits.cpu),
+    memoryGB: parseMemoryQuantity(requests.memory ?? limits.memory)
+  };
+}
+
+function getPodSpec(resource) {
+  if (resource.kind === 'CronJob') {
+    return resource.spec?.jobTemplate?.spec?.template?.spec || {};
+  }
+  return resource.spec?.template?.spec || {};
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + (value || 0), 0);
+}
+
+function parseWorkload(resource, source) {
+  const containers = (getPodSpec(resource).containers || []).map(container => ({
+    name: container.name,
+    image: container.image || null,
+    ...readResources(container.resources)
+  }));
+  const hasRequests = containers.some(container => container.cpu !== null || container.memoryGB !== null);
+
+  return {
+    kind: resource.kind,
+    name: resource.metadata?.name || null,
+    replicas: REPLICATED_KINDS.includes(resource.kind) ? resource.spec?.replicas ?? 1 : 1,
+    containers,
+    cpu: hasRequests ? sum(containers.map(container => container.cpu)) : null,
+    memoryGB: hasRequests ? sum(containers.map(container => container.memoryGB)) : null,
+    // StatefulSets claim their templates once per replica
+    storageGB: sum((resource.spec?.volumeClaimTemplates || []).map(template =>
+      parseMemoryQuantity(template.spec?.resources?.requests?.storage)
+    )),
+    schedule: resource.kind === 'CronJob' ? resource.spec?.schedule || null : null,
+    source
+  };
+}
+
+/**
+ * Parses a (possibly multi-document) Kubernetes manifest file
+ * @param {string} content - File content
+ * @param {string} path - Repository-relative path
+ * @returns {{workloads: Array, services: Array, ingresses: Array, autoscalers: Array, volumes: Array}}
+ */
+export function parseKubernetesManifest(content, path) {
+  const result = { workloads: [], services: [], ingresses: [], autoscalers: [], volumes: [] };
+
+  const resources = parseAllDocuments(content)
+    .filter(document => document.errors.length === 0)
+    .map(document => document.toJS())
+    // `kind: List` wraps several resources in `items`
+    .flatMap(resource => (resource?.kind === 'List' ? resource.items || [] : [resource]))
+    .filter(resource => resource?.apiVersion && resource?.kind);
+
+  resources.forEach(resource => {
+    const name = resource.metadata?.name || null;
+
+    if (WORKLOAD_KINDS.includes(resource.kind)) {
+      result.workloads.push(parseWorkload(resource, path));
+    } else if (resource.kind === 'Service') {
+      result.services.push({
+        name,
+        type: resource.spec?.type || 'ClusterIP',
+        ports: (resource.spec?.ports || []).map(port => port.port),
+        source: path
+      });
+    } else if (resource.kind === 'Ingress') {
+      result.ingresses.push({
+        name,
+        hosts: (resource.spec?.rules || []).map(rule => rule.host).filter(Boolean),
+        tls: (resource.spec?.tls || []).length > 0,
+        source: path
+      });
+    } else if (resource.kind === 'HorizontalPodAutoscaler') {
+      result.autoscalers.push({
+        name,
+        target: resource.spec?.scaleTargetRef?.name || null,
+        minReplicas: resource.spec?.minReplicas ?? 1,
+        maxReplicas: resource.spec?.maxReplicas ?? 1,
+        source: path
+      });
+    } else if (resource.kind === 'PersistentVolumeClaim') {
+      result.volumes.push({
+        name,
+        storageGB: parseMemoryQuantity(resource.spec?.resources?.requests?.storage) || 0,
+        source: path
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Reads the sizing conventions of a Helm chart's values.yaml
+ * (`replicaCount`, `resources`, `autoscaling`, `persistence`, `ingress`), at the top level
+ * and one level down for umbrella charts with a block per subchart
+ * @param {string} content - values.yaml content
+ * @param {string} chartName - Name of the chart the values belong to
+ * @param {string} path - Repository-relative path
+ * @returns {{workloads: Array, services: Array, ingresses: Array, autoscalers: Array, volumes: Array}}
+ */
+export function parseHelmValues(content, chartName, path) {
+  const result = { workloads: [], services: [], ingresses: [], autoscalers: [], volumes: [] };
+  const values = parseYaml(content);
+  if (!values || typeof values !== 'object') {
+    return result;
+  }
+
+  const isWorkloadBlock = (block) => block && typeof block === 'object' &&
+    ('replicaCount' in block || 'resources' in block || 'autoscaling' in block);
+
+  const blocks = [
+    ...(isWorkloadBlock(values) ? [[chartName, values]] : []),
+    ...Object.entries(values).filter(([, block]) => isWorkloadBlock(block))
+  ];
+
+  blocks.forEach(([name, block]) => {
+    const resources = readResources(block.resources);
+    const hasRequests = resources.cpu !== null || resources.memoryGB !== null;
+
+    result.workloads.push({
+      kind: 'HelmRelease',
+      name,
+      replicas: block.replicaCount ?? 1,
+      containers: [{ name, image: block.image?.repository || null, ...resources }],
+      cpu: hasRequests ? resources.cpu || 0 : null,
+      memoryGB: hasRequests ? resources.memoryGB || 0 : null,
+      storageGB: block.persistence?.enabled !== false
+        ? parseMemoryQuantity(block.persistence?.size) || 0
+        : 0,
+      schedule: null,
+      source: path
+    });
+
+    if (block.autoscaling?.enabled) {
+      result.autoscalers.push({
+        name,
+        target: name,
+        minReplicas: block.autoscaling.minReplicas ?? 1,
+        maxReplicas: block.autoscaling.maxReplicas ?? 1,
+        source: path
+      });
+    }
+
+    if (block.ingress?.enabled) {
+      result.ingresses.push({
+        name,
+        hosts: (block.ingress.hosts || [])
+          .map(host => (typeof host === 'string' ? host : host?.host))
+          .filter(Boolean),
+        tls: (block.ingress.tls || []).length > 0,
+        source: path
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Totals the steady-state footprint of parsed workloads
+ * Autoscaled workloads run at least their HPA minimum and at most its maximum; batch
+ * workloads are counted separately because they do not hold capacity between runs
+ * @param {{workloads: Array, autoscalers: Array, volumes: Array}} analysis - Parsed Kubernetes resources
+ * @returns {object|null} - Sizing inputs for cost estimation, or null without workloads
+ */
+export function summarizeKubernetesSizing({ workloads, autoscalers = [], volumes = [], ingresses = [] }) {
+  if (workloads.length === 0) {
+    return null;
+  }
+
+  const sizing = {
+    workloads: 0,
+    pods: 0,
+    maxPods: 0,
+    cpu: 0,
+    memoryGB: 0,
+    maxCpu: 0,
+    maxMemoryGB: 0,
+    largestPod: { cpu: 0, memoryGB: 0 },
+    storageGB: sum(volumes.map(volume => volume.storageGB)),
+    scheduledJobs: 0,
+    ingress: ingresses.length > 0,
+    assumedResources: false
+  };
+
+  workloads.forEach(workload => {
+    if (BATCH_KINDS.includes(workload.kind)) {
+      sizing.scheduledJobs += 1;
+      return;
+    }
+
+    const autoscaler = autoscalers.find(candidate => candidate.target === workload.name);
+    const replicas = autoscaler ? Math.max(workload.replicas, autoscaler.minReplicas) : workload.replicas;
+    const maxReplicas = autoscaler ? Math.max(autoscaler.maxReplicas, replicas) : replicas;
+    const cpu = workload.cpu ?? DEFAULT_CONTAINER_RESOURCES.cpu;
+    const memoryGB = workload.memoryGB ?? DEFAULT_CONTAINER_RESOURCES.memoryGB;
+    if (workload.cpu === null || workload.memoryGB === null) {
+      sizing.assumedResources = true;
+    }
+
+    sizing.workloads += 1;
+    sizing.pods += replicas;
+    sizing.maxPods += maxReplicas;
+    sizing.cpu += replicas * cpu;
+    sizing.memoryGB += replicas * memoryGB;
+    sizing.maxCpu += maxReplicas * cpu;
+    sizing.maxMemoryGB += maxReplicas * memoryGB;
+    sizing.storageGB += replicas * workload.storageGB;
+    sizing.largestPod.cpu = Math.max(sizing.largestPod.cpu, cpu);
+    sizing.largestPod.memoryGB = Math.max(sizing.largestPod.memoryGB, memoryGB);
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  ['cpu', 'memoryGB', 'maxCpu', 'maxMemoryGB', 'storageGB'].forEach(key => {
+    sizing[key] = round(sizing[key]);
+  });
+
+  return sizing;
+}
+
+/**
+ * Analyzes Kubernetes manifests and Helm charts
+ * @param {Array<{name: string, path: string, content: string}>} files - Files selected by findKubernetesFiles
+ * @returns {{workloads: Array, services: Array, ingresses: Array, autoscalers: Array, volumes: Array, helmCharts: Array, sizing: object|null}}
+ */
+export function analyzeKubernetesManifests(files) {
+  const analysis = { workloads: [], services: [], ingresses: [], autoscalers: [], volumes: [], helmCharts: [] };
+  const merge = (parsed) => {
+    Object.entries(parsed).forEach(([key, items]) => analysis[key].push(...items));
+  };
+
+  const chartDirectories = new Map();
+  files
+    .filter(file => file.name === 'Chart.yaml')
+    .forEach(file => {
+      try {
+        const chart = parseYaml(file.content) || {};
+        const directory = file.path.slice(0, -'Chart.yaml'.length);
+        chartDirectories.set(directory, chart.name || directory.split('/').filter(Boolean).pop() || 'chart');
+        analysis.helmCharts.push({ name: chart.name || null, version: chart.version || null, path: file.path });
+      } catch (error) {
+        // Malformed chart metadata leaves the chart's manifests unparsed
+      }
+    });
+
+  files
+    .filter(file => file.name !== 'Chart.yaml')
+    .forEach(file => {
+      const directory = file.path.slice(0, -file.name.length);
+      try {
+        if (file.name === 'values.yaml' && chartDirectories.has(directory)) {
+          merge(parseHelmValues(file.content, chartDirectories.get(directory), file.path));
+        } else if (!chartDirectories.has(directory)) {
+          merge(parseKubernetesManifest(file.content, file.path));
+        }
+      } catch (error) {
+        // Skip files that are not valid YAML
+      }
+    });
+
+  return { ...analysis, sizing: summarizeKubernetesSizing(analysis) };
+}
@@ -0,0 +1,63 @@
+/**
+ * Language detection from file extensions
+ * Approximates the GitHub languages breakdown for a subset of the tree
+ */
+
+export const LANGUAGE_EXTENSIONS = {
+  '.js': 'JavaScript',
+  '.jsx': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.ts': 'TypeScript',
+  '.tsx': 'TypeScript',
+  '.py': 'Python',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.java': 'Java',
+  '.kt': 'Kotlin',
+  '.kts': 'Kotlin',
+  '.scala': 'Scala',
+  '.rb': 'Ruby',
+  '.php': 'PHP',
+  '.cs': 'C#',
+  '.swift': 'Swift',
+  '.ex': 'Elixir',
+  '.exs': 'Elixir',
+  '.vue': 'Vue',
+  '.svelte': 'Svelte'
+};
+
+/**
+ * Returns the language for a file name, or null for non-source files
+ * @param {string} fileName - File name or path
+ * @returns {string|null}
+ */
+export function getLanguageForFile(fileName) {
+  const dotIndex = fileName.lastIndexOf('.');
+  if (dotIndex === -1) {
+    return null;
+  }
+  return LANGUAGE_EXTENSIONS[fileName.slice(dotIndex).toLowerCase()] || null;
+}
+
+/**
+ * Sums file sizes per language for a set of tree entries
+ * Files without a size count as one byte so small trees still register
+ * @param {Array} entries - Normalized tree entries
+ * @returns {object} - Language name to byte count
+ */
+export function detectLanguagesFromEntries(entries) {
+  const languages = {};
+
+  entries.forEach(entry => {
+    if (entry.type === 'dir') {
+      return;
+    }
+    const language = getLanguageForFile(entry.name);
+    if (language) {
+      languages[language] = (languages[language] || 0) + (entry.size || 1);
+    }
+  });
+
+  return languages;
+}
@@ -0,0 +1,270 @@
+/**
+ * Lockfile parsers
+ * Resolves the exact installed version of each declared dependency
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+import { compareVersions } from './runtimeVersions.js';
+import { getDirectory } from './workspaceDetection.js';
+
+/**
+ * Records a version, keeping the highest when a package is locked more than once
+ */
+function addVersion(versions, name, version) {
+  if (!name || !version) {
+    return;
+  }
+  if (!versions[name] || compareVersions(version, versions[name]) > 0) {
+    versions[name] = version;
+  }
+}
+
+/**
+ * Parses package-lock.json (lockfileVersion 1 to 3), top-level packages only
+ * @param {string} content - File content
+ * @returns {object} - Package name to version
+ */
+export function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const versions = {};
+
+  Object.entries(lock.packages || {}).forEach(([path, entry]) => {
+    const match = path.match(/^(?:.+\/)?node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+    // Nested node_modules hold transitive copies; the hoisted one is what the app imports
+    if (match && !path.slice(0, path.length - match[1].length - 1).includes('node_modules/')) {
+      addVersion(versions, match[1], entry.version);
+    }
+  });
+
+  Object.entries(lock.dependencies || {}).forEach(([name, entry]) => {
+    if (!versions[name]) {
+      addVersion(versions, name, entry.version);
+    }
+  });
+
+  return versions;
+}
+
+/**
+ * Parses pnpm-lock.yaml importers (v6+) or top-level dependency maps (v5)
+ * @param {string} content - File content
+ * @returns {object} - Package name to version
+ */
+export function parsePnpmLock(content) {
+  const lock = parseYaml(content) || {};
+  const versions = {};
+  // Peer-dependency suffixes: 14.1.0(react@18.2.0) or 14.1.0_react@18.2.0
+  const clean = (version) => String(version).split(/[(_]/)[0];
+
+  const fromMaps = (importer) => {
+    ['dependencies', 'devDependencies', 'optionalDependencies'].forEach(key => {
+      Object.entries(importer?.[key] || {}).forEach(([name, spec]) => {
+        const version = typeof spec === 'object' ? spec?.version : spec;
+        if (version && !String(version).startsWith('link:')) {
+          addVersion(versions, name, clean(version));
+        }
+      });
+    });
+  };
+
+  fromMaps(lock);
+  Object.values(lock.importers || {}).forEach(fromMaps);
+
+  return versions;
+}
+
+/**
+ * Parses yarn.lock in both the classic (v1) and Berry formats
+ * @param {string} content - File content
+ * @returns {object} - Package name to version
+ */
+export function parseYarnLock(content) {
+  const versions = {};
+  let currentNames = [];
+
+  content.split('\n').forEach(line => {
+    if (!line.trim() || line.startsWith('#')) {
+      return;
+    }
+
+    if (!line.startsWith(' ')) {
+      currentNames = line
+        .replace(/:$/, '')
+        .split(/,\s*/)
+        .map(descriptor => {
+          const unquoted = descriptor.replace(/^"|"$/g, '');
+          const at = unquoted.indexOf('@', 1);
+          return at === -1 ? unquoted : unquoted.slice(0, at);
+        });
+      return;
+    }
+
+    const versionMatch = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+    if (versionMatch) {
+      new Set(currentNames).forEach(name => addVersion(versions, name, versionMatch[1]));
+    }
+  });
+
+  delete versions.__metadata;
+  return versions;
+}
+
+/**
+ * Parses TOML lockfiles with `[[package]]` tables (poetry.lock, Cargo.lock)
+ * @param {string} content - File content
+ * @returns {object} - Package name to version
+ */
+export function parsePackageTableLock(content) {
+  const lock = parseToml(content);
+  const versions = {};
+  (lock.package || []).forEach(entry => addVersion(versions, entry.name, entry.version));
+  return versions;
+}
+
+/**
+ * Parses Pipfile.lock default and develop sections
+ * @param {string} content - File content
+ * @returns {object} - Package name to version
+ */
+export function parsePipfileLock(content) {
+  const lock = JSON.parse(content);
+  const versions = {};
+  ['default', 'develop'].forEach(section => {
+    Object.entries(lock[section] || {}).forEach(([name, entry]) => {
+      addVersion(versions, name, entry.version?.replace(/^==/, ''));
+    });
+  });
+  return versions;
+}
+
+/**
+ * Parses go.sum module checksums
+ * @param {string} content - File content
+ * @returns {object} - Module path to version
+ */
+export function parseGoSum(content) {
+  const versions = {};
+  content.split('\n').forEach(line => {
+    const [module, version] = line.trim().split(/\s+/);
+    if (module && version) {
+      addVersion(versions, module, version.replace(/\/go\.mod$/, ''));
+    }
+  });
+  return versions;
+}
+
+/**
+ * Parses the resolved specs of a Gemfile.lock
+ * @param {string} content - File content
+ * @returns {object} - Gem name to version
+ */
+export function parseGemfileLock(content) {
+  const versions = {};
+  // Specs sit at four spaces; their own dependencies are indented further
+  for (const match of content.matchAll(/^ {4}([^\s(]+) \(([^)]+)\)$/gm)) {
+    addVersion(versions, match[1], match[2].replace(/-[a-z].*$/, ''));
+  }
+  return versions;
+}
+
+/**
+ * Parses composer.lock packages and dev packages
+ * @param {string} content - File content
+ * @returns {object} - Package name to version
+ */
+export function parseComposerLock(content) {
+  const lock = JSON.parse(content);
+  const versions = {};
+  [...(lock.packages || []), ...(lock['packages-dev'] || [])].forEach(entry => {
+    addVersion(versions, entry.name, entry.version?.replace(/^v/, ''));
+  });
+  return versions;
+}
+
+/**
+ * Lockfile names mapped to their parsers and the manifests they lock
+ */
+export const LOCKFILE_PARSERS = {
+  'package-lock.json': { parse: parsePackageLock, manifests: ['package.json'] },
+  'pnpm-lock.yaml': { parse: parsePnpmLock, manifests: ['package.json'] },
+  'yarn.lock': { parse: parseYarnLock, manifests: ['package.json'] },
+  'poetry.lock': { parse: parsePackageTableLock, manifests: ['pyproject.toml'] },
+  'Pipfile.lock': { parse: parsePipfileLock, manifests: ['Pipfile'] },
+  'Cargo.lock': { parse: parsePackageTableLock, manifests: ['Cargo.toml'] },
+  'go.sum': { parse: parseGoSum, manifests: ['go.mod'] },
+  'Gemfile.lock': { parse: parseGemfileLock, manifests: ['Gemfile'] },
+  'composer.lock': { parse: parseComposerLock, manifests: ['composer.json'] }
+};
+
+export const LOCKFILE_NAMES = Object.keys(LOCKFILE_PARSERS);
+
+/**
+ * Parses a lockfile by file name
+ * Unknown or malformed lockfiles resolve nothing
+ * @param {string} fileName - Lockfile name
+ * @param {string} content - File content
+ * @returns {object} - Package name to resolved version
+ */
+export function parseLockfile(fileName, content) {
+  const entry = LOCKFILE_PARSERS[fileName];
+  if (!entry) {
+    return {};
+  }
+
+  try {
+    return entry.parse(content);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Returns the version a constraint pins exactly, or null for ranges
+ * @param {string|null} constraint - Declared version constraint
+ * @returns {string|null}
+ */
+export function getExactVersion(constraint) {
+  const match = constraint?.trim().match(/^(?:==|=)?\s*v?(\d+(?:\.\d+)+(?:[-+][\w.]+)?)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Annotates manifest dependencies with the version their nearest lockfile resolved
+ * Falls back to exact pins in the manifest itself (Maven, Gradle, go.mod, `==` requirements)
+ * @param {Array} packageFiles - Package files with parsed dependencies
+ * @param {Array<{name: string, path: string, versions: object}>} lockfiles - Parsed lockfiles
+ * @returns {Array} - Package files whose dependencies carry `resolvedVersion`
+ */
+export function resolveDependencyVersions(packageFiles, lockfiles) {
+  return packageFiles.map(file => {
+    const lockfile = findNearestLockfile(file, lockfiles);
+
+    return {
+      ...file,
+      dependencies: file.dependencies.map(dep => {
+        if (typeof dep === 'string') {
+          return dep;
+        }
+        const resolvedVersion = lockfile?.versions[dep.name] || getExactVersion(dep.version);
+        return resolvedVersion ? { ...dep, resolvedVersion } : dep;
+      })
+    };
+  });
+}
+
+function findNearestLockfile(packageFile, lockfiles) {
+  const candidates = lockfiles.filter(lockfile =>
+    LOCKFILE_PARSERS[lockfile.name]?.manifests.includes(packageFile.name)
+  );
+
+  // Workspace members share the lockfile of an ancestor directory
+  let directory = getDirectory(packageFile.path || packageFile.name);
+  while (true) {
+    const match = candidates.find(lockfile => getDirectory(lockfile.path || lockfile.name) === directory);
+    if (match || directory === '') {
+      return match || null;
+    }
+    directory = getDirectory(directory);
+  }
+}
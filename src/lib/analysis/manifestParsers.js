@@ -0,0 +1,441 @@
+/**
+ * Package manifest parsers
+ * Extracts declared dependencies with version constraints and scope
+ */
+
+import { parse as parseToml } from 'smol-toml';
+
+/**
+ * Dependency scopes
+ * `runtime` dependencies ship with the application, `dev` ones only build or test it
+ */
+export const DEPENDENCY_SCOPES = {
+  RUNTIME: 'runtime',
+  DEV: 'dev'
+};
+
+const PYTHON_DEV_GROUPS = ['dev', 'develop', 'development', 'test', 'tests', 'testing', 'lint', 'docs', 'typing'];
+
+const GRADLE_DEV_CONFIGURATIONS = ['compileOnly', 'annotationProcessor', 'kapt', 'ksp', 'detektPlugins', 'lintChecks'];
+
+/**
+ * Creates a dependency record
+ * @param {string} name - Package name
+ * @param {string|null} version - Version constraint as declared
+ * @param {string} scope - One of DEPENDENCY_SCOPES
+ * @param {object} extra - Ecosystem-specific fields (e.g. Maven group)
+ * @returns {{name: string, version: string|null, scope: string}}
+ */
+function dependency(name, version, scope = DEPENDENCY_SCOPES.RUNTIME, extra = {}) {
+  return { name, version: version || null, scope, ...extra };
+}
+
+/**
+ * Parses package.json dependency maps
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parsePackageJson(content) {
+  const packageJson = JSON.parse(content);
+  const fromMap = (map, scope) =>
+    Object.entries(map || {}).map(([name, version]) => dependency(name, version, scope));
+
+  return [
+    ...fromMap(packageJson.dependencies, DEPENDENCY_SCOPES.RUNTIME),
+    ...fromMap(packageJson.devDependencies, DEPENDENCY_SCOPES.DEV),
+    ...fromMap(packageJson.optionalDependencies, DEPENDENCY_SCOPES.RUNTIME)
+  ];
+}
+
+/**
+ * Parses a PEP 508 requirement string such as `uvicorn[standard]>=0.20; python_version>"3.8"`
+ * @param {string} requirement - Requirement specifier
+ * @returns {{name: string, version: string|null}|null}
+ */
+export function parsePep508(requirement) {
+  const cleaned = requirement.split(';')[0].trim();
+  const match = cleaned.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(?:@\s*(\S.*)|\(?\s*([<>=!~][^)]*)\)?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const version = (match[2] || match[3] || '').trim();
+  return { name: match[1], version: version || null };
+}
+
+/**
+ * Parses requirements.txt, ignoring comments and pip options
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseRequirementsTxt(content) {
+  return content.split('\n')
+    .map(line => line.replace(/\s+#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('-'))
+    .map(parsePep508)
+    .filter(Boolean)
+    .map(({ name, version }) => dependency(name, version));
+}
+
+/**
+ * Parses Maven dependency blocks, treating test and provided scopes as dev
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parsePomXml(content) {
+  const withoutPlugins = content.replace(/<plugins>[\s\S]*?<\/plugins>/g, '');
+  const blocks = withoutPlugins.match(/<dependency>[\s\S]*?<\/dependency>/g) || [];
+  const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>\\s*([^<]+?)\\s*</${tag}>`));
+    return match ? match[1] : null;
+  };
+
+  return blocks
+    .map(block => {
+      const name = readTag(block, 'artifactId');
+      if (!name) {
+        return null;
+      }
+      const mavenScope = readTag(block, 'scope');
+      const scope = mavenScope === 'test' || mavenScope === 'provided'
+        ? DEPENDENCY_SCOPES.DEV
+        : DEPENDENCY_SCOPES.RUNTIME;
+      return dependency(name, readTag(block, 'version'), scope, { group: readTag(block, 'groupId') });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parses Gradle dependencies from Groovy or Kotlin DSL build scripts
+ * Supports `group:name:version` strings and `group/name/version` map notation
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseGradle(content) {
+  const dependencies = [];
+  const source = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+  const configuration = '([a-zA-Z]+)';
+  const quoted = `["']([^"']+)["']`;
+
+  const scopeFor = (config) =>
+    /^(test|androidTest|debug)/.test(config) || GRADLE_DEV_CONFIGURATIONS.includes(config)
+      ? DEPENDENCY_SCOPES.DEV
+      : DEPENDENCY_SCOPES.RUNTIME;
+
+  // implementation 'g:a:v', implementation("g:a:v"), api(platform("g:a:v"))
+  const stringNotation = new RegExp(
+    `^\\s*${configuration}\\s*\\(?\\s*(?:(?:enforcedPlatform|platform)\\s*\\(\\s*)?${quoted}`,
+    'gm'
+  );
+  for (const match of source.matchAll(stringNotation)) {
+    const [group, name, version] = match[2].split(':');
+    if (name && isGradleConfiguration(match[1])) {
+      dependencies.push(dependency(name, resolvedGradleVersion(version), scopeFor(match[1]), { group }));
+    }
+  }
+
+  // implementation group: 'g', name: 'a', version: 'v' / implementation(group = "g", name = "a")
+  const mapNotation = new RegExp(
+    `^\\s*${configuration}\\s*\\(?\\s*group\\s*[:=]\\s*${quoted}\\s*,\\s*name\\s*[:=]\\s*${quoted}(?:\\s*,\\s*version\\s*[:=]\\s*${quoted})?`,
+    'gm'
+  );
+  for (const match of source.matchAll(mapNotation)) {
+    if (isGradleConfiguration(match[1])) {
+      dependencies.push(dependency(match[3], resolvedGradleVersion(match[4]), scopeFor(match[1]), { group: match[2] }));
+    }
+  }
+
+  return dependencies;
+}
+
+// Versions interpolated from properties (`$springVersion`) cannot be resolved statically
+function resolvedGradleVersion(version) {
+  return version && !version.includes('$') ? version : null;
+}
+
+function isGradleConfiguration(name) {
+  return /^(implementation|api|compile|compileOnly|runtimeOnly|runtime|annotationProcessor|kapt|ksp|detektPlugins|lintChecks)$/.test(name) ||
+    /^(test|androidTest|debug|release)[A-Z]\w*$/.test(name);
+}
+
+/**
+ * Parses go.mod `require` directives, both single-line and block form
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseGoMod(content) {
+  const dependencies = [];
+  const toDependency = (line) => {
+    const indirect = /\/\/\s*indirect/.test(line);
+    const [name, version] = line.replace(/\/\/.*$/, '').trim().split(/\s+/);
+    return name ? dependency(name, version, DEPENDENCY_SCOPES.RUNTIME, { indirect }) : null;
+  };
+
+  for (const block of content.matchAll(/^require\s*\(([\s\S]*?)^\)/gm)) {
+    block[1].split('\n').map(toDependency).filter(Boolean).forEach(dep => dependencies.push(dep));
+  }
+
+  for (const line of content.matchAll(/^require\s+([^\s(].*)$/gm)) {
+    const dep = toDependency(line[1]);
+    if (dep) {
+      dependencies.push(dep);
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * Parses Cargo.toml dependency tables, including target-specific ones
+ * Build dependencies are treated as dev since they never ship in the binary
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseCargoToml(content) {
+  const cargo = parseToml(content);
+  const fromTable = (table, scope) =>
+    Object.entries(table || {}).map(([name, spec]) =>
+      dependency(
+        typeof spec === 'object' && spec.package ? spec.package : name,
+        typeof spec === 'string' ? spec : spec?.version,
+        scope
+      )
+    );
+
+  const tables = [cargo, ...Object.values(cargo.target || {})];
+  return tables.flatMap(table => [
+    ...fromTable(table.dependencies, DEPENDENCY_SCOPES.RUNTIME),
+    ...fromTable(table['dev-dependencies'], DEPENDENCY_SCOPES.DEV),
+    ...fromTable(table['build-dependencies'], DEPENDENCY_SCOPES.DEV)
+  ]);
+}
+
+/**
+ * Parses Gemfile `gem` declarations, honouring `group` blocks and options
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseGemfile(content) {
+  const dependencies = [];
+  const groupStack = [];
+
+  const isDevGroup = (groups) =>
+    groups.length > 0 && groups.every(group => ['development', 'test'].includes(group));
+
+  content.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+
+    const groupMatch = line.match(/^group\s+(.+?)\s+do\b/);
+    if (groupMatch) {
+      groupStack.push((groupMatch[1].match(/:(\w+)|["'](\w+)["']/g) || []).map(g => g.replace(/[:"']/g, '')));
+      return;
+    }
+
+    if (/^(platforms?|source|install_if|git|github|path)\b.*\bdo\b/.test(line)) {
+      groupStack.push(null);
+      return;
+    }
+
+    if (line === 'end') {
+      groupStack.pop();
+      return;
+    }
+
+    const gemMatch = line.match(/^gem\s+["']([^"']+)["']\s*(.*)$/);
+    if (!gemMatch) {
+      return;
+    }
+
+    const args = gemMatch[2];
+    const versions = [...args.matchAll(/(?:^|,)\s*["']([~><=!]*\s*\d[^"']*)["']/g)].map(m => m[1].trim());
+    const inlineGroups = [...(args.match(/:?groups?(?::|\s*=>)\s*\[?([^\]]+)\]?/)?.[1] || '').matchAll(/:(\w+)/g)]
+      .map(m => m[1]);
+    const groups = inlineGroups.length > 0
+      ? inlineGroups
+      : groupStack.filter(Boolean).flat();
+
+    dependencies.push(dependency(
+      gemMatch[1],
+      versions.join(', '),
+      isDevGroup(groups) ? DEPENDENCY_SCOPES.DEV : DEPENDENCY_SCOPES.RUNTIME
+    ));
+  });
+
+  return dependencies;
+}
+
+/**
+ * Parses composer.json requirements, skipping PHP platform packages
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseComposerJson(content) {
+  const composer = JSON.parse(content);
+  const isPlatformPackage = (name) => name === 'php' || /^(ext|lib)-/.test(name) || !name.includes('/');
+  const fromMap = (map, scope) =>
+    Object.entries(map || {})
+      .filter(([name]) => !isPlatformPackage(name))
+      .map(([name, version]) => dependency(name, version, scope));
+
+  return [
+    ...fromMap(composer.require, DEPENDENCY_SCOPES.RUNTIME),
+    ...fromMap(composer['require-dev'], DEPENDENCY_SCOPES.DEV)
+  ];
+}
+
+/**
+ * Parses pyproject.toml dependencies from PEP 621, PEP 735 and Poetry sections
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parsePyproject(content) {
+  const pyproject = parseToml(content);
+  const dependencies = [];
+  const groupScope = (group) =>
+    PYTHON_DEV_GROUPS.includes(group.toLowerCase()) ? DEPENDENCY_SCOPES.DEV : DEPENDENCY_SCOPES.RUNTIME;
+
+  const fromRequirements = (requirements, scope) => {
+    (Array.isArray(requirements) ? requirements : []).forEach(requirement => {
+      const parsed = typeof requirement === 'string' ? parsePep508(requirement) : null;
+      if (parsed) {
+        dependencies.push(dependency(parsed.name, parsed.version, scope));
+      }
+    });
+  };
+
+  const fromPoetryTable = (table, scope) => {
+    Object.entries(table || {}).forEach(([name, spec]) => {
+      if (name.toLowerCase() === 'python') {
+        return;
+      }
+      const version = typeof spec === 'string'
+        ? spec
+        : Array.isArray(spec) ? spec.map(item => item.version).filter(Boolean).join(' || ') : spec?.version;
+      dependencies.push(dependency(name, version, scope));
+    });
+  };
+
+  // PEP 621
+  fromRequirements(pyproject.project?.dependencies, DEPENDENCY_SCOPES.RUNTIME);
+  Object.entries(pyproject.project?.['optional-dependencies'] || {}).forEach(([group, requirements]) => {
+    fromRequirements(requirements, groupScope(group));
+  });
+
+  // PEP 735 dependency groups are never installed with the package
+  Object.values(pyproject['dependency-groups'] || {}).forEach(requirements => {
+    fromRequirements(requirements, DEPENDENCY_SCOPES.DEV);
+  });
+
+  // Poetry
+  const poetry = pyproject.tool?.poetry;
+  if (poetry) {
+    fromPoetryTable(poetry.dependencies, DEPENDENCY_SCOPES.RUNTIME);
+    fromPoetryTable(poetry['dev-dependencies'], DEPENDENCY_SCOPES.DEV);
+    Object.entries(poetry.group || {}).forEach(([group, definition]) => {
+      fromPoetryTable(
+        definition.dependencies,
+        group === 'main' ? DEPENDENCY_SCOPES.RUNTIME : DEPENDENCY_SCOPES.DEV
+      );
+    });
+  }
+
+  return dependencies;
+}
+
+/**
+ * Parses Pipfile package sections
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parsePipfile(content) {
+  const pipfile = parseToml(content);
+  const fromTable = (table, scope) =>
+    Object.entries(table || {}).map(([name, spec]) => {
+      const version = typeof spec === 'string' ? spec : spec?.version;
+      return dependency(name, version === '*' ? null : version, scope);
+    });
+
+  return [
+    ...fromTable(pipfile.packages, DEPENDENCY_SCOPES.RUNTIME),
+    ...fromTable(pipfile['dev-packages'], DEPENDENCY_SCOPES.DEV)
+  ];
+}
+
+/**
+ * Parses setup.py `install_requires`, `tests_require` and `extras_require` literals
+ * @param {string} content - File content
+ * @returns {Array}
+ */
+export function parseSetupPy(content) {
+  const dependencies = [];
+  const stringLiterals = (source) =>
+    [...source.matchAll(/["']([^"']+)["']/g)].map(match => match[1]);
+  const fromList = (source, scope) => {
+    stringLiterals(source).map(parsePep508).filter(Boolean).forEach(({ name, version }) => {
+      dependencies.push(dependency(name, version, scope));
+    });
+  };
+
+  const installRequires = content.match(/install_requires\s*=\s*\[([\s\S]*?)\]/);
+  if (installRequires) {
+    fromList(installRequires[1], DEPENDENCY_SCOPES.RUNTIME);
+  }
+
+  const testsRequire = content.match(/tests_require\s*=\s*\[([\s\S]*?)\]/);
+  if (testsRequire) {
+    fromList(testsRequire[1], DEPENDENCY_SCOPES.DEV);
+  }
+
+  const extrasRequire = content.match(/extras_require\s*=\s*\{([\s\S]*?)\}/);
+  if (extrasRequire) {
+    for (const extra of extrasRequire[1].matchAll(/["']([^"']+)["']\s*:\s*\[([\s\S]*?)\]/g)) {
+      const scope = PYTHON_DEV_GROUPS.includes(extra[1].toLowerCase())
+        ? DEPENDENCY_SCOPES.DEV
+        : DEPENDENCY_SCOPES.RUNTIME;
+      fromList(extra[2], scope);
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * Manifest file names mapped to their parsers
+ */
+export const MANIFEST_PARSERS = {
+  'package.json': parsePackageJson,
+  'requirements.txt': parseRequirementsTxt,
+  'pom.xml': parsePomXml,
+  'build.gradle': parseGradle,
+  'build.gradle.kts': parseGradle,
+  'Cargo.toml': parseCargoToml,
+  'go.mod': parseGoMod,
+  'composer.json': parseComposerJson,
+  'Gemfile': parseGemfile,
+  'setup.py': parseSetupPy,
+  'Pipfile': parsePipfile,
+  'pyproject.toml': parsePyproject
+};
+
+export const MANIFEST_FILE_NAMES = Object.keys(MANIFEST_PARSERS);
+
+/**
+ * Parses a manifest by file name
+ * Unknown or malformed manifests yield no dependencies
+ * @param {string} fileName - Manifest file name
+ * @param {string} content - File content
+ * @returns {Array<{name: string, version: string|null, scope: string}>}
+ */
+export function parseManifest(fileName, content) {
+  const parser = MANIFEST_PARSERS[fileName];
+  if (!parser) {
+    return [];
+  }
+
+  try {
+    return parser(content);
+  } catch (error) {
+    return [];
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Runtime version detection
+ * Reads pinned language runtime versions from version files and manifests
+ */
+
+import { parse as parseToml } from 'smol-toml';
+
+/**
+ * Root-level files that pin a runtime version
+ */
+export const RUNTIME_VERSION_FILES = [
+  '.nvmrc',
+  '.node-version',
+  '.python-version',
+  'runtime.txt',
+  '.ruby-version',
+  '.java-version',
+  '.go-version',
+  '.tool-versions'
+];
+
+/**
+ * Detected language names mapped to the runtime that executes them
+ */
+export const LANGUAGE_RUNTIMES = {
+  JavaScript: 'node',
+  TypeScript: 'node',
+  Python: 'python',
+  Go: 'go',
+  Java: 'java',
+  Kotlin: 'java',
+  Scala: 'java',
+  Ruby: 'ruby',
+  PHP: 'php',
+  Rust: 'rust',
+  'C#': 'dotnet'
+};
+
+const TOOL_VERSIONS_RUNTIMES = {
+  nodejs: 'node',
+  node: 'node',
+  python: 'python',
+  golang: 'go',
+  go: 'go',
+  ruby: 'ruby',
+  java: 'java',
+  php: 'php',
+  rust: 'rust',
+  dotnet: 'dotnet'
+};
+
+const MINIMUM_OPERATORS = ['>=', '>', '^', '~', '~=', '~>'];
+
+/**
+ * Compares two dotted version strings numerically, ignoring a leading `v`
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative, zero or positive like Array.prototype.sort comparators
+ */
+export function compareVersions(a, b) {
+  const parts = (version) =>
+    String(version).replace(/^v/, '').split(/[.+-]/).map(part => parseInt(part, 10));
+  const left = parts(a);
+  const right = parts(b);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const l = Number.isNaN(left[i]) ? 0 : left[i] || 0;
+    const r = Number.isNaN(right[i]) ? 0 : right[i] || 0;
+    if (l !== r) {
+      return l - r;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Reduces a version or constraint to the version it pins
+ * Lower-bound constraints (`>=18`) and ranges that allow newer releases (`^3.10`, `~3.10`,
+ * `~=3.8`, `~> 3.2`) are flagged as minimums rather than pins
+ * @param {string} constraint - Version or constraint string
+ * @returns {{version: string, minimum: boolean}|null}
+ */
+export function normalizeVersionConstraint(constraint) {
+  if (!constraint || typeof constraint !== 'string') {
+    return null;
+  }
+
+  const first = constraint.split(/\s*(?:,|\|\|)\s*/)[0].trim();
+  const match = first.match(/^(>=|>|\^|~=|~>|~|==|=)?\s*v?(\d+(?:\.\d+)*)/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    version: match[2],
+    minimum: MINIMUM_OPERATORS.includes(match[1])
+  };
+}
+
+/**
+ * Detects runtime versions from version files and manifests
+ * Dedicated version files take precedence over manifest constraints
+ * @param {Array<{name: string, path: string, content: string}>} files - Root package and version files
+ * @returns {object} - Runtime name to {version, minimum, source}
+ */
+export function detectRuntimeVersions(files) {
+  const runtimes = {};
+  const rootFile = (name) => files.find(file => (file.path || file.name) === name);
+
+  const record = (runtime, constraint, source) => {
+    const normalized = normalizeVersionConstraint(constraint);
+    if (normalized && !runtimes[runtime]) {
+      runtimes[runtime] = { ...normalized, source };
+    }
+  };
+
+  const readText = (name) => rootFile(name)?.content.trim().split('\n')[0].trim();
+
+  record('node', readText('.nvmrc'), '.nvmrc');
+  record('node', readText('.node-version'), '.node-version');
+  record('python', readText('.python-version'), '.python-version');
+  record('ruby', readText('.ruby-version')?.replace(/^ruby-/, ''), '.ruby-version');
+  record('java', readText('.java-version'), '.java-version');
+  record('go', readText('.go-version'), '.go-version');
+
+  const runtimeTxt = readText('runtime.txt');
+  if (runtimeTxt?.startsWith('python-')) {
+    record('python', runtimeTxt.slice('python-'.length), 'runtime.txt');
+  }
+
+  const toolVersions = rootFile('.tool-versions');
+  if (toolVersions) {
+    toolVersions.content.split('\n').forEach(line => {
+      const [tool, version] = line.replace(/#.*$/, '').trim().split(/\s+/);
+      const runtime = TOOL_VERSIONS_RUNTIMES[tool];
+      if (runtime && version) {
+        // asdf java versions carry a distribution prefix (temurin-17.0.9)
+        record(runtime, version.replace(/^[a-z]+-/, ''), '.tool-versions');
+      }
+    });
+  }
+
+  const packageJson = readJson(rootFile('package.json'));
+  record('node', packageJson?.engines?.node, 'package.json engines');
+
+  const pyproject = readToml(rootFile('pyproject.toml'));
+  record('python', pyproject?.project?.['requires-python'], 'pyproject.toml');
+  record('python', pyproject?.tool?.poetry?.dependencies?.python, 'pyproject.toml');
+
+  const goMod = rootFile('go.mod');
+  const goDirective = goMod?.content.match(/^go\s+(\d+(?:\.\d+)*)/m);
+  record('go', goDirective?.[1], 'go.mod');
+
+  const gemfile = rootFile('Gemfile');
+  const rubyDirective = gemfile?.content.match(/^ruby\s+["']([^"']+)["']/m);
+  record('ruby', rubyDirective?.[1], 'Gemfile');
+
+  const composer = readJson(rootFile('composer.json'));
+  record('php', composer?.require?.php, 'composer.json');
+
+  const pomXml = rootFile('pom.xml');
+  const javaProperty = pomXml?.content.match(
+    /<(java\.version|maven\.compiler\.release|maven\.compiler\.target)>\s*([^<]+?)\s*</
+  );
+  // Java 8 and earlier are written as 1.8
+  record('java', javaProperty?.[2].replace(/^1\.(\d+)$/, '$1'), 'pom.xml');
+
+  const gradle = rootFile('build.gradle') || rootFile('build.gradle.kts');
+  const gradleJava = gradle?.content.match(
+    /(?:jvmToolchain\s*\(\s*|JavaLanguageVersion\.of\s*\(\s*|JavaVersion\.VERSION_(?:1_)?)(\d+)/
+  );
+  record('java', gradleJava?.[1], gradle?.name);
+
+  return runtimes;
+}
+
+/**
+ * Checks a detected runtime version against a list of supported versions
+ * Supported entries match by prefix, so `20` covers `20.11.1` and `*` covers anything
+ * @param {{version: string, minimum: boolean}} detected - Detected runtime version
+ * @param {Array<string>} supportedVersions - Versions a service supports
+ * @returns {boolean}
+ */
+export function isVersionSupported(detected, supportedVersions) {
+  if (supportedVersions.includes('*')) {
+    return true;
+  }
+
+  if (detected.minimum) {
+    return supportedVersions.some(supported => compareVersions(supported, detected.version) >= 0);
+  }
+
+  const detectedParts = detected.version.split('.');
+  return supportedVersions.some(supported => {
+    const supportedParts = supported.split('.');
+    // A bare major pin such as `3` for Python fits any supported 3.x
+    const length = Math.min(supportedParts.length, detectedParts.length);
+    return supportedParts.slice(0, length).join('.') === detectedParts.slice(0, length).join('.');
+  });
+}
+
+function readJson(file) {
+  if (!file) return null;
+  try {
+    return JSON.parse(file.content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function readToml(file) {
+  if (!file) return null;
+  try {
+    return parseToml(file.content);
+  } catch (error) {
+    return null;
+  }
+}
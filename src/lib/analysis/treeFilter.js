@@ -0,0 +1,203 @@
+/**
+ * Repository tree filtering utilities
+ * Normalizes git tree listings and applies depth, ignore and size limits
+ */
+
+/**
+ * Directories that never contain deployable source worth analyzing
+ */
+export const DEFAULT_IGNORE_PATTERNS = [
+  '**/node_modules/**',
+  '**/vendor/**',
+  '**/.git/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/target/**',
+  '**/coverage/**',
+  '**/.next/**',
+  '**/__pycache__/**',
+  '**/.venv/**',
+  '**/venv/**'
+];
+
+export const DEFAULT_TREE_OPTIONS = {
+  maxDepth: 6,
+  maxFiles: 5000,
+  ignore: DEFAULT_IGNORE_PATTERNS
+};
+
+/**
+ * Converts a glob pattern into a regular expression
+ * Supports `**`, `*`, `?` and `{a,b}` alternation
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  return new RegExp(`^${globToSource(pattern)}$`);
+}
+
+function globToSource(pattern) {
+  let source = '';
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+
+    if (char === '*') {
+      if (pattern[index + 1] === '*') {
+        // `**/` matches zero or more whole directories
+        if (pattern[index + 2] === '/') {
+          source += '(?:.*/)?';
+          index += 3;
+        } else {
+          source += '.*';
+          index += 2;
+        }
+        continue;
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', index);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        // Each alternative is a glob of its own, so `{*.yml,*.yaml}` keeps its wildcards
+        const options = pattern.slice(index + 1, end).split(',').map(globToSource);
+        source += `(?:${options.join('|')})`;
+        index = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+    index++;
+  }
+
+  return source;
+}
+
+/**
+ * Checks whether a path matches a glob pattern
+ * Directory patterns ending in `/**` also match the directory itself
+ * @param {string} path - Repository-relative path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(path, pattern) {
+  if (globToRegExp(pattern).test(path)) {
+    return true;
+  }
+  if (pattern.endsWith('/**')) {
+    return globToRegExp(pattern.slice(0, -3)).test(path);
+  }
+  return false;
+}
+
+/**
+ * Returns the directory depth of a path (root entries have depth 0)
+ * @param {string} path - Repository-relative path
+ * @returns {number}
+ */
+export function getPathDepth(path) {
+  return path.split('/').length - 1;
+}
+
+/**
+ * Normalizes a git trees API listing to the contents API entry shape
+ * @param {Array} tree - Entries from `/git/trees/{ref}?recursive=1`
+ * @returns {Array<{name: string, path: string, type: string, sha: string, size: number}>}
+ */
+export function normalizeTreeEntries(tree) {
+  if (!Array.isArray(tree)) {
+    return [];
+  }
+
+  return tree
+    .filter(entry => entry.type === 'blob' || entry.type === 'tree')
+    .map(entry => ({
+      name: entry.path.split('/').pop(),
+      path: entry.path,
+      type: entry.type === 'tree' ? 'dir' : 'file',
+      sha: entry.sha,
+      size: entry.size || 0
+    }));
+}
+
+/**
+ * Normalizes a subdirectory scope to a repository-relative path without surrounding slashes
+ * @param {string|null} path - Subdirectory path
+ * @returns {string} - Empty for the repository root
+ */
+export function normalizeScopePath(path) {
+  return String(path || '').replace(/\\/g, '/').replace(/^(?:\.?\/)+|\/+$/g, '').replace(/\/{2,}/g, '/').replace(/^\.$/, '');
+}
+
+/**
+ * Maps a path in a scoped tree back to its repository path
+ * @param {string} scope - Normalized subdirectory scope
+ * @param {string} path - Path relative to the scope
+ * @returns {string}
+ */
+export function resolveScopedPath(scope, path) {
+  return scope ? `${scope}/${path}` : path;
+}
+
+/**
+ * Applies subdirectory scope, depth, ignore and file-count limits to a normalized tree
+ * A scoped tree keeps only the entries under `path`, relative to it, so depth counts from the scope
+ * @param {Array} entries - Normalized tree entries
+ * @param {object} options - {maxDepth, maxFiles, ignore, path}
+ * @returns {{entries: Array, truncated: boolean}}
+ */
+export function filterTree(entries, options = {}) {
+  const { maxDepth, maxFiles, ignore } = { ...DEFAULT_TREE_OPTIONS, ...options };
+  const scope = normalizeScopePath(options.path);
+  const ignoreMatchers = ignore.map(globToRegExp);
+  const directoryMatchers = ignore
+    .filter(pattern => pattern.endsWith('/**'))
+    .map(pattern => globToRegExp(pattern.slice(0, -3)));
+
+  const isIgnored = (path) =>
+    ignoreMatchers.some(matcher => matcher.test(path)) ||
+    directoryMatchers.some(matcher => matcher.test(path));
+
+  const filtered = [];
+  let fileCount = 0;
+  let truncated = false;
+
+  for (const repositoryEntry of entries) {
+    const repositoryPath = repositoryEntry.path || repositoryEntry.name;
+    if (scope && !repositoryPath.startsWith(`${scope}/`)) {
+      continue;
+    }
+
+    const path = scope ? repositoryPath.slice(scope.length + 1) : repositoryPath;
+    const entry = scope ? { ...repositoryEntry, path } : repositoryEntry;
+
+    if (isIgnored(path)) {
+      continue;
+    }
+    if (getPathDepth(path) > maxDepth) {
+      truncated = true;
+      continue;
+    }
+
+    if (entry.type === 'file') {
+      if (fileCount >= maxFiles) {
+        truncated = true;
+        continue;
+      }
+      fileCount++;
+    }
+
+    filtered.push(entry);
+  }
+
+  return { entries: filtered, truncated };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+}
+
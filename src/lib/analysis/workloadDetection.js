@@ -0,0 +1,151 @@
+/**
+ * Workload detection
+ * Scans a bounded sample of source files for the shape of what the code runs: a long-running
+ * HTTP API, background workers, scheduled jobs or realtime connections
+ */
+
+import { NON_DEPLOYABLE_DIRECTORIES } from './workspaceDetection.js';
+
+/**
+ * Workload types; servers, realtime connections and queue workers need a process that stays up.
+ * An API that only exports request handlers (rules with `longRunning: false`) also fits functions
+ */
+export const WORKLOAD_TYPES = {
+  api: { name: 'HTTP API', longRunning: true },
+  worker: { name: 'Background worker', longRunning: true },
+  scheduled: { name: 'Scheduled job', longRunning: false },
+  realtime: { name: 'Realtime', longRunning: true }
+};
+
+/**
+ * Upper bound on source files fetched per repository
+ */
+export const MAX_SOURCE_FILES = 40;
+
+// Larger files are usually generated or bundled code
+const MAX_SOURCE_FILE_SIZE = 100 * 1024;
+
+const SOURCE_EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'mts', 'jsx', 'tsx', 'py', 'java', 'kt', 'go', 'rb', 'php', 'cs', 'rs'];
+const IGNORED_DIRECTORIES = [
+  'node_modules', 'vendor', 'dist', 'build', 'out', '.next', 'coverage', 'target', 'migrations',
+  ...NON_DEPLOYABLE_DIRECTORIES
+];
+// File names that usually hold entry points, servers and job definitions
+const ENTRY_POINT_PATTERN = /^(index|main|server|app|application|worker|workers|jobs?|cron|scheduler|tasks?|celery|consumer|queue|socket|websocket|ws|gateway|program|startup|wsgi|asgi|handlers?|lambda)\b|Application\.(java|kt)$/i;
+
+/**
+ * Source patterns per workload type; a rule with several patterns needs all of them, and a rule's
+ * longRunning overrides its type's
+ */
+const WORKLOAD_RULES = [
+  { type: 'api', label: 'listen()', patterns: [/\b(app|server|fastify|instance|httpServer)\.listen\s*\(/] },
+  { type: 'api', label: 'uvicorn.run', patterns: [/\buvicorn\.run\s*\(/] },
+  { type: 'api', label: 'app.run', patterns: [/\bapp\.run\s*\(/, /\b(flask|Flask)\b/] },
+  { type: 'api', label: 'ListenAndServe', patterns: [/\bhttp\.ListenAndServe(TLS)?\s*\(/] },
+  { type: 'api', label: 'Bun.serve', patterns: [/\b(Bun|Deno)\.serve\s*\(/] },
+  { type: 'api', label: '@SpringBootApplication', patterns: [/@SpringBootApplication\b/, /\bspring-boot-starter-web\b|@RestController\b|SpringApplication\.run\s*\(/] },
+  { type: 'api', label: 'Lambda handler', longRunning: false, patterns: [/\bexports\.handler\s*=|\bexport\s+(const|(async\s+)?function)\s+handler\b|\bdef\s+(lambda_)?handler\s*\(\s*event\s*,\s*context\s*\)/] },
+  { type: 'api', label: 'Vercel function', longRunning: false, patterns: [/\bexport\s+default\s+(async\s+)?function\s*\w*\s*\(\s*req\s*,\s*res\s*\)/] },
+  { type: 'api', label: 'Azure Functions trigger', longRunning: false, patterns: [/['"]@azure\/functions['"]/, /\bapp\.http\s*\(/] },
+  { type: 'api', label: 'Cloud Functions handler', longRunning: false, patterns: [/\bfunctions\.http\s*\(/] },
+  { type: 'worker', label: 'BullMQ worker', patterns: [/['"]bullmq['"]/, /\bnew Worker\s*\(/] },
+  { type: 'worker', label: 'Bull queue processor', patterns: [/['"]bull['"]/, /\.process\s*\(/] },
+  { type: 'worker', label: 'Celery task', patterns: [/\b(celery|Celery)\b/, /@(\w+\.)?(shared_)?task\b/] },
+  { type: 'worker', label: 'Sidekiq job', patterns: [/include Sidekiq::(Worker|Job)\b/] },
+  { type: 'worker', label: 'SQS consumer', patterns: [/\bReceiveMessageCommand\b|\.receiveMessage\s*\(|\breceive_message\s*\(|['"]sqs-consumer['"]|@SqsListener\b/] },
+  { type: 'worker', label: 'Pub/Sub subscriber', patterns: [/\bsubscription\s*\([^)]*\)/, /\.on\s*\(\s*['"]message['"]/] },
+  { type: 'worker', label: 'Pub/Sub subscriber', patterns: [/\bSubscriberClient\s*\(/] },
+  { type: 'worker', label: 'Kafka consumer', patterns: [/\.consumer\s*\(\s*\{|\bKafkaConsumer\s*\(|@KafkaListener\b/] },
+  { type: 'worker', label: 'RabbitMQ consumer', patterns: [/\bbasic_consume\s*\(|\bchannel\.consume\s*\(|@RabbitListener\b/] },
+  { type: 'worker', label: 'Service Bus receiver', patterns: [/\bcreateReceiver\s*\(|\bServiceBusProcessor\b/] },
+  { type: 'scheduled', label: '@Scheduled', patterns: [/@Scheduled\s*\(/] },
+  { type: 'scheduled', label: 'cron.schedule', patterns: [/\bcron\.schedule\s*\(/] },
+  { type: 'scheduled', label: 'CronJob', patterns: [/\bnew CronJob\s*\(/] },
+  { type: 'scheduled', label: '@Cron', patterns: [/@Cron\s*\(/] },
+  { type: 'scheduled', label: 'scheduleJob', patterns: [/\bscheduleJob\s*\(/] },
+  { type: 'scheduled', label: 'APScheduler', patterns: [/\b(Blocking|Background|AsyncIO)Scheduler\s*\(/] },
+  { type: 'scheduled', label: 'schedule.every', patterns: [/\bschedule\.every\s*\(/] },
+  { type: 'scheduled', label: 'Celery beat', patterns: [/\bbeat_schedule\b/] },
+  { type: 'scheduled', label: 'robfig/cron', patterns: [/robfig\/cron/] },
+  { type: 'realtime', label: 'WebSocketServer', patterns: [/\bnew (WebSocketServer|WebSocket\.Server)\s*\(/] },
+  { type: 'realtime', label: 'Socket.IO', patterns: [/(from|require\()\s*['"]socket\.io['"]/] },
+  { type: 'realtime', label: '@WebSocketGateway', patterns: [/@WebSocketGateway\b/] },
+  { type: 'realtime', label: 'websocket route', patterns: [/@(app|router)\.websocket\s*\(|\bwebsockets\.serve\s*\(/] },
+  { type: 'realtime', label: 'Django Channels consumer', patterns: [/\b(Async)?WebsocketConsumer\b/] },
+  { type: 'realtime', label: 'gorilla/websocket', patterns: [/gorilla\/websocket/] },
+  { type: 'realtime', label: '@ServerEndpoint', patterns: [/@ServerEndpoint\b|@EnableWebSocket\b/] },
+  { type: 'realtime', label: 'Action Cable channel', patterns: [/<\s*ApplicationCable::Channel\b/] }
+];
+
+function getExtension(path) {
+  const match = path.match(/\.([^./]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Selects a bounded sample of source files, entry points and shallow files first
+ * @param {Array} entries - Repository tree entries
+ * @param {number} limit - Maximum number of files
+ * @returns {Array<string>} - Repository-relative paths
+ */
+export function selectSourceSample(entries, limit = MAX_SOURCE_FILES) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  return entries
+    .filter(entry =>
+      entry.type !== 'dir' &&
+      (entry.size === undefined || entry.size <= MAX_SOURCE_FILE_SIZE)
+    )
+    .map(entry => entry.path || entry.name)
+    .filter(path => {
+      const name = path.split('/').pop();
+      return SOURCE_EXTENSIONS.includes(getExtension(path)) &&
+        !/\.(test|spec|d|min)\.[^.]+$/.test(name) &&
+        !path.split('/').some(segment => IGNORED_DIRECTORIES.includes(segment));
+    })
+    .map((path, index) => ({
+      path,
+      index,
+      entryPoint: ENTRY_POINT_PATTERN.test(path.split('/').pop()),
+      depth: path.split('/').length
+    }))
+    .sort((a, b) => (b.entryPoint - a.entryPoint) || (a.depth - b.depth) || (a.index - b.index))
+    .slice(0, limit)
+    .map(candidate => candidate.path);
+}
+
+/**
+ * Detects workload descriptors from sampled source files
+ * @param {Array<{name: string, path: string, content: string}>} files - Files selected by selectSourceSample
+ * @returns {Array<{type: string, name: string, longRunning: boolean, evidence: Array<string>, sources: Array<string>}>}
+ */
+export function detectWorkloads(files) {
+  const workloads = new Map();
+
+  files.forEach(file => {
+    const path = file.path || file.name;
+    WORKLOAD_RULES
+      .filter(rule => rule.patterns.every(pattern => pattern.test(file.content)))
+      .forEach(rule => {
+        if (!workloads.has(rule.type)) {
+          workloads.set(rule.type, { type: rule.type, ...WORKLOAD_TYPES[rule.type], longRunning: false, evidence: [], sources: [] });
+        }
+        const workload = workloads.get(rule.type);
+        // One server among request handlers keeps the workload up
+        workload.longRunning ||= rule.longRunning ?? WORKLOAD_TYPES[rule.type].longRunning;
+        const evidence = `${rule.label} in ${path}`;
+        if (!workload.evidence.includes(evidence)) {
+          workload.evidence.push(evidence);
+        }
+        if (!workload.sources.includes(path)) {
+          workload.sources.push(path);
+        }
+      });
+  });
+
+  return Object.keys(WORKLOAD_TYPES)
+    .filter(type => workloads.has(type))
+    .map(type => workloads.get(type));
+}
@@ -0,0 +1,295 @@
+/**
+ * Monorepo workspace detection
+ * Identifies workspace tooling and the directories of deployable components
+ */
+
+import { parse as parseYaml } from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+import { globToRegExp } from './treeFilter.js';
+
+/**
+ * Root-level files that declare workspace layouts beyond the package manifests
+ */
+export const WORKSPACE_CONFIG_FILES = [
+  'pnpm-workspace.yaml',
+  'lerna.json',
+  'nx.json',
+  'turbo.json',
+  'go.work'
+];
+
+/**
+ * Directory names holding tests, fixtures, examples or documentation rather than deployable code
+ */
+export const NON_DEPLOYABLE_DIRECTORIES = [
+  'test',
+  'tests',
+  '__tests__',
+  'spec',
+  'fixtures',
+  '__fixtures__',
+  'testdata',
+  'examples',
+  'example',
+  'samples',
+  'docs'
+];
+
+/**
+ * Returns the directory part of a repository path ('' for the root)
+ * @param {string} path - Repository-relative path
+ * @returns {string}
+ */
+export function getDirectory(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Checks whether a path lies inside a directory ('' contains everything)
+ * @param {string} path - Repository-relative path
+ * @param {string} directory - Directory path
+ * @returns {boolean}
+ */
+export function isWithinDirectory(path, directory) {
+  return directory === '' || path === directory || path.startsWith(`${directory}/`);
+}
+
+/**
+ * Checks whether a file lies outside test, fixture, example and documentation directories
+ * @param {string} path - Repository-relative file path
+ * @returns {boolean}
+ */
+export function isDeployablePath(path) {
+  return !getDirectory(path).split('/').some(segment => NON_DEPLOYABLE_DIRECTORIES.includes(segment));
+}
+
+/**
+ * Detects workspace tools and member patterns from root configuration files
+ * @param {Array<{name: string, path: string, content: string}>} files - Package and workspace config files
+ * @returns {{tools: Array<string>, patterns: Array<string>, directories: Array<string>}}
+ */
+export function detectWorkspaceLayout(files) {
+  const layout = { tools: [], patterns: [], directories: [] };
+  const rootFile = (name) => files.find(file => (file.path || file.name) === name);
+
+  const addTool = (tool, patterns = [], directories = []) => {
+    if (!layout.tools.includes(tool)) {
+      layout.tools.push(tool);
+    }
+    layout.patterns.push(...patterns.map(normalizePattern));
+    layout.directories.push(...directories.map(normalizePattern));
+  };
+
+  const packageJson = readJson(rootFile('package.json'));
+  if (packageJson?.workspaces) {
+    const patterns = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : packageJson.workspaces.packages || [];
+    addTool('npm-workspaces', patterns);
+  }
+
+  const pnpmWorkspace = readYaml(rootFile('pnpm-workspace.yaml'));
+  if (pnpmWorkspace) {
+    addTool('pnpm-workspaces', pnpmWorkspace.packages || []);
+  }
+
+  const lernaJson = readJson(rootFile('lerna.json'));
+  if (lernaJson) {
+    addTool('lerna', lernaJson.packages || ['packages/*']);
+  }
+
+  if (rootFile('nx.json')) {
+    addTool('nx');
+  }
+
+  if (rootFile('turbo.json')) {
+    addTool('turborepo');
+  }
+
+  const cargoToml = readToml(rootFile('Cargo.toml'));
+  if (cargoToml?.workspace?.members) {
+    addTool('cargo-workspace', cargoToml.workspace.members);
+  }
+
+  const goWork = rootFile('go.work');
+  if (goWork) {
+    addTool('go-workspace', [], parseGoWorkDirectories(goWork.content));
+  }
+
+  const goModules = files.filter(file => file.name === 'go.mod');
+  if (goModules.length > 1) {
+    addTool('go-modules', [], goModules.map(file => getDirectory(file.path || file.name)));
+  }
+
+  const pomXml = rootFile('pom.xml');
+  const mavenModules = pomXml ? parseMavenModules(pomXml.content) : [];
+  if (mavenModules.length > 0) {
+    addTool('maven-modules', [], mavenModules);
+  }
+
+  return layout;
+}
+
+/**
+ * Resolves the directories of deployable components
+ * Without a workspace tool, a repository splits into its manifest directories only when the root
+ * has no manifest of its own; a root manifest marks a single application. Test, fixture, example
+ * and documentation directories are never components
+ * @param {object} layout - Result of detectWorkspaceLayout
+ * @param {Array} packageFiles - Package files with paths
+ * @param {Array} entries - Repository tree entries
+ * @returns {Array<string>} - Sorted component directories
+ */
+export function findComponentDirectories(layout, packageFiles, entries = []) {
+  const manifestDirectories = [
+    ...new Set(packageFiles
+      .map(file => file.path || file.name)
+      .filter(isDeployablePath)
+      .map(getDirectory))
+  ];
+  const directories = new Set();
+
+  if (layout.tools.length === 0) {
+    return manifestDirectories.length > 1 && !manifestDirectories.includes('') ? manifestDirectories.sort() : [];
+  }
+
+  const includes = layout.patterns
+    .filter(pattern => !pattern.startsWith('!'))
+    .map(globToRegExp);
+  const excludes = layout.patterns
+    .filter(pattern => pattern.startsWith('!'))
+    .map(pattern => globToRegExp(pattern.slice(1)));
+
+  manifestDirectories.forEach(directory => {
+    if (
+      directory &&
+      includes.some(regex => regex.test(directory)) &&
+      !excludes.some(regex => regex.test(directory))
+    ) {
+      directories.add(directory);
+    }
+  });
+
+  layout.directories.forEach(directory => {
+    if (manifestDirectories.includes(directory)) {
+      directories.add(directory);
+    }
+  });
+
+  if (layout.tools.includes('nx')) {
+    entries
+      .filter(entry => entry.name === 'project.json' && isDeployablePath(entry.path || entry.name))
+      .forEach(entry => directories.add(getDirectory(entry.path || entry.name)));
+  }
+
+  return [...directories].sort();
+}
+
+/**
+ * Derives a display name for a component from its manifests
+ * @param {string} directory - Component directory
+ * @param {Array} packageFiles - Package files located in the directory
+ * @returns {string}
+ */
+export function getComponentName(directory, packageFiles) {
+  for (const file of packageFiles) {
+    const name = readManifestName(file);
+    if (name) {
+      return name;
+    }
+  }
+  return directory ? directory.split('/').pop() : 'root';
+}
+
+function readManifestName(file) {
+  switch (file.name) {
+    case 'package.json':
+    case 'composer.json':
+      return readJson(file)?.name || null;
+
+    case 'Cargo.toml':
+      return readToml(file)?.package?.name || null;
+
+    case 'pyproject.toml': {
+      const pyproject = readToml(file);
+      return pyproject?.project?.name || pyproject?.tool?.poetry?.name || null;
+    }
+
+    case 'go.mod': {
+      const match = file.content.match(/^module\s+(\S+)/m);
+      return match ? match[1].split('/').pop() : null;
+    }
+
+    case 'pom.xml': {
+      const project = file.content
+        .replace(/<parent>[\s\S]*?<\/parent>/g, '')
+        .replace(/<dependencies>[\s\S]*?<\/dependencies>/g, '');
+      const match = project.match(/<artifactId>([^<]+)<\/artifactId>/);
+      return match ? match[1].trim() : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function parseGoWorkDirectories(content) {
+  const directories = [];
+  const blockMatch = content.match(/^use\s*\(([\s\S]*?)\)/m);
+
+  if (blockMatch) {
+    directories.push(...blockMatch[1].split('\n').map(line => line.replace(/\/\/.*$/, '').trim()).filter(Boolean));
+  }
+
+  const lineMatches = content.matchAll(/^use\s+([^\s(]+)/gm);
+  for (const match of lineMatches) {
+    directories.push(match[1]);
+  }
+
+  return directories;
+}
+
+function parseMavenModules(content) {
+  const modulesBlock = content.match(/<modules>([\s\S]*?)<\/modules>/);
+  if (!modulesBlock) {
+    return [];
+  }
+  return [...modulesBlock[1].matchAll(/<module>([^<]+)<\/module>/g)].map(match => match[1].trim());
+}
+
+function normalizePattern(pattern) {
+  const negated = pattern.startsWith('!');
+  const cleaned = (negated ? pattern.slice(1) : pattern)
+    .trim()
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '');
+  return negated ? `!${cleaned}` : cleaned === '.' ? '' : cleaned;
+}
+
+function readJson(file) {
+  if (!file) return null;
+  try {
+    return JSON.parse(file.content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function readYaml(file) {
+  if (!file) return null;
+  try {
+    return parseYaml(file.content) || {};
+  } catch (error) {
+    return null;
+  }
+}
+
+function readToml(file) {
+  if (!file) return null;
+  try {
+    return parseToml(file.content);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest'
+import { mkdtemp, writeFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { EXIT_CODES, parseArguments, runCli } from '../cli.js'
+
+const fixture = join(__dirname, '..', '..', 'repositories', '__tests__', 'fixtures', 'node-api')
+
+function createOutput() {
+  const output = { text: '', write: chunk => { output.text += chunk } }
+  return output
+}
+
+async function run(argv, options = {}) {
+  const stdout = createOutput()
+  const stderr = createOutput()
+  const code = await runCli(argv, { stdout, stderr, env: {}, ...options })
+  return { code, stdout: stdout.text, stderr: stderr.text }
+}
+
+describe('cloud-opti CLI', () => {
+  describe('parseArguments', () => {
+    it('should read the command, target and options', () => {
+      const { command, target, options } = parseArguments(['analyze', './repo', '-f', 'markdown', '--ref', 'main', '-q'])
+
+      expect(command).toBe('analyze')
+      expect(target).toBe('./repo')
+      expect(options).toEqual(expect.objectContaining({ format: 'markdown', ref: 'main', quiet: true }))
+    })
+
+    it('should reject unknown commands, options and formats', () => {
+      expect(() => parseArguments(['deploy'])).toThrow('Unknown command: deploy')
+      expect(() => parseArguments(['analyze', '--verbose'])).toThrow(/verbose/)
+      expect(() => parseArguments(['analyze', '.', '--format', 'csv'])).toThrow('--format must be one of table, json, markdown')
+    })
+  })
+
+  it('should print usage for --help and exit 2 without a command', async () => {
+    const help = await run(['--help'])
+    const missing = await run([])
+
+    expect(help.code).toBe(EXIT_CODES.success)
+    expect(help.stdout).toContain('Usage: cloud-opti <command>')
+    expect(missing.code).toBe(EXIT_CODES.usage)
+    expect(missing.stderr).toContain('A command is required')
+  })
+
+  it('should analyze a local directory with progress on stderr', async () => {
+    const { code, stdout, stderr } = await run(['analyze', fixture])
+
+    expect(code).toBe(EXIT_CODES.success)
+    expect(stdout).toMatch(/^REPOSITORY ANALYSIS/)
+    expect(stdout).toMatch(/Express\.js\s+framework/)
+    expect(stderr).toContain('Detecting technologies...')
+    expect(stderr).not.toContain('Fetching files (1/')
+  })
+
+  it('should print analyses as JSON without file contents', async () => {
+    const { stdout } = await run(['analyze', fixture, '--format', 'json', '--quiet'])
+    const analysis = JSON.parse(stdout)
+
+    expect(analysis.source).toBe(fixture)
+    expect(analysis.technologies.map(technology => technology.name)).toContain('Express.js')
+    expect(analysis.packageFiles.every(file => !('content' in file))).toBe(true)
+  })
+
+  describe('with input files', () => {
+    let directory
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'cloud-opti-cli-'))
+    })
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true })
+    })
+
+    it('should recommend architectures from a saved analysis as Markdown', async () => {
+      const { stdout: analysis } = await run(['analyze', fixture, '--format', 'json', '-q'])
+      await writeFile(join(directory, 'analysis.json'), analysis)
+      await writeFile(join(directory, 'requirements.json'), JSON.stringify({ scale: 'large', region: 'eu-west-1' }))
+
+      const { code, stdout } = await run(
+        ['recommend', '--analysis', 'analysis.json', '--requirements', 'requirements.json', '--format', 'markdown', '-q'],
+        { cwd: directory }
+      )
+
+      expect(code).toBe(EXIT_CODES.success)
+      expect(stdout).toMatch(/^## Architecture recommendations/)
+      expect(stdout).toContain('| ---: | --- | ---: | ---: | ---: | ---: |')
+      expect(stdout).toMatch(/\| 1 \| (AWS|Azure|Google Cloud) \| \$[\d,.]+ \|/)
+      expect(stdout).toContain('### AWS services')
+    })
+
+    it('should estimate services and match the cost calculator', async () => {
+      await writeFile(join(directory, 'services.json'), JSON.stringify({
+        services: [
+          { name: 'Lambda', category: 'compute', type: 'serverless' },
+          { name: 'RDS PostgreSQL', category: 'database', type: 'managed', quantity: 2 }
+        ]
+      }))
+
+      const { code, stdout } = await run(['estimate', '--services', 'services.json', '--provider', 'aws', '-f', 'json'], { cwd: directory })
+      const estimate = JSON.parse(stdout)
+
+      expect(code).toBe(EXIT_CODES.success)
+      expect(estimate.provider).toBe('aws')
+      expect(Object.keys(estimate.breakdown)).toEqual(['Lambda', 'RDS PostgreSQL'])
+      expect(estimate.monthly).toBeCloseTo(estimate.breakdown.Lambda.monthly + estimate.breakdown['RDS PostgreSQL'].monthly, 2)
+    })
+
+    it('should exit 2 for unreadable or invalid input files', async () => {
+      await writeFile(join(directory, 'services.json'), '[{"category": "compute"}]')
+      await writeFile(join(directory, 'broken.json'), '{')
+      await writeFile(join(directory, 'requirements.json'), '{"traffic": "spiky"}')
+
+      const missing = await run(['estimate', '--services', 'missing.json', '--provider', 'aws'], { cwd: directory })
+      const unnamed = await run(['estimate', '--services', 'services.json', '--provider', 'aws'], { cwd: directory })
+      const broken = await run(['recommend', '--analysis', 'broken.json'], { cwd: directory })
+      const provider = await run(['estimate', '--services', 'services.json', '--provider', 'ibm'], { cwd: directory })
+      const requirements = await run(['recommend', fixture, '-r', 'requirements.json', '-q'], { cwd: directory })
+
+      expect([missing.code, unnamed.code, broken.code, provider.code, requirements.code]).toEqual(Array(5).fill(EXIT_CODES.usage))
+      expect(missing.stderr).toContain('Cannot read missing.json: file not found')
+      expect(unnamed.stderr).toContain('services must be an array of services with a name')
+      expect(broken.stderr).toContain('broken.json is not valid JSON')
+      expect(provider.stderr).toContain('provider must be one of aws, azure, gcp')
+      expect(requirements.stderr).toContain('Invalid requirements: traffic must be one of low, medium, high, variable')
+    })
+  })
+
+  it('should report repository errors with suggestions and exit 1', async () => {
+    global.fetch.mockResolvedValue(new Response(JSON.stringify({ message: 'Not Found' }), { status: 404 }))
+
+    const { code, stderr } = await run(['analyze', 'https://github.com/owner/missing', '--no-cache', '-q'])
+
+    expect(code).toBe(EXIT_CODES.error)
+    expect(stderr).toContain('Repository not found or is private')
+  })
+
+  it('should exit 130 when the analysis is cancelled', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    const { code, stderr } = await run(['analyze', fixture], { signal: controller.signal })
+
+    expect(code).toBe(EXIT_CODES.cancelled)
+    expect(stderr).toContain('Cancelled')
+  })
+})
@@ -0,0 +1,242 @@
+/**
+ * cloud-opti command-line interface
+ * Runs the analysis, recommendation and cost pipeline from scripts and CI jobs; node only
+ */
+
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { ResponseCache } from '../github/responseCache.js';
+import { FileCacheStore } from '../github/fileCacheStore.js';
+import { GitHubError, ValidationError, defaultErrorHandler } from '../github/errorHandling.js';
+import { validateRepositoryUrl } from '../repositories/providers.js';
+import { SERVER_TOKEN_VARIABLES } from '../jobs/AnalysisJobQueue.js';
+import { analyze, estimate, recommend } from '../sdk/index.js';
+import { OUTPUT_FORMATS, formatAnalysis, formatEstimate, formatRecommendations } from './formatters.js';
+
+export const USAGE = `Usage: cloud-opti <command> [options]
+
+Commands:
+  analyze <repo-url|path>      Detect the technologies a repository uses
+  recommend [<repo-url|path>]  Recommend cloud architectures with estimated costs
+  estimate                     Estimate the monthly cost of a list of services
+
+Options:
+  -f, --format <format>        Output format: table, json or markdown (default: table)
+  -r, --requirements <file>    Requirements JSON: scale, traffic, region, maxBudget, priority, ...
+      --analysis <file>        recommend: use the JSON output of \`analyze\` instead of a repository
+      --services <file>        estimate: services JSON, an array or an object with a services array
+      --provider <provider>    estimate: aws, azure or gcp
+      --ref <ref>              Branch, tag or commit to analyze
+      --directory <path>       Subdirectory of the repository to analyze
+      --token <token>          Access token; defaults to ${Object.values(SERVER_TOKEN_VARIABLES).join(', ')}
+      --cache-dir <path>       Where GitHub responses are cached (default: ~/.cache/cloud-opti)
+      --no-cache               Do not read or write the response cache
+  -q, --quiet                  Do not print progress to stderr
+  -h, --help                   Show this help
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'table' },
+  requirements: { type: 'string', short: 'r' },
+  analysis: { type: 'string' },
+  services: { type: 'string' },
+  provider: { type: 'string' },
+  ref: { type: 'string' },
+  directory: { type: 'string' },
+  token: { type: 'string' },
+  'cache-dir': { type: 'string' },
+  'no-cache': { type: 'boolean', default: false },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const COMMANDS = {
+  analyze: runAnalyze,
+  recommend: runRecommend,
+  estimate: runEstimate
+};
+
+/**
+ * Exit codes: success, failed command, invalid usage, interrupted
+ */
+export const EXIT_CODES = { success: 0, error: 1, usage: 2, cancelled: 130 };
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {{command: string|null, target: string|null, options: object}}
+ */
+export function parseArguments(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const [command = null, target = null, ...extra] = parsed.positionals;
+  const options = parsed.values;
+
+  if (options.help) {
+    return { command: null, target: null, options };
+  }
+  if (!command) {
+    throw new ValidationError('A command is required');
+  }
+  if (!COMMANDS[command]) {
+    throw new ValidationError(`Unknown command: ${command}`, 'command');
+  }
+  if (extra.length > 0) {
+    throw new ValidationError(`Unexpected argument: ${extra[0]}`);
+  }
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new ValidationError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`, 'format');
+  }
+
+  return { command, target, options };
+}
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {object} io - {stdout, stderr} writable streams; {env} environment; {cwd} directory local paths resolve
+ * against; {signal} AbortSignal that cancels a running analysis
+ * @returns {Promise<number>} - Exit code, see EXIT_CODES
+ */
+export async function runCli(argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  env = process.env,
+  cwd = process.cwd(),
+  signal = null
+} = {}) {
+  try {
+    const { command, target, options } = parseArguments(argv);
+    if (!command) {
+      stdout.write(USAGE);
+      return EXIT_CODES.success;
+    }
+
+    const context = {
+      options,
+      env,
+      cwd,
+      signal,
+      progress: options.quiet ? () => {} : message => stderr.write(`${message}\n`)
+    };
+    stdout.write(await COMMANDS[command](target, context));
+    return EXIT_CODES.success;
+  } catch (error) {
+    if (error.type === 'CANCELLED') {
+      stderr.write('Cancelled\n');
+      return EXIT_CODES.cancelled;
+    }
+    if (error instanceof ValidationError) {
+      stderr.write(`cloud-opti: ${error.message}\nRun \`cloud-opti --help\` for usage\n`);
+      return EXIT_CODES.usage;
+    }
+
+    const handledError = error instanceof GitHubError ? error : defaultErrorHandler.handleError(error, 'cloud-opti');
+    const { title, message, suggestions = [] } = defaultErrorHandler.getUserFriendlyError(handledError);
+    stderr.write(`${title}: ${message}\n${suggestions.map(suggestion => `  - ${suggestion}\n`).join('')}`);
+    return EXIT_CODES.error;
+  }
+}
+
+async function runAnalyze(target, context) {
+  if (!target) {
+    throw new ValidationError('analyze needs a repository URL or directory', 'target');
+  }
+  return formatAnalysis(await analyzeTarget(target, context), context.options.format);
+}
+
+async function runRecommend(target, context) {
+  const { options } = context;
+  if (!target && !options.analysis) {
+    throw new ValidationError('recommend needs a repository URL, a directory or --analysis <file>', 'target');
+  }
+  if (target && options.analysis) {
+    throw new ValidationError('Pass either a repository or --analysis, not both', 'analysis');
+  }
+
+  const analysis = options.analysis
+    ? await readJsonFile(options.analysis, context)
+    : await analyzeTarget(target, context);
+  if (!Array.isArray(analysis?.technologies)) {
+    throw new ValidationError(`${options.analysis} is not an analysis; create one with \`cloud-opti analyze --format json\``, 'analysis');
+  }
+
+  const requirements = await readRequirements(context);
+  context.progress('Generating architecture recommendations...');
+  return formatRecommendations(await recommend(analysis, requirements), options.format);
+}
+
+async function runEstimate(target, context) {
+  const { options } = context;
+  if (target) {
+    throw new ValidationError(`Unexpected argument: ${target}`);
+  }
+  if (!options.services) {
+    throw new ValidationError('estimate needs --services <file>', 'services');
+  }
+
+  const document = await readJsonFile(options.services, context);
+  const services = Array.isArray(document) ? document : document?.services;
+  const costs = await estimate(options.provider, services, await readRequirements(context));
+  return formatEstimate(costs, options.format);
+}
+
+/**
+ * Analyzes a local directory or a hosted repository
+ * Tokens come from --token or the host's environment variable; GitHub responses are cached on disk
+ */
+async function analyzeTarget(target, { options, env, cwd, signal, progress }) {
+  const provider = validateRepositoryUrl(target).details?.provider;
+  let stage = null;
+
+  return analyze(target, {
+    token: options.token || env[SERVER_TOKEN_VARIABLES[provider]] || null,
+    ref: options.ref,
+    path: options.directory,
+    cache: createResponseCache(options, env),
+    signal,
+    cwd,
+    onProgress: (message, percent, details = {}) => {
+      // Only stage changes; per-file counts would flood CI logs
+      if (details.stage !== stage) {
+        stage = details.stage;
+        progress(message);
+      }
+    }
+  });
+}
+
+function createResponseCache(options, env) {
+  if (options['no-cache']) {
+    return new ResponseCache();
+  }
+
+  const directory = options['cache-dir'] || join(env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'cloud-opti');
+  return new ResponseCache({ store: new FileCacheStore(directory) });
+}
+
+async function readRequirements({ options, cwd }) {
+  return options.requirements ? readJsonFile(options.requirements, { cwd }) : {};
+}
+
+async function readJsonFile(path, { cwd }) {
+  let content;
+  try {
+    content = await readFile(resolve(cwd, path), 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Cannot read ${path}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`${path} is not valid JSON: ${error.message}`);
+  }
+}
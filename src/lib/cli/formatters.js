@@ -0,0 +1,221 @@
+/**
+ * CLI report formatters
+ * Renders analyses, recommendations and cost estimates as plain-text tables for terminals,
+ * Markdown for pull request comments, or JSON for other tools
+ */
+
+export const OUTPUT_FORMATS = ['table', 'json', 'markdown'];
+
+const PROVIDER_NAMES = { aws: 'AWS', azure: 'Azure', gcp: 'Google Cloud' };
+
+const currencyFormat = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+export function formatCost(cost) {
+  return currencyFormat.format(cost || 0);
+}
+
+function formatPercent(value) {
+  return typeof value === 'number' ? `${Math.round(value * 100)}%` : '-';
+}
+
+function getProviderName(provider) {
+  return PROVIDER_NAMES[provider] || provider;
+}
+
+/**
+ * Renders rows as a space-aligned text table
+ * @param {Array<{label: string, align?: string}>} columns - Column headers; `align: 'right'` for numbers
+ * @param {Array<Array>} rows - Cell values in column order
+ * @returns {string}
+ */
+export function formatTextTable(columns, rows) {
+  const cells = rows.map(row => row.map(value => String(value ?? '')));
+  const widths = columns.map((column, index) =>
+    Math.max(column.label.length, ...cells.map(row => row[index].length))
+  );
+  const pad = (value, index) => columns[index].align === 'right'
+    ? value.padStart(widths[index])
+    : value.padEnd(widths[index]);
+  const line = values => values.map(pad).join('  ').trimEnd();
+
+  return [
+    line(columns.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+/**
+ * Renders rows as a GitHub-flavoured Markdown table
+ * @param {Array<{label: string, align?: string}>} columns - Column headers; `align: 'right'` for numbers
+ * @param {Array<Array>} rows - Cell values in column order
+ * @returns {string}
+ */
+export function formatMarkdownTable(columns, rows) {
+  const escape = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const line = values => `| ${values.join(' | ')} |`;
+
+  return [
+    line(columns.map(column => escape(column.label))),
+    line(columns.map(column => column.align === 'right' ? '---:' : '---')),
+    ...rows.map(row => line(row.map(escape)))
+  ].join('\n');
+}
+
+/**
+ * Renders a report built from sections
+ * @param {string} title - Report title
+ * @param {Array<object>} sections - {heading} with {columns, rows} for a table or {lines} for text
+ * @param {string} format - 'table' or 'markdown'
+ * @returns {string}
+ */
+export function renderReport(title, sections, format) {
+  const markdown = format === 'markdown';
+  const blocks = [markdown ? `## ${title}` : title.toUpperCase()];
+
+  for (const section of sections) {
+    if (section.rows?.length === 0 || section.lines?.length === 0) {
+      continue;
+    }
+
+    const body = section.rows
+      ? (markdown ? formatMarkdownTable : formatTextTable)(section.columns, section.rows)
+      : section.lines.map(text => markdown ? `- ${text}` : text).join('\n');
+    blocks.push(section.heading ? `${markdown ? `### ${section.heading}` : `${section.heading}:`}\n${body}` : body);
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Formats a repository analysis
+ * @param {object} analysis - analyzeRepository result, with {source} the analysed URL or path
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string}
+ */
+export function formatAnalysis(analysis, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(analysis, null, 2)}\n`;
+  }
+
+  const summary = [`Source: ${analysis.source}`];
+  if (analysis.ref?.name || analysis.ref?.sha) {
+    summary.push(`Ref: ${[analysis.ref.name, analysis.ref.sha?.slice(0, 7)].filter(Boolean).join(' @ ')}`);
+  }
+  if (analysis.path) {
+    summary.push(`Directory: ${analysis.path}`);
+  }
+  if (analysis.treeTruncated) {
+    summary.push('The repository tree was truncated; some files were not analysed');
+  }
+
+  return renderReport('Repository analysis', [
+    { lines: summary },
+    {
+      heading: 'Technologies',
+      columns: [{ label: 'Technology' }, { label: 'Category' }, { label: 'Version' }, { label: 'Confidence', align: 'right' }],
+      rows: analysis.technologies.map(technology => [
+        technology.name,
+        technology.category,
+        technology.version || '-',
+        formatPercent(technology.confidence)
+      ])
+    },
+    {
+      heading: 'Components',
+      columns: [{ label: 'Component' }, { label: 'Path' }],
+      rows: (analysis.components || []).map(component => [component.name, component.path])
+    },
+    {
+      heading: 'Infrastructure as code',
+      columns: [{ label: 'Resource' }, { label: 'Type' }, { label: 'Cloud service' }],
+      rows: (analysis.infrastructure?.resources || []).map(resource => [resource.name, resource.type, resource.service?.name || '-'])
+    }
+  ], format);
+}
+
+/**
+ * Formats ranked architecture recommendations
+ * @param {{recommendations: Array, currentArchitecture: object|null}} report - Recommendations and the declared baseline
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string}
+ */
+export function formatRecommendations({ recommendations, currentArchitecture = null }, format) {
+  if (format === 'json') {
+    return `${JSON.stringify({ recommendations, currentArchitecture }, null, 2)}\n`;
+  }
+
+  const sections = [{
+    columns: [
+      { label: 'Rank', align: 'right' },
+      { label: 'Provider' },
+      { label: 'Monthly cost', align: 'right' },
+      { label: 'Score', align: 'right' },
+      { label: 'Confidence', align: 'right' },
+      { label: 'Services', align: 'right' }
+    ],
+    rows: recommendations.map((recommendation, index) => [
+      index + 1,
+      getProviderName(recommendation.provider),
+      formatCost(recommendation.estimatedCost?.monthly),
+      formatPercent(recommendation.score),
+      formatPercent(recommendation.confidence),
+      recommendation.services.length
+    ])
+  }];
+
+  if (currentArchitecture) {
+    sections.push({
+      heading: 'Current architecture',
+      lines: [`${getProviderName(currentArchitecture.provider)}: ${formatCost(currentArchitecture.estimatedCost?.monthly)} per month`]
+    });
+  }
+
+  for (const recommendation of recommendations) {
+    sections.push({
+      heading: `${getProviderName(recommendation.provider)} services`,
+      ...formatBreakdown(recommendation.estimatedCost?.breakdown)
+    });
+  }
+
+  return renderReport('Architecture recommendations', sections, format);
+}
+
+/**
+ * Formats a cost estimate
+ * @param {object} estimate - CostCalculator.calculateCosts result with {provider}
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string}
+ */
+export function formatEstimate(estimate, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(estimate, null, 2)}\n`;
+  }
+
+  return renderReport('Cost estimate', [
+    { lines: [`${getProviderName(estimate.provider)} in ${estimate.region}: ${formatCost(estimate.monthly)} per month`] },
+    { heading: 'Services', ...formatBreakdown(estimate.breakdown) },
+    {
+      heading: 'Scaling projections',
+      columns: [{ label: 'Scale' }, { label: 'Monthly cost', align: 'right' }, { label: 'Increase', align: 'right' }],
+      rows: (estimate.scalingProjections || []).map(projection => [
+        projection.scale,
+        formatCost(projection.monthlyCost),
+        formatCost(projection.costIncrease)
+      ])
+    },
+    { heading: 'Assumptions', lines: estimate.assumptions || [] }
+  ], format);
+}
+
+function formatBreakdown(breakdown = {}) {
+  return {
+    columns: [{ label: 'Service' }, { label: 'Monthly cost', align: 'right' }],
+    rows: Object.entries(breakdown).map(([service, cost]) => [service, formatCost(cost.monthly)])
+  };
+}
@@ -6,6 +6,31 @@
 import { CloudServiceMappings } from './mappings/CloudServiceMappings.js';
 import { CostCalculator } from './cost/CostCalculator.js';
 import { RecommendationRanker } from './ranking/RecommendationRanker.js';
+import { LANGUAGE_RUNTIMES } from '../analysis/runtimeVersions.js';
+import { DATA_STORES } from '../analysis/dataStoreDetection.js';
+import { DEFAULT_CONTAINER_RESOURCES } from '../analysis/kubernetesManifests.js';
+import { CI_SYSTEMS } from '../analysis/ciWorkflows.js';
+import { DEPLOYMENT_MODELS, resolveDeploymentModel } from '../analysis/deploymentHints.js';
+import { isWithinDirectory } from '../analysis/workspaceDetection.js';
+
+// Service categories that run a component's own code
+const COMPONENT_SERVICE_CATEGORIES = ['compute', 'hosting'];
+
+const PROVIDER_NAMES = { aws: 'AWS', azure: 'Azure', gcp: 'Google Cloud' };
+
+// Components list the repository root as '.'
+const getComponentDirectory = component => (component.path === '.' ? '' : component.path);
+
+/**
+ * Finds the component a source file belongs to: the one whose directory most closely contains it,
+ * so the root component only claims files no nested component does
+ */
+function findOwningComponent(components, source) {
+  return components
+    .filter(component => isWithinDirectory(source, getComponentDirectory(component)))
+    .reduce((owner, component) =>
+      !owner || getComponentDirectory(component).length > getComponentDirectory(owner).length ? component : owner, null);
+}
 
 export class ArchitectureRecommendationService {
   constructor() {
@@ -18,9 +43,23 @@ export class ArchitectureRecommendationService {
    * Generate architecture recommendations for all cloud providers
    * @param {Array} technologies - Detected technologies with confidence scores
    * @param {Object} requirements - Additional requirements (scale, region, etc.)
+   * @param {Object} analysis - Repository analysis details (components, etc.)
    * @returns {Promise<Array>} Array of architecture recommendations
    */
-  async generateRecommendations(technologies, requirements = {}) {
+  async generateRecommendations(technologies, requirements = {}, analysis = {}) {
+    const { recommendations } = await this.generateRecommendationReport(technologies, requirements, analysis);
+    return recommendations;
+  }
+
+  /**
+   * Generate recommendations together with the baseline they were compared against
+   * @param {Array} technologies - Detected technologies with confidence scores
+   * @param {Object} requirements - Additional requirements (scale, region, etc.)
+   * @param {Object} analysis - Repository analysis details (components, infrastructure, etc.)
+   * @returns {Promise<{recommendations: Array, currentArchitecture: Object|null}>} Ranked recommendations and the
+   * estimated cost of the architecture the repository's IaC declares, priced once for both
+   */
+  async generateRecommendationReport(technologies, requirements = {}, analysis = {}) {
     try {
       const providers = ['aws', 'azure', 'gcp'];
       const recommendations = [];
@@ -29,41 +68,146 @@ export class ArchitectureRecommendationService {
         const recommendation = await this.generateProviderRecommendation(
           provider,
           technologies,
-          requirements
+          requirements,
+          analysis
         );
         recommendations.push(recommendation);
       }
 
+      // Compare against what the repository's IaC already deploys
+      const currentArchitecture = await this.estimateCurrentArchitecture(analysis.infrastructure, requirements);
+      if (currentArchitecture) {
+        recommendations.forEach(recommendation => {
+          recommendation.costComparison = this.compareWithCurrent(recommendation, currentArchitecture);
+        });
+      }
+
       // Rank recommendations by cost-effectiveness and suitability
-      return this.ranker.rankRecommendations(recommendations, requirements);
+      return {
+        recommendations: this.ranker.rankRecommendations(recommendations, requirements),
+        currentArchitecture
+      };
     } catch (error) {
       throw new Error(`Failed to generate recommendations: ${error.message}`);
     }
   }
 
+  /**
+   * Estimate the cost of the architecture a repository already declares in IaC
+   * Declared resources are priced with the same calculator as the recommendations
+   * @param {Object} infrastructure - Result of detectInfrastructureAsCode
+   * @param {Object} requirements - Additional requirements
+   * @returns {Promise<Object|null>} Baseline with provider, services and estimated cost, or null without IaC services
+   */
+  async estimateCurrentArchitecture(infrastructure, requirements = {}) {
+    if (!infrastructure?.services?.length) {
+      return null;
+    }
+
+    const byProvider = new Map();
+    infrastructure.services.forEach(({ count, resources, tool, provider, ...service }) => {
+      if (!byProvider.has(provider)) {
+        byProvider.set(provider, []);
+      }
+      byProvider.get(provider).push({
+        ...service,
+        provider,
+        resources,
+        // Functions and request-priced services are billed by usage, not by how many are declared
+        quantity: service.type === 'serverless' ? 1 : count
+      });
+    });
+
+    const breakdown = {};
+    let monthly = 0;
+    for (const [provider, services] of byProvider) {
+      const estimate = await this.costCalculator.calculateCosts(provider, services, requirements);
+      Object.entries(estimate.breakdown).forEach(([name, cost]) => {
+        breakdown[byProvider.size > 1 ? `${name} (${provider})` : name] = cost;
+      });
+      monthly += estimate.monthly;
+    }
+
+    return {
+      id: 'current',
+      provider: infrastructure.primaryProvider,
+      providers: infrastructure.providers,
+      tools: infrastructure.tools,
+      services: Array.from(byProvider.values()).flat(),
+      estimatedCost: {
+        monthly: Math.round(monthly * 100) / 100,
+        breakdown,
+        currency: 'USD'
+      },
+      unmappedResources: infrastructure.resources.filter(resource => !resource.service).length
+    };
+  }
+
+  /**
+   * Compare a recommendation's monthly cost with the current architecture
+   * @returns {{currentMonthly: number, monthlySavings: number, percentage: number}}
+   */
+  compareWithCurrent(recommendation, currentArchitecture) {
+    const currentMonthly = currentArchitecture.estimatedCost.monthly;
+    const monthlySavings = Math.round((currentMonthly - recommendation.estimatedCost.monthly) * 100) / 100;
+
+    return {
+      currentMonthly,
+      monthlySavings,
+      percentage: currentMonthly > 0 ? Math.round((monthlySavings / currentMonthly) * 100) : 0
+    };
+  }
+
   /**
    * Generate recommendation for a specific cloud provider
    * @param {string} provider - Cloud provider (aws, azure, gcp)
    * @param {Array} technologies - Detected technologies
    * @param {Object} requirements - Additional requirements
+   * @param {Object} analysis - Repository analysis details
    * @returns {Promise<Object>} Provider-specific recommendation
    */
-  async generateProviderRecommendation(provider, technologies, requirements) {
-    // Map technologies to cloud services
-    const services = this.mappings.mapTechnologiesToServices(provider, technologies);
+  async generateProviderRecommendation(provider, technologies, requirements, analysis = {}) {
+    const components = analysis.components || [];
+    const composeServices = (analysis.topology?.services || []).filter(node => node.origin === 'compose');
+    const kubernetesSizing = analysis.kubernetes?.sizing || null;
+    const workloads = analysis.workloads || [];
+
+    // Map technologies to cloud services that fit the workloads the code runs
+    let services = this.mappings.mapTechnologiesToServices(provider, technologies, workloads);
+
+    // Teams already on Kubernetes get a sized cluster; otherwise one cloud service per compose
+    // service, or one compute service per monorepo component
+    if (kubernetesSizing) {
+      services = this.mapKubernetesServices(provider, kubernetesSizing, services);
+    } else if (composeServices.length > 0) {
+      services = this.mapTopologyServices(provider, composeServices, components, services);
+    } else if (components.length > 1) {
+      services = this.mapComponentServices(provider, components, services, workloads);
+    }
+
+    // Pipelines that don't deploy to this provider yet get its managed CI/CD equivalent
+    services = this.mapDeliveryServices(provider, analysis.ci, services);
     
     // Apply optimization rules
-    const optimizedServices = this.applyOptimizationRules(services, requirements);
+    const optimizedServices = this.applyOptimizationRules(services, requirements, technologies, provider);
     
-    // Calculate costs
+    // Calculate costs, from measured resource requests when manifests provide them
     const costEstimate = await this.costCalculator.calculateCosts(
       provider,
       optimizedServices,
-      requirements
+      kubernetesSizing ? { ...requirements, sizing: kubernetesSizing } : requirements
     );
 
     // Generate reasoning
     const reasoning = this.generateReasoning(technologies, optimizedServices);
+    reasoning.push(...this.generateComponentReasoning(optimizedServices));
+    reasoning.push(...this.generateTopologyReasoning(optimizedServices));
+    reasoning.push(...this.generateKubernetesReasoning(optimizedServices, kubernetesSizing));
+    reasoning.push(...this.generateDeliveryReasoning(provider, analysis.ci, optimizedServices));
+    reasoning.push(...this.generateDeploymentReasoning(provider, optimizedServices));
+    reasoning.push(...this.generateWorkloadReasoning(workloads, optimizedServices));
+
+    const compatibilityWarnings = this.checkRuntimeCompatibility(technologies, optimizedServices, components);
 
     return {
       id: `${provider}-${Date.now()}`,
@@ -72,33 +216,272 @@ export class ArchitectureRecommendationService {
       estimatedCost: costEstimate,
       reasoning,
       confidence: this.calculateConfidence(technologies, optimizedServices),
-      optimizations: this.getOptimizationSuggestions(optimizedServices, requirements)
+      optimizations: this.getOptimizationSuggestions(optimizedServices, requirements),
+      compatibilityWarnings,
+      topology: this.getServiceTopology(optimizedServices)
     };
   }
 
+  /**
+   * Replace repository-wide compute and hosting services with one per component
+   * @param {string} provider - Cloud provider
+   * @param {Array} components - Components detected in the repository
+   * @param {Array} services - Services mapped from the combined technology list
+   * @param {Array} workloads - Workload descriptors; each component gets those found in its sources
+   * @returns {Array} Component compute services followed by shared services
+   */
+  mapComponentServices(provider, components, services, workloads = []) {
+    const sharedServices = services.filter(service => !COMPONENT_SERVICE_CATEGORIES.includes(service.category));
+
+    const componentServices = components
+      .map(component => {
+        const componentWorkloads = workloads.filter(workload =>
+          workload.sources.some(source => findOwningComponent(components, source)?.id === component.id)
+        );
+        const service = this.selectComputeService(provider, component.technologies || [], componentWorkloads);
+        if (!service) return null;
+
+        return {
+          ...service,
+          component: {
+            id: component.id,
+            name: component.name,
+            path: component.path
+          }
+        };
+      })
+      .filter(Boolean);
+
+    return [...componentServices, ...sharedServices];
+  }
+
+  /**
+   * Replace mapped services with one cloud service per compose service
+   * Data store images get their managed equivalent and every other service runs as a container
+   * @param {string} provider - Cloud provider
+   * @param {Array} composeServices - Compose services from the container topology
+   * @param {Array} components - Components detected in the repository
+   * @param {Array} services - Services mapped from the combined technology list
+   * @returns {Array} Compose-backed services followed by shared services not covered by compose
+   */
+  mapTopologyServices(provider, composeServices, components, services) {
+    const coveredStores = new Set();
+
+    const topologyServices = composeServices.map(node => {
+      const store = node.storeId ? DATA_STORES[node.storeId] : null;
+      const [storeService] = store
+        ? this.mappings.getServiceMappings(provider, { id: node.storeId, ...store })
+        : [];
+      if (storeService) {
+        coveredStores.add(store.name);
+      }
+
+      // Services built from a component directory inherit that component's stack
+      const component = node.build
+        ? components.find(candidate => candidate.path === node.build.context)
+        : null;
+
+      return {
+        ...(storeService || this.mappings.getContainerService(provider)),
+        supportedTechnologies: storeService
+          ? [store.name]
+          : (component?.technologies || []).map(tech => tech.name),
+        confidence: 0.9,
+        ...(component && { component: { id: component.id, name: component.name, path: component.path } }),
+        topologyService: {
+          name: node.name,
+          image: node.image,
+          ports: node.ports.map(port => port.target),
+          dependsOn: node.dependsOn
+        }
+      };
+    });
+
+    const sharedServices = services.filter(service =>
+      !COMPONENT_SERVICE_CATEGORIES.includes(service.category) &&
+      !service.supportedTechnologies?.some(name => coveredStores.has(name))
+    );
+
+    return [...topologyServices, ...sharedServices];
+  }
+
+  /**
+   * Replace compute and hosting services with a managed Kubernetes cluster
+   * @param {string} provider - Cloud provider
+   * @param {Object} sizing - Sizing from the repository's Kubernetes manifests
+   * @param {Array} services - Services mapped from the combined technology list
+   * @returns {Array} The cluster followed by shared services
+   */
+  mapKubernetesServices(provider, sizing, services) {
+    const cluster = this.mappings.getKubernetesService(provider, sizing);
+    const sharedServices = services.filter(service => !COMPONENT_SERVICE_CATEGORIES.includes(service.category));
+
+    return cluster
+      ? [{ ...cluster, supportedTechnologies: ['Kubernetes'], confidence: 0.9 }, ...sharedServices]
+      : services;
+  }
+
+  /**
+   * Add the provider's managed CI/CD service for repositories whose pipelines deploy elsewhere
+   * @param {string} provider - Cloud provider
+   * @param {Object} ci - Result of analyzeCiWorkflows
+   * @param {Array} services - Recommended services
+   * @returns {Array} Services, followed by the CI/CD equivalent when one applies
+   */
+  mapDeliveryServices(provider, ci, services) {
+    if (!ci?.systems.length || ci.deployProviders.includes(provider)) {
+      return services;
+    }
+
+    const delivery = this.mappings.getDeliveryService(provider);
+    if (!delivery) {
+      return services;
+    }
+
+    const systems = ci.systems.map(system => CI_SYSTEMS[system].name);
+    return [...services, { ...delivery, supportedTechnologies: systems, confidence: 0.8, replaces: systems }];
+  }
+
+  /**
+   * Collect the compose dependency edges between recommended services
+   * @param {Array} services - Recommended services
+   * @returns {{nodes: Array<{name: string, service: string}>, edges: Array<{from: string, to: string}>}|null}
+   */
+  getServiceTopology(services) {
+    const nodes = services.filter(service => service.topologyService);
+    if (nodes.length === 0) {
+      return null;
+    }
+
+    const names = new Set(nodes.map(service => service.topologyService.name));
+    return {
+      nodes: nodes.map(service => ({ name: service.topologyService.name, service: service.name })),
+      edges: nodes.flatMap(service =>
+        service.topologyService.dependsOn
+          .filter(target => names.has(target))
+          .map(target => ({ from: service.topologyService.name, to: target }))
+      )
+    };
+  }
+
+  /**
+   * Pick the single compute or hosting service that best fits a component
+   * Framework-specific hosting wins over generic language runtimes
+   */
+  selectComputeService(provider, technologies, workloads = []) {
+    const frameworks = technologies.filter(tech => tech.category === 'framework');
+    const frameworkServices = this.mappings.mapTechnologiesToServices(provider, frameworks, workloads);
+    const hosting = frameworkServices.find(service => COMPONENT_SERVICE_CATEGORIES.includes(service.category));
+    if (hosting) {
+      return hosting;
+    }
+
+    const runtimeServices = this.mappings
+      .mapTechnologiesToServices(provider, technologies, workloads)
+      .filter(service => COMPONENT_SERVICE_CATEGORIES.includes(service.category));
+
+    return runtimeServices.find(service => service.type === 'managed') || runtimeServices[0] || null;
+  }
+
+  /**
+   * Flag compute services whose managed runtimes cannot run the detected versions
+   * Component services are checked against their own component's languages
+   * @param {Array} technologies - Detected technologies; languages carry runtime and version
+   * @param {Array} services - Recommended services
+   * @param {Array} components - Monorepo components
+   * @returns {Array<{service: string, runtime: string, version: string, supportedVersions: Array, message: string}>}
+   */
+  checkRuntimeCompatibility(technologies, services, components = []) {
+    const warnings = [];
+
+    services
+      .filter(service => COMPONENT_SERVICE_CATEGORIES.includes(service.category))
+      .forEach(service => {
+        const component = service.component
+          ? components.find(candidate => candidate.id === service.component.id)
+          : null;
+        const candidates = component ? component.technologies || [] : technologies;
+        // A service mapped from specific languages only needs to run those
+        const mappedLanguages = candidates.filter(tech =>
+          tech.category === 'language' && service.supportedTechnologies?.includes(tech.name)
+        );
+        const runtimes = this.getPinnedRuntimes(mappedLanguages.length > 0 ? mappedLanguages : candidates);
+
+        runtimes.forEach(({ runtime, version, minimum, name }) => {
+          if (this.mappings.isRuntimeSupported(service, runtime, { version, minimum })) {
+            return;
+          }
+
+          const supportedVersions = this.mappings.getSupportedRuntimeVersions(service, runtime);
+          const location = service.component ? ` for ${service.component.name}` : '';
+          warnings.push({
+            service: service.name,
+            runtime,
+            version,
+            supportedVersions,
+            message: supportedVersions.length > 0
+              ? `${service.name}${location} does not support ${name} ${version} (supported: ${supportedVersions.join(', ')})`
+              : `${service.name}${location} has no managed runtime for ${name}`
+          });
+        });
+      });
+
+    return warnings;
+  }
+
+  /**
+   * Collect the distinct runtime versions pinned by language technologies
+   */
+  getPinnedRuntimes(technologies) {
+    const runtimes = new Map();
+    technologies
+      .filter(tech => tech.category === 'language' && tech.version)
+      .forEach(tech => {
+        // Versions entered by hand in the technology editor carry no runtime yet
+        const runtime = tech.runtime || LANGUAGE_RUNTIMES[tech.name];
+        if (runtime && !runtimes.has(runtime)) {
+          runtimes.set(runtime, {
+            runtime,
+            version: tech.version,
+            minimum: Boolean(tech.versionIsMinimum),
+            name: tech.name
+          });
+        }
+      });
+    return [...runtimes.values()];
+  }
+
   /**
    * Apply cost optimization rules to service selection
    * @param {Array} services - Initial service recommendations
    * @param {Object} requirements - Requirements and constraints
+   * @param {Array} technologies - Detected technologies; frameworks and platforms carry `deploymentHints`
+   * @param {string} provider - Cloud provider the services belong to
    * @returns {Array} Optimized service list
    */
-  applyOptimizationRules(services, requirements) {
+  applyOptimizationRules(services, requirements, technologies = [], provider = null) {
     let optimizedServices = [...services];
 
-    // Rule 1: Prefer managed services for operational efficiency
+    // Rule 1: Host frameworks the way their build and platform configuration deploys them
+    const hints = technologies.flatMap(tech => tech.deploymentHints || []);
+    if (provider && hints.length > 0) {
+      optimizedServices = this.applyDeploymentModel(provider, optimizedServices, hints);
+    }
+
+    // Rule 2: Prefer managed services for operational efficiency
     optimizedServices = this.preferManagedServices(optimizedServices);
 
-    // Rule 2: Suggest serverless for variable/low traffic
+    // Rule 3: Suggest serverless for variable/low traffic
     if (requirements.traffic === 'variable' || requirements.traffic === 'low') {
       optimizedServices = this.suggestServerlessOptions(optimizedServices);
     }
 
-    // Rule 3: Consider reserved instances for predictable workloads
+    // Rule 4: Consider reserved instances for predictable workloads
     if (requirements.workload === 'predictable') {
       optimizedServices = this.addReservedInstanceOptions(optimizedServices);
     }
 
-    // Rule 4: Optimize for region-specific services
+    // Rule 5: Optimize for region-specific services
     if (requirements.region) {
       optimizedServices = this.optimizeForRegion(optimizedServices, requirements.region);
     }
@@ -106,6 +489,64 @@ export class ArchitectureRecommendationService {
     return optimizedServices;
   }
 
+  /**
+   * Replace hosting services with the service for the resolved deployment model: static hosting,
+   * a server-rendered container or edge functions. Component services only follow hints found
+   * inside their component; providers without edge functions fall back to a container
+   * @param {string} provider - Cloud provider
+   * @param {Array} services - Recommended services
+   * @param {Array} hints - Deployment hints from the technology list
+   * @returns {Array} Services with hosting replaced, duplicates merged
+   */
+  applyDeploymentModel(provider, services, hints) {
+    const components = services.map(service => service.component).filter(Boolean);
+    const replaced = services.map(service => {
+      if (service.category !== 'hosting') {
+        return service;
+      }
+
+      const scopedHints = service.component
+        ? hints.filter(hint => findOwningComponent(components, hint.source)?.id === service.component.id)
+        : hints;
+      const deployment = resolveDeploymentModel(scopedHints);
+      if (!deployment) {
+        return service;
+      }
+
+      const target = this.mappings.getDeploymentModelService(provider, deployment.model);
+      const fallback = target ? null : this.mappings.getDeploymentModelService(provider, 'server');
+      if (!target && !fallback) {
+        return service;
+      }
+
+      return {
+        ...(target || fallback),
+        supportedTechnologies: service.supportedTechnologies,
+        confidence: service.confidence,
+        ...(service.component && { component: service.component }),
+        deploymentModel: { ...deployment, fallback: !target }
+      };
+    });
+
+    const merged = new Map();
+    replaced.forEach(service => {
+      const key = `${service.category}-${service.name}-${service.component?.id || ''}`;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, service);
+        return;
+      }
+      merged.set(key, {
+        ...service,
+        ...existing,
+        supportedTechnologies: [
+          ...new Set([...(existing.supportedTechnologies || []), ...(service.supportedTechnologies || [])])
+        ]
+      });
+    });
+    return Array.from(merged.values());
+  }
+
   /**
    * Prefer managed services over self-managed alternatives
    */
@@ -121,7 +562,8 @@ export class ArchitectureRecommendationService {
    */
   suggestServerlessOptions(services) {
     return services.map(service => {
-      if (service.category === 'compute' && service.serverlessAlternative) {
+      // Realtime connections and queue workers need a process that stays up
+      if (service.category === 'compute' && service.serverlessAlternative && !service.longRunning) {
         return {
           ...service,
           name: service.serverlessAlternative,
@@ -193,6 +635,128 @@ export class ArchitectureRecommendationService {
     return reasoning;
   }
 
+  /**
+   * Explain which service hosts each monorepo component
+   */
+  generateComponentReasoning(services) {
+    return services
+      .filter(service => service.component)
+      .map(service =>
+        `${service.component.name} (${service.component.path}) deployed separately on ${service.name}`
+      );
+  }
+
+  /**
+   * Explain which service runs each compose service and what it depends on
+   */
+  generateTopologyReasoning(services) {
+    const byComposeName = new Map(
+      services
+        .filter(service => service.topologyService)
+        .map(service => [service.topologyService.name, service])
+    );
+
+    return Array.from(byComposeName.values()).map(service => {
+      const dependencies = service.topologyService.dependsOn
+        .filter(name => byComposeName.has(name))
+        .map(name => `${name} (${byComposeName.get(name).name})`);
+      const suffix = dependencies.length > 0 ? `, depending on ${dependencies.join(', ')}` : '';
+      return `Compose service ${service.topologyService.name} runs on ${service.name}${suffix}`;
+    });
+  }
+
+  /**
+   * Explain how the Kubernetes node pool was sized
+   */
+  generateKubernetesReasoning(services, sizing) {
+    const cluster = services.find(service => service.nodePool);
+    if (!cluster || !sizing) {
+      return [];
+    }
+
+    const { instanceType, count, maxCount } = cluster.nodePool;
+    const autoscaling = maxCount > count ? ` (up to ${maxCount} with autoscaling)` : '';
+    const reasoning = [
+      `Kubernetes manifests request ${sizing.cpu} vCPU and ${sizing.memoryGB} GB across ${sizing.pods} pods - ` +
+        `sized ${cluster.name} with ${count} × ${instanceType} nodes${autoscaling}`
+    ];
+    if (sizing.assumedResources) {
+      const { cpu, memoryGB } = DEFAULT_CONTAINER_RESOURCES;
+      reasoning.push(`Some workloads declare no resource requests - assumed ${cpu} vCPU and ${memoryGB} GB per pod`);
+    }
+    return reasoning;
+  }
+
+  /**
+   * Explain whether the existing pipelines already deploy to the provider or what replaces them
+   */
+  generateDeliveryReasoning(provider, ci, services) {
+    if (!ci?.systems.length) {
+      return [];
+    }
+
+    const systems = ci.systems.map(system => CI_SYSTEMS[system].name).join(' and ');
+    if (ci.deployProviders.includes(provider)) {
+      const targets = [...new Set(
+        ci.deployments.filter(deployment => deployment.provider === provider).map(deployment => deployment.target)
+      )];
+      const suffix = targets.length > 0 ? ` (${targets.join(', ')})` : '';
+      return [
+        `${systems} already deploys to ${PROVIDER_NAMES[provider]}${suffix} - existing pipelines and credentials can target these services`
+      ];
+    }
+
+    const reasoning = [];
+    const delivery = services.find(service => service.category === 'cicd');
+    if (delivery) {
+      reasoning.push(`${systems} detected - ${delivery.name} provides an equivalent build and deploy pipeline on ${PROVIDER_NAMES[provider]}`);
+    }
+    if (ci.deployProviders.length > 0) {
+      reasoning.push(
+        `Pipelines currently deploy to ${ci.deployProviders.map(name => PROVIDER_NAMES[name]).join(', ')} - moving requires new credentials and deploy steps`
+      );
+    }
+    return reasoning;
+  }
+
+  /**
+   * Explain which deployment hint chose each hosting service
+   */
+  generateDeploymentReasoning(provider, services) {
+    return services
+      .filter(service => service.deploymentModel)
+      .map(service => {
+        const { model, evidence, fallback } = service.deploymentModel;
+        return fallback
+          ? `${evidence} - ${PROVIDER_NAMES[provider]} has no ${DEPLOYMENT_MODELS[model].name.toLowerCase()} runtime, serving from ${service.name}`
+          : `${evidence} - ${DEPLOYMENT_MODELS[model].name.toLowerCase()} on ${service.name}`;
+      });
+  }
+
+  /**
+   * Explain how detected workloads shaped the compute and scheduling services
+   */
+  generateWorkloadReasoning(workloads, services) {
+    const reasoning = [];
+
+    const longRunning = workloads.filter(workload => workload.longRunning);
+    const compute = services.filter(service => service.longRunning);
+    if (longRunning.length > 0 && compute.length > 0) {
+      reasoning.push(
+        `${longRunning.map(workload => `${workload.name} workload (${workload.evidence[0]})`).join(' and ')} - ` +
+          `runs on always-on ${compute.map(service => service.name).join(', ')} instead of functions`
+      );
+    }
+
+    const scheduled = workloads.find(workload => workload.type === 'scheduled');
+    const scheduler = services.find(service => service.category === 'scheduler');
+    if (scheduled && scheduler) {
+      reasoning.push(`Scheduled jobs (${scheduled.evidence.join(', ')}) - triggered by ${scheduler.name}`);
+    }
+
+    return reasoning;
+  }
+
   /**
    * Calculate confidence score for recommendations
    */
@@ -228,7 +792,8 @@ export class ArchitectureRecommendationService {
 
     // Performance optimization suggestions
     const databaseServices = services.filter(s => s.category === 'database');
-    if (databaseServices.length > 0) {
+    const hasCache = services.some(s => s.category === 'cache');
+    if (databaseServices.length > 0 && !hasCache) {
       suggestions.push({
         type: 'performance',
         title: 'Add Caching Layer',
@@ -182,6 +182,21 @@ describe('CloudServiceMappings', () => {
       });
     });
 
+    it('should resolve detected framework ids and display names', () => {
+      const byId = mappings.getServiceMappings('gcp', { id: 'nextjs', name: 'Next.js', category: 'framework' });
+      const byName = mappings.getServiceMappings('gcp', { name: 'Next.js', category: 'framework' });
+
+      expect(byId.length).toBeGreaterThan(0);
+      expect(byName).toEqual(byId);
+    });
+
+    it('should resolve hosting per deployment model', () => {
+      expect(mappings.getDeploymentModelService('aws', 'static').name).toBe('S3 + CloudFront');
+      expect(mappings.getDeploymentModelService('azure', 'server').name).toBe('Container Apps');
+      expect(mappings.getDeploymentModelService('aws', 'edge').name).toBe('Lambda@Edge');
+      expect(mappings.getDeploymentModelService('gcp', 'edge')).toBeNull();
+    });
+
     it('should have mappings for major databases', () => {
       const databases = ['postgresql', 'mongodb'];
       
@@ -146,6 +146,23 @@ describe('CostCalculator', () => {
 
       expect(result.breakdown).toHaveProperty('reservedInstanceSavings');
     });
+
+    it('should scale the breakdown with the quantity so it adds up to the monthly cost', () => {
+      const services = [
+        { name: 'EC2', category: 'compute', type: 'traditional' },
+        { name: 'RDS PostgreSQL', category: 'database', type: 'managed' },
+        { name: 'Lambda', category: 'compute', type: 'serverless' }
+      ];
+
+      services.forEach(service => {
+        const single = calculator.calculateServiceCost('aws', service, { scale: 'medium' });
+        const tripled = calculator.calculateServiceCost('aws', { ...service, quantity: 3 }, { scale: 'medium' });
+        const total = Object.values(tripled.breakdown).reduce((sum, cost) => sum + cost, 0);
+
+        expect(tripled.monthly).toBeCloseTo(single.monthly * 3, 1);
+        expect(total).toBeCloseTo(tripled.monthly, 1);
+      });
+    });
   });
 
   describe('estimateUsage', () => {
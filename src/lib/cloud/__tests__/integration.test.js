@@ -2,8 +2,10 @@
  * Integration tests for the complete cloud architecture recommendation system
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { ArchitectureRecommendationService } from '../ArchitectureRecommendationService.js';
+import { WORKLOAD_TYPES, detectWorkloads } from '../../analysis/workloadDetection.js';
+import { file } from '../../../test/files.js';
 
 describe('Cloud Architecture Recommendation System Integration', () => {
   let service;
@@ -174,6 +176,522 @@ describe('Cloud Architecture Recommendation System Integration', () => {
     });
   });
 
+  describe('Data stores', () => {
+    it('should recommend managed caches and brokers for detected data stores', async () => {
+      const technologies = [
+        { id: 'python', name: 'Python', category: 'language', confidence: 0.9 },
+        { id: 'mysql', name: 'MySQL', category: 'database', confidence: 0.9 },
+        { id: 'redis', name: 'Redis', category: 'cache', confidence: 0.8 },
+        { id: 'rabbitmq', name: 'RabbitMQ', category: 'queue', confidence: 0.8 }
+      ];
+
+      const recommendations = await service.generateRecommendations(technologies);
+      const aws = recommendations.find(rec => rec.provider === 'aws');
+      const gcp = recommendations.find(rec => rec.provider === 'gcp');
+
+      expect(aws.services.map(s => s.name)).toEqual(
+        expect.arrayContaining(['RDS MySQL', 'ElastiCache for Redis', 'Amazon MQ'])
+      );
+      expect(gcp.services.map(s => s.name)).toEqual(
+        expect.arrayContaining(['Cloud SQL MySQL', 'Memorystore for Redis', 'Pub/Sub'])
+      );
+      expect(aws.estimatedCost.breakdown['ElastiCache for Redis'].monthly).toBeGreaterThan(0);
+      expect(aws.optimizations.map(o => o.title)).not.toContain('Add Caching Layer');
+    });
+
+    it('should recommend and bill one managed service per database', async () => {
+      const recommendations = await service.generateRecommendations([
+        { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 },
+        { id: 'postgresql', name: 'PostgreSQL', category: 'database', confidence: 0.9 }
+      ]);
+
+      recommendations.forEach(recommendation => {
+        const databases = recommendation.services.filter(s => s.category === 'database');
+        expect(databases).toHaveLength(1);
+        expect(Object.keys(recommendation.estimatedCost.breakdown)).toContain(databases[0].name);
+      });
+    });
+  });
+
+  describe('Container topology', () => {
+    const topology = {
+      services: [
+        { name: 'web', origin: 'compose', image: null, build: { context: 'web' }, ports: [{ target: 3000 }], dependsOn: ['db', 'cache'], storeId: null },
+        { name: 'worker', origin: 'compose', image: null, build: { context: 'worker' }, ports: [], dependsOn: ['db'], storeId: null },
+        { name: 'db', origin: 'compose', image: 'postgres:16', build: null, ports: [], dependsOn: [], storeId: 'postgresql' },
+        { name: 'cache', origin: 'compose', image: 'redis:7', build: null, ports: [], dependsOn: [], storeId: 'redis' }
+      ],
+      edges: [
+        { from: 'web', to: 'db' },
+        { from: 'web', to: 'cache' },
+        { from: 'worker', to: 'db' }
+      ]
+    };
+
+    it('should propose one cloud service per compose service with edges preserved', async () => {
+      const technologies = [
+        { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 },
+        { id: 'postgresql', name: 'PostgreSQL', category: 'database', confidence: 0.9 },
+        { id: 'redis', name: 'Redis', category: 'cache', confidence: 0.9 }
+      ];
+
+      const recommendations = await service.generateRecommendations(technologies, {}, { topology });
+      const aws = recommendations.find(rec => rec.provider === 'aws');
+      const gcp = recommendations.find(rec => rec.provider === 'gcp');
+
+      expect(aws.services.map(s => [s.topologyService?.name, s.name])).toEqual([
+        ['web', 'ECS Fargate'],
+        ['worker', 'ECS Fargate'],
+        ['db', 'RDS PostgreSQL'],
+        ['cache', 'ElastiCache for Redis']
+      ]);
+      expect(gcp.services.map(s => s.name)).toEqual(['Cloud Run', 'Cloud Run', 'Cloud SQL PostgreSQL', 'Memorystore for Redis']);
+      expect(aws.topology.edges).toEqual(topology.edges);
+      expect(Object.keys(aws.estimatedCost.breakdown)).toEqual(expect.arrayContaining([
+        'ECS Fargate (web)',
+        'ECS Fargate (worker)'
+      ]));
+      expect(aws.reasoning).toContain(
+        'Compose service web runs on ECS Fargate, depending on db (RDS PostgreSQL), cache (ElastiCache for Redis)'
+      );
+    });
+
+    it('should ignore topologies built only from Dockerfiles', async () => {
+      const technologies = [{ id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 }];
+      const dockerfileOnly = {
+        services: [{ name: 'app', origin: 'dockerfile', build: { context: '' }, ports: [], dependsOn: [], storeId: null }],
+        edges: []
+      };
+
+      const recommendations = await service.generateRecommendations(technologies, {}, { topology: dockerfileOnly });
+      const aws = recommendations.find(rec => rec.provider === 'aws');
+
+      expect(aws.services.map(s => s.name)).toContain('Lambda');
+      expect(aws.topology).toBeNull();
+    });
+  });
+
+  describe('Kubernetes sizing', () => {
+    const kubernetes = {
+      sizing: {
+        workloads: 2,
+        pods: 5,
+        maxPods: 12,
+        cpu: 3.8,
+        memoryGB: 5.88,
+        maxCpu: 8,
+        maxMemoryGB: 10.25,
+        largestPod: { cpu: 1, memoryGB: 2 },
+        storageGB: 40,
+        scheduledJobs: 0,
+        ingress: true,
+        assumedResources: false
+      }
+    };
+
+    it('should recommend sized EKS/AKS/GKE node pools instead of generic compute', async () => {
+      const technologies = [
+        { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 },
+        { id: 'postgresql', name: 'PostgreSQL', category: 'database', confidence: 0.9 }
+      ];
+
+      const recommendations = await service.generateRecommendations(technologies, {}, { kubernetes });
+      const byProvider = Object.fromEntries(recommendations.map(rec => [rec.provider, rec]));
+
+      expect(byProvider.aws.services.map(s => s.name)).toEqual(['EKS', 'RDS PostgreSQL']);
+      expect(byProvider.azure.services[0].name).toBe('AKS');
+      expect(byProvider.gcp.services[0].name).toBe('GKE');
+
+      const eks = byProvider.aws.services[0];
+      expect(eks.nodePool).toEqual({ instanceType: 'm6i.large', vcpu: 2, memoryGB: 8, count: 3, maxCount: 5 });
+      // Control plane, three nodes around the clock, persistent volumes and transfer
+      expect(byProvider.aws.estimatedCost.breakdown.EKS.monthly).toBeCloseTo(73 + 730 * 3 * 0.096 + 40 * 0.08 + 50 * 0.09, 1);
+      expect(byProvider.aws.estimatedCost.assumptions).toContain(
+        'Compute sized for 5 always-on pods requesting 3.8 vCPU and 5.88 GB memory'
+      );
+      expect(byProvider.aws.reasoning).toContain(
+        'Kubernetes manifests request 3.8 vCPU and 5.88 GB across 5 pods - sized EKS with 3 × m6i.large nodes (up to 5 with autoscaling)'
+      );
+    });
+
+    it('should move to larger nodes when pods do not fit the smallest type', async () => {
+      const large = { sizing: { ...kubernetes.sizing, largestPod: { cpu: 3, memoryGB: 4 } } };
+
+      const recommendations = await service.generateRecommendations([], {}, { kubernetes: large });
+      const gcp = recommendations.find(rec => rec.provider === 'gcp');
+
+      expect(gcp.services[0].nodePool).toEqual(expect.objectContaining({ instanceType: 'e2-standard-4', count: 2 }));
+    });
+  });
+
+  describe('Deployment models', () => {
+    const nextjs = (hints) => [
+      { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 },
+      { id: 'nextjs', name: 'Next.js', category: 'framework', confidence: 0.9, deploymentHints: hints }
+    ];
+
+    it('should host Next.js on managed platforms rather than Vercel without hints', async () => {
+      const recommendations = await service.generateRecommendations(nextjs(undefined));
+      const aws = recommendations.find(r => r.provider === 'aws');
+
+      expect(aws.services.some(s => s.name.includes('Vercel'))).toBe(false);
+      expect(aws.services.find(s => s.category === 'hosting').name).toBe('Amplify');
+    });
+
+    it('should serve static exports from static hosting', async () => {
+      const recommendations = await service.generateRecommendations(nextjs([
+        { platform: null, framework: 'nextjs', model: 'static', source: 'next.config.js', evidence: "output: 'export' in next.config.js" }
+      ]));
+      const hosting = Object.fromEntries(
+        recommendations.map(r => [r.provider, r.services.filter(s => s.category === 'hosting').map(s => s.name)])
+      );
+
+      expect(hosting).toEqual({
+        aws: ['S3 + CloudFront'],
+        azure: ['Static Web Apps'],
+        gcp: ['Firebase Hosting']
+      });
+      expect(recommendations.find(r => r.provider === 'aws').reasoning).toContain(
+        "output: 'export' in next.config.js - static hosting on S3 + CloudFront"
+      );
+    });
+
+    it('should run server-rendered apps in containers and edge runtimes at the edge', async () => {
+      const server = await service.generateRecommendations(nextjs([
+        { platform: 'fly', framework: null, model: 'server', source: 'fly.toml', evidence: 'internal_port = 3000 in fly.toml' }
+      ]));
+      expect(server.find(r => r.provider === 'gcp').services.find(s => s.deploymentModel).name).toBe('Cloud Run');
+
+      const edge = await service.generateRecommendations(nextjs([
+        { platform: null, framework: 'nextjs', model: 'edge', source: 'next.config.js', evidence: "runtime: 'edge' in next.config.js" }
+      ]));
+      const aws = edge.find(r => r.provider === 'aws');
+      const azure = edge.find(r => r.provider === 'azure');
+
+      expect(aws.services.find(s => s.deploymentModel)).toEqual(expect.objectContaining({
+        name: 'Lambda@Edge',
+        type: 'serverless'
+      }));
+      expect(azure.services.find(s => s.deploymentModel).name).toBe('Container Apps');
+      expect(azure.reasoning).toContain(
+        "runtime: 'edge' in next.config.js - Azure has no edge functions runtime, serving from Container Apps"
+      );
+    });
+
+    it('should apply component hints only to that component', async () => {
+      const components = [
+        { id: 'web', name: 'web', path: 'apps/web', technologies: [{ id: 'nextjs', name: 'Next.js', category: 'framework', confidence: 0.9 }] },
+        { id: 'docs', name: 'docs', path: 'apps/docs', technologies: [{ id: 'nextjs', name: 'Next.js', category: 'framework', confidence: 0.9 }] }
+      ];
+      const recommendations = await service.generateRecommendations(nextjs([
+        { platform: null, framework: 'nextjs', model: 'static', source: 'apps/docs/next.config.js', evidence: "output: 'export' in apps/docs/next.config.js" }
+      ]), {}, { components });
+      const aws = recommendations.find(r => r.provider === 'aws');
+
+      expect(aws.services.find(s => s.component?.id === 'web').name).toBe('Amplify');
+      expect(aws.services.find(s => s.component?.id === 'docs').name).toBe('S3 + CloudFront');
+    });
+  });
+
+  describe('Workloads', () => {
+    const technologies = [
+      { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 }
+    ];
+    const realtime = { type: 'realtime', name: 'Realtime', longRunning: true, evidence: ['WebSocketServer in src/server.js'], sources: ['src/server.js'] };
+    const scheduled = { type: 'scheduled', name: 'Scheduled job', longRunning: false, evidence: ['cron.schedule in src/jobs.js'], sources: ['src/jobs.js'] };
+
+    it('should never run a websocket server on functions', async () => {
+      const recommendations = await service.generateRecommendations(
+        technologies,
+        { traffic: 'variable' },
+        { workloads: [realtime] }
+      );
+
+      recommendations.forEach(recommendation => {
+        const compute = recommendation.services.filter(s => s.category === 'compute');
+        expect(compute.length).toBeGreaterThan(0);
+        expect(compute.every(s => s.type !== 'serverless' && s.longRunning)).toBe(true);
+      });
+      expect(recommendations.find(r => r.provider === 'aws').reasoning).toContain(
+        'Realtime workload (WebSocketServer in src/server.js) - runs on always-on App Runner instead of functions'
+      );
+    });
+
+    it('should not offer functions for an API server that listens', async () => {
+      const workloads = detectWorkloads([file('src/server.js', "const app = express();\napp.listen(3000);")]);
+      const recommendations = await service.generateRecommendations(
+        technologies,
+        { traffic: 'variable' },
+        { workloads }
+      );
+
+      recommendations.forEach(recommendation => {
+        const compute = recommendation.services.filter(s => s.category === 'compute');
+        expect(compute.length).toBeGreaterThan(0);
+        expect(compute.every(s => s.type !== 'serverless' && s.longRunning)).toBe(true);
+      });
+      const names = recommendations.flatMap(recommendation => recommendation.services.map(s => s.name));
+      expect(names).not.toEqual(expect.arrayContaining(['Lambda']));
+      expect(names).not.toEqual(expect.arrayContaining(['Functions']));
+      expect(names).not.toEqual(expect.arrayContaining(['Cloud Functions']));
+    });
+
+    it('should keep functions for an API of request handlers', async () => {
+      const api = { type: 'api', ...WORKLOAD_TYPES.api, longRunning: false, evidence: ['Lambda handler in src/handler.js'], sources: ['src/handler.js'] };
+      const recommendations = await service.generateRecommendations(
+        technologies,
+        { traffic: 'variable' },
+        { workloads: [api] }
+      );
+      const aws = recommendations.find(r => r.provider === 'aws');
+
+      expect(aws.services.some(s => s.name === 'Lambda')).toBe(true);
+      expect(aws.services.some(s => s.longRunning)).toBe(false);
+    });
+
+    it('should add a container when every mapped compute service is a function', () => {
+      const services = service.mappings.applyWorkloads('aws', [
+        { name: 'Lambda', category: 'compute', type: 'serverless', supportedTechnologies: ['Go'], confidence: 0.8 }
+      ], [realtime]);
+
+      expect(services).toEqual([expect.objectContaining({
+        name: 'ECS Fargate',
+        supportedTechnologies: ['Go'],
+        longRunning: true,
+        workloads: ['realtime']
+      })]);
+    });
+
+    it('should trigger scheduled jobs from each provider scheduler', async () => {
+      const recommendations = await service.generateRecommendations(technologies, {}, { workloads: [scheduled] });
+      const schedulers = Object.fromEntries(
+        recommendations.map(r => [r.provider, r.services.find(s => s.category === 'scheduler').name])
+      );
+
+      expect(schedulers).toEqual({ aws: 'EventBridge Scheduler', azure: 'Logic Apps', gcp: 'Cloud Scheduler' });
+      // Scheduled jobs alone still fit functions
+      expect(recommendations.find(r => r.provider === 'aws').services.some(s => s.name === 'Lambda')).toBe(true);
+      expect(recommendations.find(r => r.provider === 'gcp').estimatedCost.breakdown['Cloud Scheduler'].monthly).toBe(0.1);
+    });
+
+    it('should scope workloads to monorepo components', async () => {
+      const components = [
+        { id: 'api', name: 'api', path: 'apps/api', technologies },
+        { id: 'jobs', name: 'jobs', path: 'apps/jobs', technologies }
+      ];
+      const recommendations = await service.generateRecommendations(technologies, {}, {
+        components,
+        workloads: [{ ...realtime, sources: ['apps/api/src/server.js'] }]
+      });
+      const aws = recommendations.find(r => r.provider === 'aws');
+
+      expect(aws.services.find(s => s.component?.id === 'api').name).toBe('App Runner');
+      expect(aws.services.find(s => s.component?.id === 'jobs').longRunning).toBeUndefined();
+    });
+
+    it('should give the root component the workloads no nested component holds', async () => {
+      const components = [
+        { id: 'root', name: 'root', path: '.', technologies },
+        { id: 'jobs', name: 'jobs', path: 'apps/jobs', technologies }
+      ];
+      const recommendations = await service.generateRecommendations(technologies, {}, {
+        components,
+        workloads: [realtime]
+      });
+      const aws = recommendations.find(r => r.provider === 'aws');
+
+      expect(aws.services.find(s => s.component?.id === 'root').name).toBe('App Runner');
+      expect(aws.services.find(s => s.component?.id === 'jobs').longRunning).toBeUndefined();
+    });
+  });
+
+  describe('CI/CD pipelines', () => {
+    const technologies = [
+      { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 }
+    ];
+    const ci = {
+      systems: ['github-actions'],
+      workflows: [],
+      buildTools: ['npm'],
+      testMatrix: [],
+      deployments: [{ provider: 'aws', target: 'ECS', system: 'github-actions', source: '.github/workflows/deploy.yml' }],
+      credentials: [],
+      deployProviders: ['aws']
+    };
+
+    it('should note existing deployments and recommend CI/CD equivalents elsewhere', async () => {
+      const recommendations = await service.generateRecommendations(technologies, {}, { ci });
+      const aws = recommendations.find(r => r.provider === 'aws');
+      const gcp = recommendations.find(r => r.provider === 'gcp');
+      const azure = recommendations.find(r => r.provider === 'azure');
+
+      expect(aws.services.some(s => s.category === 'cicd')).toBe(false);
+      expect(aws.reasoning).toContain(
+        'GitHub Actions already deploys to AWS (ECS) - existing pipelines and credentials can target these services'
+      );
+
+      expect(gcp.services.find(s => s.category === 'cicd')).toEqual(expect.objectContaining({
+        name: 'Cloud Build',
+        replaces: ['GitHub Actions']
+      }));
+      expect(azure.services.find(s => s.category === 'cicd').name).toBe('Azure DevOps Pipelines');
+      expect(gcp.reasoning).toContain('Pipelines currently deploy to AWS - moving requires new credentials and deploy steps');
+    });
+
+    it('should price CI/CD equivalents without usage-based compute charges', async () => {
+      const recommendations = await service.generateRecommendations(technologies, {}, {
+        ci: { ...ci, deployments: [], deployProviders: [] }
+      });
+      const aws = recommendations.find(r => r.provider === 'aws');
+
+      expect(aws.estimatedCost.breakdown.CodePipeline.monthly).toBe(1);
+    });
+  });
+
+  describe('Current architecture baseline', () => {
+    const infrastructure = {
+      tools: ['terraform'],
+      providers: ['aws'],
+      primaryProvider: 'aws',
+      resources: [
+        { tool: 'terraform', type: 'aws_instance', name: 'web', service: { name: 'EC2' } },
+        { tool: 'terraform', type: 'aws_db_instance', name: 'db', service: { name: 'RDS PostgreSQL' } },
+        { tool: 'terraform', type: 'aws_iam_role', name: 'role', service: null }
+      ],
+      services: [
+        { provider: 'aws', name: 'EC2', category: 'compute', type: 'self-managed', count: 3, resources: ['web'], tool: 'terraform' },
+        { provider: 'aws', name: 'RDS PostgreSQL', category: 'database', type: 'managed', count: 1, resources: ['db'], tool: 'terraform' }
+      ]
+    };
+
+    it('should price the declared services as a baseline', async () => {
+      const baseline = await service.estimateCurrentArchitecture(infrastructure);
+
+      expect(baseline).toEqual(expect.objectContaining({
+        provider: 'aws',
+        tools: ['terraform'],
+        unmappedResources: 1
+      }));
+      expect(baseline.services.find(s => s.name === 'EC2').quantity).toBe(3);
+      // Three t3.micro instances for the small-scale 100 hours
+      expect(baseline.estimatedCost.breakdown.EC2.monthly).toBeCloseTo(3 * 100 * 0.0116, 2);
+      expect(baseline.estimatedCost.monthly).toBeGreaterThan(baseline.estimatedCost.breakdown.EC2.monthly);
+    });
+
+    it('should compare every recommendation with the baseline', async () => {
+      const technologies = [
+        { id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 },
+        { id: 'postgresql', name: 'PostgreSQL', category: 'database', confidence: 0.9 }
+      ];
+
+      const recommendations = await service.generateRecommendations(technologies, {}, { infrastructure });
+      const baseline = await service.estimateCurrentArchitecture(infrastructure);
+
+      recommendations.forEach(recommendation => {
+        expect(recommendation.costComparison.currentMonthly).toBe(baseline.estimatedCost.monthly);
+        expect(recommendation.costComparison.monthlySavings).toBeCloseTo(
+          baseline.estimatedCost.monthly - recommendation.estimatedCost.monthly,
+          2
+        );
+      });
+    });
+
+    it('should return the baseline it compared against, priced once', async () => {
+      const estimate = vi.spyOn(service, 'estimateCurrentArchitecture');
+      const { recommendations, currentArchitecture } = await service.generateRecommendationReport(
+        [{ id: 'javascript', name: 'JavaScript', category: 'language', confidence: 0.9 }],
+        {},
+        { infrastructure }
+      );
+
+      expect(estimate).toHaveBeenCalledTimes(1);
+      expect(currentArchitecture.provider).toBe('aws');
+      expect(recommendations[0].costComparison.currentMonthly).toBe(currentArchitecture.estimatedCost.monthly);
+    });
+
+    it('should skip the baseline without declared services', async () => {
+      expect(await service.estimateCurrentArchitecture(null)).toBeNull();
+      const recommendations = await service.generateRecommendations([], {}, {});
+      expect(recommendations[0].costComparison).toBeUndefined();
+    });
+  });
+
+  describe('Runtime compatibility', () => {
+    it('should flag managed runtimes that cannot run the pinned version', async () => {
+      const technologies = [
+        { name: 'JavaScript', category: 'language', confidence: 0.9, runtime: 'node', version: '16.20.2' }
+      ];
+
+      const recommendations = await service.generateRecommendations(technologies, { traffic: 'variable' });
+      const aws = recommendations.find(rec => rec.provider === 'aws');
+
+      expect(aws.services.some(s => s.name === 'Lambda')).toBe(true);
+      expect(aws.compatibilityWarnings).toEqual([
+        expect.objectContaining({
+          service: 'Lambda',
+          runtime: 'node',
+          version: '16.20.2',
+          supportedVersions: ['18', '20', '22']
+        })
+      ]);
+    });
+
+    it('should not flag supported versions or container services', async () => {
+      const technologies = [
+        { name: 'JavaScript', category: 'language', confidence: 0.9, version: '20.11.1' }
+      ];
+
+      const recommendations = await service.generateRecommendations(technologies);
+
+      recommendations.forEach(rec => {
+        expect(rec.compatibilityWarnings).toEqual([]);
+      });
+    });
+  });
+
+  describe('Monorepo components', () => {
+    it('should recommend separate compute services per component', async () => {
+      const technologies = [
+        { name: 'javascript', category: 'language', confidence: 0.9 },
+        { name: 'python', category: 'language', confidence: 0.9 },
+        { name: 'react', category: 'framework', confidence: 0.8 },
+        { name: 'postgresql', category: 'database', confidence: 0.9 }
+      ];
+      const analysis = {
+        components: [
+          {
+            id: 'apps-web',
+            name: 'web',
+            path: 'apps/web',
+            technologies: [
+              { name: 'javascript', category: 'language', confidence: 0.8 },
+              { name: 'react', category: 'framework', confidence: 0.8 }
+            ]
+          },
+          {
+            id: 'apps-api',
+            name: 'api',
+            path: 'apps/api',
+            technologies: [
+              { name: 'python', category: 'language', confidence: 0.8 }
+            ]
+          }
+        ]
+      };
+
+      const recommendations = await service.generateRecommendations(technologies, {}, analysis);
+      const aws = recommendations.find(rec => rec.provider === 'aws');
+
+      const componentServices = aws.services.filter(s => s.component);
+      expect(componentServices).toHaveLength(2);
+      expect(componentServices.find(s => s.component.name === 'web').name).toBe('S3 + CloudFront');
+      expect(componentServices.find(s => s.component.name === 'api').name).toBe('Elastic Beanstalk');
+      expect(aws.services.some(s => s.category === 'database')).toBe(true);
+      expect(aws.estimatedCost.breakdown).toHaveProperty(['Elastic Beanstalk (api)']);
+      expect(aws.reasoning).toContain('api (apps/api) deployed separately on Elastic Beanstalk');
+    });
+  });
+
   describe('Cross-provider comparison', () => {
     it('should provide meaningful differences between providers', async () => {
       const technologies = [
@@ -0,0 +1,124 @@
+/**
+ * Tests for the requirements schema validator
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ArchitectureRecommendationService } from '../ArchitectureRecommendationService.js';
+import {
+  DEFAULT_PREFERENCES,
+  DEFAULT_REQUIREMENTS,
+  REQUIREMENTS_SCHEMA,
+  assertRequirements,
+  validateRequirements
+} from '../requirements.js';
+
+describe('validateRequirements', () => {
+  it('should accept empty requirements and fill in the default preferences', () => {
+    expect(validateRequirements()).toEqual({ isValid: true, errors: [], requirements: { preferences: DEFAULT_PREFERENCES } });
+    expect(validateRequirements(null).requirements).toEqual({ preferences: DEFAULT_PREFERENCES });
+  });
+
+  it('should keep valid fields and merge partial preferences', () => {
+    const { isValid, requirements } = validateRequirements({
+      scale: 'large',
+      traffic: 'variable',
+      region: 'eu-west-1',
+      maxBudget: 0,
+      priority: 'cost',
+      preferences: { scalability: 'high' }
+    });
+
+    expect(isValid).toBe(true);
+    expect(requirements).toEqual({
+      scale: 'large',
+      traffic: 'variable',
+      region: 'eu-west-1',
+      maxBudget: 0,
+      priority: 'cost',
+      preferences: { ...DEFAULT_PREFERENCES, scalability: 'high' }
+    });
+  });
+
+  it('should report every invalid and unknown field', () => {
+    const { isValid, errors, requirements } = validateRequirements({
+      scale: 'huge',
+      maxBudget: -5,
+      region: 42,
+      budget: 100,
+      preferences: { managedServices: 'yes', colour: 'blue' }
+    });
+
+    expect(isValid).toBe(false);
+    expect(requirements).toBeNull();
+    expect(errors).toEqual([
+      { field: 'scale', message: 'scale must be one of small, medium, large' },
+      { field: 'maxBudget', message: 'maxBudget must be at least 0' },
+      { field: 'region', message: 'region must be a string' },
+      { field: 'budget', message: 'budget is not a known requirement' },
+      { field: 'preferences.managedServices', message: 'preferences.managedServices must be a boolean' },
+      { field: 'preferences.colour', message: 'preferences.colour is not a known requirement' }
+    ]);
+  });
+
+  it('should reject requirements that are not an object', () => {
+    expect(validateRequirements(['cost']).errors).toEqual([{ field: null, message: 'requirements must be an object' }]);
+    expect(validateRequirements({ maxBudget: NaN }).errors[0].message).toBe('maxBudget must be a number');
+  });
+
+  it('should describe every field the engine reads in the schema', () => {
+    expect(Object.keys(REQUIREMENTS_SCHEMA.properties)).toEqual(expect.arrayContaining([
+      'scale', 'traffic', 'workload', 'region', 'commitment', 'maxBudget',
+      'priority', 'organizationType', 'performance', 'expectedGrowth', 'preferences'
+    ]));
+  });
+});
+
+describe('assertRequirements', () => {
+  it('should throw a ValidationError naming the first invalid field', () => {
+    expect(() => assertRequirements({ traffic: 'spiky', priority: 'speed' })).toThrow(expect.objectContaining({
+      name: 'ValidationError',
+      field: 'traffic',
+      message: 'Invalid requirements: traffic must be one of low, medium, high, variable; priority must be one of balanced, cost, performance, simplicity'
+    }));
+    expect(assertRequirements({ scale: 'small' })).toEqual({ scale: 'small', preferences: DEFAULT_PREFERENCES });
+  });
+});
+
+describe('DEFAULT_REQUIREMENTS', () => {
+  const technologies = [
+    { name: 'JavaScript', category: 'language', confidence: 0.9 },
+    { name: 'Express.js', category: 'framework', confidence: 0.8 },
+    { name: 'PostgreSQL', category: 'database', confidence: 0.8 }
+  ];
+  const summarize = recommendations => recommendations.map(({ provider, estimatedCost, score }) => ({
+    provider,
+    monthly: estimatedCost.monthly,
+    score
+  }));
+
+  it('should be valid and recommend what no requirements recommend', async () => {
+    const service = new ArchitectureRecommendationService();
+
+    const withDefaults = await service.generateRecommendations(technologies, assertRequirements(DEFAULT_REQUIREMENTS));
+    const withoutRequirements = await service.generateRecommendations(technologies, {});
+
+    expect(validateRequirements(DEFAULT_REQUIREMENTS).isValid).toBe(true);
+    expect(summarize(withDefaults)).toEqual(summarize(withoutRequirements));
+  });
+
+  it('should let questionnaire answers change the costs and ranking', async () => {
+    const service = new ArchitectureRecommendationService();
+
+    const defaults = await service.generateRecommendations(technologies, DEFAULT_REQUIREMENTS);
+    const answered = await service.generateRecommendations(technologies, {
+      ...DEFAULT_REQUIREMENTS,
+      scale: 'large',
+      traffic: 'high',
+      priority: 'cost',
+      maxBudget: 50
+    });
+
+    expect(summarize(answered)).not.toEqual(summarize(defaults));
+    expect(answered[0].scoreBreakdown.cost.weight).toBeGreaterThan(defaults[0].scoreBreakdown.cost.weight);
+  });
+});
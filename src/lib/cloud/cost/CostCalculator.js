@@ -3,6 +3,8 @@
  * Calculates estimated costs for cloud services across providers
  */
 
+const HOURS_PER_MONTH = 730;
+
 export class CostCalculator {
   constructor() {
     this.pricingData = this.initializePricingData();
@@ -23,7 +25,7 @@ export class CostCalculator {
 
       for (const service of services) {
         const serviceCost = this.calculateServiceCost(provider, service, requirements);
-        breakdown[service.name] = serviceCost;
+        breakdown[this.getBreakdownKey(service)] = serviceCost;
         totalMonthlyCost += serviceCost.monthly;
       }
 
@@ -47,6 +49,14 @@ export class CostCalculator {
     }
   }
 
+  /**
+   * Get the breakdown label for a service, qualified by component or compose service when present
+   */
+  getBreakdownKey(service) {
+    const owner = service.component?.name || service.topologyService?.name;
+    return owner ? `${service.name} (${owner})` : service.name;
+  }
+
   /**
    * Calculate cost for a specific service
    */
@@ -63,12 +73,15 @@ export class CostCalculator {
         monthlyCost = this.calculateServerlessCost(pricing, usage);
         costBreakdown.executions = usage.executions * pricing.perExecution;
         costBreakdown.computeTime = usage.computeTime * pricing.perComputeSecond;
+        costBreakdown.memory = usage.memoryGBSeconds * pricing.perMemoryGBSecond;
         break;
         
       case 'managed':
         monthlyCost = this.calculateManagedServiceCost(pricing, usage);
-        costBreakdown.baseService = pricing.basePrice;
-        costBreakdown.usage = usage.hours * pricing.perHour;
+        costBreakdown.baseService = pricing.basePrice || 0;
+        costBreakdown.usage = usage.hours * (pricing.perHour || 0);
+        costBreakdown.storage = usage.storageGB * (pricing.perGBMonth || 0);
+        costBreakdown.dataTransfer = usage.dataTransferGB * (pricing.perGBTransfer || 0);
         break;
         
       default:
@@ -76,6 +89,14 @@ export class CostCalculator {
         costBreakdown.compute = usage.hours * pricing.perHour;
     }
 
+    // Services declared several times (e.g. three EC2 instances) are billed per instance; the
+    // breakdown is scaled with them so it still adds up to the monthly cost
+    const quantity = service.quantity || 1;
+    monthlyCost *= quantity;
+    Object.keys(costBreakdown).forEach(item => {
+      costBreakdown[item] *= quantity;
+    });
+
     // Apply reserved instance discounts if applicable
     if (service.reservedInstanceOption && requirements.commitment) {
       const discount = this.getReservedInstanceDiscount(service, requirements.commitment);
@@ -122,8 +143,14 @@ export class CostCalculator {
 
   /**
    * Estimate usage patterns for a service
+   * Measured sizing (`requirements.sizing`, e.g. from Kubernetes resource requests) replaces
+   * the scale table for always-on compute
    */
   estimateUsage(service, requirements) {
+    if (requirements.sizing && service.category === 'compute' && service.type !== 'serverless') {
+      return this.estimateUsageFromSizing(service, requirements);
+    }
+
     const scale = requirements.scale || 'small';
     const traffic = requirements.traffic || 'medium';
     
@@ -153,6 +180,23 @@ export class CostCalculator {
     };
   }
 
+  /**
+   * Estimate always-on compute usage from measured sizing
+   * Node pools run `count` nodes; other compute runs one instance per pod
+   */
+  estimateUsageFromSizing(service, requirements) {
+    const { sizing, ...rest } = requirements;
+    const baseline = this.estimateUsage(service, rest);
+    const multiplier = sizing.scaleMultiplier || 1;
+    const instances = service.nodePool ? service.nodePool.count : Math.max(sizing.pods, 1);
+
+    return {
+      ...baseline,
+      hours: HOURS_PER_MONTH * Math.ceil(instances * multiplier),
+      storageGB: service.nodePool ? sizing.storageGB * multiplier : baseline.storageGB
+    };
+  }
+
   /**
    * Calculate scaling cost projections
    */
@@ -164,7 +208,8 @@ export class CostCalculator {
       const multiplier = parseFloat(scale.replace('x', ''));
       const scaledRequirements = {
         ...requirements,
-        scale: this.getScaledSize(requirements.scale, multiplier)
+        scale: this.getScaledSize(requirements.scale, multiplier),
+        sizing: requirements.sizing && { ...requirements.sizing, scaleMultiplier: multiplier }
       };
       
       let scaledCost = 0;
@@ -191,14 +236,15 @@ export class CostCalculator {
 
   /**
    * Get scaled size based on multiplier
+   * Scales from the same 'small' default the base cost is calculated at
    */
-  getScaledSize(currentScale, multiplier) {
+  getScaledSize(currentScale = 'small', multiplier) {
     const sizeOrder = ['small', 'medium', 'large'];
-    const currentIndex = sizeOrder.indexOf(currentScale || 'medium');
+    const currentIndex = sizeOrder.indexOf(currentScale);
     
     if (multiplier >= 5) return 'large';
     if (multiplier >= 2) return currentIndex < 1 ? 'medium' : 'large';
-    return currentScale || 'medium';
+    return currentScale;
   }
 
   /**
@@ -218,7 +264,12 @@ export class CostCalculator {
   getPricingForService(provider, service) {
     const providerPricing = this.pricingData[provider] || {};
     const categoryPricing = providerPricing[service.category] || {};
-    const servicePricing = categoryPricing[service.name] || {};
+    const { nodeTypes, ...servicePricing } = categoryPricing[service.name] || {};
+    
+    // Node pools are billed per node at their instance type's rate
+    if (service.nodePool && nodeTypes?.[service.nodePool.instanceType]) {
+      servicePricing.perHour = nodeTypes[service.nodePool.instanceType];
+    }
     
     // Return default pricing if specific pricing not found
     return {
@@ -237,7 +288,7 @@ export class CostCalculator {
    * Get cost calculation assumptions
    */
   getCostAssumptions(requirements) {
-    return [
+    const assumptions = [
       'Costs are estimates based on typical usage patterns',
       'Actual costs may vary based on specific usage and configuration',
       'Prices are subject to change by cloud providers',
@@ -245,6 +296,15 @@ export class CostCalculator {
       'Data transfer costs may vary based on traffic patterns',
       'Reserved instance pricing requires upfront commitment'
     ];
+
+    if (requirements.sizing) {
+      const { pods, cpu, memoryGB } = requirements.sizing;
+      assumptions.push(
+        `Compute sized for ${pods} always-on pods requesting ${cpu} vCPU and ${memoryGB} GB memory`
+      );
+    }
+
+    return assumptions;
   }
 
   /**
@@ -265,6 +325,38 @@ export class CostCalculator {
           },
           'EC2': {
             perHour: 0.0116 // t3.micro
+          },
+          'ECS Fargate': {
+            perHour: 0.0494 // 1 vCPU, 2 GB
+          },
+          'Elastic Beanstalk': {
+            perHour: 0.0208 // t3.small
+          },
+          'EKS': {
+            basePrice: 73, // control plane
+            perGBMonth: 0.08, // gp3 volumes
+            nodeTypes: {
+              'm6i.large': 0.096,
+              'm6i.xlarge': 0.192,
+              'm6i.2xlarge': 0.384
+            }
+          }
+        },
+        storage: {
+          'S3': {
+            perGBMonth: 0.023,
+            perGBTransfer: 0.09
+          }
+        },
+        networking: {
+          'CloudFront': {
+            perHour: 0,
+            perGBTransfer: 0.085
+          },
+          'API Gateway': {
+            perExecution: 0.0000035,
+            perComputeSecond: 0,
+            perMemoryGBSecond: 0
           }
         },
         hosting: {
@@ -275,9 +367,19 @@ export class CostCalculator {
           'Amplify': {
             perGBMonth: 0.15,
             perBuildMinute: 0.01
+          },
+          'Lambda@Edge': {
+            perExecution: 0.0000006,
+            perComputeSecond: 0.00005001, // 128 MB
+            perMemoryGBSecond: 0
           }
         },
         database: {
+          'DynamoDB': {
+            perExecution: 0.00000125, // on-demand write request
+            perComputeSecond: 0,
+            perMemoryGBSecond: 0
+          },
           'RDS PostgreSQL': {
             perHour: 0.017, // db.t3.micro
             perGBMonth: 0.115
@@ -285,6 +387,59 @@ export class CostCalculator {
           'Aurora PostgreSQL': {
             perACU: 0.06,
             perGBMonth: 0.10
+          },
+          'RDS MySQL': {
+            perHour: 0.017, // db.t3.micro
+            perGBMonth: 0.115
+          }
+        },
+        search: {
+          'OpenSearch Service': {
+            perHour: 0.036, // t3.small.search
+            perGBMonth: 0.135
+          }
+        },
+        cache: {
+          'ElastiCache for Redis': {
+            perHour: 0.016 // cache.t4g.micro
+          },
+          'ElastiCache for Memcached': {
+            perHour: 0.016 // cache.t4g.micro
+          }
+        },
+        messaging: {
+          'SQS': {
+            perExecution: 0.0000004,
+            perComputeSecond: 0,
+            perMemoryGBSecond: 0
+          },
+          'SNS': {
+            perExecution: 0.0000005,
+            perComputeSecond: 0,
+            perMemoryGBSecond: 0
+          },
+          'MSK': {
+            perHour: 0.0456, // kafka.t3.small per broker
+            perGBMonth: 0.10
+          },
+          'Amazon MQ': {
+            perHour: 0.036, // mq.t3.micro
+            perGBMonth: 0.10
+          }
+        },
+        scheduler: {
+          'EventBridge Scheduler': {
+            perExecution: 0.000001, // first 14 million invocations per month are free
+            perComputeSecond: 0,
+            perMemoryGBSecond: 0
+          }
+        },
+        cicd: {
+          'CodePipeline': {
+            basePrice: 1, // per active pipeline; CodeBuild minutes beyond the free tier are extra
+            perHour: 0,
+            perGBMonth: 0,
+            perGBTransfer: 0
           }
         }
       },
@@ -296,6 +451,27 @@ export class CostCalculator {
           },
           'App Service': {
             perHour: 0.018 // Basic B1
+          },
+          'Container Apps': {
+            perHour: 0.108 // 1 vCPU, 2 GiB active
+          },
+          'Virtual Machines': {
+            perHour: 0.0104 // B1s
+          },
+          'AKS': {
+            basePrice: 0, // free control plane tier
+            perGBMonth: 0.075, // Standard SSD
+            nodeTypes: {
+              'Standard_D2s_v5': 0.096,
+              'Standard_D4s_v5': 0.192,
+              'Standard_D8s_v5': 0.384
+            }
+          }
+        },
+        storage: {
+          'Blob Storage': {
+            perGBMonth: 0.018,
+            perGBTransfer: 0.087
           }
         },
         hosting: {
@@ -308,6 +484,43 @@ export class CostCalculator {
           'Database for PostgreSQL': {
             perHour: 0.022, // Basic B1ms
             perGBMonth: 0.115
+          },
+          'Database for MySQL': {
+            perHour: 0.021, // Burstable B1ms
+            perGBMonth: 0.115
+          }
+        },
+        search: {
+          'Elastic Cloud on Azure': {
+            perHour: 0.05
+          }
+        },
+        cache: {
+          'Azure Cache for Redis': {
+            perHour: 0.022 // Basic C0
+          }
+        },
+        messaging: {
+          'Event Hubs': {
+            perHour: 0.03 // Standard, 1 throughput unit
+          },
+          'Service Bus': {
+            basePrice: 10 // Standard tier base charge
+          }
+        },
+        scheduler: {
+          'Logic Apps': {
+            perExecution: 0.000025, // Consumption plan, per action
+            perComputeSecond: 0,
+            perMemoryGBSecond: 0
+          }
+        },
+        cicd: {
+          'Azure DevOps Pipelines': {
+            basePrice: 0, // one Microsoft-hosted parallel job with 1,800 minutes is free
+            perHour: 0,
+            perGBMonth: 0,
+            perGBTransfer: 0
           }
         }
       },
@@ -320,7 +533,29 @@ export class CostCalculator {
           },
           'Cloud Run': {
             perCPUSecond: 0.00002400,
-            perMemoryGBSecond: 0.00000250
+            perMemoryGBSecond: 0.00000250,
+            perHour: 0.0954 // 1 vCPU, 2 GiB always allocated
+          },
+          'App Engine': {
+            perHour: 0.05 // F1 instance
+          },
+          'Compute Engine': {
+            perHour: 0.0084 // e2-micro
+          },
+          'GKE': {
+            basePrice: 73, // cluster management fee
+            perGBMonth: 0.10, // pd-balanced
+            nodeTypes: {
+              'e2-standard-2': 0.067,
+              'e2-standard-4': 0.134,
+              'e2-standard-8': 0.268
+            }
+          }
+        },
+        storage: {
+          'Cloud Storage': {
+            perGBMonth: 0.020,
+            perGBTransfer: 0.12
           }
         },
         hosting: {
@@ -333,6 +568,48 @@ export class CostCalculator {
           'Cloud SQL PostgreSQL': {
             perHour: 0.0150, // db-f1-micro
             perGBMonth: 0.090
+          },
+          'Cloud SQL MySQL': {
+            perHour: 0.0150, // db-f1-micro
+            perGBMonth: 0.090
+          }
+        },
+        search: {
+          'Elastic Cloud on Google Cloud': {
+            perHour: 0.05
+          }
+        },
+        cache: {
+          'Memorystore for Redis': {
+            perHour: 0.049 // Basic tier, 1 GB
+          },
+          'Memorystore for Memcached': {
+            perHour: 0.05 // 1 vCPU, 1 GB node
+          }
+        },
+        messaging: {
+          'Managed Service for Apache Kafka': {
+            perHour: 0.09,
+            perGBMonth: 0.10
+          },
+          'Pub/Sub': {
+            perGBTransfer: 0.04
+          }
+        },
+        scheduler: {
+          'Cloud Scheduler': {
+            basePrice: 0.10, // per job; three jobs per billing account are free
+            perHour: 0,
+            perGBMonth: 0,
+            perGBTransfer: 0
+          }
+        },
+        cicd: {
+          'Cloud Build': {
+            basePrice: 0, // first 2,500 build-minutes per month are free
+            perHour: 0,
+            perGBMonth: 0,
+            perGBTransfer: 0
           }
         }
       }
@@ -0,0 +1,16 @@
+/**
+ * Cloud recommendation engine
+ * Exports the recommendation, cost and ranking services and the requirements schema
+ */
+
+export { ArchitectureRecommendationService } from './ArchitectureRecommendationService.js'
+export { CloudServiceMappings } from './mappings/CloudServiceMappings.js'
+export { CostCalculator } from './cost/CostCalculator.js'
+export { RecommendationRanker } from './ranking/RecommendationRanker.js'
+export {
+  DEFAULT_PREFERENCES,
+  DEFAULT_REQUIREMENTS,
+  REQUIREMENTS_SCHEMA,
+  assertRequirements,
+  validateRequirements
+} from './requirements.js'
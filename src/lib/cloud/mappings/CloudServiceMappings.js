@@ -3,19 +3,34 @@
  * Maps technologies to appropriate cloud services across providers
  */
 
+import { isVersionSupported } from '../../analysis/runtimeVersions.js';
+
+// Share of node capacity left for pods after system daemons and kubelet reservations
+const NODE_ALLOCATABLE_RATIO = 0.8;
+// Two nodes keep workloads available through node upgrades
+const MIN_CLUSTER_NODES = 2;
+const MAX_CLUSTER_NODES = 10;
+
 export class CloudServiceMappings {
   constructor() {
     this.serviceMappings = this.initializeServiceMappings();
     this.managedAlternatives = this.initializeManagedAlternatives();
+    this.runtimeSupport = this.initializeRuntimeSupport();
+    this.containerServices = this.initializeContainerServices();
+    this.kubernetesServices = this.initializeKubernetesServices();
+    this.deliveryServices = this.initializeDeliveryServices();
+    this.deploymentModelServices = this.initializeDeploymentModelServices();
+    this.schedulerServices = this.initializeSchedulerServices();
   }
 
   /**
    * Map technologies to cloud services for a specific provider
    * @param {string} provider - Cloud provider (aws, azure, gcp)
    * @param {Array} technologies - Detected technologies
+   * @param {Array} workloads - Workload descriptors from detectWorkloads
    * @returns {Array} Recommended cloud services
    */
-  mapTechnologiesToServices(provider, technologies) {
+  mapTechnologiesToServices(provider, technologies, workloads = []) {
     const services = new Map();
 
     technologies.forEach(tech => {
@@ -36,20 +51,134 @@ export class CloudServiceMappings {
       });
     });
 
-    return Array.from(services.values());
+    return this.applyWorkloads(provider, Array.from(services.values()), workloads);
+  }
+
+  /**
+   * Fit mapped services to the workloads the code runs
+   * Long-running workloads (realtime connections, queue workers) drop function services for
+   * always-on compute, and scheduled jobs get the provider's scheduler
+   * @param {string} provider - Cloud provider (aws, azure, gcp)
+   * @param {Array} services - Services mapped from technologies
+   * @param {Array} workloads - Workload descriptors
+   * @returns {Array} Services adjusted for the workloads
+   */
+  applyWorkloads(provider, services, workloads) {
+    let result = services;
+
+    const longRunning = workloads.filter(workload => workload.longRunning).map(workload => workload.type);
+    const compute = services.filter(service => service.category === 'compute');
+    if (longRunning.length > 0 && compute.length > 0) {
+      result = result
+        .filter(service => !(service.category === 'compute' && service.type === 'serverless'))
+        .map(service => service.category === 'compute' ? { ...service, longRunning: true, workloads: longRunning } : service);
+
+      const container = this.getContainerService(provider);
+      if (!result.some(service => service.category === 'compute') && container) {
+        result.push({
+          ...container,
+          supportedTechnologies: [...new Set(compute.flatMap(service => service.supportedTechnologies))],
+          confidence: Math.max(...compute.map(service => service.confidence)),
+          longRunning: true,
+          workloads: longRunning
+        });
+      }
+    }
+
+    const scheduled = workloads.find(workload => workload.type === 'scheduled');
+    const scheduler = this.schedulerServices[provider];
+    if (scheduled && scheduler) {
+      result = [...result, { ...scheduler, supportedTechnologies: [], confidence: 0.8, workloads: ['scheduled'] }];
+    }
+
+    return result;
   }
 
   /**
    * Get service mappings for a specific technology and provider
    */
   getServiceMappings(provider, technology) {
-    const techKey = technology.name.toLowerCase();
     const categoryMappings = this.serviceMappings[technology.category] || {};
+    // Detected technologies carry rule ids (nextjs); display names (Next.js) are normalized
+    const techKey = [
+      technology.id,
+      technology.name.toLowerCase(),
+      technology.name.toLowerCase().replace(/[^a-z0-9]/g, '')
+    ].find(key => key && categoryMappings[key]);
     const techMappings = categoryMappings[techKey] || {};
     
     return techMappings[provider] || [];
   }
 
+  /**
+   * Get the managed container service that runs an arbitrary image
+   * @param {string} provider - Cloud provider (aws, azure, gcp)
+   * @returns {Object|null} Container service
+   */
+  getContainerService(provider) {
+    return this.containerServices[provider] || null;
+  }
+
+  /**
+   * Get the managed Kubernetes service with a node pool sized for the workloads
+   * Picks the smallest node type that fits the largest pod without exceeding the node limit
+   * @param {string} provider - Cloud provider (aws, azure, gcp)
+   * @param {Object} sizing - Sizing from summarizeKubernetesSizing
+   * @returns {Object|null} Kubernetes service with `nodePool`
+   */
+  getKubernetesService(provider, sizing) {
+    const cluster = this.kubernetesServices[provider];
+    if (!cluster) {
+      return null;
+    }
+
+    const { nodeTypes, ...service } = cluster;
+    const nodesFor = (nodeType, cpu, memoryGB) => Math.max(
+      MIN_CLUSTER_NODES,
+      Math.ceil(cpu / (nodeType.vcpu * NODE_ALLOCATABLE_RATIO)),
+      Math.ceil(memoryGB / (nodeType.memoryGB * NODE_ALLOCATABLE_RATIO))
+    );
+    const fits = (nodeType) =>
+      sizing.largestPod.cpu <= nodeType.vcpu * NODE_ALLOCATABLE_RATIO &&
+      sizing.largestPod.memoryGB <= nodeType.memoryGB * NODE_ALLOCATABLE_RATIO;
+
+    const nodeType = nodeTypes.find(candidate =>
+      fits(candidate) && nodesFor(candidate, sizing.cpu, sizing.memoryGB) <= MAX_CLUSTER_NODES
+    ) || nodeTypes[nodeTypes.length - 1];
+
+    return {
+      ...service,
+      nodePool: {
+        ...nodeType,
+        count: nodesFor(nodeType, sizing.cpu, sizing.memoryGB),
+        maxCount: nodesFor(nodeType, sizing.maxCpu, sizing.maxMemoryGB)
+      }
+    };
+  }
+
+  /**
+   * Get the service that hosts an application built for a deployment model
+   * Server-rendered applications run on the provider's container service
+   * @param {string} provider - Cloud provider (aws, azure, gcp)
+   * @param {string} model - Deployment model (static, server, edge)
+   * @returns {Object|null} Hosting service, or null when the provider has no equivalent
+   */
+  getDeploymentModelService(provider, model) {
+    if (model === 'server') {
+      return this.getContainerService(provider);
+    }
+    return this.deploymentModelServices[model]?.[provider] || null;
+  }
+
+  /**
+   * Get the managed CI/CD service that replaces an external build and deploy pipeline
+   * @param {string} provider - Cloud provider (aws, azure, gcp)
+   * @returns {Object|null} CI/CD service
+   */
+  getDeliveryService(provider) {
+    return this.deliveryServices[provider] || null;
+  }
+
   /**
    * Get managed service alternative if available
    */
@@ -58,6 +187,32 @@ export class CloudServiceMappings {
     return this.managedAlternatives[key] || null;
   }
 
+  /**
+   * Get the runtime versions a managed service supports
+   * @param {Object} service - Cloud service
+   * @param {string} runtime - Runtime name (node, python, go, ...)
+   * @returns {Array<string>|null} Supported versions, or null when the service runs any runtime
+   */
+  getSupportedRuntimeVersions(service, runtime) {
+    const support = this.runtimeSupport[service.name];
+    if (!support) {
+      return null;
+    }
+    return support[runtime] || [];
+  }
+
+  /**
+   * Check whether a service can run a detected runtime version
+   * @param {Object} service - Cloud service
+   * @param {string} runtime - Runtime name
+   * @param {{version: string, minimum: boolean}} detected - Detected runtime version
+   * @returns {boolean}
+   */
+  isRuntimeSupported(service, runtime, detected) {
+    const supportedVersions = this.getSupportedRuntimeVersions(service, runtime);
+    return supportedVersions === null || isVersionSupported(detected, supportedVersions);
+  }
+
   /**
    * Get regional optimization for a service
    */
@@ -235,14 +390,6 @@ export class CloudServiceMappings {
         },
         nextjs: {
           aws: [
-            {
-              name: 'Vercel (recommended)',
-              category: 'hosting',
-              purpose: 'Optimized Next.js hosting',
-              type: 'managed',
-              alternatives: ['Amplify', 'Lambda + API Gateway'],
-              costFactors: ['function executions', 'bandwidth', 'build time']
-            },
             {
               name: 'Amplify',
               category: 'hosting',
@@ -285,14 +432,6 @@ export class CloudServiceMappings {
               supportsReservedInstances: true,
               alternatives: ['Aurora PostgreSQL', 'EC2 self-managed'],
               costFactors: ['instance type', 'storage', 'backup', 'data transfer']
-            },
-            {
-              name: 'Aurora PostgreSQL',
-              category: 'database',
-              purpose: 'High-performance PostgreSQL',
-              type: 'managed',
-              alternatives: ['RDS PostgreSQL'],
-              costFactors: ['ACU (serverless)', 'storage', 'I/O requests']
             }
           ],
           azure: [
@@ -347,6 +486,204 @@ export class CloudServiceMappings {
               costFactors: ['reads', 'writes', 'storage', 'bandwidth']
             }
           ]
+        },
+        mysql: {
+          aws: [
+            {
+              name: 'RDS MySQL',
+              category: 'database',
+              purpose: 'Managed MySQL database',
+              type: 'managed',
+              supportsReservedInstances: true,
+              alternatives: ['Aurora MySQL', 'EC2 self-managed'],
+              costFactors: ['instance type', 'storage', 'backup', 'data transfer']
+            }
+          ],
+          azure: [
+            {
+              name: 'Database for MySQL',
+              category: 'database',
+              purpose: 'Managed MySQL service',
+              type: 'managed',
+              alternatives: ['Virtual Machines'],
+              costFactors: ['compute', 'storage', 'backup']
+            }
+          ],
+          gcp: [
+            {
+              name: 'Cloud SQL MySQL',
+              category: 'database',
+              purpose: 'Managed MySQL database',
+              type: 'managed',
+              alternatives: ['Compute Engine self-managed'],
+              costFactors: ['CPU', 'memory', 'storage', 'network']
+            }
+          ]
+        },
+        elasticsearch: {
+          aws: [
+            {
+              name: 'OpenSearch Service',
+              category: 'search',
+              purpose: 'Managed search and analytics engine',
+              type: 'managed',
+              alternatives: ['Elastic Cloud', 'EC2 self-managed'],
+              costFactors: ['instance hours', 'storage', 'data transfer']
+            }
+          ],
+          azure: [
+            {
+              name: 'Elastic Cloud on Azure',
+              category: 'search',
+              purpose: 'Managed Elasticsearch through the Azure Native integration',
+              type: 'managed',
+              alternatives: ['AI Search', 'Virtual Machines'],
+              costFactors: ['deployment size', 'storage', 'data transfer']
+            }
+          ],
+          gcp: [
+            {
+              name: 'Elastic Cloud on Google Cloud',
+              category: 'search',
+              purpose: 'Managed Elasticsearch through Google Cloud Marketplace',
+              type: 'managed',
+              alternatives: ['Compute Engine self-managed'],
+              costFactors: ['deployment size', 'storage', 'data transfer']
+            }
+          ]
+        }
+      },
+      cache: {
+        redis: {
+          aws: [
+            {
+              name: 'ElastiCache for Redis',
+              category: 'cache',
+              purpose: 'Managed in-memory cache',
+              type: 'managed',
+              supportsReservedInstances: true,
+              alternatives: ['MemoryDB', 'EC2 self-managed'],
+              costFactors: ['node type', 'node count', 'data transfer']
+            }
+          ],
+          azure: [
+            {
+              name: 'Azure Cache for Redis',
+              category: 'cache',
+              purpose: 'Managed in-memory cache',
+              type: 'managed',
+              alternatives: ['Virtual Machines'],
+              costFactors: ['cache tier', 'cache size']
+            }
+          ],
+          gcp: [
+            {
+              name: 'Memorystore for Redis',
+              category: 'cache',
+              purpose: 'Managed in-memory cache',
+              type: 'managed',
+              alternatives: ['Compute Engine self-managed'],
+              costFactors: ['capacity', 'tier', 'network']
+            }
+          ]
+        },
+        memcached: {
+          aws: [
+            {
+              name: 'ElastiCache for Memcached',
+              category: 'cache',
+              purpose: 'Managed Memcached cluster',
+              type: 'managed',
+              alternatives: ['ElastiCache for Redis'],
+              costFactors: ['node type', 'node count']
+            }
+          ],
+          azure: [
+            {
+              name: 'Azure Cache for Redis',
+              category: 'cache',
+              purpose: 'Managed in-memory cache (no managed Memcached offering)',
+              type: 'managed',
+              alternatives: ['Virtual Machines'],
+              costFactors: ['cache tier', 'cache size']
+            }
+          ],
+          gcp: [
+            {
+              name: 'Memorystore for Memcached',
+              category: 'cache',
+              purpose: 'Managed Memcached cluster',
+              type: 'managed',
+              alternatives: ['Memorystore for Redis'],
+              costFactors: ['node count', 'vCPU', 'memory']
+            }
+          ]
+        }
+      },
+      queue: {
+        kafka: {
+          aws: [
+            {
+              name: 'MSK',
+              category: 'messaging',
+              purpose: 'Managed Apache Kafka',
+              type: 'managed',
+              alternatives: ['MSK Serverless', 'Kinesis Data Streams'],
+              costFactors: ['broker hours', 'storage', 'data transfer']
+            }
+          ],
+          azure: [
+            {
+              name: 'Event Hubs',
+              category: 'messaging',
+              purpose: 'Event streaming with a Kafka-compatible endpoint',
+              type: 'managed',
+              alternatives: ['HDInsight Kafka'],
+              costFactors: ['throughput units', 'ingress events', 'retention']
+            }
+          ],
+          gcp: [
+            {
+              name: 'Managed Service for Apache Kafka',
+              category: 'messaging',
+              purpose: 'Managed Apache Kafka',
+              type: 'managed',
+              alternatives: ['Pub/Sub'],
+              costFactors: ['vCPU', 'memory', 'storage']
+            }
+          ]
+        },
+        rabbitmq: {
+          aws: [
+            {
+              name: 'Amazon MQ',
+              category: 'messaging',
+              purpose: 'Managed RabbitMQ broker',
+              type: 'managed',
+              alternatives: ['SQS', 'EC2 self-managed'],
+              costFactors: ['broker instance hours', 'storage']
+            }
+          ],
+          azure: [
+            {
+              name: 'Service Bus',
+              category: 'messaging',
+              purpose: 'Managed message broker (AMQP 1.0; RabbitMQ clients need migration)',
+              type: 'managed',
+              alternatives: ['Virtual Machines'],
+              costFactors: ['tier', 'operations', 'messaging units']
+            }
+          ],
+          gcp: [
+            {
+              name: 'Pub/Sub',
+              category: 'messaging',
+              purpose: 'Managed messaging (RabbitMQ clients need migration)',
+              type: 'serverless',
+              alternatives: ['Compute Engine self-managed'],
+              costFactors: ['throughput', 'storage', 'egress']
+            }
+          ]
         }
       }
     };
@@ -380,4 +717,252 @@ export class CloudServiceMappings {
       }
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Initialize the container service used for services defined by an image or Dockerfile
+   */
+  initializeContainerServices() {
+    return {
+      aws: {
+        name: 'ECS Fargate',
+        category: 'compute',
+        purpose: 'Serverless container hosting',
+        type: 'managed',
+        alternatives: ['App Runner', 'EKS'],
+        costFactors: ['vCPU', 'memory', 'running tasks']
+      },
+      azure: {
+        name: 'Container Apps',
+        category: 'compute',
+        purpose: 'Serverless container hosting',
+        type: 'managed',
+        alternatives: ['App Service', 'AKS'],
+        costFactors: ['vCPU', 'memory', 'requests']
+      },
+      gcp: {
+        name: 'Cloud Run',
+        category: 'compute',
+        purpose: 'Serverless container hosting',
+        type: 'managed',
+        alternatives: ['GKE', 'App Engine'],
+        costFactors: ['vCPU', 'memory', 'requests']
+      }
+    };
+  }
+
+  /**
+   * Initialize managed Kubernetes services and their general-purpose node types, smallest first
+   */
+  initializeKubernetesServices() {
+    return {
+      aws: {
+        name: 'EKS',
+        category: 'compute',
+        purpose: 'Managed Kubernetes cluster',
+        type: 'managed',
+        alternatives: ['ECS Fargate', 'EKS Auto Mode'],
+        costFactors: ['control plane', 'worker nodes', 'persistent volumes'],
+        nodeTypes: [
+          { instanceType: 'm6i.large', vcpu: 2, memoryGB: 8 },
+          { instanceType: 'm6i.xlarge', vcpu: 4, memoryGB: 16 },
+          { instanceType: 'm6i.2xlarge', vcpu: 8, memoryGB: 32 }
+        ]
+      },
+      azure: {
+        name: 'AKS',
+        category: 'compute',
+        purpose: 'Managed Kubernetes cluster',
+        type: 'managed',
+        alternatives: ['Container Apps'],
+        costFactors: ['worker nodes', 'managed disks', 'uptime SLA tier'],
+        nodeTypes: [
+          { instanceType: 'Standard_D2s_v5', vcpu: 2, memoryGB: 8 },
+          { instanceType: 'Standard_D4s_v5', vcpu: 4, memoryGB: 16 },
+          { instanceType: 'Standard_D8s_v5', vcpu: 8, memoryGB: 32 }
+        ]
+      },
+      gcp: {
+        name: 'GKE',
+        category: 'compute',
+        purpose: 'Managed Kubernetes cluster',
+        type: 'managed',
+        alternatives: ['GKE Autopilot', 'Cloud Run'],
+        costFactors: ['cluster management fee', 'worker nodes', 'persistent disks'],
+        nodeTypes: [
+          { instanceType: 'e2-standard-2', vcpu: 2, memoryGB: 8 },
+          { instanceType: 'e2-standard-4', vcpu: 4, memoryGB: 16 },
+          { instanceType: 'e2-standard-8', vcpu: 8, memoryGB: 32 }
+        ]
+      }
+    };
+  }
+
+  /**
+   * Initialize hosting for static builds and edge functions; Azure and Google Cloud have no
+   * edge function runtime
+   */
+  initializeDeploymentModelServices() {
+    return {
+      static: {
+        aws: {
+          name: 'S3 + CloudFront',
+          category: 'hosting',
+          purpose: 'Static site hosting with CDN',
+          type: 'managed',
+          alternatives: ['Amplify'],
+          costFactors: ['storage', 'data transfer', 'requests']
+        },
+        azure: {
+          name: 'Static Web Apps',
+          category: 'hosting',
+          purpose: 'Static site hosting with global distribution',
+          type: 'managed',
+          alternatives: ['Storage Account', 'Front Door'],
+          costFactors: ['bandwidth', 'custom domains']
+        },
+        gcp: {
+          name: 'Firebase Hosting',
+          category: 'hosting',
+          purpose: 'Static site hosting with CDN',
+          type: 'managed',
+          alternatives: ['Cloud Storage', 'Cloud CDN'],
+          costFactors: ['storage', 'bandwidth']
+        }
+      },
+      edge: {
+        aws: {
+          name: 'Lambda@Edge',
+          category: 'hosting',
+          purpose: 'Functions running at CloudFront edge locations',
+          type: 'serverless',
+          alternatives: ['CloudFront Functions', 'Amplify'],
+          costFactors: ['requests', 'compute duration']
+        }
+      }
+    };
+  }
+
+  /**
+   * Initialize the managed schedulers that trigger scheduled jobs
+   */
+  initializeSchedulerServices() {
+    return {
+      aws: {
+        name: 'EventBridge Scheduler',
+        category: 'scheduler',
+        purpose: 'Cron and rate-based job triggers',
+        type: 'serverless',
+        alternatives: ['EventBridge rules', 'ECS scheduled tasks'],
+        costFactors: ['invocations']
+      },
+      azure: {
+        name: 'Logic Apps',
+        category: 'scheduler',
+        purpose: 'Recurrence-triggered workflows',
+        type: 'serverless',
+        alternatives: ['Functions timer trigger', 'Container Apps jobs'],
+        costFactors: ['action executions']
+      },
+      gcp: {
+        name: 'Cloud Scheduler',
+        category: 'scheduler',
+        purpose: 'Managed cron job triggers',
+        type: 'managed',
+        alternatives: ['Cloud Run jobs', 'Workflows'],
+        costFactors: ['jobs per month']
+      }
+    };
+  }
+
+  /**
+   * Initialize the managed CI/CD services recommended in place of external pipelines
+   */
+  initializeDeliveryServices() {
+    return {
+      aws: {
+        name: 'CodePipeline',
+        category: 'cicd',
+        purpose: 'Managed build and deployment pipeline',
+        type: 'managed',
+        alternatives: ['CodeBuild', 'CodeDeploy'],
+        costFactors: ['active pipelines', 'build minutes']
+      },
+      azure: {
+        name: 'Azure DevOps Pipelines',
+        category: 'cicd',
+        purpose: 'Managed build and deployment pipeline',
+        type: 'managed',
+        alternatives: ['GitHub Actions'],
+        costFactors: ['parallel jobs', 'build minutes']
+      },
+      gcp: {
+        name: 'Cloud Build',
+        category: 'cicd',
+        purpose: 'Managed build and deployment pipeline',
+        type: 'managed',
+        alternatives: ['Cloud Deploy'],
+        costFactors: ['build minutes', 'machine type']
+      }
+    };
+  }
+
+  /**
+   * Initialize managed runtime versions per service
+   * Container and VM services run any runtime and are not listed
+   */
+  initializeRuntimeSupport() {
+    return {
+      'Lambda': {
+        node: ['18', '20', '22'],
+        python: ['3.9', '3.10', '3.11', '3.12', '3.13'],
+        java: ['8', '11', '17', '21'],
+        ruby: ['3.2', '3.3', '3.4'],
+        dotnet: ['8'],
+        // Compiled languages run on the OS-only provided.al2023 runtime
+        go: ['*'],
+        rust: ['*']
+      },
+      'Elastic Beanstalk': {
+        node: ['18', '20', '22'],
+        python: ['3.9', '3.11', '3.12', '3.13'],
+        java: ['8', '11', '17', '21'],
+        ruby: ['3.2', '3.3'],
+        php: ['8.1', '8.2', '8.3'],
+        go: ['1'],
+        dotnet: ['8']
+      },
+      'Functions': {
+        node: ['18', '20', '22'],
+        python: ['3.9', '3.10', '3.11', '3.12'],
+        java: ['8', '11', '17', '21'],
+        dotnet: ['8'],
+        go: ['*'],
+        rust: ['*']
+      },
+      'App Service': {
+        node: ['18', '20', '22'],
+        python: ['3.9', '3.10', '3.11', '3.12'],
+        java: ['8', '11', '17', '21'],
+        php: ['8.2', '8.3'],
+        dotnet: ['8']
+      },
+      'Cloud Functions': {
+        node: ['18', '20', '22'],
+        python: ['3.9', '3.10', '3.11', '3.12'],
+        go: ['1.21', '1.22', '1.23'],
+        java: ['17', '21'],
+        ruby: ['3.2', '3.3'],
+        php: ['8.2', '8.3'],
+        dotnet: ['8']
+      },
+      'App Engine': {
+        node: ['18', '20', '22'],
+        python: ['3.8', '3.9', '3.10', '3.11', '3.12'],
+        go: ['1.20', '1.21', '1.22', '1.23'],
+        java: ['17', '21'],
+        ruby: ['3.2', '3.3'],
+        php: ['8.1', '8.2', '8.3']
+      }
+    };
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Recommendation requirements
+ * JSON Schema for the requirements the recommendation engine reads, and a validator for it.
+ * The validator covers the subset of JSON Schema used here (type, enum, minimum, properties,
+ * additionalProperties), so the schema can be published without adding a schema library
+ */
+
+import { ValidationError } from '../github/errorHandling.js';
+
+/**
+ * Recommendation preferences used when requirements do not set their own
+ */
+export const DEFAULT_PREFERENCES = {
+  costOptimization: true,
+  managedServices: true,
+  scalability: 'medium'
+};
+
+/**
+ * Starting answers for the requirements questionnaire
+ * Each matches what the engine assumes when the field is missing, so accepting them all
+ * recommends the same architectures as passing no requirements
+ */
+export const DEFAULT_REQUIREMENTS = {
+  scale: 'small',
+  traffic: 'medium',
+  workload: 'variable',
+  region: 'us-east-1',
+  commitment: 'none',
+  priority: 'balanced',
+  organizationType: 'smb',
+  performance: 'medium',
+  expectedGrowth: 'medium',
+  preferences: DEFAULT_PREFERENCES
+};
+
+const LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * JSON Schema for recommendation requirements; every field is optional
+ */
+export const REQUIREMENTS_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Recommendation requirements',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    scale: {
+      description: 'Size of the deployment; sets the baseline usage costs are estimated from',
+      enum: ['small', 'medium', 'large']
+    },
+    traffic: {
+      description: 'Traffic pattern; low and variable traffic favour serverless services',
+      enum: ['low', 'medium', 'high', 'variable']
+    },
+    workload: {
+      description: 'Predictable workloads get reserved instance options',
+      enum: ['predictable', 'variable']
+    },
+    region: {
+      description: 'Cloud region, e.g. us-east-1',
+      type: 'string'
+    },
+    commitment: {
+      description: 'Reserved capacity term applied to services with a reserved instance option',
+      enum: ['none', '1year', '3year']
+    },
+    maxBudget: {
+      description: 'Highest acceptable monthly cost in USD; costs above it lower the ranking score',
+      type: 'number',
+      minimum: 0
+    },
+    priority: {
+      description: 'Criterion weighted most when ranking',
+      enum: ['balanced', 'cost', 'performance', 'simplicity']
+    },
+    organizationType: {
+      description: 'Startups weight cost and simplicity, enterprises reliability and performance',
+      enum: ['startup', 'smb', 'enterprise']
+    },
+    performance: {
+      description: 'Performance needs; high favours higher-performing architectures',
+      enum: LEVELS
+    },
+    expectedGrowth: {
+      description: 'Expected traffic growth; high favours architectures that scale',
+      enum: LEVELS
+    },
+    preferences: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        costOptimization: { type: 'boolean' },
+        managedServices: { type: 'boolean' },
+        scalability: { enum: LEVELS }
+      }
+    }
+  }
+};
+
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+function validateValue(schema, value, field, errors) {
+  const name = field || 'requirements';
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `${name} must be one of ${schema.enum.join(', ')}` });
+    return;
+  }
+  if (schema.type && getType(value) !== schema.type) {
+    errors.push({ field, message: `${name} must be ${schema.type === 'object' ? 'an' : 'a'} ${schema.type}` });
+    return;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field, message: `${name} must be at least ${schema.minimum}` });
+  }
+
+  if (schema.type === 'object') {
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const path = field ? `${field}.${key}` : key;
+      if (schema.properties?.[key]) {
+        if (propertyValue !== undefined) {
+          validateValue(schema.properties[key], propertyValue, path, errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: path, message: `${path} is not a known requirement` });
+      }
+    }
+  }
+}
+
+/**
+ * Validates requirements against REQUIREMENTS_SCHEMA and fills in the default preferences
+ * @param {object} requirements - Requirements; every field is optional
+ * @returns {{isValid: boolean, errors: Array<{field: string|null, message: string}>, requirements: object|null}} -
+ * requirements is the normalized object, or null when invalid
+ */
+export function validateRequirements(requirements = {}) {
+  const errors = [];
+  validateValue(REQUIREMENTS_SCHEMA, requirements ?? {}, null, errors);
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, requirements: null };
+  }
+
+  return {
+    isValid: true,
+    errors,
+    requirements: {
+      ...requirements,
+      preferences: { ...DEFAULT_PREFERENCES, ...requirements?.preferences }
+    }
+  };
+}
+
+/**
+ * Validates requirements, throwing for invalid ones
+ * @param {object} requirements - Requirements; every field is optional
+ * @returns {object} - Normalized requirements
+ * @throws {ValidationError} - Listing every problem, with the field of the first
+ */
+export function assertRequirements(requirements = {}) {
+  const validation = validateRequirements(requirements);
+  if (!validation.isValid) {
+    const [first] = validation.errors;
+    throw new ValidationError(`Invalid requirements: ${validation.errors.map(error => error.message).join('; ')}`, first.field);
+  }
+  return validation.requirements;
+}
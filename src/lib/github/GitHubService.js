@@ -2,125 +2,139 @@
  * GitHub API Service for repository analysis and validation
  * Handles repository access, validation, and content analysis
  */
-export class GitHubService {
-  constructor(apiToken = null) {
-    this.apiToken = apiToken;
-    this.baseUrl = 'https://api.github.com';
-  }
 
+import { RepositoryService } from '../repositories/RepositoryService.js';
+import { normalizeTreeEntries, filterTree } from '../analysis/treeFilter.js';
+import { GitHubError, RateLimitError, defaultErrorHandler } from './errorHandling.js';
+import { defaultResponseCache, isImmutableEndpoint } from './responseCache.js';
+
+export class GitHubService extends RepositoryService {
   /**
-   * Validates if a GitHub repository URL is accessible
-   * @param {string} url - GitHub repository URL
-   * @returns {Promise<{isValid: boolean, isAccessible: boolean, repository: object|null, error: string|null}>}
+   * @param {string|null} apiToken - Personal access, OAuth or GitHub App user token
+   * @param {object} options - {errorHandler} retry and rate-limit policy, defaultErrorHandler when omitted;
+   * {cache} conditional-request cache, defaultResponseCache when omitted and disabled with null
    */
-  async validateRepository(url) {
-    try {
-      const { owner, repo } = this.parseGitHubUrl(url);
-      
-      if (!owner || !repo) {
-        return {
-          isValid: false,
-          isAccessible: false,
-          repository: null,
-          error: 'Invalid GitHub URL format'
-        };
-      }
+  constructor(apiToken = null, { errorHandler = defaultErrorHandler, cache = defaultResponseCache } = {}) {
+    super(apiToken, 'https://api.github.com');
+    this.errorHandler = errorHandler;
+    this.cache = cache;
+    // Quota from the latest response's X-RateLimit headers: {remaining, reset}
+    this.rateLimit = null;
+  }
 
-      const response = await this.makeApiRequest(`/repos/${owner}/${repo}`);
-      
-      if (response.ok) {
-        const repository = await response.json();
-        return {
-          isValid: true,
-          isAccessible: true,
-          repository: {
-            name: repository.name,
-            fullName: repository.full_name,
-            owner: repository.owner.login,
-            isPrivate: repository.private,
-            size: repository.size,
-            language: repository.language,
-            languages: null, // Will be fetched separately
-            lastUpdated: new Date(repository.updated_at),
-            metadata: {
-              stars: repository.stargazers_count,
-              forks: repository.forks_count,
-              openIssues: repository.open_issues_count,
-              defaultBranch: repository.default_branch
-            }
-          },
-          error: null
-        };
-      } else if (response.status === 404) {
-        return {
-          isValid: true,
-          isAccessible: false,
-          repository: null,
-          error: 'Repository not found or is private'
-        };
-      } else {
-        throw new Error(`GitHub API error: ${response.status}`);
+  get providerId() {
+    return 'github';
+  }
+
+  get providerName() {
+    return 'GitHub';
+  }
+
+  parseRepositoryUrl(url) {
+    return this.parseGitHubUrl(url);
+  }
+
+  getRepositoryUrl(owner, repo) {
+    return `https://github.com/${owner}/${repo}`;
+  }
+
+  getRepositoryEndpoint(owner, repo) {
+    return `/repos/${owner}/${repo}`;
+  }
+
+  normalizeRepository(repository) {
+    return {
+      name: repository.name,
+      fullName: repository.full_name,
+      owner: repository.owner.login,
+      isPrivate: repository.private,
+      size: repository.size,
+      language: repository.language,
+      languages: null, // Will be fetched separately
+      lastUpdated: new Date(repository.updated_at),
+      metadata: {
+        stars: repository.stargazers_count,
+        forks: repository.forks_count,
+        openIssues: repository.open_issues_count,
+        defaultBranch: repository.default_branch
       }
-    } catch (error) {
-      return {
-        isValid: false,
-        isAccessible: false,
-        repository: null,
-        error: error.message
-      };
-    }
+    };
   }
 
   /**
-   * Analyzes repository contents to detect technologies and dependencies
-   * @param {string} url - GitHub repository URL
-   * @param {Function} progressCallback - Optional callback for progress updates
-   * @returns {Promise<{technologies: Array, languages: object, packageFiles: Array, error: string|null}>}
+   * Resolves a branch, tag or commit through the commits API
    */
-  async analyzeRepository(url, progressCallback = null) {
-    try {
-      const { owner, repo } = this.parseGitHubUrl(url);
-      
-      if (progressCallback) progressCallback('Fetching repository information...', 10);
-      
-      // Get repository languages
-      const languagesResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/languages`);
-      const languages = languagesResponse.ok ? await languagesResponse.json() : {};
-      
-      if (progressCallback) progressCallback('Analyzing repository structure...', 30);
-      
-      // Get repository contents
-      const contentsResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/contents`);
-      const contents = contentsResponse.ok ? await contentsResponse.json() : [];
-      
-      if (progressCallback) progressCallback('Detecting package files...', 50);
-      
-      // Analyze package files and dependencies
-      const packageFiles = await this.analyzePackageFiles(owner, repo, contents);
-      
-      if (progressCallback) progressCallback('Processing dependencies...', 60);
-      
-      if (progressCallback) progressCallback('Detecting technologies...', 70);
-      
-      // Detect technologies from files and dependencies
-      const technologies = this.detectTechnologies(languages, packageFiles, contents);
-      
-      if (progressCallback) progressCallback('Analysis complete', 100);
-      
-      return {
-        technologies,
-        languages,
-        packageFiles,
-        error: null
-      };
-    } catch (error) {
+  async fetchCommitSha(owner, repo, ref, { signal } = {}) {
+    const response = await this.makeApiRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(ref || 'HEAD')}`, { signal });
+    return response.ok ? (await response.json()).sha : null;
+  }
+
+  async listRefs(owner, repo) {
+    const [branchesResponse, tagsResponse] = await Promise.all([
+      this.makeApiRequest(`/repos/${owner}/${repo}/branches?per_page=100`),
+      this.makeApiRequest(`/repos/${owner}/${repo}/tags?per_page=100`)
+    ]);
+
+    return {
+      branches: branchesResponse.ok ? (await branchesResponse.json()).map(branch => branch.name) : [],
+      tags: tagsResponse.ok ? (await tagsResponse.json()).map(tag => tag.name) : []
+    };
+  }
+
+  /**
+   * Fetches the language byte counts GitHub computes for the repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} options - {signal} aborting the request
+   * @returns {Promise<object>}
+   */
+  async fetchLanguages(owner, repo, { signal } = {}) {
+    const languagesResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/languages`, { signal });
+    return languagesResponse.ok ? await languagesResponse.json() : {};
+  }
+
+  /**
+   * Lists repository files recursively via the git trees API
+   * Falls back to the top-level contents listing when the tree cannot be fetched; rejects when
+   * that is refused as well
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} options - Tree scanning options {maxDepth, maxFiles, ignore, ref, path} and the run's {signal}
+   * @returns {Promise<{entries: Array, truncated: boolean}>}
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    const { signal } = options;
+    const ref = options.ref ? encodeURIComponent(options.ref) : 'HEAD';
+    const treeResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/git/trees/${ref}?recursive=1`, { signal });
+
+    if (treeResponse.ok) {
+      const treeData = await treeResponse.json();
+      const { entries, truncated } = filterTree(normalizeTreeEntries(treeData.tree), options);
       return {
-        technologies: [],
-        languages: {},
-        packageFiles: [],
-        error: error.message
+        entries,
+        truncated: truncated || Boolean(treeData.truncated)
       };
     }
+
+    const path = options.path ? `/${options.path.split('/').map(encodeURIComponent).join('/')}` : '';
+    const contentsResponse = await this.makeApiRequest(
+      `/repos/${owner}/${repo}/contents${path}${options.ref ? `?ref=${encodeURIComponent(options.ref)}` : ''}`,
+      { signal }
+    );
+    if (!contentsResponse.ok) {
+      throw await this.getListingError(contentsResponse, owner, repo);
+    }
+    const contents = await contentsResponse.json();
+
+    if (!Array.isArray(contents)) {
+      return { entries: [], truncated: false };
+    }
+
+    return {
+      // Listed paths are repository paths; the scope makes them relative again
+      entries: options.path ? filterTree(contents, { path: options.path }).entries : contents,
+      truncated: false
+    };
   }
 
   /**
@@ -159,11 +173,157 @@ export class GitHubService {
   }
 
   /**
-   * Makes authenticated API request to GitHub
+   * Looks up the account and OAuth scopes of the access token
+   * Fine-grained tokens and GitHub App user tokens carry permissions instead of scopes;
+   * their scopes are null
+   * @returns {Promise<{login: string, scopes: Array<string>|null}|null>} - null without a valid token
+   */
+  async getTokenInfo() {
+    if (!this.apiToken) {
+      return null;
+    }
+
+    const response = await this.makeApiRequest('/user');
+    if (!response.ok) {
+      return null;
+    }
+
+    const user = await response.json();
+    const scopes = response.headers?.get('x-oauth-scopes');
+    return {
+      login: user.login,
+      scopes: scopes === null || scopes === undefined
+        ? null
+        : scopes.split(',').map(scope => scope.trim()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Separates missing repositories from ones the token cannot read
+   * GitHub answers 404 for both; with a token, the owner and the token's scopes tell them apart
+   */
+  async describeAccessError(status, owner, repo) {
+    if (status === 401) {
+      return { accessError: 'invalid_token', error: 'GitHub rejected the access token. It may have expired or been revoked' };
+    }
+    if (status === 403) {
+      return {
+        accessError: 'no_access',
+        error: 'Access to this repository is denied. If the organization uses SAML single sign-on, authorize the token for it'
+      };
+    }
+    if (!this.apiToken) {
+      return { accessError: 'not_found', error: 'Repository not found or is private' };
+    }
+
+    const tokenInfo = await this.getTokenInfo();
+    if (!tokenInfo) {
+      return { accessError: 'invalid_token', error: 'GitHub rejected the access token. It may have expired or been revoked' };
+    }
+
+    const ownerResponse = await this.makeApiRequest(`/users/${owner}`);
+    if (ownerResponse.status === 404) {
+      return { accessError: 'not_found', error: `Repository not found: ${owner} does not exist` };
+    }
+    if (tokenInfo.scopes && !tokenInfo.scopes.includes('repo')) {
+      return {
+        accessError: 'no_access',
+        error: 'Repository not found, or private: the token lacks the repo scope needed to read private repositories'
+      };
+    }
+
+    return {
+      accessError: 'no_access',
+      error: `${tokenInfo.login} has no access to ${owner}/${repo}, or the repository does not exist`
+    };
+  }
+
+  /**
+   * Makes a GitHub API request through the cache and the error handler
+   * Cached responses are revalidated with conditional requests. Timeouts, 5xx responses and
+   * rate limits are retried with backoff, waiting for a rate limit to reset when it lifts soon,
+   * and reject with typed errors once retries run out. Other responses, such as 404, are
+   * returned for the caller to interpret
    * @param {string} endpoint - API endpoint
+   * @param {object} options - {signal} aborting the request and its retries with a CancelledError
    * @returns {Promise<Response>}
    */
-  async makeApiRequest(endpoint) {
+  async makeApiRequest(endpoint, { signal = null } = {}) {
+    const send = (headers) => this.errorHandler.executeWithRetry(async () => {
+      const response = await super.makeApiRequest(endpoint, { headers, signal }).catch(error => {
+        // The handler classifies connection failures (fetch's TypeError) and timeouts; any other
+        // failure reaches the caller with its own message rather than as an unexpected error
+        throw error instanceof GitHubError || error instanceof TypeError
+          ? error
+          : new GitHubError(error.message, 'API_ERROR');
+      });
+      this.trackRateLimit(response);
+      if (this.errorHandler.isRateLimited(response) || this.errorHandler.retryableStatusCodes.has(response.status)) {
+        throw await this.errorHandler.handleResponseError(response, 'GitHub API');
+      }
+      return response;
+    }, 'GitHub API', { signal });
+
+    if (!this.cache) {
+      return send({});
+    }
+    return this.cache.fetch(
+      await this.cache.getKey(`${this.baseUrl}${endpoint}`, this.apiToken),
+      send,
+      { immutable: isImmutableEndpoint(endpoint) }
+    );
+  }
+
+  /**
+   * Records the remaining quota from a response's rate-limit headers
+   * @param {Response} response - API response
+   */
+  trackRateLimit(response) {
+    const remaining = response.headers?.get('X-RateLimit-Remaining');
+    const reset = response.headers?.get('X-RateLimit-Reset');
+    if (remaining !== null && remaining !== undefined && reset) {
+      this.rateLimit = { remaining: parseInt(remaining), reset: new Date(parseInt(reset) * 1000) };
+    }
+  }
+
+  /**
+   * Holds further requests once the quota is used up, until it resets
+   * Rejects with a RateLimitError when the reset is further off than the error handler waits
+   * @param {object} options - {signal} cutting the wait short with a CancelledError
+   */
+  async waitForRateLimit({ signal = null } = {}) {
+    if (!this.rateLimit || this.rateLimit.remaining > 0) {
+      return;
+    }
+
+    const { reset } = this.rateLimit;
+    const wait = reset - Date.now() + 1000;
+    if (wait > this.errorHandler.maxRateLimitWait) {
+      throw new RateLimitError(`GitHub API rate limit exceeded. It resets at ${reset.toLocaleTimeString()}.`, reset);
+    }
+    if (wait > 0) {
+      await this.errorHandler.sleep(wait, signal);
+    }
+    if (this.rateLimit?.reset === reset) {
+      this.rateLimit = null;
+    }
+  }
+
+  /**
+   * Drops cached API responses for a repository, for example after pushing to it
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<number>} - Number of cached responses removed
+   */
+  async invalidateCache(owner, repo) {
+    return this.cache ? this.cache.invalidate(`${this.baseUrl}/repos/${owner}/${repo}`) : 0;
+  }
+
+  /**
+   * GitHub REST API headers, authenticated when a token is set
+   * @returns {object}
+   */
+  getRequestHeaders() {
     const headers = {
       'Accept': 'application/vnd.github.v3+json',
       'User-Agent': 'CloudOpti-Analyzer/1.0'
@@ -173,36 +333,37 @@ export class GitHubService {
       headers['Authorization'] = `token ${this.apiToken}`;
     }
     
-    const response = await fetch(`${this.baseUrl}${endpoint}`, {
-      headers,
-      timeout: 10000 // 10 second timeout
-    });
-    
-    return response;
+    return headers;
   }
 
   /**
-   * Parses GitHub URL to extract owner and repository name
+   * Parses GitHub URL to extract owner, repository name, the ref of tree, blob, commit and
+   * release URLs and the directory a tree or blob URL points into
    * @param {string} url - GitHub repository URL
-   * @returns {object} - {owner, repo}
+   * @returns {object} - {owner, repo, ref?, path?}
    */
   parseGitHubUrl(url) {
     try {
       // Handle various GitHub URL formats
       const patterns = [
-        /github\.com\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/.*)?$/,
+        /github\.com\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/(.*))?$/,
         /^([^\/]+)\/([^\/]+)$/
       ];
       
-      let cleanUrl = url.replace(/^https?:\/\//, '').replace(/^www\./, '');
+      let cleanUrl = url.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[?#].*$/, '');
       
       for (const pattern of patterns) {
         const match = cleanUrl.match(pattern);
         if (match) {
-          return {
-            owner: match[1],
-            repo: match[2]
-          };
+          const route = (match[3] || '').match(/^(tree|blob|commit|releases\/tag)\/(.+?)\/?$/);
+          if (!route) {
+            return { owner: match[1], repo: match[2] };
+          }
+
+          const refPath = decodeURIComponent(route[2]);
+          return route[1] === 'tree' || route[1] === 'blob'
+            ? { owner: match[1], repo: match[2], ...this.splitRefPath(refPath, route[1] === 'blob') }
+            : { owner: match[1], repo: match[2], ref: refPath, path: '' };
         }
       }
       
@@ -213,206 +374,43 @@ export class GitHubService {
   }
 
   /**
-   * Analyzes package files to extract dependencies
+   * Fetches and decodes a single file from the repository
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
-   * @param {Array} contents - Repository contents
-   * @returns {Promise<Array>}
+   * @param {string} path - Repository-relative file path
+   * @param {string|null} ref - Commit SHA or ref name; the default branch when null
+   * @param {object} options - {signal} aborting the request
+   * @returns {Promise<string|null>} - File content, or null if unavailable
    */
-  async analyzePackageFiles(owner, repo, contents) {
-    const packageFiles = [];
-    const packageFileNames = [
-      'package.json',
-      'requirements.txt',
-      'pom.xml',
-      'build.gradle',
-      'Cargo.toml',
-      'go.mod',
-      'composer.json',
-      'Gemfile',
-      'setup.py',
-      'pyproject.toml'
-    ];
-    
-    // Ensure contents is an array
-    if (!Array.isArray(contents)) {
-      return packageFiles;
-    }
-    
-    for (const file of contents) {
-      if (packageFileNames.includes(file.name)) {
-        try {
-          const fileResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/contents/${file.name}`);
-          if (fileResponse.ok) {
-            const fileData = await fileResponse.json();
-            const content = fileData.content ? atob(fileData.content) : '';
-            
-            packageFiles.push({
-              name: file.name,
-              content,
-              dependencies: this.parseDependencies(file.name, content)
-            });
-          }
-        } catch (error) {
-          console.warn(`Failed to fetch ${file.name}:`, error.message);
-        }
-      }
-    }
-    
-    return packageFiles;
-  }
+  async fetchFileContent(owner, repo, path, ref = null, { signal } = {}) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const fileResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/contents/${encodedPath}${query}`, { signal });
 
-  /**
-   * Parses dependencies from package file content
-   * @param {string} fileName - Package file name
-   * @param {string} content - File content
-   * @returns {Array}
-   */
-  parseDependencies(fileName, content) {
-    try {
-      switch (fileName) {
-        case 'package.json':
-          const packageJson = JSON.parse(content);
-          return [
-            ...Object.keys(packageJson.dependencies || {}),
-            ...Object.keys(packageJson.devDependencies || {})
-          ];
-        
-        case 'requirements.txt':
-          return content.split('\n')
-            .filter(line => line.trim() && !line.startsWith('#'))
-            .map(line => line.split(/[>=<]/)[0].trim());
-        
-        case 'pom.xml':
-          // Basic XML parsing for Maven dependencies
-          const dependencyMatches = content.match(/<artifactId>([^<]+)<\/artifactId>/g) || [];
-          return dependencyMatches.map(match => match.replace(/<\/?artifactId>/g, ''));
-        
-        default:
-          return [];
-      }
-    } catch (error) {
-      return [];
+    if (!fileResponse.ok) {
+      return null;
     }
-  }
-
-  /**
-   * Detects technologies from languages, dependencies, and file structure
-   * @param {object} languages - Repository languages
-   * @param {Array} packageFiles - Package files with dependencies
-   * @param {Array} contents - Repository contents
-   * @returns {Array}
-   */
-  detectTechnologies(languages, packageFiles, contents) {
-    const technologies = [];
-    
-    // Detect from languages
-    Object.keys(languages).forEach(language => {
-      technologies.push({
-        id: language.toLowerCase(),
-        name: language,
-        category: 'language',
-        confidence: 0.9,
-        source: 'github_languages',
-        evidence: [`${language} detected in repository languages`]
-      });
-    });
-    
-    // Detect frameworks from dependencies
-    packageFiles.forEach(packageFile => {
-      const frameworks = this.detectFrameworks(packageFile.dependencies);
-      technologies.push(...frameworks);
-    });
-    
-    // Detect from file structure
-    const structureTechnologies = this.detectFromFileStructure(contents);
-    technologies.push(...structureTechnologies);
-    
-    return technologies;
-  }
 
-  /**
-   * Detects frameworks from dependency list
-   * @param {Array} dependencies - List of dependencies
-   * @returns {Array}
-   */
-  detectFrameworks(dependencies) {
-    const frameworkMap = {
-      'react': { name: 'React', category: 'framework' },
-      'vue': { name: 'Vue.js', category: 'framework' },
-      'angular': { name: 'Angular', category: 'framework' },
-      'next': { name: 'Next.js', category: 'framework' },
-      'nuxt': { name: 'Nuxt.js', category: 'framework' },
-      'express': { name: 'Express.js', category: 'framework' },
-      'django': { name: 'Django', category: 'framework' },
-      'flask': { name: 'Flask', category: 'framework' },
-      'spring-boot': { name: 'Spring Boot', category: 'framework' },
-      'laravel': { name: 'Laravel', category: 'framework' }
-    };
-    
-    const detected = [];
-    
-    dependencies.forEach(dep => {
-      const depName = dep.toLowerCase();
-      Object.keys(frameworkMap).forEach(key => {
-        if (depName.includes(key)) {
-          const framework = frameworkMap[key];
-          detected.push({
-            id: key,
-            name: framework.name,
-            category: framework.category,
-            confidence: 0.8,
-            source: 'package_dependencies',
-            evidence: [`Found ${dep} in dependencies`]
-          });
-        }
-      });
-    });
-    
-    return detected;
+    const fileData = await fileResponse.json();
+    return fileData.content ? atob(fileData.content) : '';
   }
 
   /**
-   * Detects technologies from file structure patterns
-   * @param {Array} contents - Repository contents
-   * @returns {Array}
+   * Reads a tree entry as a git blob by its SHA
+   * Blob responses never change, so the cache serves repeat reads without a request. Entries
+   * without a SHA are read by path
    */
-  detectFromFileStructure(contents) {
-    const technologies = [];
-    
-    // Ensure contents is an array
-    if (!Array.isArray(contents)) {
-      return technologies;
+  async fetchTreeFile(owner, repo, entry, ref = null, scope = '', { signal } = {}) {
+    if (!entry.sha) {
+      return super.fetchTreeFile(owner, repo, entry, ref, scope, { signal });
     }
-    
-    const fileNames = contents.map(file => file.name);
-    
-    // Docker detection
-    if (fileNames.includes('Dockerfile') || fileNames.includes('docker-compose.yml')) {
-      technologies.push({
-        id: 'docker',
-        name: 'Docker',
-        category: 'tool',
-        confidence: 0.9,
-        source: 'file_structure',
-        evidence: ['Docker configuration files found']
-      });
-    }
-    
-    // Kubernetes detection
-    if (fileNames.some(name => name.includes('k8s') || name.includes('kubernetes'))) {
-      technologies.push({
-        id: 'kubernetes',
-        name: 'Kubernetes',
-        category: 'tool',
-        confidence: 0.8,
-        source: 'file_structure',
-        evidence: ['Kubernetes configuration files found']
-      });
+
+    const blobResponse = await this.makeApiRequest(`/repos/${owner}/${repo}/git/blobs/${entry.sha}`, { signal });
+    if (!blobResponse.ok) {
+      return null;
     }
-    
-    return technologies;
+
+    const blob = await blobResponse.json();
+    return blob.content ? atob(blob.content) : '';
   }
 }
-
-export default GitHubService;
\ No newline at end of file
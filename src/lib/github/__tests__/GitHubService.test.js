@@ -1,5 +1,30 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { GitHubService } from '../GitHubService.js'
+import { GitHubErrorHandler, RateLimitError } from '../errorHandling.js'
+
+// Serves `files` as the repository tree and its blobs; `languages` answers the languages endpoint
+const mockRepositoryFiles = (files, { languages = null } = {}) => global.fetch.mockImplementation((url) => {
+  const paths = Object.keys(files)
+  if (url.includes('/git/trees/')) {
+    return Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({
+        tree: paths.map((path, index) => ({ path, type: 'blob', sha: String(index), size: files[path].length }))
+      })
+    })
+  }
+  if (languages && url.includes('/languages')) {
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(languages) })
+  }
+  const path = paths.find((name, index) => url.endsWith(`/git/blobs/${index}`))
+  if (path) {
+    return Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ content: Buffer.from(files[path]).toString('base64') })
+    })
+  }
+  return Promise.resolve({ ok: false, status: 404 })
+})
 
 describe('GitHubService', () => {
   let service
@@ -42,11 +67,23 @@ describe('GitHubService', () => {
     })
 
     it('should handle URL with additional path', () => {
-      const url = 'https://github.com/owner/repo/tree/main'
+      const url = 'https://github.com/owner/repo/issues/12'
       const result = service.parseGitHubUrl(url)
       expect(result).toEqual({ owner: 'owner', repo: 'repo' })
     })
 
+    it('should keep the ref of tree, blob, commit and release URLs', () => {
+      expect(service.parseGitHubUrl('https://github.com/owner/repo/tree/release-2.x')).toEqual({ owner: 'owner', repo: 'repo', ref: 'release-2.x', path: '' })
+      expect(service.parseGitHubUrl('https://github.com/owner/repo/commit/4f2a9c1')).toEqual({ owner: 'owner', repo: 'repo', ref: '4f2a9c1', path: '' })
+      expect(service.parseGitHubUrl('https://github.com/owner/repo/releases/tag/v1.2.0')).toEqual({ owner: 'owner', repo: 'repo', ref: 'v1.2.0', path: '' })
+    })
+
+    it('should capture the directory of tree and blob URLs', () => {
+      expect(service.parseGitHubUrl('https://github.com/org/monorepo/tree/main/services/billing')).toEqual({ owner: 'org', repo: 'monorepo', ref: 'main', path: 'services/billing' })
+      expect(service.parseGitHubUrl('https://github.com/org/monorepo/blob/main/services/billing/package.json')).toEqual({ owner: 'org', repo: 'monorepo', ref: 'main', path: 'services/billing' })
+      expect(service.parseGitHubUrl('https://github.com/owner/repo/blob/feature%2Fx/src/app.js')).toEqual({ owner: 'owner', repo: 'repo', ref: 'feature', path: 'x/src' })
+    })
+
     it('should return null for invalid URL', () => {
       const url = 'invalid-url'
       const result = service.parseGitHubUrl(url)
@@ -54,6 +91,19 @@ describe('GitHubService', () => {
     })
   })
 
+  describe('getTokenInfo', () => {
+    it('should read the account and OAuth scopes of the token', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'x-oauth-scopes': 'repo, read:org' }),
+        json: () => Promise.resolve({ login: 'octocat' })
+      })
+
+      expect(await new GitHubService('token').getTokenInfo()).toEqual({ login: 'octocat', scopes: ['repo', 'read:org'] })
+      expect(await service.getTokenInfo()).toBeNull()
+    })
+  })
+
   describe('makeApiRequest', () => {
     it('should make request with correct headers', async () => {
       const mockResponse = { ok: true, json: vi.fn().mockResolvedValue({}) }
@@ -68,7 +118,7 @@ describe('GitHubService', () => {
             'Accept': 'application/vnd.github.v3+json',
             'User-Agent': 'CloudOpti-Analyzer/1.0'
           },
-          timeout: 10000
+          signal: expect.any(AbortSignal)
         }
       )
     })
@@ -88,12 +138,49 @@ describe('GitHubService', () => {
             'User-Agent': 'CloudOpti-Analyzer/1.0',
             'Authorization': 'token test-token'
           },
-          timeout: 10000
+          signal: expect.any(AbortSignal)
         }
       )
     })
   })
 
+  describe('request error handling', () => {
+    const quickHandler = () => {
+      const handler = new GitHubErrorHandler({ maxRetries: 3 })
+      handler.sleep = vi.fn().mockResolvedValue()
+      return handler
+    }
+
+    it('should retry server errors and return the eventual response', async () => {
+      const handler = quickHandler()
+      global.fetch
+        .mockResolvedValueOnce(new Response('{}', { status: 502 }))
+        .mockResolvedValueOnce(new Response('{"name":"repo"}', { status: 200 }))
+
+      const response = await new GitHubService(null, { errorHandler: handler }).makeApiRequest('/repos/owner/repo')
+
+      expect(response.ok).toBe(true)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(handler.sleep).toHaveBeenCalledTimes(1)
+    })
+
+    it('should surface an exhausted rate limit as a typed analysis error', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 3600
+      global.fetch.mockImplementation(() => Promise.resolve(new Response(
+        JSON.stringify({ message: 'API rate limit exceeded' }),
+        { status: 403, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) } }
+      )))
+      const rateLimited = new GitHubService(null, { errorHandler: quickHandler() })
+
+      await expect(rateLimited.makeApiRequest('/repos/owner/repo')).rejects.toThrow(RateLimitError)
+      const result = await rateLimited.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.errorType).toBe('RATE_LIMIT_ERROR')
+      expect(result.error).toContain('rate limit exceeded')
+      expect(result.packageFiles).toEqual([])
+    })
+  })
+
   describe('validateRepository', () => {
     it('should return valid result for accessible repository', async () => {
       const mockRepoData = {
@@ -149,6 +236,49 @@ describe('GitHubService', () => {
       expect(result.error).toBe('Repository not found or is private')
     })
 
+    it('should tell missing repositories from ones the token cannot read', async () => {
+      const respond = (scopes, owners) => global.fetch.mockImplementation((url) => {
+        if (url.endsWith('/user')) {
+          return Promise.resolve({
+            ok: true,
+            headers: new Headers(scopes === null ? {} : { 'x-oauth-scopes': scopes }),
+            json: () => Promise.resolve({ login: 'octocat' })
+          })
+        }
+        const owner = url.match(/\/users\/([^/]+)$/)
+        if (owner && owners.includes(owner[1])) {
+          return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({}) })
+        }
+        return Promise.resolve({ ok: false, status: 404 })
+      })
+      const authenticated = new GitHubService('token')
+
+      respond('repo, read:org', ['acme'])
+      expect(await authenticated.validateRepository('https://github.com/ghost/repo')).toEqual(expect.objectContaining({
+        isAccessible: false,
+        accessError: 'not_found',
+        error: 'Repository not found: ghost does not exist'
+      }))
+
+      respond('public_repo', ['acme'])
+      expect((await authenticated.validateRepository('https://github.com/acme/private')).accessError).toBe('no_access')
+
+      respond(null, ['acme'])
+      expect(await authenticated.validateRepository('https://github.com/acme/private')).toEqual(expect.objectContaining({
+        accessError: 'no_access',
+        error: 'octocat has no access to acme/private, or the repository does not exist'
+      }))
+    })
+
+    it('should report rejected tokens', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 401 })
+
+      const result = await new GitHubService('expired').validateRepository('https://github.com/owner/repo')
+
+      expect(result.isValid).toBe(true)
+      expect(result.accessError).toBe('invalid_token')
+    })
+
     it('should handle network errors', async () => {
       global.fetch.mockRejectedValue(new Error('Network error'))
 
@@ -209,7 +339,456 @@ describe('GitHubService', () => {
           })
         ])
       )
-      expect(progressCallback).toHaveBeenCalledTimes(6)
+      expect(progressCallback).toHaveBeenCalledWith('Fetching files (1/1)...', 90, { stage: 'files', completed: 1, total: 1 })
+      expect(progressCallback).toHaveBeenLastCalledWith('Analysis complete', 100, { stage: 'complete' })
+    })
+
+    it('should fetch manifests by blob SHA through a bounded pool and count them in progress', async () => {
+      const manifests = Array.from({ length: 12 }, (_, index) => `packages/lib-${index}/package.json`)
+      let active = 0
+      let peak = 0
+      global.fetch.mockImplementation(async (url) => {
+        if (url.includes('/git/trees/')) {
+          return {
+            ok: true,
+            json: () => Promise.resolve({
+              tree: manifests.map((path, index) => ({ path, type: 'blob', sha: `blob-${index}` }))
+            })
+          }
+        }
+        if (url.includes('/git/blobs/')) {
+          active++
+          peak = Math.max(peak, active)
+          await new Promise(resolve => setTimeout(resolve, 1))
+          active--
+          return {
+            ok: true,
+            json: () => Promise.resolve({ content: Buffer.from('{"dependencies":{"express":"4.19.2"}}').toString('base64') })
+          }
+        }
+        return { ok: true, json: () => Promise.resolve({}) }
+      })
+      const progressCallback = vi.fn()
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo', progressCallback, { concurrency: 3 })
+
+      expect(result.packageFiles).toHaveLength(12)
+      expect(peak).toBe(3)
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/contents/'), expect.anything())
+      const fileProgress = progressCallback.mock.calls.filter(([, , details]) => details.stage === 'files')
+      expect(fileProgress.map(([, , details]) => details.completed)).toEqual([...Array(13).keys()])
+      expect(fileProgress.every(([, , details]) => details.total === 12)).toBe(true)
+    })
+
+    it('should stop fetching and report nothing more once the signal aborts', async () => {
+      const controller = new AbortController()
+      const manifests = Array.from({ length: 6 }, (_, index) => `packages/lib-${index}/package.json`)
+      global.fetch.mockImplementation(async (url) => {
+        if (url.includes('/git/trees/')) {
+          return {
+            ok: true,
+            json: () => Promise.resolve({
+              tree: manifests.map((path, index) => ({ path, type: 'blob', sha: `blob-${index}` }))
+            })
+          }
+        }
+        if (url.endsWith('/git/blobs/blob-0')) {
+          controller.abort()
+        }
+        return { ok: true, json: () => Promise.resolve({ content: '' }) }
+      })
+      const progressCallback = vi.fn()
+
+      const result = await service.analyzeRepository(
+        'https://github.com/owner/repo',
+        progressCallback,
+        { concurrency: 1, signal: controller.signal }
+      )
+
+      expect(result.errorType).toBe('CANCELLED')
+      expect(result.technologies).toEqual([])
+      const blobRequests = global.fetch.mock.calls.filter(([url]) => url.includes('/git/blobs/'))
+      expect(blobRequests).toHaveLength(1)
+      expect(progressCallback).not.toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.objectContaining({ completed: 1 }))
+    })
+
+    it('should not start an analysis whose signal has already aborted', async () => {
+      const controller = new AbortController()
+      controller.abort()
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo', null, { signal: controller.signal })
+
+      expect(result.errorType).toBe('CANCELLED')
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('should hold file requests until an exhausted rate limit resets', async () => {
+      const errorHandler = new GitHubErrorHandler({ maxRateLimitWait: 5000 })
+      errorHandler.sleep = vi.fn().mockResolvedValue()
+      const limited = new GitHubService(null, { errorHandler })
+      const reset = String(Math.floor(Date.now() / 1000) + 2)
+      global.fetch.mockImplementation(async (url) => {
+        if (url.includes('/git/trees/')) {
+          return {
+            ok: true,
+            headers: new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset }),
+            json: () => Promise.resolve({ tree: [{ path: 'package.json', type: 'blob', sha: '1' }] })
+          }
+        }
+        return { ok: true, json: () => Promise.resolve({ content: '' }) }
+      })
+
+      const result = await limited.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.error).toBeNull()
+      expect(errorHandler.sleep).toHaveBeenCalledTimes(1)
+      expect(errorHandler.sleep.mock.invocationCallOrder[0]).toBeLessThan(
+        global.fetch.mock.invocationCallOrder[global.fetch.mock.calls.findIndex(([url]) => url.includes('/git/blobs/1'))]
+      )
+    })
+
+    it('should discover nested manifests from the recursive tree', async () => {
+      global.fetch.mockImplementation((url) => {
+        if (url.includes('/git/trees/HEAD?recursive=1')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              truncated: false,
+              tree: [
+                { path: 'apps', type: 'tree', sha: '1' },
+                { path: 'apps/web', type: 'tree', sha: '2' },
+                { path: 'apps/web/package.json', type: 'blob', sha: '3' },
+                { path: 'backend/requirements.txt', type: 'blob', sha: '4' },
+                { path: 'node_modules/next/package.json', type: 'blob', sha: '5' },
+                { path: 'deploy/Dockerfile', type: 'blob', sha: '6' }
+              ]
+            })
+          })
+        }
+        if (url.endsWith('/git/blobs/3')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              content: Buffer.from(JSON.stringify({ dependencies: { next: '15.0.0' } })).toString('base64')
+            })
+          })
+        }
+        if (url.endsWith('/git/blobs/4')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              content: Buffer.from('django==5.0\n').toString('base64')
+            })
+          })
+        }
+        if (url.includes('/languages')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({}) })
+        }
+        return Promise.resolve({ ok: false, status: 404 })
+      })
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.error).toBeNull()
+      expect(result.packageFiles.map(f => f.path)).toEqual([
+        'apps/web/package.json',
+        'backend/requirements.txt'
+      ])
+      expect(result.technologies.map(t => t.name)).toEqual(
+        expect.arrayContaining(['Next.js', 'Django', 'Docker'])
+      )
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        expect.stringContaining('node_modules'),
+        expect.anything()
+      )
+    })
+
+    it('should resolve framework and runtime versions from lockfiles and version files', async () => {
+      const files = {
+        'package.json': JSON.stringify({ dependencies: { next: '^14.1.0' } }),
+        'package-lock.json': JSON.stringify({
+          lockfileVersion: 3,
+          packages: {
+            '': { name: 'app' },
+            'node_modules/next': { version: '14.1.4' }
+          }
+        }),
+        '.nvmrc': 'v16.20.2\n'
+      }
+
+      mockRepositoryFiles(files, { languages: { JavaScript: 1000 } })
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.runtimeVersions.node).toEqual({ version: '16.20.2', minimum: false, source: '.nvmrc' })
+      expect(result.technologies.find(t => t.name === 'Next.js').version).toBe('14.1.4')
+      expect(result.technologies.find(t => t.name === 'JavaScript')).toEqual(
+        expect.objectContaining({ runtime: 'node', version: '16.20.2' })
+      )
+      expect(result.packageFiles.map(f => f.path)).toEqual(['package.json'])
+    })
+
+    it('should detect data stores from nested compose files and Prisma schemas', async () => {
+      const files = {
+        'package.json': JSON.stringify({ dependencies: { '@prisma/client': '^5.0.0', ioredis: '^5.3.0' } }),
+        'prisma/schema.prisma': 'datasource db {\n  provider = "postgresql"\n  url = env("DATABASE_URL")\n}\n',
+        'deploy/docker-compose.yml': 'services:\n  db:\n    image: postgres:16\n'
+      }
+
+      mockRepositoryFiles(files)
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      const postgres = result.technologies.find(t => t.id === 'postgresql')
+      expect(postgres).toEqual(expect.objectContaining({ category: 'database', version: '16' }))
+      expect(postgres.evidence).toHaveLength(2)
+      expect(result.technologies.find(t => t.id === 'redis').category).toBe('cache')
+    })
+
+    it('should build the container topology from compose files and Dockerfiles', async () => {
+      const files = {
+        'docker-compose.yml': 'services:\n  api:\n    build: ./api\n    depends_on: [db]\n  db:\n    image: postgres:16\n',
+        'api/Dockerfile': 'FROM node:20-alpine\nEXPOSE 8080\nCMD ["node", "index.js"]\n'
+      }
+
+      mockRepositoryFiles(files)
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.topology.edges).toEqual([{ from: 'api', to: 'db' }])
+      expect(result.topology.services[0]).toEqual(expect.objectContaining({
+        name: 'api',
+        role: 'application',
+        ports: [{ published: null, target: 8080, protocol: 'tcp' }]
+      }))
+      expect(result.technologies.find(t => t.id === 'docker')).toBeDefined()
+    })
+
+    it('should analyze Kubernetes manifests at any depth', async () => {
+      const files = {
+        'infra/k8s/api.yaml': [
+          'apiVersion: apps/v1',
+          'kind: Deployment',
+          'metadata:',
+          '  name: api',
+          'spec:',
+          '  replicas: 2',
+          '  template:',
+          '    spec:',
+          '      containers:',
+          '        - name: api',
+          '          resources:',
+          '            requests: { cpu: 500m, memory: 1Gi }'
+        ].join('\n'),
+        'infra/chart/Chart.yaml': 'apiVersion: v2\nname: api\nversion: 1.0.0\n',
+        'infra/chart/templates/deployment.yaml': '{{- if .Values.enabled }}'
+      }
+
+      mockRepositoryFiles(files)
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.kubernetes.sizing).toEqual(expect.objectContaining({ pods: 2, cpu: 1, memoryGB: 2 }))
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        expect.stringContaining('templates/deployment.yaml'),
+        expect.anything()
+      )
+      const kubernetes = result.technologies.filter(t => t.id === 'kubernetes')
+      expect(kubernetes).toHaveLength(1)
+      expect(kubernetes[0].evidence).toContain('Deployment api in infra/k8s/api.yaml')
+      expect(result.technologies.find(t => t.id === 'helm')).toBeDefined()
+    })
+
+    it('should report infrastructure already declared in Terraform', async () => {
+      const files = {
+        'infra/main.tf': 'resource "aws_lambda_function" "api" {}\nresource "aws_db_instance" "db" {\n  engine = "postgres"\n}\n',
+        'src/index.js': 'export {}'
+      }
+
+      mockRepositoryFiles(files)
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.infrastructure.primaryProvider).toBe('aws')
+      expect(result.infrastructure.services.map(s => s.name)).toEqual(['Lambda', 'RDS PostgreSQL'])
+      expect(result.technologies.find(t => t.id === 'terraform')).toEqual(expect.objectContaining({
+        category: 'tool',
+        evidence: ['2 resources declared for aws']
+      }))
+    })
+
+    it('should report CI systems, build tools and deployment targets from workflows', async () => {
+      const files = {
+        '.github/workflows/deploy.yml': [
+          'on: push',
+          'jobs:',
+          '  deploy:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - run: ./gradlew build',
+          '      - uses: google-github-actions/auth@v2',
+          '      - uses: google-github-actions/deploy-cloudrun@v2'
+        ].join('\n'),
+        'build.gradle': ''
+      }
+
+      mockRepositoryFiles(files)
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.ci.deployProviders).toEqual(['gcp'])
+      expect(result.technologies.find(t => t.id === 'github-actions')).toEqual(expect.objectContaining({
+        category: 'tool',
+        evidence: ['1 jobs in .github/workflows/deploy.yml', 'Deploys to Cloud Run (gcp) in .github/workflows/deploy.yml']
+      }))
+      expect(result.technologies.find(t => t.id === 'gradle')).toEqual(expect.objectContaining({
+        category: 'tool',
+        source: 'ci_workflows'
+      }))
+    })
+
+    it('should describe workloads from sampled source files', async () => {
+      const files = {
+        'package.json': JSON.stringify({ dependencies: { express: '^4.18.0', ws: '^8.0.0' } }),
+        'src/server.js': "const wss = new WebSocketServer({ port: 8080 })\napp.listen(3000)",
+        'src/server.test.js': "cron.schedule('* * * * *', () => {})"
+      }
+
+      mockRepositoryFiles(files)
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+
+      expect(result.workloads.map(workload => workload.type)).toEqual(['api', 'realtime'])
+      const fetchedUrls = global.fetch.mock.calls.map(([url]) => url)
+      expect(fetchedUrls.some(url => url.endsWith('/git/blobs/1'))).toBe(true)
+      expect(fetchedUrls.some(url => url.endsWith('/git/blobs/2'))).toBe(false)
+    })
+
+    it('should respect tree scanning options', async () => {
+      global.fetch.mockImplementation((url) => {
+        if (url.includes('/git/trees/')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              tree: [
+                { path: 'package.json', type: 'blob', sha: '1' },
+                { path: 'services/billing/package.json', type: 'blob', sha: '2' }
+              ]
+            })
+          })
+        }
+        return Promise.resolve({ ok: false, status: 404 })
+      })
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo', null, {
+        maxFiles: 1
+      })
+
+      expect(result.treeTruncated).toBe(true)
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        expect.stringContaining('services/billing'),
+        expect.anything()
+      )
+    })
+
+    it('should pin the tree and file requests to the commit of the ref in the URL', async () => {
+      const sha = 'a'.repeat(40)
+      global.fetch.mockImplementation((url) => {
+        if (url.endsWith('/commits/release%2F2.x')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ sha }) })
+        }
+        if (url.endsWith(`/git/trees/${sha}?recursive=1`)) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ tree: [{ path: 'package.json', type: 'blob', sha: '1' }] })
+          })
+        }
+        // Files are read by the blob SHA listed in the pinned tree
+        if (url.endsWith('/git/blobs/1')) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              content: Buffer.from(JSON.stringify({ dependencies: { express: '4.19.2' } })).toString('base64')
+            })
+          })
+        }
+        return Promise.resolve({ ok: false, status: 404 })
+      })
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo/tree/release/2.x')
+
+      expect(result.error).toBeNull()
+      expect(result.ref).toEqual({ name: 'release/2.x', sha })
+      expect(result.packageFiles.map(f => f.path)).toEqual(['package.json'])
+      // `release` is tried first and does not resolve
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/commits\/release$/), expect.anything())
+    })
+
+    it('should prefer an explicit ref and fail on refs that do not exist', async () => {
+      global.fetch.mockImplementation((url) => {
+        if (url.endsWith('/commits/v1.0.0')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ sha: 'b'.repeat(40) }) })
+        }
+        if (url.includes(`/git/trees/${'b'.repeat(40)}`)) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ tree: [] }) })
+        }
+        return Promise.resolve({ ok: false, status: 404 })
+      })
+
+      const tagged = await service.analyzeRepository('https://github.com/owner/repo/tree/main', null, { ref: 'v1.0.0' })
+      const missing = await service.analyzeRepository('https://github.com/owner/repo/tree/gone')
+
+      expect(tagged.ref).toEqual({ name: 'v1.0.0', sha: 'b'.repeat(40) })
+      expect(missing.error).toBe('Branch, tag or commit not found: gone')
+    })
+
+    it('should scope detection to the directory of a tree URL', async () => {
+      const sha = 'c'.repeat(40)
+      const files = {
+        'package.json': JSON.stringify({ dependencies: { next: '15.0.0' } }),
+        'services/billing/package.json': JSON.stringify({ dependencies: { express: '4.19.2' } }),
+        'services/billing/Dockerfile': 'FROM node:20-alpine\n'
+      }
+      global.fetch.mockImplementation((url) => {
+        if (url.endsWith('/commits/main')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ sha }) })
+        }
+        if (url.endsWith(`/git/trees/${sha}?recursive=1`)) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({
+              tree: [
+                { path: 'package.json', type: 'blob', sha: '1' },
+                { path: 'services', type: 'tree', sha: '2' },
+                { path: 'services/billing', type: 'tree', sha: '3' },
+                { path: 'services/billing/package.json', type: 'blob', sha: '4' },
+                { path: 'services/billing/Dockerfile', type: 'blob', sha: '5' }
+              ]
+            })
+          })
+        }
+        const blobs = { 1: 'package.json', 4: 'services/billing/package.json', 5: 'services/billing/Dockerfile' }
+        const file = blobs[url.match(/\/git\/blobs\/(\d+)$/)?.[1]]
+        if (file) {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ content: Buffer.from(files[file]).toString('base64') })
+          })
+        }
+        return Promise.resolve({ ok: false, status: 404 })
+      })
+
+      const result = await service.analyzeRepository('https://github.com/org/monorepo/tree/main/services/billing')
+      const missing = await service.analyzeRepository('https://github.com/org/monorepo/tree/main/services/search')
+
+      expect(result.error).toBeNull()
+      expect(result.path).toBe('services/billing')
+      expect(result.packageFiles.map(f => f.path)).toEqual(['package.json'])
+      expect(result.technologies.map(t => t.name)).toContain('Express.js')
+      expect(result.technologies.map(t => t.name)).not.toContain('Next.js')
+      // The repository-wide language breakdown does not describe the scope
+      expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/languages'), expect.anything())
+      expect(missing.error).toBe('Directory not found in repository: services/search')
     })
 
     it('should handle API errors gracefully', async () => {
@@ -222,6 +801,35 @@ describe('GitHubService', () => {
       expect(result.languages).toEqual({})
       expect(result.packageFiles).toEqual([])
     })
+
+    it('should not read manifests or Dockerfiles under test fixtures and examples', async () => {
+      mockRepositoryFiles({
+        'package.json': JSON.stringify({ dependencies: { fastify: '^4.0.0' } }),
+        'src/lib/__tests__/fixtures/node-api/package.json': JSON.stringify({ dependencies: { express: '^4.18.0' } }),
+        'src/lib/__tests__/fixtures/node-api/Dockerfile': 'FROM node:20',
+        'examples/worker/requirements.txt': 'celery==5.3.0'
+      })
+
+      const result = await service.analyzeRepository('https://github.com/owner/repo')
+      const names = result.technologies.map(t => t.name)
+
+      expect(names).toContain('Fastify')
+      expect(names).not.toContain('Express.js')
+      expect(names).not.toContain('Docker')
+      expect(names).not.toContain('Celery')
+      expect(result.packageFiles.map(f => f.path)).toEqual(['package.json'])
+    })
+
+    it('should fail rather than report no technologies when the repository cannot be listed', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404 })
+      const missing = await service.analyzeRepository('https://github.com/owner/typo')
+
+      global.fetch.mockResolvedValue({ ok: false, status: 401 })
+      const rejected = await service.analyzeRepository('https://github.com/owner/private')
+
+      expect(missing).toEqual(expect.objectContaining({ error: 'Repository not found or is private', errorType: 'REPOSITORY_NOT_FOUND' }))
+      expect(rejected).toEqual(expect.objectContaining({ errorType: 'AUTHENTICATION_ERROR', technologies: [] }))
+    })
   })
 
   describe('parseDependencies', () => {
@@ -233,7 +841,11 @@ describe('GitHubService', () => {
 
       const result = service.parseDependencies('package.json', packageJsonContent)
 
-      expect(result).toEqual(['react', 'lodash', 'jest'])
+      expect(result).toEqual([
+        { name: 'react', version: '^18.0.0', scope: 'runtime' },
+        { name: 'lodash', version: '^4.17.21', scope: 'runtime' },
+        { name: 'jest', version: '^29.0.0', scope: 'dev' }
+      ])
     })
 
     it('should parse requirements.txt dependencies', () => {
@@ -241,7 +853,11 @@ describe('GitHubService', () => {
 
       const result = service.parseDependencies('requirements.txt', requirementsContent)
 
-      expect(result).toEqual(['django', 'requests', 'numpy'])
+      expect(result).toEqual([
+        { name: 'django', version: '>=3.2.0', scope: 'runtime' },
+        { name: 'requests', version: '==2.28.1', scope: 'runtime' },
+        { name: 'numpy', version: null, scope: 'runtime' }
+      ])
     })
 
     it('should parse pom.xml dependencies', () => {
@@ -254,13 +870,28 @@ describe('GitHubService', () => {
           <dependency>
             <groupId>junit</groupId>
             <artifactId>junit</artifactId>
+            <version>4.13.2</version>
+            <scope>test</scope>
           </dependency>
         </dependencies>
       `
 
       const result = service.parseDependencies('pom.xml', pomContent)
 
-      expect(result).toEqual(['spring-core', 'junit'])
+      expect(result).toEqual([
+        { name: 'spring-core', version: null, scope: 'runtime', group: 'org.springframework' },
+        { name: 'junit', version: '4.13.2', scope: 'dev', group: 'junit' }
+      ])
+    })
+
+    it('should parse go.mod require blocks', () => {
+      const goMod = 'module example.com/api\n\ngo 1.22\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.9.1\n)\n'
+
+      const result = service.parseDependencies('go.mod', goMod)
+
+      expect(result).toEqual([
+        { name: 'github.com/gin-gonic/gin', version: 'v1.9.1', scope: 'runtime', indirect: false }
+      ])
     })
 
     it('should return empty array for unknown file types', () => {
@@ -300,6 +931,37 @@ describe('GitHubService', () => {
       )
     })
 
+    it('should not match packages that merely contain a framework name', () => {
+      const dependencies = ['react-icons', '@angular-eslint/builder', 'expressive-code']
+      const result = service.detectFrameworks(dependencies)
+
+      expect(result).toEqual([])
+    })
+
+    it('should deduplicate frameworks matched by several packages', () => {
+      const dependencies = service.parseDependencies('package.json', JSON.stringify({
+        dependencies: { '@nestjs/core': '^10.0.0', '@nestjs/common': '^10.0.0' },
+        devDependencies: { '@nestjs/core': '^10.0.0' }
+      }))
+      const result = service.detectFrameworks(dependencies)
+
+      expect(result).toHaveLength(1)
+      expect(result[0]).toEqual(expect.objectContaining({ id: 'nestjs', name: 'NestJS', confidence: 0.8 }))
+      expect(result[0].evidence).toEqual([
+        'Found @nestjs/core in dependencies',
+        'Found @nestjs/core in dev dependencies'
+      ])
+    })
+
+    it('should detect frameworks from parsed dependency records', () => {
+      const dependencies = service.parseDependencies('Gemfile', "gem 'rails', '~> 7.1'\n")
+      const result = service.detectFrameworks(dependencies)
+
+      expect(result).toEqual([
+        expect.objectContaining({ id: 'rails', name: 'Ruby on Rails', evidence: ['Found rails in dependencies'] })
+      ])
+    })
+
     it('should return empty array for no framework dependencies', () => {
       const dependencies = ['lodash', 'moment', 'axios']
       const result = service.detectFrameworks(dependencies)
@@ -347,23 +1009,15 @@ describe('GitHubService', () => {
       )
     })
 
-    it('should detect Kubernetes from k8s files', () => {
+    it('should leave Kubernetes to parsed manifests rather than path names', () => {
       const contents = [
         { name: 'k8s-deployment.yaml' },
-        { name: 'src' }
+        { name: 'kubernetesManifests.js', path: 'src/lib/analysis/kubernetesManifests.js' }
       ]
 
       const result = service.detectFromFileStructure(contents)
 
-      expect(result).toEqual(
-        expect.arrayContaining([
-          expect.objectContaining({
-            name: 'Kubernetes',
-            category: 'tool',
-            confidence: 0.8
-          })
-        ])
-      )
+      expect(result.map(t => t.name)).not.toContain('Kubernetes')
     })
 
     it('should return empty array for no detectable tools', () => {
@@ -379,6 +1033,61 @@ describe('GitHubService', () => {
     })
   })
 
+  describe('detectComponents', () => {
+    it('should split a monorepo into components with their own stacks', () => {
+      const packageFiles = [
+        {
+          name: 'package.json',
+          path: 'package.json',
+          content: JSON.stringify({ workspaces: ['apps/*'] }),
+          dependencies: []
+        },
+        {
+          name: 'package.json',
+          path: 'apps/web/package.json',
+          content: JSON.stringify({ name: 'web' }),
+          dependencies: ['next', 'react']
+        },
+        {
+          name: 'requirements.txt',
+          path: 'apps/api/requirements.txt',
+          content: 'django',
+          dependencies: ['django']
+        }
+      ]
+      const contents = [
+        { name: 'page.tsx', path: 'apps/web/app/page.tsx', type: 'file', size: 300 },
+        { name: 'views.py', path: 'apps/api/views.py', type: 'file', size: 500 }
+      ]
+
+      const { components, workspace } = service.detectComponents(packageFiles, contents)
+
+      expect(workspace.tools).toEqual(['npm-workspaces'])
+      expect(components).toHaveLength(2)
+
+      const api = components.find(c => c.path === 'apps/api')
+      expect(api.name).toBe('api')
+      expect(api.languages).toEqual({ Python: 500 })
+      expect(api.packageFiles).toEqual(['apps/api/requirements.txt'])
+      expect(api.technologies.map(t => t.name)).toEqual(['Python', 'Django'])
+
+      const web = components.find(c => c.path === 'apps/web')
+      expect(web.name).toBe('web')
+      expect(web.technologies.map(t => t.name)).toEqual(
+        expect.arrayContaining(['TypeScript', 'Next.js', 'React'])
+      )
+    })
+
+    it('should return no components for single-project repositories', () => {
+      const { components } = service.detectComponents(
+        [{ name: 'package.json', path: 'package.json', content: '{}', dependencies: ['react'] }],
+        []
+      )
+
+      expect(components).toEqual([])
+    })
+  })
+
   describe('getRepositoryMetadata', () => {
     it('should fetch and return repository metadata', async () => {
       const mockContributors = [
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { requestDeviceCode, pollDeviceToken } from '../deviceFlow.js'
+
+const json = (body, ok = true) => ({ ok, status: ok ? 200 : 400, json: () => Promise.resolve(body) })
+
+describe('deviceFlow', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('requestDeviceCode', () => {
+    it('should request a code with the client id and scopes', async () => {
+      global.fetch.mockResolvedValue(json({
+        device_code: 'device',
+        user_code: 'ABCD-1234',
+        verification_uri: 'https://github.com/login/device',
+        expires_in: 900,
+        interval: 5
+      }))
+
+      const result = await requestDeviceCode('client')
+
+      expect(result).toEqual({
+        deviceCode: 'device',
+        userCode: 'ABCD-1234',
+        verificationUri: 'https://github.com/login/device',
+        expiresIn: 900,
+        interval: 5
+      })
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ client_id: 'client', scope: 'repo read:org' })
+    })
+
+    it('should surface GitHub errors', async () => {
+      global.fetch.mockResolvedValue(json({ error: 'device_flow_disabled', error_description: 'Device Flow must be enabled' }))
+
+      await expect(requestDeviceCode('client')).rejects.toThrow('Device Flow must be enabled')
+    })
+  })
+
+  describe('pollDeviceToken', () => {
+    it('should map pending, slow down, expiry and completion', async () => {
+      global.fetch
+        .mockResolvedValueOnce(json({ error: 'authorization_pending' }))
+        .mockResolvedValueOnce(json({ error: 'slow_down', interval: 10 }))
+        .mockResolvedValueOnce(json({ error: 'expired_token' }))
+        .mockResolvedValueOnce(json({ access_token: 'gho_x', scope: 'repo,read:org' }))
+        .mockResolvedValueOnce(json({ access_token: 'ghu_x', scope: '' }))
+
+      expect(await pollDeviceToken('client', 'device')).toEqual({ status: 'pending' })
+      expect(await pollDeviceToken('client', 'device')).toEqual({ status: 'pending', interval: 10 })
+      expect(await pollDeviceToken('client', 'device')).toEqual({ status: 'expired' })
+      expect(await pollDeviceToken('client', 'device')).toEqual({ status: 'complete', accessToken: 'gho_x', scopes: ['repo', 'read:org'] })
+      // GitHub App user tokens have permissions, not scopes
+      expect(await pollDeviceToken('client', 'device')).toEqual({ status: 'complete', accessToken: 'ghu_x', scopes: null })
+    })
+  })
+})
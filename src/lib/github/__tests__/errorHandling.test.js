@@ -6,6 +6,7 @@ import {
   AuthenticationError,
   RepositoryNotFoundError,
   ValidationError,
+  CancelledError,
   GitHubErrorHandler,
   defaultErrorHandler,
   withErrorHandling,
@@ -210,6 +211,25 @@ describe('errorHandling', () => {
         expect(result.statusCode).toBe(500)
       })
 
+      it('should read secondary rate limits from Retry-After', async () => {
+        const response = new Response(JSON.stringify({ message: 'You have exceeded a secondary rate limit' }), {
+          status: 403,
+          headers: { 'Retry-After': '30' }
+        })
+
+        expect(handler.isRateLimited(response)).toBe(true)
+        const result = await handler.handleResponseError(response)
+
+        expect(result).toBeInstanceOf(RateLimitError)
+        expect(result.resetTime.getTime()).toBeGreaterThan(Date.now() + 29000)
+      })
+
+      it('should not treat permission errors as rate limits', () => {
+        const response = new Response('{}', { status: 403, headers: { 'X-RateLimit-Remaining': '4999' } })
+
+        expect(handler.isRateLimited(response)).toBe(false)
+      })
+
       it('should handle JSON parse errors', async () => {
         const response = {
           status: 500,
@@ -257,6 +277,39 @@ describe('errorHandling', () => {
         await expect(handler.executeWithRetry(operation)).rejects.toThrow(NetworkError)
         expect(operation).toHaveBeenCalledTimes(2) // maxRetries = 2
       })
+
+      it('should wait for a rate limit that resets soon and fail fast on one that does not', async () => {
+        handler.sleep = vi.fn().mockResolvedValue()
+        const soon = vi.fn()
+          .mockRejectedValueOnce(new RateLimitError('Rate limited', new Date(Date.now() + 5000)))
+          .mockResolvedValue('success')
+        const later = vi.fn().mockRejectedValue(new RateLimitError('Rate limited', new Date(Date.now() + 3600 * 1000)))
+
+        expect(await handler.executeWithRetry(soon)).toBe('success')
+        expect(handler.sleep.mock.calls[0][0]).toBeGreaterThan(5000)
+        expect(handler.sleep.mock.calls[0][0]).toBeLessThanOrEqual(6000)
+
+        await expect(handler.executeWithRetry(later)).rejects.toThrow(RateLimitError)
+        expect(later).toHaveBeenCalledTimes(1)
+      })
+
+      it('should stop waiting to retry once the signal aborts', async () => {
+        vi.useFakeTimers()
+        try {
+          const controller = new AbortController()
+          const operation = vi.fn().mockRejectedValue(new RateLimitError('Rate limited', new Date(Date.now() + 30000)))
+
+          const result = expect(handler.executeWithRetry(operation, 'GitHub API', { signal: controller.signal }))
+            .rejects.toThrow(CancelledError)
+          await vi.advanceTimersByTimeAsync(1000)
+          controller.abort()
+          await result
+
+          expect(operation).toHaveBeenCalledTimes(1)
+        } finally {
+          vi.useRealTimers()
+        }
+      })
     })
 
     describe('getUserFriendlyError', () => {
@@ -343,6 +396,35 @@ describe('errorHandling', () => {
         
         await expect(withTimeout(operation, 100)).rejects.toThrow('Operation timed out')
       })
+
+      it('should abort the signal passed to the operation on timeout', async () => {
+        let signal
+        const operation = (abortSignal) => {
+          signal = abortSignal
+          return new Promise(() => {})
+        }
+
+        await expect(withTimeout(operation, 50)).rejects.toThrow(NetworkError)
+        expect(signal.aborted).toBe(true)
+      })
+
+      it('should abort the operation and reject as cancelled when the caller aborts', async () => {
+        const caller = new AbortController()
+        let signal
+        const operation = (operationSignal) => {
+          signal = operationSignal
+          return new Promise((_, reject) => {
+            operationSignal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+          })
+        }
+
+        const pending = withTimeout(operation, 1000, caller.signal)
+        caller.abort()
+
+        await expect(pending).rejects.toThrow(CancelledError)
+        expect(signal.aborted).toBe(true)
+        await expect(withTimeout(operation, 1000, caller.signal)).rejects.toMatchObject({ type: 'CANCELLED', retryable: false })
+      })
     })
 
     describe('validateResult', () => {
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { ResponseCache, isImmutableEndpoint, getTokenScope } from '../responseCache.js'
+import { FileCacheStore } from '../fileCacheStore.js'
+import { GitHubService } from '../GitHubService.js'
+
+const SHA = 'a'.repeat(40)
+const ok = (body, headers = {}) => new Response(JSON.stringify(body), { status: 200, headers })
+const notModified = () => new Response(null, { status: 304 })
+
+describe('ResponseCache', () => {
+  let cache
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    cache = new ResponseCache()
+  })
+
+  it('should revalidate with the stored ETag and serve the cached body on 304', async () => {
+    const send = vi.fn()
+      .mockResolvedValueOnce(ok({ name: 'repo' }, { etag: '"v1"' }))
+      .mockResolvedValueOnce(notModified())
+    const key = await cache.getKey('https://api.github.com/repos/owner/repo')
+
+    await cache.fetch(key, send)
+    const response = await cache.fetch(key, send)
+
+    expect(send).toHaveBeenNthCalledWith(1, {})
+    expect(send).toHaveBeenNthCalledWith(2, { 'If-None-Match': '"v1"' })
+    expect(response.status).toBe(200)
+    expect(await response.json()).toEqual({ name: 'repo' })
+    expect(response.headers.get('etag')).toBe('"v1"')
+  })
+
+  it('should send If-Modified-Since for responses with only Last-Modified', async () => {
+    const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT'
+    const send = vi.fn()
+      .mockResolvedValueOnce(ok({}, { 'last-modified': lastModified }))
+      .mockResolvedValueOnce(notModified())
+
+    await cache.fetch('key', send)
+    await cache.fetch('key', send)
+
+    expect(send).toHaveBeenLastCalledWith({ 'If-Modified-Since': lastModified })
+  })
+
+  it('should serve SHA-pinned responses without a request', async () => {
+    const send = vi.fn().mockResolvedValue(ok({ sha: SHA }))
+
+    await cache.fetch('tree', send, { immutable: true })
+    const response = await cache.fetch('tree', send, { immutable: true })
+
+    expect(send).toHaveBeenCalledTimes(1)
+    expect(await response.json()).toEqual({ sha: SHA })
+  })
+
+  it('should not store responses without validators or error responses', async () => {
+    const send = vi.fn()
+      .mockResolvedValueOnce(ok({}))
+      .mockResolvedValueOnce(new Response('{}', { status: 404, headers: { etag: '"x"' } }))
+
+    await cache.fetch('plain', send)
+    await cache.fetch('missing', send)
+
+    expect(cache.getStats()).toMatchObject({ stored: 0, entries: 0, misses: 2 })
+  })
+
+  it('should report hits, revalidations and the hit rate', async () => {
+    await cache.fetch('tree', () => Promise.resolve(ok({})), { immutable: true })
+    await cache.fetch('tree', () => Promise.resolve(ok({})), { immutable: true })
+    await cache.fetch('repo', () => Promise.resolve(ok({}, { etag: '"v1"' })))
+    await cache.fetch('repo', () => Promise.resolve(notModified()))
+
+    expect(cache.getStats()).toEqual({
+      hits: 1,
+      revalidated: 1,
+      misses: 2,
+      stored: 2,
+      entries: 2,
+      hitRate: 0.5
+    })
+  })
+
+  it('should keep responses fetched with different tokens apart', async () => {
+    const url = 'https://api.github.com/repos/owner/private'
+
+    expect(await cache.getKey(url, 'token-a')).not.toBe(await cache.getKey(url, 'token-b'))
+    expect(await cache.getKey(url, null)).toBe(`${url}#anonymous`)
+    expect(await cache.getKey(url, 'ghp_secret')).not.toContain('ghp_secret')
+    expect(await getTokenScope('ghp_secret')).toBe(await getTokenScope('ghp_secret'))
+    // A full SHA-256 digest, not a short hash two tokens could share
+    expect(await getTokenScope('abc')).toBe('token-ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+  })
+
+  it('should invalidate a repository without touching similarly named ones', async () => {
+    const store = () => Promise.resolve(ok({}, { etag: '"v1"' }))
+    await cache.fetch(await cache.getKey('https://api.github.com/repos/owner/app'), store)
+    await cache.fetch(await cache.getKey('https://api.github.com/repos/owner/app/languages', 'token'), store)
+    await cache.fetch(await cache.getKey('https://api.github.com/repos/owner/app-web'), store)
+
+    const removed = await cache.invalidate('https://api.github.com/repos/owner/app')
+
+    expect(removed).toBe(2)
+    expect(cache.getStats().entries).toBe(1)
+  })
+
+  it('should evict the least recently used entry beyond maxEntries', async () => {
+    cache = new ResponseCache({ maxEntries: 2 })
+    const send = vi.fn(() => Promise.resolve(ok({}, { etag: '"v1"' })))
+
+    await cache.fetch('a', send)
+    await cache.fetch('b', send)
+    await cache.get('a')
+    await cache.fetch('c', send)
+
+    expect([...cache.entries.keys()]).toEqual(['a', 'c'])
+  })
+
+  it('should detect SHA-pinned endpoints', () => {
+    expect(isImmutableEndpoint(`/repos/o/r/git/trees/${SHA}?recursive=1`)).toBe(true)
+    expect(isImmutableEndpoint(`/repos/o/r/contents/package.json?ref=${SHA}`)).toBe(true)
+    expect(isImmutableEndpoint('/repos/o/r/contents/package.json?ref=main')).toBe(false)
+    expect(isImmutableEndpoint('/repos/o/r/git/trees/main?recursive=1')).toBe(false)
+  })
+
+  it('should persist entries through a file store', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'cloud-opti-cache-'))
+    try {
+      const key = 'https://api.github.com/repos/owner/repo#anonymous'
+      await new ResponseCache({ store: new FileCacheStore(directory) })
+        .fetch(key, () => Promise.resolve(ok({ name: 'repo' }, { etag: '"v1"' })))
+
+      const restored = new ResponseCache({ store: new FileCacheStore(directory) })
+      const send = vi.fn().mockResolvedValue(notModified())
+      const response = await restored.fetch(key, send)
+
+      expect(send).toHaveBeenCalledWith({ 'If-None-Match': '"v1"' })
+      expect(await response.json()).toEqual({ name: 'repo' })
+      expect(await new FileCacheStore(directory).keys()).toEqual([key])
+    } finally {
+      await rm(directory, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('GitHubService response caching', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should send conditional requests and reuse cached bodies', async () => {
+    const service = new GitHubService('token', { cache: new ResponseCache() })
+    global.fetch
+      .mockResolvedValueOnce(ok({ full_name: 'owner/repo' }, { etag: '"v1"' }))
+      .mockResolvedValueOnce(notModified())
+
+    await service.makeApiRequest('/repos/owner/repo')
+    const response = await service.makeApiRequest('/repos/owner/repo')
+
+    expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"')
+    expect(await response.json()).toEqual({ full_name: 'owner/repo' })
+  })
+
+  it('should drop a repository from the cache on invalidateCache', async () => {
+    const cache = new ResponseCache()
+    const service = new GitHubService(null, { cache })
+    global.fetch.mockResolvedValue(ok({}, { etag: '"v1"' }))
+
+    await service.makeApiRequest('/repos/owner/repo')
+    await service.invalidateCache('owner', 'repo')
+
+    expect(cache.getStats().entries).toBe(0)
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * GitHub device authorization flow
+ * Server-side calls behind the sign-in route handlers; github.com/login does not accept
+ * browser requests. Works with the client id of an OAuth App or of a GitHub App with device
+ * flow enabled, whose user tokens carry the app's permissions instead of scopes
+ */
+
+import { AuthenticationError } from './errorHandling.js';
+
+/**
+ * Scopes requested for OAuth App tokens: private repositories and organization membership
+ */
+export const DEVICE_FLOW_SCOPES = ['repo', 'read:org'];
+
+const DEVICE_CODE_URL = 'https://github.com/login/device/code';
+const ACCESS_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+
+/**
+ * Client id of the OAuth App or GitHub App used for sign-in
+ * @returns {string|null} - null when sign-in is not configured
+ */
+export function getDeviceFlowClientId() {
+  return process.env.GITHUB_CLIENT_ID || null;
+}
+
+async function postForm(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new AuthenticationError(data.error_description || `GitHub sign-in failed: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Starts a device flow
+ * @param {string} clientId - OAuth App or GitHub App client id
+ * @param {Array<string>} scopes - OAuth scopes; ignored by GitHub Apps
+ * @returns {Promise<{deviceCode: string, userCode: string, verificationUri: string, expiresIn: number, interval: number}>}
+ */
+export async function requestDeviceCode(clientId, scopes = DEVICE_FLOW_SCOPES) {
+  const data = await postForm(DEVICE_CODE_URL, { client_id: clientId, scope: scopes.join(' ') });
+  if (data.error) {
+    throw new AuthenticationError(data.error_description || data.error);
+  }
+
+  return {
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresIn: data.expires_in,
+    interval: data.interval
+  };
+}
+
+/**
+ * Checks whether the user has authorized a device code
+ * @param {string} clientId - OAuth App or GitHub App client id
+ * @param {string} deviceCode - Device code from requestDeviceCode
+ * @returns {Promise<{status: 'pending'|'complete'|'expired'|'denied', accessToken?: string, scopes?: Array<string>|null, interval?: number}>}
+ */
+export async function pollDeviceToken(clientId, deviceCode) {
+  const data = await postForm(ACCESS_TOKEN_URL, {
+    client_id: clientId,
+    device_code: deviceCode,
+    grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+  });
+
+  if (data.access_token) {
+    return {
+      status: 'complete',
+      accessToken: data.access_token,
+      // GitHub App user tokens come back with an empty scope
+      scopes: data.scope ? data.scope.split(',').filter(Boolean) : null
+    };
+  }
+
+  switch (data.error) {
+    case 'authorization_pending':
+      return { status: 'pending' };
+    case 'slow_down':
+      return { status: 'pending', interval: data.interval };
+    case 'expired_token':
+      return { status: 'expired' };
+    case 'access_denied':
+      return { status: 'denied' };
+    default:
+      throw new AuthenticationError(data.error_description || data.error || 'GitHub sign-in failed');
+  }
+}
@@ -56,6 +56,13 @@ export class ValidationError extends GitHubError {
   }
 }
 
+export class CancelledError extends GitHubError {
+  constructor(message = 'Analysis was cancelled') {
+    super(message, 'CANCELLED', null, false);
+    this.name = 'CancelledError';
+  }
+}
+
 /**
  * Error handler class for GitHub operations
  */
@@ -64,9 +71,40 @@ export class GitHubErrorHandler {
     this.maxRetries = options.maxRetries || 3;
     this.baseDelay = options.baseDelay || 1000; // 1 second
     this.maxDelay = options.maxDelay || 30000; // 30 seconds
+    this.maxRateLimitWait = options.maxRateLimitWait ?? 60000; // 1 minute
     this.retryableStatusCodes = new Set([408, 429, 500, 502, 503, 504]);
   }
 
+  /**
+   * Checks whether a response was refused by the primary or a secondary rate limit
+   * GitHub answers 403 or 429 with `X-RateLimit-Remaining: 0` or a `Retry-After` header
+   * @param {Response} response - Fetch Response object
+   * @returns {boolean}
+   */
+  isRateLimited(response) {
+    if (response.status === 429) {
+      return true;
+    }
+    return response.status === 403 && (
+      response.headers?.get('X-RateLimit-Remaining') === '0' ||
+      Boolean(response.headers?.get('Retry-After'))
+    );
+  }
+
+  /**
+   * Time the rate limit lifts, from `Retry-After` seconds or the `X-RateLimit-Reset` epoch
+   * @param {Response} response - Fetch Response object
+   * @returns {Date|null}
+   */
+  getRateLimitReset(response) {
+    const retryAfter = response.headers?.get('Retry-After');
+    if (retryAfter && !isNaN(retryAfter)) {
+      return new Date(Date.now() + parseInt(retryAfter) * 1000);
+    }
+    const resetTime = response.headers?.get('X-RateLimit-Reset');
+    return resetTime ? new Date(parseInt(resetTime) * 1000) : null;
+  }
+
   /**
    * Handles and classifies errors from GitHub API responses
    * @param {Error|Response} error - Error or Response object
@@ -134,11 +172,14 @@ export class GitHubErrorHandler {
           );
         
         case 403:
-          if (message.includes('rate limit')) {
-            const resetTime = response.headers.get('X-RateLimit-Reset');
+        case 429:
+          if (statusCode === 429 || message.includes('rate limit') || this.isRateLimited(response)) {
+            const resetTime = this.getRateLimitReset(response);
             return new RateLimitError(
-              'GitHub API rate limit exceeded. Please try again later.',
-              resetTime ? new Date(parseInt(resetTime) * 1000) : null
+              resetTime
+                ? `GitHub API rate limit exceeded. It resets at ${resetTime.toLocaleTimeString()}.`
+                : 'GitHub API rate limit exceeded. Please try again later.',
+              resetTime
             );
           }
           return new AuthenticationError(
@@ -174,6 +215,10 @@ export class GitHubErrorHandler {
           );
       }
     } catch (parseError) {
+      if (this.isRateLimited(response)) {
+        return new RateLimitError('GitHub API rate limit exceeded. Please try again later.', this.getRateLimitReset(response));
+      }
+
       // If we can't parse the error response, create a generic error
       return new GitHubError(
         `HTTP ${statusCode} error from GitHub API`,
@@ -188,20 +233,29 @@ export class GitHubErrorHandler {
    * Executes an operation with retry logic for retryable errors
    * @param {Function} operation - Async operation to execute
    * @param {string} context - Context for error handling
+   * @param {object} options - {signal} cutting a backoff or rate-limit wait short with a CancelledError
    * @param {number} attempt - Current attempt number (internal)
    * @returns {Promise} - Operation result
    */
-  async executeWithRetry(operation, context = 'GitHub operation', attempt = 1) {
+  async executeWithRetry(operation, context = 'GitHub operation', { signal = null } = {}, attempt = 1) {
     try {
       return await operation();
     } catch (error) {
-      const handledError = this.handleError(error, context);
+      const handledError = await this.handleError(error, context);
       
       // Don't retry if not retryable or max attempts reached
       if (!handledError.retryable || attempt >= this.maxRetries) {
         throw handledError;
       }
 
+      // Wait out a rate limit that lifts soon; fail straight away when the wait is too long
+      const rateLimitWait = handledError instanceof RateLimitError && handledError.resetTime
+        ? Math.max(handledError.resetTime - Date.now(), 0) + 1000
+        : null;
+      if (rateLimitWait !== null && rateLimitWait > this.maxRateLimitWait) {
+        throw handledError;
+      }
+
       // Calculate delay with exponential backoff
       const delay = Math.min(
         this.baseDelay * Math.pow(2, attempt - 1),
@@ -209,25 +263,40 @@ export class GitHubErrorHandler {
       );
 
       // Add jitter to prevent thundering herd
-      const jitteredDelay = delay + Math.random() * 1000;
+      const jitteredDelay = rateLimitWait ?? delay + Math.random() * 1000;
 
       console.warn(
         `${context} failed (attempt ${attempt}/${this.maxRetries}). Retrying in ${Math.round(jitteredDelay)}ms...`,
         handledError.message
       );
 
-      await this.sleep(jitteredDelay);
-      return this.executeWithRetry(operation, context, attempt + 1);
+      await this.sleep(jitteredDelay, signal);
+      return this.executeWithRetry(operation, context, { signal }, attempt + 1);
     }
   }
 
   /**
    * Utility function to sleep for specified milliseconds
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal|null} signal - Caller's signal; aborting it rejects with a CancelledError
    * @returns {Promise} - Promise that resolves after delay
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new CancelledError());
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -263,7 +332,7 @@ export class GitHubErrorHandler {
           ...baseInfo,
           title: 'Rate Limit Exceeded',
           suggestions: [
-            `Wait ${waitTime} minutes before trying again`,
+            resetTime ? `Wait ${waitTime} minutes before trying again` : 'Wait for the rate limit to reset before trying again',
             'Consider using a GitHub personal access token for higher limits',
             'Try analyzing a different repository'
           ]
@@ -302,6 +371,15 @@ export class GitHubErrorHandler {
           ]
         };
 
+      case 'CANCELLED':
+        return {
+          ...baseInfo,
+          title: 'Analysis Cancelled',
+          suggestions: [
+            'Start the analysis again when you are ready'
+          ]
+        };
+
       default:
         return {
           ...baseInfo,
@@ -335,19 +413,52 @@ export async function withErrorHandling(operation, context = 'GitHub operation')
   return defaultErrorHandler.executeWithRetry(operation, context);
 }
 
+/**
+ * Throws a CancelledError once a caller's AbortSignal has fired
+ * @param {AbortSignal|null} signal - Caller's signal
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+}
+
 /**
  * Creates a timeout wrapper for operations
- * @param {Function} operation - Operation to wrap
+ * The operation receives an AbortSignal that is aborted when the timeout fires or the caller's
+ * signal aborts, so fetch requests are cancelled rather than left running
+ * @param {Function} operation - Operation to wrap, called with an AbortSignal
  * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {AbortSignal|null} signal - Caller's signal; aborting it rejects with a CancelledError
  * @returns {Promise} - Operation with timeout
  */
-export function withTimeout(operation, timeoutMs = 10000) {
+export function withTimeout(operation, timeoutMs = 10000, signal = null) {
+  if (signal?.aborted) {
+    return Promise.reject(new CancelledError());
+  }
+
+  const controller = new AbortController();
+  let timeoutId;
+  let onAbort;
+
   return Promise.race([
-    operation(),
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Operation timed out')), timeoutMs)
-    )
-  ]);
+    operation(controller.signal),
+    new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        reject(new NetworkError('Operation timed out'));
+      }, timeoutMs);
+      // Reject before aborting so the race settles as cancelled, not as a failed fetch
+      onAbort = () => {
+        reject(new CancelledError());
+        controller.abort();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    })
+  ]).finally(() => {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  });
 }
 
 /**
@@ -379,9 +490,11 @@ export default {
   AuthenticationError,
   RepositoryNotFoundError,
   ValidationError,
+  CancelledError,
   GitHubErrorHandler,
   defaultErrorHandler,
   withErrorHandling,
   withTimeout,
+  throwIfCancelled,
   validateResult
 };
\ No newline at end of file
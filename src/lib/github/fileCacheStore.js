@@ -0,0 +1,64 @@
+/**
+ * File-backed response cache store
+ * Persists cached API responses as JSON files for the server and CLI; node only
+ */
+
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+
+export class FileCacheStore {
+  /**
+   * @param {string} directory - Directory holding one JSON file per cached response
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  getPath(key) {
+    return join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      const record = JSON.parse(await readFile(this.getPath(key), 'utf8'));
+      return record.key === key ? record.entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(this.getPath(key), JSON.stringify({ key, entry }));
+  }
+
+  async delete(key) {
+    await rm(this.getPath(key), { force: true });
+  }
+
+  async clear() {
+    await rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Lists cached keys; keys are read back from the files since file names are hashes
+   */
+  async keys() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    const keys = await Promise.all(files.filter(file => file.endsWith('.json')).map(async file => {
+      try {
+        return JSON.parse(await readFile(join(this.directory, file), 'utf8')).key;
+      } catch (error) {
+        return null;
+      }
+    }));
+    return keys.filter(Boolean);
+  }
+}
@@ -20,9 +20,19 @@ export {
   AuthenticationError,
   RepositoryNotFoundError,
   ValidationError,
+  CancelledError,
   GitHubErrorHandler,
   defaultErrorHandler,
   withErrorHandling,
   withTimeout,
+  throwIfCancelled,
   validateResult
-} from './errorHandling.js'
\ No newline at end of file
+} from './errorHandling.js'
+export { getAccessToken, setAccessToken, clearAccessToken } from './tokenStore.js'
+export {
+  ResponseCache,
+  IndexedDBCacheStore,
+  defaultResponseCache,
+  isImmutableEndpoint,
+  getTokenScope
+} from './responseCache.js'
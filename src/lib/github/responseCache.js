@@ -0,0 +1,250 @@
+/**
+ * Conditional-request cache for GitHub API responses
+ * Keeps response bodies with their ETag and Last-Modified validators so repeat requests are
+ * sent with If-None-Match / If-Modified-Since; GitHub does not count 304 answers against the
+ * rate limit. Responses pinned to a commit SHA never change and are served without a request
+ */
+
+// Headers kept with a cached body; the rest describe the original transfer
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified', 'link', 'x-oauth-scopes'];
+
+// `?ref=<sha>` contents and `/git/trees/<sha>` listings are immutable
+const IMMUTABLE_ENDPOINT = /(?:[?&]ref=|\/git\/(?:trees|blobs)\/)[0-9a-f]{40}(?:[?&/]|$)/i;
+
+/**
+ * Checks whether an endpoint addresses content by commit or object SHA
+ * @param {string} endpoint - API endpoint
+ * @returns {boolean}
+ */
+export function isImmutableEndpoint(endpoint) {
+  return IMMUTABLE_ENDPOINT.test(endpoint);
+}
+
+/**
+ * Non-reversible label for the token a response was fetched with
+ * Responses differ per token (private repositories), but tokens must not appear in cache keys.
+ * A full SHA-256 digest keeps two tokens from ever sharing cached private responses
+ * @param {string|null} token - Access token
+ * @returns {Promise<string>}
+ */
+export async function getTokenScope(token) {
+  if (!token) {
+    return 'anonymous';
+  }
+
+  // Web Crypto exists in browsers and in Node.js, so the same keys are used on both
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return `token-${Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Persistent store backed by IndexedDB, for the browser
+ */
+export class IndexedDBCacheStore {
+  constructor(databaseName = 'cloud-opti-github-cache') {
+    this.databaseName = databaseName;
+    this.database = null;
+  }
+
+  /**
+   * Checks whether IndexedDB exists in this environment
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('responses');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  async run(mode, action) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = action(database.transaction('responses', mode).objectStore('responses'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async get(key) {
+    return (await this.run('readonly', store => store.get(key))) || null;
+  }
+
+  async set(key, entry) {
+    await this.run('readwrite', store => store.put(entry, key));
+  }
+
+  async delete(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this.run('readwrite', store => store.clear());
+  }
+
+  async keys() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+}
+
+/**
+ * Two-level response cache: a bounded in-memory map in front of an optional persistent store
+ */
+export class ResponseCache {
+  /**
+   * @param {object} options - {store} persistent store with async get/set/delete/clear/keys, {maxEntries} in memory
+   */
+  constructor({ store = null, maxEntries = 500 } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0 };
+  }
+
+  /**
+   * Cache key for a request URL and the token it is sent with
+   * @param {string} url - Request URL
+   * @param {string|null} token - Access token
+   * @returns {Promise<string>}
+   */
+  async getKey(url, token = null) {
+    return `${url}#${await getTokenScope(token)}`;
+  }
+
+  async get(key) {
+    if (this.entries.has(key)) {
+      const entry = this.entries.get(key);
+      // Re-insert to keep the map in least-recently-used order
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return entry;
+    }
+
+    const entry = this.store ? await this.store.get(key).catch(() => null) : null;
+    if (entry) {
+      this.remember(key, entry);
+    }
+    return entry;
+  }
+
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async set(key, entry) {
+    this.remember(key, entry);
+    this.stats.stored++;
+    if (this.store) {
+      await this.store.set(key, entry).catch(error => {
+        console.warn('Failed to persist cached response:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Sends a request through the cache
+   * @param {string} key - Cache key from getKey
+   * @param {Function} send - Sends the request with the given conditional headers, resolving to a Response
+   * @param {object} options - {immutable} serve a cached response without revalidating
+   * @returns {Promise<Response>}
+   */
+  async fetch(key, send, { immutable = false } = {}) {
+    const cached = await this.get(key);
+
+    if (cached && immutable) {
+      this.stats.hits++;
+      return toResponse(cached);
+    }
+
+    const conditionalHeaders = {};
+    if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+
+    const response = await send(conditionalHeaders);
+    if (cached && response.status === 304) {
+      this.stats.revalidated++;
+      return toResponse(cached);
+    }
+
+    this.stats.misses++;
+    const etag = response.headers?.get('etag');
+    const lastModified = response.headers?.get('last-modified');
+    if (response.status === 200 && typeof response.clone === 'function' && (etag || lastModified || immutable)) {
+      await this.set(key, {
+        status: response.status,
+        headers: Object.fromEntries(
+          CACHED_HEADERS.filter(name => response.headers.has(name)).map(name => [name, response.headers.get(name)])
+        ),
+        body: await response.clone().text(),
+        etag,
+        lastModified,
+        storedAt: Date.now()
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Drops cached responses for a URL and every URL below it, for every token
+   * @param {string} prefix - URL prefix, e.g. a repository's API URL
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async invalidate(prefix) {
+    const keys = new Set([...this.entries.keys(), ...(this.store ? await this.store.keys() : [])]);
+    // Match whole path segments so `/repos/owner/app` leaves `/repos/owner/app-web` alone
+    const matching = [...keys].filter(key => key.startsWith(prefix) && /^[/?#]/.test(key.slice(prefix.length)));
+
+    for (const key of matching) {
+      this.entries.delete(key);
+      if (this.store) await this.store.delete(key);
+    }
+    return matching.length;
+  }
+
+  /**
+   * Drops every cached response and resets the statistics
+   */
+  async clear() {
+    this.entries.clear();
+    this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0 };
+    if (this.store) await this.store.clear();
+  }
+
+  /**
+   * Cache statistics since creation or the last clear
+   * @returns {{hits: number, revalidated: number, misses: number, stored: number, entries: number, hitRate: number}}
+   */
+  getStats() {
+    const served = this.stats.hits + this.stats.revalidated;
+    const total = served + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      hitRate: total > 0 ? served / total : 0
+    };
+  }
+}
+
+function toResponse(entry) {
+  return new Response(entry.body, { status: entry.status, headers: entry.headers });
+}
+
+/**
+ * Cache shared by GitHubService instances: in memory, persisted to IndexedDB in the browser
+ */
+export const defaultResponseCache = new ResponseCache({
+  store: IndexedDBCacheStore.isAvailable() ? new IndexedDBCacheStore() : null
+});
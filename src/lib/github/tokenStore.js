@@ -0,0 +1,53 @@
+/**
+ * GitHub access token storage
+ * Tokens live in memory, and in sessionStorage only when the user asks to keep them for the
+ * browser session; they are never written to localStorage or sent anywhere but the GitHub API
+ */
+
+const SESSION_KEY = 'cloudOptiGitHubToken';
+
+let memoryToken = null;
+
+/**
+ * Returns the current access token
+ * @returns {string|null}
+ */
+export function getAccessToken() {
+  if (memoryToken || typeof window === 'undefined') {
+    return memoryToken;
+  }
+  try {
+    return sessionStorage.getItem(SESSION_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores an access token in memory, and in sessionStorage when `persist` is set
+ * @param {string|null} token - Access token, or null to sign out
+ * @param {object} options - {persist}
+ */
+export function setAccessToken(token, { persist = false } = {}) {
+  memoryToken = token || null;
+  if (typeof window === 'undefined') {
+    return;
+  }
+
+  try {
+    if (memoryToken && persist) {
+      sessionStorage.setItem(SESSION_KEY, memoryToken);
+    } else {
+      sessionStorage.removeItem(SESSION_KEY);
+    }
+  } catch (error) {
+    console.warn('Failed to store GitHub token in sessionStorage:', error);
+  }
+}
+
+/**
+ * Forgets the access token everywhere it is kept
+ */
+export function clearAccessToken() {
+  setAccessToken(null);
+}
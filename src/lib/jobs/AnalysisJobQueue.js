@@ -0,0 +1,333 @@
+/**
+ * In-process analysis job queue
+ * Runs repository analyses and architecture recommendations on the server, so access tokens stay
+ * server-side and requests count against the server's rate limit. Jobs are held in memory: they
+ * do not survive a restart and are not shared between server instances
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRepositoryService, isTrustedRepositoryUrl, validateRepositoryUrl } from '../repositories/providers.js';
+import { ArchitectureRecommendationService } from '../cloud/ArchitectureRecommendationService.js';
+import { assertRequirements } from '../cloud/requirements.js';
+import { ANALYSIS_STAGE_STEPS } from '../analysis/analysisStages.js';
+import { GitHubError, ValidationError, defaultErrorHandler } from '../github/errorHandling.js';
+import { ResponseCache } from '../github/responseCache.js';
+import { FileCacheStore } from '../github/fileCacheStore.js';
+
+/**
+ * Environment variables holding the server's access token for each repository host
+ */
+export const SERVER_TOKEN_VARIABLES = {
+  github: 'GITHUB_TOKEN',
+  gitlab: 'GITLAB_TOKEN',
+  bitbucket: 'BITBUCKET_TOKEN',
+  'azure-repos': 'AZURE_DEVOPS_TOKEN'
+};
+
+/**
+ * Job statuses after which nothing changes
+ */
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Share of the progress bar taken by the repository analysis; recommendations take the rest
+const ANALYSIS_PROGRESS_SHARE = 0.9;
+
+/**
+ * Formats a job event as a server-sent event
+ * @param {{id: number, type: string, data: object}} event - Job event
+ * @returns {string}
+ */
+export function formatServerSentEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * Checks an Authorization header against the API key that lets callers use the server's tokens
+ * Without ANALYSIS_API_KEY no caller is authorized
+ * @param {string|null} authorization - Authorization header, `Bearer <key>`
+ * @param {string|undefined} apiKey - Expected key
+ * @returns {boolean}
+ */
+export function isAuthorizedCaller(authorization, apiKey = process.env.ANALYSIS_API_KEY) {
+  const match = String(authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!apiKey || !match) {
+    return false;
+  }
+  // Hashing first gives equal lengths, so the comparison takes the same time for any key
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(apiKey));
+}
+
+/**
+ * GitHub response cache shared by the server's jobs, persisted under ANALYSIS_CACHE_DIR or the
+ * system temporary directory so repeat analyses survive a restart
+ * @returns {ResponseCache}
+ */
+function createServerResponseCache() {
+  const directory = process.env.ANALYSIS_CACHE_DIR || join(tmpdir(), 'cloud-opti-cache');
+  return new ResponseCache({ store: new FileCacheStore(directory) });
+}
+
+function getServerToken(provider) {
+  return process.env[SERVER_TOKEN_VARIABLES[provider]] || null;
+}
+
+export class AnalysisJobQueue {
+  /**
+   * @param {object} options - {concurrency} jobs run at once; {maxQueued} jobs waiting before new ones are refused;
+   * {retention} milliseconds a finished job stays readable; {cache} ResponseCache for GitHub requests;
+   * {createService} repository service factory, given the job's URL and token;
+   * {recommendationService} ArchitectureRecommendationService instance; {getToken} server token for a provider id
+   */
+  constructor({
+    concurrency = 2,
+    maxQueued = 50,
+    retention = 60 * 60 * 1000,
+    cache = createServerResponseCache(),
+    createService = (url, token) => createRepositoryService(url, token, { cache }),
+    recommendationService = new ArchitectureRecommendationService(),
+    getToken = getServerToken
+  } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.retention = retention;
+    this.createService = createService;
+    this.recommendationService = recommendationService;
+    this.getToken = getToken;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queues an analysis
+   * @param {object} request - {url} repository URL; {ref} branch, tag or commit; {path} subdirectory;
+   * {requirements} requirements matching REQUIREMENTS_SCHEMA; {token} the caller's access token;
+   * {authenticated} the caller is trusted with the server's token, which is then used for https URLs of
+   * supported hosts when no token is given. Other analyses without a token only reach public repositories
+   * @returns {object} - Job snapshot, see getJob
+   */
+  enqueue({ url, ref = null, path = null, requirements = {}, token = null, authenticated = false } = {}) {
+    if (typeof url !== 'string' || !url.trim()) {
+      throw new ValidationError('url is required', 'url');
+    }
+
+    const validation = validateRepositoryUrl(url);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.error, 'url');
+    }
+
+    const normalizedRequirements = assertRequirements(requirements || {});
+
+    this.prune();
+    if (this.pending.length >= this.maxQueued) {
+      throw new GitHubError('Too many analyses are queued. Try again shortly', 'QUEUE_FULL', 503, true);
+    }
+
+    const provider = validation.details.provider;
+    const serverToken = !token && authenticated && isTrustedRepositoryUrl(url) ? this.getToken(provider) : null;
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      url: url.trim(),
+      provider,
+      ref: ref || null,
+      path: path ?? null,
+      requirements: normalizedRequirements,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { progress: 0, stage: '', detail: null },
+      result: null,
+      error: null,
+      events: [],
+      listeners: new Set(),
+      controller: new AbortController(),
+      // Kept off the snapshot so tokens never reach a response
+      token: token || serverToken,
+      // What the server's token can read is only shown to authorized callers
+      restricted: Boolean(serverToken)
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emit(job, 'queued', this.toSnapshot(job));
+    this.runNext();
+
+    return this.toSnapshot(job);
+  }
+
+  /**
+   * Reads a job
+   * @param {string} id - Job id
+   * @param {object} options - {authorized} the caller may see jobs that ran with the server's token
+   * @returns {object|null} - {id, status, url, provider, ref, path, createdAt, startedAt, finishedAt, progress, result, error};
+   * null for unknown jobs and ones the caller may not see
+   */
+  getJob(id, { authorized = false } = {}) {
+    const job = this.findJob(id, authorized);
+    return job ? this.toSnapshot(job) : null;
+  }
+
+  /**
+   * Subscribes to a job's events, replaying the ones already emitted
+   * Events are `queued`, `progress` with {progress, stage, detail} for useAnalysisProgress, and
+   * one of `completed`, `failed` or `cancelled` last
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with {id, type, data}
+   * @param {object} options - {after} replay only events after this event id, e.g. Last-Event-ID; {authorized}, see getJob
+   * @returns {Function|null} - Unsubscribes; null for unknown jobs and ones the caller may not see
+   */
+  subscribe(id, listener, { after = 0, authorized = false } = {}) {
+    const job = this.findJob(id, authorized);
+    if (!job) {
+      return null;
+    }
+
+    job.events.filter(event => event.id > after).forEach(listener);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return () => {};
+    }
+
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  /**
+   * Cancels a queued or running job
+   * @param {string} id - Job id
+   * @param {object} options - {authorized}, see getJob
+   * @returns {object|null} - Job snapshot; null for unknown jobs and ones the caller may not see
+   */
+  cancel(id, { authorized = false } = {}) {
+    const job = this.findJob(id, authorized);
+    if (!job) {
+      return null;
+    }
+
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      job.controller.abort();
+      if (job.status === 'queued') {
+        this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+        this.finish(job, 'cancelled');
+      }
+    }
+    return this.toSnapshot(job);
+  }
+
+  findJob(id, authorized) {
+    const job = this.jobs.get(id);
+    return job && (!job.restricted || authorized) ? job : null;
+  }
+
+  runNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    const { signal } = job.controller;
+
+    try {
+      const service = this.createService(job.url, job.token);
+      const analysis = await service.analyzeRepository(
+        job.url,
+        (message, percent, { stage } = {}) => this.reportProgress(job, percent * ANALYSIS_PROGRESS_SHARE, ANALYSIS_STAGE_STEPS[stage], message),
+        { ref: job.ref, path: job.path ?? undefined, signal }
+      );
+      if (analysis.error) {
+        throw new GitHubError(analysis.error, analysis.errorType);
+      }
+
+      this.reportProgress(job, 95, ANALYSIS_STAGE_STEPS.complete, 'Generating architecture recommendations...');
+      const { recommendations, currentArchitecture } = await this.recommendationService.generateRecommendationReport(
+        analysis.technologies,
+        job.requirements,
+        analysis
+      );
+      if (signal.aborted) {
+        this.finish(job, 'cancelled');
+        return;
+      }
+
+      // File contents are only needed by the detectors
+      const packageFiles = analysis.packageFiles.map(({ content, ...packageFile }) => packageFile);
+      job.result = { analysis: { ...analysis, packageFiles }, recommendations, currentArchitecture };
+      this.reportProgress(job, 100, ANALYSIS_STAGE_STEPS.complete, null);
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (error.type === 'CANCELLED' || signal.aborted) {
+        this.finish(job, 'cancelled');
+        return;
+      }
+
+      const handledError = error instanceof GitHubError ? error : defaultErrorHandler.handleError(error, 'Repository analysis');
+      job.error = defaultErrorHandler.getUserFriendlyError(handledError);
+      this.finish(job, 'failed');
+    }
+  }
+
+  reportProgress(job, progress, stage, detail) {
+    job.progress = { progress: Math.round(progress), stage: stage || job.progress.stage, detail };
+    this.emit(job, 'progress', job.progress);
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date();
+    job.token = null;
+    this.emit(job, status, this.toSnapshot(job));
+    job.listeners.clear();
+  }
+
+  emit(job, type, data) {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    job.listeners.forEach(listener => listener(event));
+  }
+
+  /**
+   * Drops finished jobs older than the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.retention;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  toSnapshot(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      url: job.url,
+      provider: job.provider,
+      ref: job.ref,
+      path: job.path,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.progress,
+      result: job.result,
+      error: job.error
+    };
+  }
+}
+
+/**
+ * Queue shared by the analysis route handlers
+ * Kept on globalThis so development reloads of the route modules reuse it
+ */
+export const analysisJobQueue = globalThis.cloudOptiAnalysisJobQueue ??= new AnalysisJobQueue();
@@ -0,0 +1,208 @@
+import { describe, it, expect, vi } from 'vitest'
+import { AnalysisJobQueue, formatServerSentEvent, isAuthorizedCaller } from '../AnalysisJobQueue.js'
+import { GitHubService } from '../../github/GitHubService.js'
+import { ResponseCache } from '../../github/responseCache.js'
+
+const analysis = (overrides = {}) => ({
+  technologies: [{ id: 'nodejs', name: 'Node.js', category: 'runtime', confidence: 0.9 }],
+  infrastructure: null,
+  packageFiles: [{ name: 'package.json', path: 'package.json', content: '{}', dependencies: [] }],
+  error: null,
+  errorType: null,
+  ...overrides
+})
+
+// Resolves once the queue has run everything it was given
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+function createQueue(analyzeRepository, options = {}) {
+  const recommendationService = {
+    generateRecommendationReport: vi.fn().mockResolvedValue({
+      recommendations: [{ id: 'aws', provider: 'aws' }],
+      currentArchitecture: null
+    })
+  }
+  const createService = vi.fn(() => ({ analyzeRepository }))
+  const queue = new AnalysisJobQueue({ createService, recommendationService, getToken: () => 'server-token', ...options })
+  return { queue, createService, recommendationService }
+}
+
+describe('AnalysisJobQueue', () => {
+  it('should run an analysis and its recommendations with the server token for authorized callers', async () => {
+    const analyzeRepository = vi.fn(async (url, progress) => {
+      progress('Fetching files (1/2)...', 50, { stage: 'files', completed: 1, total: 2 })
+      return analysis()
+    })
+    const { queue, createService, recommendationService } = createQueue(analyzeRepository)
+
+    const job = queue.enqueue({ url: 'https://github.com/owner/repo', ref: 'main', authenticated: true })
+    // A free slot starts the job straight away
+    expect(job.status).toBe('running')
+    await settle()
+
+    // Results read with the server's token are only shown to authorized callers
+    expect(queue.getJob(job.id)).toBeNull()
+    expect(queue.subscribe(job.id, () => {})).toBeNull()
+    expect(queue.cancel(job.id)).toBeNull()
+
+    const finished = queue.getJob(job.id, { authorized: true })
+    expect(finished.status).toBe('completed')
+    expect(createService).toHaveBeenCalledWith('https://github.com/owner/repo', 'server-token')
+    expect(analyzeRepository).toHaveBeenCalledWith(
+      'https://github.com/owner/repo',
+      expect.any(Function),
+      expect.objectContaining({ ref: 'main', path: undefined, signal: expect.any(AbortSignal) })
+    )
+    expect(recommendationService.generateRecommendationReport).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ preferences: expect.objectContaining({ costOptimization: true }) }),
+      expect.any(Object)
+    )
+    expect(finished.result.recommendations).toEqual([{ id: 'aws', provider: 'aws' }])
+    expect(finished.result.analysis.packageFiles[0]).not.toHaveProperty('content')
+    expect(finished.progress).toEqual({ progress: 100, stage: 'Finalizing Analysis', detail: null })
+    expect(JSON.stringify(finished)).not.toContain('server-token')
+  })
+
+  it('should keep the server token from anonymous callers and untrusted hosts', async () => {
+    process.env.NEXT_PUBLIC_GITLAB_HOSTS = 'git.internal'
+    const { queue, createService } = createQueue(async () => analysis())
+
+    queue.enqueue({ url: 'https://github.com/owner/repo' })
+    queue.enqueue({ url: 'https://github.com/owner/repo', token: 'caller-token' })
+    queue.enqueue({ url: 'http://git.internal/team/service', authenticated: true })
+    await settle()
+    delete process.env.NEXT_PUBLIC_GITLAB_HOSTS
+
+    expect(createService.mock.calls).toEqual([
+      ['https://github.com/owner/repo', null],
+      ['https://github.com/owner/repo', 'caller-token'],
+      ['http://git.internal/team/service', null]
+    ])
+    expect(() => queue.enqueue({ url: 'http://gitlab.evil.tld/a/b', authenticated: true })).toThrow(
+      expect.objectContaining({ type: 'VALIDATION_ERROR' })
+    )
+  })
+
+  it('should authorize callers by the configured API key only', () => {
+    expect(isAuthorizedCaller('Bearer secret', 'secret')).toBe(true)
+    expect(isAuthorizedCaller('bearer secret', 'secret')).toBe(true)
+    expect(isAuthorizedCaller('Bearer guess', 'secret')).toBe(false)
+    expect(isAuthorizedCaller(null, 'secret')).toBe(false)
+    expect(isAuthorizedCaller('Bearer secret', undefined)).toBe(false)
+  })
+
+  it('should replay events to late subscribers with stages useAnalysisProgress knows', async () => {
+    const { queue } = createQueue(async (url, progress) => {
+      progress('Fetching files (1/2)...', 50, { stage: 'files', completed: 1, total: 2 })
+      return analysis()
+    })
+
+    const job = queue.enqueue({ url: 'https://github.com/owner/repo' })
+    await settle()
+    const events = []
+    queue.subscribe(job.id, event => events.push(event))
+
+    expect(events.map(event => event.type)).toEqual(['queued', 'progress', 'progress', 'progress', 'completed'])
+    expect(events[1].data).toEqual({ progress: 45, stage: 'Parsing Dependencies', detail: 'Fetching files (1/2)...' })
+
+    const resumed = []
+    queue.subscribe(job.id, event => resumed.push(event), { after: 3 })
+    expect(resumed.map(event => event.id)).toEqual([4, 5])
+  })
+
+  it('should report failed analyses with a friendly error', async () => {
+    const { queue } = createQueue(async () => analysis({ error: 'Repository not found or is private', errorType: 'REPOSITORY_NOT_FOUND' }))
+
+    const job = queue.enqueue({ url: 'https://github.com/owner/missing' })
+    await settle()
+
+    expect(queue.getJob(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      result: null,
+      error: expect.objectContaining({ title: 'Repository Not Found', message: 'Repository not found or is private' })
+    }))
+  })
+
+  it('should fail jobs for repositories the host does not find', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404 })
+    const { queue, recommendationService } = createQueue(null, { createService: (url, token) => new GitHubService(token) })
+
+    const job = queue.enqueue({ url: 'https://github.com/owner/typo' })
+    await settle()
+
+    expect(queue.getJob(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      result: null,
+      error: expect.objectContaining({ type: 'REPOSITORY_NOT_FOUND', message: 'Repository not found or is private' })
+    }))
+    expect(recommendationService.generateRecommendationReport).not.toHaveBeenCalled()
+  })
+
+  it('should send GitHub requests through the response cache it was given', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404 })
+    const cache = new ResponseCache()
+    const queue = new AnalysisJobQueue({ cache, getToken: () => null })
+
+    const job = queue.enqueue({ url: 'https://github.com/owner/repo' })
+    await settle()
+
+    expect(queue.getJob(job.id).status).toBe('failed')
+    expect(cache.getStats().misses).toBeGreaterThan(0)
+  })
+
+  it('should run at most the configured number of jobs and cancel queued ones', async () => {
+    let release
+    const gate = new Promise(resolve => { release = resolve })
+    const analyzeRepository = vi.fn(async () => {
+      await gate
+      return analysis()
+    })
+    const { queue } = createQueue(analyzeRepository, { concurrency: 1 })
+
+    const first = queue.enqueue({ url: 'https://github.com/owner/one' })
+    const second = queue.enqueue({ url: 'https://github.com/owner/two' })
+    await settle()
+
+    expect(queue.getJob(first.id).status).toBe('running')
+    expect(queue.getJob(second.id).status).toBe('queued')
+    expect(queue.cancel(second.id).status).toBe('cancelled')
+
+    release()
+    await settle()
+    expect(analyzeRepository).toHaveBeenCalledTimes(1)
+    expect(queue.getJob(first.id).status).toBe('completed')
+  })
+
+  it('should abort a running analysis on cancel', async () => {
+    const { queue } = createQueue((url, progress, { signal }) => new Promise(resolve => {
+      signal.addEventListener('abort', () => resolve(analysis({ error: 'Analysis was cancelled', errorType: 'CANCELLED' })))
+    }))
+
+    const job = queue.enqueue({ url: 'https://github.com/owner/repo' })
+    await settle()
+    queue.cancel(job.id)
+    await settle()
+
+    expect(queue.getJob(job.id).status).toBe('cancelled')
+  })
+
+  it('should reject invalid URLs and requirements and refuse work when the queue is full', () => {
+    const { queue } = createQueue(() => new Promise(() => {}), { concurrency: 1, maxQueued: 1 })
+
+    expect(() => queue.enqueue({ url: 'not a url' })).toThrow(expect.objectContaining({ type: 'VALIDATION_ERROR' }))
+    expect(() => queue.enqueue({ url: 'https://github.com/owner/repo', requirements: { scale: 'huge' } })).toThrow(
+      expect.objectContaining({ type: 'VALIDATION_ERROR', field: 'scale', statusCode: 400 })
+    )
+    queue.enqueue({ url: 'https://github.com/owner/one' })
+    queue.enqueue({ url: 'https://github.com/owner/two' })
+    expect(() => queue.enqueue({ url: 'https://github.com/owner/three' })).toThrow(
+      expect.objectContaining({ type: 'QUEUE_FULL', statusCode: 503 })
+    )
+  })
+
+  it('should format events for an event stream', () => {
+    expect(formatServerSentEvent({ id: 2, type: 'progress', data: { progress: 10 } }))
+      .toBe('id: 2\nevent: progress\ndata: {"progress":10}\n\n')
+  })
+})
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { runAnalysisJob } from '../analysisJobClient.js'
+
+// Stands in for the browser's EventSource; tests push events through the latest instance
+class FakeEventSource {
+  static CLOSED = 2
+  static latest = null
+
+  constructor(url) {
+    this.url = url
+    this.readyState = 1
+    this.listeners = {}
+    this.onerror = null
+    FakeEventSource.latest = this
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener
+  }
+
+  emit(type, data) {
+    this.listeners[type]?.({ data: JSON.stringify(data) })
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED
+  }
+}
+
+const accepted = id => ({ ok: true, status: 202, json: () => Promise.resolve({ id, status: 'queued' }) })
+
+// Lets runAnalysisJob read the POST response and open the event stream
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('runAnalysisJob', () => {
+  beforeEach(() => {
+    vi.stubGlobal('EventSource', FakeEventSource)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should queue the analysis, report progress and resolve with the result', async () => {
+    global.fetch.mockResolvedValueOnce(accepted('job-1'))
+    const onProgress = vi.fn()
+
+    const running = runAnalysisJob({ url: 'https://github.com/owner/repo', token: 'user-token' }, { onProgress })
+    await settle()
+    const events = FakeEventSource.latest
+    events.emit('progress', { progress: 45, stage: 'Parsing Dependencies', detail: 'Fetching files (1/2)...' })
+    events.emit('completed', { status: 'completed', result: { analysis: { technologies: [] }, recommendations: [] } })
+
+    await expect(running).resolves.toEqual({ analysis: { technologies: [] }, recommendations: [] })
+    expect(global.fetch).toHaveBeenCalledWith('/api/analyses', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ url: 'https://github.com/owner/repo', token: 'user-token' })
+    }))
+    expect(events.url).toBe('/api/analyses/job-1/events')
+    expect(events.readyState).toBe(FakeEventSource.CLOSED)
+    expect(onProgress).toHaveBeenCalledWith({ progress: 45, stage: 'Parsing Dependencies', detail: 'Fetching files (1/2)...' })
+  })
+
+  it('should reject with the error of a failed job', async () => {
+    global.fetch.mockResolvedValueOnce(accepted('job-2'))
+
+    const running = runAnalysisJob({ url: 'https://github.com/owner/missing' })
+    await settle()
+    FakeEventSource.latest.emit('failed', {
+      status: 'failed',
+      error: { title: 'Repository Not Found', message: 'Repository not found or is private', type: 'REPOSITORY_NOT_FOUND', canRetry: false }
+    })
+
+    await expect(running).rejects.toMatchObject({ type: 'REPOSITORY_NOT_FOUND', message: 'Repository not found or is private' })
+  })
+
+  it('should reject requests the route refuses', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: () => Promise.resolve({ error: 'Unsupported repository host' }) })
+
+    await expect(runAnalysisJob({ url: 'https://example.com/a/b' })).rejects.toMatchObject({
+      type: 'VALIDATION_ERROR',
+      message: 'Unsupported repository host'
+    })
+  })
+
+  it('should cancel the job on the server when aborted', async () => {
+    global.fetch.mockResolvedValueOnce(accepted('job-3')).mockResolvedValueOnce({ ok: true })
+    const controller = new AbortController()
+
+    const running = runAnalysisJob({ url: 'https://github.com/owner/repo' }, { signal: controller.signal })
+    await settle()
+    controller.abort()
+
+    await expect(running).rejects.toMatchObject({ type: 'CANCELLED' })
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/analyses/job-3', { method: 'DELETE', keepalive: true })
+    expect(FakeEventSource.latest.readyState).toBe(FakeEventSource.CLOSED)
+  })
+})
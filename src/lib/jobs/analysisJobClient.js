@@ -0,0 +1,79 @@
+/**
+ * Browser client for the analysis job routes
+ * Queues an analysis on the server, follows its events and cancels the job when the caller aborts
+ */
+
+import { CancelledError, GitHubError, NetworkError } from '../github/errorHandling.js';
+
+const ANALYSES_ROUTE = '/api/analyses';
+
+/**
+ * Runs a repository analysis as a server-side job
+ * @param {object} request - {url, ref, path, requirements, token}, see AnalysisJobQueue.enqueue
+ * @param {object} options - {onProgress} called with the {progress, stage, detail} of each progress event;
+ * {signal} cancels the job
+ * @returns {Promise<object>} - Job result: {analysis, recommendations, currentArchitecture}
+ */
+export async function runAnalysisJob(request, { onProgress = () => {}, signal = null } = {}) {
+  let response;
+  try {
+    response = await fetch(ANALYSES_ROUTE, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request),
+      signal
+    });
+  } catch (error) {
+    throw signal?.aborted ? new CancelledError() : new NetworkError('Could not reach the analysis service', error);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new GitHubError(
+      body.error || `Could not start the analysis (${response.status})`,
+      response.status === 400 ? 'VALIDATION_ERROR' : 'API_ERROR',
+      response.status,
+      response.status === 503
+    );
+  }
+
+  return followAnalysisJob(body.id, { onProgress, signal });
+}
+
+function followAnalysisJob(id, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(`${ANALYSES_ROUTE}/${id}/events`);
+    const read = event => JSON.parse(event.data);
+
+    const settle = (callback, value) => {
+      events.close();
+      signal?.removeEventListener('abort', cancel);
+      callback(value);
+    };
+    const cancel = () => {
+      // Closing the stream leaves the job running on the server
+      fetch(`${ANALYSES_ROUTE}/${id}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+      settle(reject, new CancelledError());
+    };
+
+    events.addEventListener('progress', event => onProgress(read(event)));
+    events.addEventListener('completed', event => settle(resolve, read(event).result));
+    events.addEventListener('failed', event => {
+      const { error } = read(event);
+      settle(reject, new GitHubError(error.message, error.type, null, error.canRetry));
+    });
+    events.addEventListener('cancelled', () => settle(reject, new CancelledError()));
+    // EventSource reconnects with Last-Event-ID by itself; it only gives up when the job is gone
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        settle(reject, new NetworkError('Lost the connection to the analysis'));
+      }
+    };
+
+    if (signal?.aborted) {
+      cancel();
+    } else {
+      signal?.addEventListener('abort', cancel, { once: true });
+    }
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Uploaded archive repository source
+ * Serves the analysis pipeline from a .zip, .tar.gz or .tar archive extracted in memory
+ */
+
+import { RepositoryService } from './RepositoryService.js';
+import { extractArchive } from './archives.js';
+import { filterTree } from '../analysis/treeFilter.js';
+
+export class ArchiveService extends RepositoryService {
+  /**
+   * @param {string} name - Archive file name
+   * @param {Array<{path: string, size: number, content: Uint8Array|null}>} files - Result of extractArchive
+   */
+  constructor(name, files) {
+    super(null, null);
+    this.name = name;
+    this.files = new Map(files.map(file => [file.path, file]));
+  }
+
+  /**
+   * Reads and extracts an uploaded file
+   * @param {File|Blob} file - Uploaded archive
+   * @returns {Promise<ArchiveService>}
+   */
+  static async fromFile(file) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    return new ArchiveService(file.name, extractArchive(data, file.name));
+  }
+
+  get providerId() {
+    return 'archive';
+  }
+
+  get providerName() {
+    return 'Archive';
+  }
+
+  /**
+   * Archives are addressed by their file name; the extension is dropped from the repository name
+   */
+  parseRepositoryUrl(url) {
+    const repo = String(url || this.name).replace(/\.(zip|tar\.gz|tgz|tar)$/i, '');
+    return { owner: 'archive', repo };
+  }
+
+  getRepositoryUrl(owner, repo) {
+    return this.name;
+  }
+
+  /**
+   * Validates that the archive holds files
+   */
+  async validateRepository(url) {
+    if (this.files.size === 0) {
+      return {
+        isValid: false,
+        isAccessible: false,
+        repository: null,
+        error: 'Archive contains no files'
+      };
+    }
+
+    const { repo } = this.parseRepositoryUrl(url);
+    const size = [...this.files.values()].reduce((total, file) => total + file.size, 0);
+
+    return {
+      isValid: true,
+      isAccessible: true,
+      repository: {
+        name: repo,
+        fullName: repo,
+        owner: null,
+        isPrivate: true,
+        size: Math.round(size / 1024),
+        language: null,
+        languages: null,
+        lastUpdated: null,
+        metadata: { stars: null, forks: null, openIssues: null, defaultBranch: null }
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Lists extracted files with the directories their paths imply
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    const directories = new Set();
+    const files = [...this.files.values()].sort((a, b) => a.path.localeCompare(b.path));
+
+    files.forEach(file => {
+      const segments = file.path.split('/');
+      for (let depth = 1; depth < segments.length; depth++) {
+        directories.add(segments.slice(0, depth).join('/'));
+      }
+    });
+
+    const entries = [
+      ...[...directories].sort().map(path => ({ name: path.split('/').pop(), path, type: 'dir', size: 0 })),
+      ...files.map(file => ({ name: file.path.split('/').pop(), path: file.path, type: 'file', size: file.size }))
+    ];
+
+    return filterTree(entries, options);
+  }
+
+  async fetchFileContent(owner, repo, path) {
+    const file = this.files.get(path);
+    return file?.content ? new TextDecoder().decode(file.content) : null;
+  }
+
+  async getRepositoryMetadata() {
+    return {
+      contributors: 0,
+      recentActivity: null,
+      topContributors: []
+    };
+  }
+}
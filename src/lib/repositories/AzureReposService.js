@@ -0,0 +1,228 @@
+/**
+ * Azure Repos repository provider
+ * Works against the Azure DevOps Git REST API; the owner is `organization/project`
+ */
+
+import { RepositoryService } from './RepositoryService.js';
+import { normalizeTreeEntries, filterTree } from '../analysis/treeFilter.js';
+
+const API_VERSION = 'api-version=7.1';
+
+export class AzureReposService extends RepositoryService {
+  /**
+   * @param {string|null} apiToken - Personal access token
+   */
+  constructor(apiToken = null) {
+    super(apiToken, 'https://dev.azure.com');
+  }
+
+  get providerId() {
+    return 'azure-repos';
+  }
+
+  get providerName() {
+    return 'Azure Repos';
+  }
+
+  /**
+   * Parses dev.azure.com and legacy visualstudio.com repository URLs
+   * The ref comes from the `version` query parameter: GB (branch), GT (tag) or GC (commit),
+   * and the directory from the `path` query parameter
+   * @param {string} url - Azure Repos URL
+   * @returns {{owner: string|null, repo: string|null, ref?: string, path?: string}}
+   */
+  parseRepositoryUrl(url) {
+    const version = String(url || '').match(/[?&]version=G[BTC]([^&#]+)/);
+    const pathQuery = String(url || '').match(/[?&]path=([^&#]+)/);
+    const cleanUrl = String(url || '').trim().replace(/^https?:\/\//, '').replace(/^[^@/]+@/, '').replace(/[?#].*$/, '');
+    const [host, ...segments] = cleanUrl.split('/').filter(Boolean).map(decodeURIComponent);
+    const legacy = host?.toLowerCase().match(/^([\w-]+)\.visualstudio\.com$/);
+
+    if (host?.toLowerCase() !== 'dev.azure.com' && !legacy) {
+      return { owner: null, repo: null };
+    }
+
+    const path = legacy ? [legacy[1], ...segments] : segments;
+    // Legacy collection URLs name the default collection before the project
+    if (path[1] === 'DefaultCollection') {
+      path.splice(1, 1);
+    }
+
+    const gitIndex = path.indexOf('_git');
+    if (gitIndex < 1 || gitIndex > 2 || !path[gitIndex + 1]) {
+      return { owner: null, repo: null };
+    }
+
+    // `org/_git/repo` addresses the project named after the repository
+    const organization = path[0];
+    const repo = path[gitIndex + 1].replace(/\.git$/, '');
+    const project = gitIndex === 2 ? path[1] : repo;
+
+    return {
+      owner: `${organization}/${project}`,
+      repo,
+      ...(version && { ref: decodeURIComponent(version[1]) }),
+      ...(pathQuery && { path: decodeURIComponent(pathQuery[1]).replace(/^\/+|\/+$/g, '') })
+    };
+  }
+
+  getRepositoryUrl(owner, repo) {
+    return `https://dev.azure.com/${owner}/_git/${repo}`;
+  }
+
+  getRepositoryEndpoint(owner, repo) {
+    const [organization, project] = owner.split('/').map(encodeURIComponent);
+    return `/${organization}/${project}/_apis/git/repositories/${encodeURIComponent(repo)}`;
+  }
+
+  normalizeRepository(repository) {
+    return {
+      name: repository.name,
+      fullName: `${repository.project?.name}/${repository.name}`,
+      owner: repository.project?.name || null,
+      isPrivate: repository.project?.visibility !== 'public',
+      size: repository.size,
+      language: null,
+      languages: null,
+      lastUpdated: repository.project?.lastUpdateTime ? new Date(repository.project.lastUpdateTime) : null,
+      metadata: {
+        stars: null,
+        forks: null,
+        openIssues: null,
+        defaultBranch: repository.defaultBranch ? repository.defaultBranch.replace(/^refs\/heads\//, '') : null
+      }
+    };
+  }
+
+  /**
+   * Personal access tokens authenticate with Basic auth and an empty user name
+   * Without `X-TFS-FedAuthRedirect` unauthenticated calls answer 203 with a sign-in page
+   */
+  getRequestHeaders() {
+    const headers = {
+      'Accept': 'application/json',
+      'X-TFS-FedAuthRedirect': 'Suppress'
+    };
+
+    if (this.apiToken) {
+      headers['Authorization'] = `Basic ${btoa(`:${this.apiToken}`)}`;
+    }
+
+    return headers;
+  }
+
+  async makeApiRequest(endpoint, options = {}) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return super.makeApiRequest(`${endpoint}${separator}${API_VERSION}`, options);
+  }
+
+  /**
+   * Resolves commits directly, branches and tags through the refs API
+   * Ref filters match by prefix, so the exact ref name is picked from the result
+   */
+  async fetchCommitSha(owner, repo, ref, { signal } = {}) {
+    const endpoint = this.getRepositoryEndpoint(owner, repo);
+
+    if (!ref) {
+      const response = await this.makeApiRequest(`${endpoint}/commits?searchCriteria.$top=1`, { signal });
+      return response.ok ? (await response.json()).value?.[0]?.commitId || null : null;
+    }
+
+    if (/^[0-9a-f]{7,40}$/i.test(ref)) {
+      const response = await this.makeApiRequest(`${endpoint}/commits/${ref}`, { signal });
+      if (response.ok) {
+        return (await response.json()).commitId;
+      }
+    }
+
+    for (const kind of ['heads', 'tags']) {
+      const response = await this.makeApiRequest(`${endpoint}/refs?filter=${encodeURIComponent(`${kind}/${ref}`)}&peelTags=true`, { signal });
+      const refs = response.ok ? (await response.json()).value || [] : [];
+      const match = refs.find(candidate => candidate.name === `refs/${kind}/${ref}`);
+      if (match) {
+        // Annotated tags point at a tag object; the peeled id is the commit
+        return match.peeledObjectId || match.objectId;
+      }
+    }
+
+    return null;
+  }
+
+  async listRefs(owner, repo) {
+    const endpoint = this.getRepositoryEndpoint(owner, repo);
+    const [branchesResponse, tagsResponse] = await Promise.all([
+      this.makeApiRequest(`${endpoint}/refs?filter=heads/`),
+      this.makeApiRequest(`${endpoint}/refs?filter=tags/`)
+    ]);
+
+    return {
+      branches: branchesResponse.ok ? ((await branchesResponse.json()).value || []).map(ref => ref.name.replace(/^refs\/heads\//, '')) : [],
+      tags: tagsResponse.ok ? ((await tagsResponse.json()).value || []).map(ref => ref.name.replace(/^refs\/tags\//, '')) : []
+    };
+  }
+
+  /**
+   * Version descriptor pinning item requests to a commit
+   */
+  getVersionQuery(ref) {
+    return ref ? `&versionDescriptor.version=${encodeURIComponent(ref)}&versionDescriptor.versionType=commit` : '';
+  }
+
+  /**
+   * Lists repository files with a full-recursion items request
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    const response = await this.makeApiRequest(
+      `${this.getRepositoryEndpoint(owner, repo)}/items?recursionLevel=Full${options.path ? `&scopePath=${encodeURIComponent(`/${options.path}`)}` : ''}${this.getVersionQuery(options.ref)}`,
+      { signal: options.signal }
+    );
+    if (!response.ok) {
+      throw await this.getListingError(response, owner, repo);
+    }
+    const items = (await response.json()).value || [];
+
+    const tree = items
+      .filter(item => item.path !== '/')
+      .map(item => ({
+        path: item.path.replace(/^\//, ''),
+        type: item.isFolder ? 'tree' : 'blob',
+        sha: item.objectId,
+        size: item.size
+      }));
+
+    return filterTree(normalizeTreeEntries(tree), options);
+  }
+
+  async fetchFileContent(owner, repo, path, ref = null, { signal } = {}) {
+    const response = await this.makeApiRequest(
+      `${this.getRepositoryEndpoint(owner, repo)}/items?path=${encodeURIComponent(`/${path}`)}&includeContent=true${this.getVersionQuery(ref)}`,
+      { signal }
+    );
+    if (!response.ok) {
+      return null;
+    }
+
+    const item = await response.json();
+    return item.content ?? '';
+  }
+
+  async getRepositoryMetadata(url) {
+    try {
+      const { owner, repo } = this.parseRepositoryUrl(url);
+      const response = await this.makeApiRequest(`${this.getRepositoryEndpoint(owner, repo)}/commits?searchCriteria.$top=10`);
+      const commits = response.ok ? (await response.json()).value || [] : [];
+
+      return this.summarizeCommits(commits.map(commit => ({
+        author: commit.author?.name || 'unknown',
+        date: commit.author?.date
+      })));
+    } catch (error) {
+      return {
+        contributors: 0,
+        recentActivity: null,
+        topContributors: [],
+        error: error.message
+      };
+    }
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Bitbucket Cloud repository provider
+ * Works against the api.bitbucket.org 2.0 REST API
+ */
+
+import { RepositoryService } from './RepositoryService.js';
+import { DEFAULT_TREE_OPTIONS, normalizeTreeEntries, filterTree } from '../analysis/treeFilter.js';
+
+// 100 entries per page; larger trees are reported as truncated
+const MAX_TREE_PAGES = 50;
+
+export class BitbucketService extends RepositoryService {
+  /**
+   * @param {string|null} apiToken - Access token, or `username:app_password`
+   */
+  constructor(apiToken = null) {
+    super(apiToken, 'https://api.bitbucket.org/2.0');
+    this.defaultBranches = new Map();
+  }
+
+  get providerId() {
+    return 'bitbucket';
+  }
+
+  get providerName() {
+    return 'Bitbucket';
+  }
+
+  /**
+   * Parses a Bitbucket repository URL into workspace and repository slug
+   * @param {string} url - Bitbucket repository URL
+   * @returns {{owner: string|null, repo: string|null, ref?: string, path?: string}}
+   */
+  parseRepositoryUrl(url) {
+    const cleanUrl = String(url || '').trim().replace(/^https?:\/\//, '').replace(/^[^@/]+@/, '').replace(/^www\./, '').replace(/[?#].*$/, '');
+    const match = cleanUrl.match(/^bitbucket\.org\/([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:\/(.*))?$/i);
+
+    if (!match) {
+      return { owner: null, repo: null };
+    }
+
+    // `src/{ref}/{path}` browses files and directories, `commits/{sha}` and `branch/{name}` name a ref
+    const ref = (match[3] || '').match(/^(src|commits|branch)\/(.+?)\/?$/);
+    if (!ref) {
+      return { owner: match[1], repo: match[2] };
+    }
+
+    const refPath = decodeURIComponent(ref[2]);
+    return ref[1] === 'src'
+      ? { owner: match[1], repo: match[2], ...this.splitRefPath(refPath) }
+      : { owner: match[1], repo: match[2], ref: refPath, path: '' };
+  }
+
+  getRepositoryUrl(owner, repo) {
+    return `https://bitbucket.org/${owner}/${repo}`;
+  }
+
+  getRepositoryEndpoint(owner, repo) {
+    return `/repositories/${owner}/${repo}`;
+  }
+
+  normalizeRepository(repository) {
+    return {
+      name: repository.name,
+      fullName: repository.full_name,
+      owner: repository.workspace?.slug || repository.owner?.display_name || null,
+      isPrivate: repository.is_private,
+      size: repository.size,
+      language: repository.language || null,
+      languages: null,
+      lastUpdated: new Date(repository.updated_on),
+      metadata: {
+        stars: null,
+        forks: null,
+        openIssues: null,
+        defaultBranch: repository.mainbranch?.name || null
+      }
+    };
+  }
+
+  /**
+   * App passwords authenticate with Basic auth, access tokens with Bearer
+   */
+  getRequestHeaders() {
+    const headers = { 'Accept': 'application/json' };
+
+    if (this.apiToken) {
+      headers['Authorization'] = this.apiToken.includes(':')
+        ? `Basic ${btoa(this.apiToken)}`
+        : `Bearer ${this.apiToken}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Resolves the main branch read when no ref is given
+   */
+  async getDefaultBranch(owner, repo, { signal } = {}) {
+    const key = `${owner}/${repo}`;
+    if (!this.defaultBranches.has(key)) {
+      const response = await this.makeApiRequest(this.getRepositoryEndpoint(owner, repo), { signal });
+      const repository = response.ok ? await response.json() : {};
+      this.defaultBranches.set(key, repository.mainbranch?.name || 'main');
+    }
+    return this.defaultBranches.get(key);
+  }
+
+  async fetchCommitSha(owner, repo, ref, { signal } = {}) {
+    const revision = ref || await this.getDefaultBranch(owner, repo, { signal });
+    const response = await this.makeApiRequest(`${this.getRepositoryEndpoint(owner, repo)}/commit/${encodeURIComponent(revision)}`, { signal });
+    return response.ok ? (await response.json()).hash : null;
+  }
+
+  async listRefs(owner, repo) {
+    const endpoint = `${this.getRepositoryEndpoint(owner, repo)}/refs`;
+    const [branchesResponse, tagsResponse] = await Promise.all([
+      this.makeApiRequest(`${endpoint}/branches?pagelen=100`),
+      this.makeApiRequest(`${endpoint}/tags?pagelen=100`)
+    ]);
+
+    return {
+      branches: branchesResponse.ok ? ((await branchesResponse.json()).values || []).map(branch => branch.name) : [],
+      tags: tagsResponse.ok ? ((await tagsResponse.json()).values || []).map(tag => tag.name) : []
+    };
+  }
+
+  /**
+   * Lists repository files with the recursive `src` listing, following `next` links
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    const maxDepth = options.maxDepth ?? DEFAULT_TREE_OPTIONS.maxDepth;
+    const branch = encodeURIComponent(options.ref || await this.getDefaultBranch(owner, repo, { signal: options.signal }));
+    const tree = [];
+    const path = options.path ? `${options.path.split('/').map(encodeURIComponent).join('/')}/` : '';
+    let endpoint = `${this.getRepositoryEndpoint(owner, repo)}/src/${branch}/${path}?max_depth=${maxDepth}&pagelen=100`;
+    let pages = 0;
+
+    while (endpoint && pages < MAX_TREE_PAGES) {
+      const response = await this.makeApiRequest(endpoint, { signal: options.signal });
+      if (!response.ok) {
+        // A later page failing leaves the listing truncated; the first one means no access
+        if (pages === 0) {
+          throw await this.getListingError(response, owner, repo);
+        }
+        break;
+      }
+
+      const data = await response.json();
+      tree.push(...(data.values || []).map(entry => ({
+        path: entry.path,
+        type: entry.type === 'commit_directory' ? 'tree' : 'blob',
+        sha: entry.commit?.hash,
+        size: entry.size
+      })));
+      // `next` is an absolute URL on the same API
+      endpoint = data.next ? data.next.replace(this.baseUrl, '') : null;
+      pages++;
+    }
+
+    const { entries, truncated } = filterTree(normalizeTreeEntries(tree), options);
+    return { entries, truncated: truncated || Boolean(endpoint) };
+  }
+
+  async fetchFileContent(owner, repo, path, ref = null, { signal } = {}) {
+    const branch = encodeURIComponent(ref || await this.getDefaultBranch(owner, repo, { signal }));
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const response = await this.makeApiRequest(`${this.getRepositoryEndpoint(owner, repo)}/src/${branch}/${encodedPath}`, { signal });
+    return response.ok ? await response.text() : null;
+  }
+
+  async getRepositoryMetadata(url) {
+    try {
+      const { owner, repo } = this.parseRepositoryUrl(url);
+      const response = await this.makeApiRequest(`${this.getRepositoryEndpoint(owner, repo)}/commits?pagelen=10`);
+      const commits = response.ok ? (await response.json()).values || [] : [];
+
+      return this.summarizeCommits(commits.map(commit => ({
+        author: commit.author?.user?.display_name || commit.author?.raw || 'unknown',
+        date: commit.date
+      })));
+    } catch (error) {
+      return {
+        contributors: 0,
+        recentActivity: null,
+        topContributors: [],
+        error: error.message
+      };
+    }
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * GitLab repository provider
+ * Works against gitlab.com and self-hosted instances through the v4 REST API
+ */
+
+import { RepositoryService } from './RepositoryService.js';
+import { normalizeTreeEntries, filterTree } from '../analysis/treeFilter.js';
+
+// 100 entries per page; larger trees are reported as truncated
+const MAX_TREE_PAGES = 50;
+
+export class GitLabService extends RepositoryService {
+  /**
+   * @param {string|null} apiToken - Personal, project or OAuth access token
+   * @param {object} options - {host, protocol} of a self-hosted instance
+   */
+  constructor(apiToken = null, { host = 'gitlab.com', protocol = 'https' } = {}) {
+    super(apiToken, `${protocol}://${host}/api/v4`);
+    this.host = host;
+    this.webUrl = `${protocol}://${host}`;
+  }
+
+  get providerId() {
+    return 'gitlab';
+  }
+
+  get providerName() {
+    return 'GitLab';
+  }
+
+  /**
+   * Parses a GitLab project URL; the owner is the full (possibly nested) group path
+   * @param {string} url - GitLab project URL
+   * @returns {{owner: string|null, repo: string|null, ref?: string, path?: string}}
+   */
+  parseRepositoryUrl(url) {
+    const cleanUrl = String(url || '').trim().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[?#].*$/, '');
+    if (!cleanUrl.toLowerCase().startsWith(`${this.host.toLowerCase()}/`)) {
+      return { owner: null, repo: null };
+    }
+
+    // `/-/` separates the project path from tree, blob, commit and merge request routes
+    const [path, route = ''] = cleanUrl.slice(this.host.length + 1).split('/-/');
+    const projectPath = path
+      .replace(/\/+$/, '')
+      .replace(/\.git$/, '');
+    const segments = projectPath.split('/').filter(Boolean);
+
+    if (segments.length < 2 || !segments.every(segment => /^[\w.-]+$/.test(segment))) {
+      return { owner: null, repo: null };
+    }
+
+    const owner = segments.slice(0, -1).join('/');
+    const repo = segments[segments.length - 1];
+    const ref = route.match(/^(tree|blob|commit|tags)\/(.+?)\/?$/);
+    if (!ref) {
+      return { owner, repo };
+    }
+
+    const refPath = decodeURIComponent(ref[2]);
+    return ref[1] === 'tree' || ref[1] === 'blob'
+      ? { owner, repo, ...this.splitRefPath(refPath, ref[1] === 'blob') }
+      : { owner, repo, ref: refPath, path: '' };
+  }
+
+  /**
+   * Project id as the API expects it: the URL-encoded full path
+   */
+  getProjectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+  }
+
+  getRepositoryUrl(owner, repo) {
+    return `${this.webUrl}/${owner}/${repo}`;
+  }
+
+  getRepositoryEndpoint(owner, repo) {
+    return `/projects/${this.getProjectId(owner, repo)}`;
+  }
+
+  normalizeRepository(project) {
+    return {
+      name: project.name,
+      fullName: project.path_with_namespace,
+      owner: project.namespace?.full_path || null,
+      isPrivate: project.visibility !== 'public',
+      size: project.statistics?.repository_size ?? null,
+      language: null,
+      languages: null,
+      lastUpdated: new Date(project.last_activity_at),
+      metadata: {
+        stars: project.star_count,
+        forks: project.forks_count,
+        openIssues: project.open_issues_count ?? null,
+        defaultBranch: project.default_branch
+      }
+    };
+  }
+
+  getRequestHeaders() {
+    const headers = { 'Accept': 'application/json' };
+
+    if (this.apiToken) {
+      headers['Authorization'] = `Bearer ${this.apiToken}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Fetches the language percentages GitLab computes for the project
+   */
+  async fetchLanguages(owner, repo, { signal } = {}) {
+    const response = await this.makeApiRequest(`${this.getRepositoryEndpoint(owner, repo)}/languages`, { signal });
+    return response.ok ? await response.json() : {};
+  }
+
+  async fetchCommitSha(owner, repo, ref, { signal } = {}) {
+    const response = await this.makeApiRequest(
+      `${this.getRepositoryEndpoint(owner, repo)}/repository/commits/${encodeURIComponent(ref || 'HEAD')}`,
+      { signal }
+    );
+    return response.ok ? (await response.json()).id : null;
+  }
+
+  async listRefs(owner, repo) {
+    const endpoint = `${this.getRepositoryEndpoint(owner, repo)}/repository`;
+    const [branchesResponse, tagsResponse] = await Promise.all([
+      this.makeApiRequest(`${endpoint}/branches?per_page=100`),
+      this.makeApiRequest(`${endpoint}/tags?per_page=100`)
+    ]);
+
+    return {
+      branches: branchesResponse.ok ? (await branchesResponse.json()).map(branch => branch.name) : [],
+      tags: tagsResponse.ok ? (await tagsResponse.json()).map(tag => tag.name) : []
+    };
+  }
+
+  /**
+   * Lists repository files recursively, following `x-next-page` pagination
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    const ref = options.ref ? `&ref=${encodeURIComponent(options.ref)}` : '';
+    const path = options.path ? `&path=${encodeURIComponent(options.path)}` : '';
+    const tree = [];
+    let page = '1';
+    let pages = 0;
+
+    while (page && pages < MAX_TREE_PAGES) {
+      const response = await this.makeApiRequest(
+        `${this.getRepositoryEndpoint(owner, repo)}/repository/tree?recursive=true&per_page=100&page=${page}${ref}${path}`,
+        { signal: options.signal }
+      );
+      if (!response.ok) {
+        // A later page failing leaves the listing truncated; the first one means no access
+        if (pages === 0) {
+          throw await this.getListingError(response, owner, repo);
+        }
+        break;
+      }
+
+      const entries = await response.json();
+      tree.push(...entries.map(entry => ({ path: entry.path, type: entry.type, sha: entry.id })));
+      page = response.headers?.get('x-next-page') || null;
+      pages++;
+    }
+
+    const { entries, truncated } = filterTree(normalizeTreeEntries(tree), options);
+    return { entries, truncated: truncated || Boolean(page) };
+  }
+
+  async fetchFileContent(owner, repo, path, ref = null, { signal } = {}) {
+    const response = await this.makeApiRequest(
+      `${this.getRepositoryEndpoint(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref || 'HEAD')}`,
+      { signal }
+    );
+    return response.ok ? await response.text() : null;
+  }
+
+  async getRepositoryMetadata(url) {
+    try {
+      const { owner, repo } = this.parseRepositoryUrl(url);
+      const endpoint = this.getRepositoryEndpoint(owner, repo);
+
+      const [contributorsResponse, commitsResponse] = await Promise.all([
+        this.makeApiRequest(`${endpoint}/repository/contributors?per_page=10&order_by=commits&sort=desc`),
+        this.makeApiRequest(`${endpoint}/repository/commits?per_page=10`)
+      ]);
+
+      const contributors = contributorsResponse.ok ? await contributorsResponse.json() : [];
+      const commits = commitsResponse.ok ? await commitsResponse.json() : [];
+
+      return {
+        contributors: contributors.length,
+        recentActivity: commits.length > 0 ? new Date(commits[0].committed_date) : null,
+        topContributors: contributors.slice(0, 5).map(c => ({
+          login: c.name,
+          contributions: c.commits
+        }))
+      };
+    } catch (error) {
+      return {
+        contributors: 0,
+        recentActivity: null,
+        topContributors: [],
+        error: error.message
+      };
+    }
+  }
+}
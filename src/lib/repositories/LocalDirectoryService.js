@@ -0,0 +1,125 @@
+/**
+ * Local directory repository source
+ * Serves the analysis pipeline from a checkout on disk; server and CLI only
+ */
+
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { RepositoryService } from './RepositoryService.js';
+import { DEFAULT_TREE_OPTIONS, filterTree, matchesGlob } from '../analysis/treeFilter.js';
+
+export class LocalDirectoryService extends RepositoryService {
+  constructor() {
+    super(null, null);
+  }
+
+  get providerId() {
+    return 'local';
+  }
+
+  get providerName() {
+    return 'Local directory';
+  }
+
+  /**
+   * The owner is the absolute directory path the provider methods read from
+   * @param {string} url - Directory path
+   * @returns {{owner: string, repo: string}}
+   */
+  parseRepositoryUrl(url) {
+    const root = resolve(String(url || '.'));
+    return { owner: root, repo: basename(root) };
+  }
+
+  getRepositoryUrl(owner) {
+    return owner;
+  }
+
+  /**
+   * Validates that the path is a readable directory
+   */
+  async validateRepository(url) {
+    const { owner, repo } = this.parseRepositoryUrl(url);
+
+    try {
+      const stats = await stat(owner);
+      if (!stats.isDirectory()) {
+        return { isValid: false, isAccessible: false, repository: null, error: `${owner} is not a directory` };
+      }
+
+      return {
+        isValid: true,
+        isAccessible: true,
+        repository: {
+          name: repo,
+          fullName: owner,
+          owner: null,
+          isPrivate: true,
+          size: null,
+          language: null,
+          languages: null,
+          lastUpdated: stats.mtime,
+          metadata: { stars: null, forks: null, openIssues: null, defaultBranch: null }
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        isValid: true,
+        isAccessible: false,
+        repository: null,
+        error: error.code === 'ENOENT' ? `Directory not found: ${owner}` : error.message
+      };
+    }
+  }
+
+  /**
+   * Walks the directory, skipping ignored and too-deep directories without descending into them
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    const { maxDepth, ignore } = { ...DEFAULT_TREE_OPTIONS, ...options };
+    const entries = [];
+
+    const walk = async (directory, depth) => {
+      const children = await readdir(join(owner, directory), { withFileTypes: true });
+      children.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const child of children) {
+        const path = directory ? `${directory}/${child.name}` : child.name;
+        if (ignore.some(pattern => matchesGlob(path, pattern))) {
+          continue;
+        }
+
+        // Symbolic links are skipped so the walk stays inside the directory
+        if (child.isDirectory()) {
+          entries.push({ name: child.name, path, type: 'dir', size: 0 });
+          if (depth < maxDepth) {
+            await walk(path, depth + 1);
+          }
+        } else if (child.isFile()) {
+          const { size } = await stat(join(owner, path));
+          entries.push({ name: child.name, path, type: 'file', size });
+        }
+      }
+    };
+
+    await walk(options.path || '', 0);
+    return filterTree(entries, options);
+  }
+
+  async fetchFileContent(owner, repo, path) {
+    try {
+      return await readFile(join(owner, path), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getRepositoryMetadata() {
+    return {
+      contributors: 0,
+      recentActivity: null,
+      topContributors: []
+    };
+  }
+}
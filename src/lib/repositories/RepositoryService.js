@@ -0,0 +1,936 @@
+/**
+ * Repository source provider base
+ * Runs the host-neutral analysis pipeline over the provider interface each source implements:
+ * URL parsing, repository lookup, tree listing, file reads, languages and metadata
+ */
+
+import { normalizeTreeEntries, filterTree, normalizeScopePath, resolveScopedPath } from '../analysis/treeFilter.js';
+import { detectLanguagesFromEntries } from '../analysis/languageDetection.js';
+import {
+  WORKSPACE_CONFIG_FILES,
+  detectWorkspaceLayout,
+  findComponentDirectories,
+  getComponentName,
+  getDirectory,
+  isDeployablePath,
+  isWithinDirectory
+} from '../analysis/workspaceDetection.js';
+import { MANIFEST_FILE_NAMES, parseManifest } from '../analysis/manifestParsers.js';
+import { detectFrameworksFromDependencies, mergeTechnologies } from '../analysis/frameworkRules.js';
+import { COMPOSE_FILE_NAMES, DATA_STORE_FILE_NAMES, detectDataStores } from '../analysis/dataStoreDetection.js';
+import { CONTAINER_FILE_NAMES, DOCKERFILE_NAMES, buildContainerTopology } from '../analysis/containerTopology.js';
+import { analyzeKubernetesManifests, findKubernetesFiles } from '../analysis/kubernetesManifests.js';
+import { IAC_TOOLS, detectInfrastructureAsCode, findInfrastructureFiles } from '../analysis/infrastructureAsCode.js';
+import { BUILD_TOOLS, CI_SYSTEMS, analyzeCiWorkflows, findCiFiles } from '../analysis/ciWorkflows.js';
+import { DEPLOYMENT_CONFIG_FILE_NAMES, attachDeploymentHints, detectDeploymentHints } from '../analysis/deploymentHints.js';
+import { detectWorkloads, selectSourceSample } from '../analysis/workloadDetection.js';
+import { LOCKFILE_NAMES, parseLockfile, resolveDependencyVersions } from '../analysis/lockfileParsers.js';
+import {
+  LANGUAGE_RUNTIMES,
+  RUNTIME_VERSION_FILES,
+  detectRuntimeVersions
+} from '../analysis/runtimeVersions.js';
+import { AuthenticationError, GitHubError, RepositoryNotFoundError, throwIfCancelled, withTimeout } from '../github/errorHandling.js';
+import { DEFAULT_FETCH_CONCURRENCY, createFetchPool } from './fetchPool.js';
+
+/**
+ * Time after which an API request is aborted
+ */
+export const REQUEST_TIMEOUT_MS = 10000;
+
+export class RepositoryService {
+  /**
+   * @param {string|null} apiToken - Access token for the host
+   * @param {string} baseUrl - API base URL
+   */
+  constructor(apiToken = null, baseUrl = null) {
+    this.apiToken = apiToken;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Provider id, used for technology sources
+   */
+  get providerId() {
+    return 'repository';
+  }
+
+  /**
+   * Human-readable host name used in error messages
+   */
+  get providerName() {
+    return 'Repository';
+  }
+
+  /**
+   * Parses a repository URL into the owner and repository name the provider methods take,
+   * and the branch, tag or commit it points at
+   * @param {string} url - Repository URL
+   * @returns {{owner: string|null, repo: string|null, ref?: string}}
+   */
+  parseRepositoryUrl(url) {
+    throw new Error(`${this.constructor.name} does not implement parseRepositoryUrl`);
+  }
+
+  /**
+   * Canonical web URL of a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {string}
+   */
+  getRepositoryUrl(owner, repo) {
+    throw new Error(`${this.constructor.name} does not implement getRepositoryUrl`);
+  }
+
+  /**
+   * API endpoint describing a single repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {string}
+   */
+  getRepositoryEndpoint(owner, repo) {
+    throw new Error(`${this.constructor.name} does not implement getRepositoryEndpoint`);
+  }
+
+  /**
+   * Maps the host's repository payload to the shape returned by validateRepository
+   * @param {object} data - Repository payload
+   * @returns {object}
+   */
+  normalizeRepository(data) {
+    throw new Error(`${this.constructor.name} does not implement normalizeRepository`);
+  }
+
+  /**
+   * Lists repository files recursively as normalized tree entries
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} options - Tree scanning options {maxDepth, maxFiles, ignore, ref, path} and the run's {signal}
+   * @returns {Promise<{entries: Array, truncated: boolean}>}
+   */
+  async fetchRepositoryTree(owner, repo, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetchRepositoryTree`);
+  }
+
+  /**
+   * Fetches a single file from the repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - Repository-relative file path
+   * @param {string|null} ref - Commit SHA or ref name; the default branch when null
+   * @param {object} options - {signal} aborting the request
+   * @returns {Promise<string|null>} - File content, or null if unavailable
+   */
+  async fetchFileContent(owner, repo, path, ref = null, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement fetchFileContent`);
+  }
+
+  /**
+   * Reads a file listed in the repository tree
+   * Hosts that serve blobs by object id override this to skip the path lookup
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} entry - Tree entry {name, path, sha}
+   * @param {string|null} ref - Commit SHA or ref name; the default branch when null
+   * @param {string} scope - Subdirectory the entry path is relative to
+   * @param {object} options - {signal} aborting the request
+   * @returns {Promise<string|null>} - File content, or null if unavailable
+   */
+  async fetchTreeFile(owner, repo, entry, ref = null, scope = '', options = {}) {
+    return this.fetchFileContent(owner, repo, resolveScopedPath(scope, entry.path || entry.name), ref, options);
+  }
+
+  /**
+   * Resolves once the host's rate limit allows another request
+   * Hosts without rate-limit tracking never wait
+   * @param {object} options - {signal} cutting the wait short
+   * @returns {Promise<void>}
+   */
+  async waitForRateLimit() {}
+
+  /**
+   * Resolves a branch, tag or commit to its commit SHA
+   * Sources without refs (archives, plain directories) return null
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string|null} ref - Ref name or SHA; the default branch when null
+   * @param {object} options - {signal} aborting the request
+   * @returns {Promise<string|null>} - Commit SHA, or null when the ref does not exist
+   */
+  async fetchCommitSha(owner, repo, ref, options = {}) {
+    return null;
+  }
+
+  /**
+   * Lists branch and tag names for a ref selector
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<{branches: Array<string>, tags: Array<string>}>}
+   */
+  async listRefs(owner, repo) {
+    return { branches: [], tags: [] };
+  }
+
+  /**
+   * Splits the `<ref>/<path>` remainder of a tree or blob URL
+   * The first segment is taken as the ref; resolveRef moves segments back onto the ref when
+   * the ref name itself contains slashes. A blob path names a file, so its directory is the path
+   * @param {string} refPath - URL remainder after the tree or blob route
+   * @param {boolean} isFile - Whether the path names a file
+   * @returns {{ref: string, path: string}}
+   */
+  splitRefPath(refPath, isFile = false) {
+    const segments = refPath.split('/').filter(Boolean);
+    return {
+      ref: segments[0],
+      path: segments.slice(1, isFile ? -1 : undefined).join('/')
+    };
+  }
+
+  /**
+   * Resolves the ref to analyze and the commit it points at
+   * A ref taken from a tree or blob URL may run on into a file path, and branch names may
+   * contain slashes; the shortest prefix that resolves is the ref, since git forbids a branch
+   * `a` next to a branch `a/b`
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string|null} ref - Ref, possibly followed by a path; the default branch when null
+   * @param {object} options - {signal} aborting the lookups
+   * @returns {Promise<{name: string|null, sha: string|null, path: string}>}
+   */
+  async resolveRef(owner, repo, ref = null, options = {}) {
+    if (!ref) {
+      return { name: null, sha: await this.fetchCommitSha(owner, repo, null, options), path: '' };
+    }
+
+    const segments = ref.split('/').filter(Boolean);
+    for (let length = 1; length <= segments.length; length++) {
+      const name = segments.slice(0, length).join('/');
+      const sha = await this.fetchCommitSha(owner, repo, name, options);
+      if (sha) {
+        return { name, sha, path: segments.slice(length).join('/') };
+      }
+    }
+
+    throw new RepositoryNotFoundError(`Branch, tag or commit not found: ${ref}`);
+  }
+
+  /**
+   * Fetches the repository language breakdown
+   * Hosts without a languages API return null; languages are then counted from the tree
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {object} options - {signal} aborting the request
+   * @returns {Promise<object|null>} - Language name to size
+   */
+  async fetchLanguages(owner, repo, options = {}) {
+    return null;
+  }
+
+  /**
+   * Fetches repository metadata including contributors and activity
+   * @param {string} url - Repository URL
+   * @returns {Promise<object>}
+   */
+  async getRepositoryMetadata(url) {
+    throw new Error(`${this.constructor.name} does not implement getRepositoryMetadata`);
+  }
+
+  /**
+   * Builds repository metadata from recent commits, for hosts without a contributors API
+   * @param {Array<{author: string, date: string}>} commits - Recent commits, newest first
+   * @returns {object}
+   */
+  summarizeCommits(commits) {
+    const contributions = new Map();
+    commits.forEach(commit => {
+      contributions.set(commit.author, (contributions.get(commit.author) || 0) + 1);
+    });
+
+    return {
+      contributors: contributions.size,
+      recentActivity: commits.length > 0 ? new Date(commits[0].date) : null,
+      topContributors: [...contributions.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([login, count]) => ({ login, contributions: count }))
+    };
+  }
+
+  /**
+   * Headers sent with every API request, including authentication
+   * @returns {object}
+   */
+  getRequestHeaders() {
+    return { 'Accept': 'application/json' };
+  }
+
+  /**
+   * Makes an authenticated API request to the host
+   * The request is aborted after REQUEST_TIMEOUT_MS and rejects with a NetworkError, or with a
+   * CancelledError when the caller's signal aborts
+   * @param {string} endpoint - API endpoint
+   * @param {object} options - {headers} extra request headers, such as conditional-request validators; {signal} aborting the request
+   * @returns {Promise<Response>}
+   */
+  async makeApiRequest(endpoint, { headers = {}, signal = null } = {}) {
+    return withTimeout(
+      timeoutSignal => fetch(`${this.baseUrl}${endpoint}`, { headers: { ...this.getRequestHeaders(), ...headers }, signal: timeoutSignal }),
+      REQUEST_TIMEOUT_MS,
+      signal
+    );
+  }
+
+  /**
+   * Explains why a repository lookup was refused
+   * Hosts answer 404 for private repositories the caller cannot see, so a 404 without a token
+   * cannot tell a missing repository from a private one
+   * @param {number} status - 401, 403 or 404
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<{accessError: 'not_found'|'no_access'|'invalid_token', error: string}>}
+   */
+  async describeAccessError(status, owner, repo) {
+    if (status === 401) {
+      return { accessError: 'invalid_token', error: `${this.providerName} rejected the access token` };
+    }
+    if (status === 403) {
+      return { accessError: 'no_access', error: 'Access to this repository is denied' };
+    }
+    return { accessError: 'not_found', error: 'Repository not found or is private' };
+  }
+
+  /**
+   * Turns a refused repository listing into an error, so a missing or private repository does
+   * not pass for one without files
+   * @param {Response} response - Failed listing response
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<GitHubError>}
+   */
+  async getListingError(response, owner, repo) {
+    if (![401, 403, 404].includes(response.status)) {
+      return new GitHubError(`${this.providerName} API error: ${response.status}`, 'API_ERROR', response.status);
+    }
+    const { accessError, error } = await this.describeAccessError(response.status, owner, repo);
+    return accessError === 'not_found' ? new RepositoryNotFoundError(error) : new AuthenticationError(error);
+  }
+
+  /**
+   * Validates if a repository URL is accessible
+   * @param {string} url - Repository URL
+   * @returns {Promise<{isValid: boolean, isAccessible: boolean, repository: object|null, accessError?: string, error: string|null}>}
+   */
+  async validateRepository(url) {
+    try {
+      const { owner, repo } = this.parseRepositoryUrl(url);
+      
+      if (!owner || !repo) {
+        return {
+          isValid: false,
+          isAccessible: false,
+          repository: null,
+          error: `Invalid ${this.providerName} URL format`
+        };
+      }
+
+      const response = await this.makeApiRequest(this.getRepositoryEndpoint(owner, repo));
+      
+      if (response.ok) {
+        return {
+          isValid: true,
+          isAccessible: true,
+          repository: this.normalizeRepository(await response.json()),
+          error: null
+        };
+      } else if ([401, 403, 404].includes(response.status)) {
+        return {
+          isValid: true,
+          isAccessible: false,
+          repository: null,
+          ...await this.describeAccessError(response.status, owner, repo)
+        };
+      } else {
+        throw new Error(`${this.providerName} API error: ${response.status}`);
+      }
+    } catch (error) {
+      return {
+        isValid: false,
+        isAccessible: false,
+        repository: null,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Analyzes repository contents to detect technologies and dependencies
+   * @param {string} url - Repository URL
+   * @param {Function} progressCallback - Optional callback for progress updates, called with a message, a percentage and {stage, completed, total}; completed and total count fetched files
+   * @param {object} options - Tree scanning options {maxDepth, maxFiles, ignore}, the `ref` to analyze, which overrides a ref in the URL, the subdirectory `path` to scope the analysis to, which overrides a path in the URL, the number of files fetched at once, `concurrency`, and an AbortSignal, `signal`, that cancels the run
+   * @returns {Promise<{technologies: Array, components: Array, workspace: object, topology: object, kubernetes: object, infrastructure: object, ci: object, deploymentHints: Array, workloads: Array, languages: object, packageFiles: Array, runtimeVersions: object, ref: {name: string|null, sha: string|null}, path: string, treeTruncated: boolean, error: string|null, errorType: string|null}>} - errorType is the GitHubError type of a failed analysis, CANCELLED once the signal aborts
+   */
+  async analyzeRepository(url, progressCallback = null, options = {}) {
+    try {
+      const { owner, repo, ref: urlRef = null, path: urlPath = '' } = this.parseRepositoryUrl(url);
+      const { signal = null } = options;
+      // A cancelled run reports nothing more, even from requests that were already answered
+      const report = (message, percent, details) => {
+        throwIfCancelled(signal);
+        progressCallback?.(message, percent, details);
+      };
+      
+      report('Fetching repository information...', 5, { stage: 'repository' });
+      
+      // Pin every request to one commit so the result is reproducible. The URL path follows
+      // the ref, so it is resolved together with any slashes in the ref name
+      const requestedRef = options.ref || urlRef;
+      const ref = await this.resolveRef(owner, repo, requestedRef ? [requestedRef, urlPath].filter(Boolean).join('/') : null, { signal });
+      const revision = ref.sha;
+      const scope = normalizeScopePath(options.path ?? (requestedRef ? ref.path : urlPath));
+      
+      // Get repository languages; a host's breakdown covers the whole repository, not the scope
+      let languages = scope ? null : await this.fetchLanguages(owner, repo, { signal });
+      
+      report('Analyzing repository structure...', 10, { stage: 'tree' });
+      
+      // Walk the full repository tree so nested manifests are discovered; a scoped tree holds
+      // paths relative to the scope
+      const { entries: contents, truncated } = await this.fetchRepositoryTree(owner, repo, { ...options, ref: revision, path: scope });
+      if (scope && contents.length === 0) {
+        throw new RepositoryNotFoundError(`Directory not found in repository: ${scope}`, url);
+      }
+      if (!languages) {
+        // Hosts without a languages API: count languages from file extensions
+        languages = detectLanguagesFromEntries(contents);
+      }
+      
+      // Tests, fixtures, examples and docs describe other projects; nothing under them is read
+      const entries = contents.filter(entry => isDeployablePath(entry.path || entry.name));
+      
+      // Every file the detectors read goes through one bounded pool, each path once; progress
+      // counts files, since the number of manifests is what makes large repositories slow
+      let queued = 0;
+      let fetched = 0;
+      const fetchOptions = {
+        pool: createFetchPool(options.concurrency, { beforeTask: () => this.waitForRateLimit({ signal }) }),
+        requests: new Map(),
+        signal,
+        onQueued: () => {
+          queued++;
+        },
+        onFetched: () => {
+          fetched++;
+          report(`Fetching files (${fetched}/${queued})...`, 15 + Math.round(75 * fetched / queued), {
+            stage: 'files',
+            completed: fetched,
+            total: queued
+          });
+        }
+      };
+      
+      const kubernetesFiles = findKubernetesFiles(entries);
+      const infrastructureFiles = findInfrastructureFiles(entries);
+      const ciFiles = findCiFiles(entries);
+      // Files are queued synchronously, so the total is known before the first one arrives
+      const fetches = Promise.all([
+        this.analyzeLockfiles(owner, repo, entries, revision, scope, fetchOptions),
+        this.analyzePackageFiles(owner, repo, entries, revision, scope, fetchOptions),
+        this.analyzeConfigFiles(
+          owner,
+          repo,
+          entries,
+          [...WORKSPACE_CONFIG_FILES, ...RUNTIME_VERSION_FILES, ...kubernetesFiles, ...infrastructureFiles, ...ciFiles],
+          [...new Set([...DATA_STORE_FILE_NAMES, ...CONTAINER_FILE_NAMES, ...DEPLOYMENT_CONFIG_FILE_NAMES])],
+          revision,
+          scope,
+          fetchOptions
+        ),
+        // APIs, workers, scheduled jobs and realtime servers from a bounded sample of source files
+        this.analyzeConfigFiles(owner, repo, entries, selectSourceSample(entries), [], revision, scope, fetchOptions)
+      ]);
+      report(`Fetching files (0/${queued})...`, 15, { stage: 'files', completed: 0, total: queued });
+      const [lockfiles, manifests, configFiles, sourceFiles] = await fetches;
+      
+      // Package files and dependencies, pinned to their locked versions
+      const packageFiles = resolveDependencyVersions(manifests, lockfiles);
+      const runtimeVersions = detectRuntimeVersions([...packageFiles, ...configFiles]);
+      
+      // Workloads, resource requests and autoscaling from manifests and Helm values
+      const kubernetes = analyzeKubernetesManifests(
+        configFiles.filter(file => kubernetesFiles.includes(file.path))
+      );
+      
+      // Provider and services already declared in infrastructure-as-code
+      const infrastructure = detectInfrastructureAsCode(
+        configFiles.filter(file => infrastructureFiles.includes(file.path))
+      );
+      
+      // Build tools, test matrices and deployment targets from CI/CD workflows
+      const ci = analyzeCiWorkflows(configFiles.filter(file => ciFiles.includes(file.path)));
+      
+      // Static, server or edge deployment from platform configuration and framework settings
+      const deploymentHints = detectDeploymentHints(configFiles);
+      
+      const workloads = detectWorkloads(sourceFiles);
+      
+      report('Detecting technologies...', 95, { stage: 'technologies' });
+      
+      // Detect technologies from files and dependencies
+      const technologies = attachDeploymentHints(mergeTechnologies([
+        ...this.detectTechnologies(languages, packageFiles, entries, runtimeVersions, configFiles),
+        ...this.detectKubernetesTechnologies(kubernetes),
+        ...this.detectInfrastructureTechnologies(infrastructure),
+        ...this.detectCiTechnologies(ci)
+      ]), deploymentHints);
+      
+      // Split monorepos into independently deployable components
+      const { components, workspace } = this.detectComponents(packageFiles, entries, configFiles, runtimeVersions);
+      
+      // Compose services and Dockerfiles with their dependency edges
+      const topology = buildContainerTopology(configFiles);
+      
+      report('Analysis complete', 100, { stage: 'complete' });
+      
+      return {
+        technologies,
+        components,
+        workspace,
+        topology,
+        kubernetes,
+        infrastructure,
+        ci,
+        deploymentHints,
+        workloads,
+        languages,
+        packageFiles,
+        runtimeVersions,
+        ref: { name: ref.name, sha: ref.sha },
+        path: scope,
+        treeTruncated: truncated,
+        error: null,
+        errorType: null
+      };
+    } catch (error) {
+      return {
+        technologies: [],
+        components: [],
+        workspace: { tools: [], patterns: [], directories: [] },
+        topology: { services: [], edges: [], dockerfiles: [] },
+        kubernetes: null,
+        infrastructure: null,
+        ci: null,
+        deploymentHints: [],
+        workloads: [],
+        languages: {},
+        packageFiles: [],
+        runtimeVersions: {},
+        ref: null,
+        path: '',
+        treeTruncated: false,
+        error: error.message,
+        errorType: error.type || 'UNKNOWN_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Analyzes package files to extract dependencies
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} contents - Repository tree entries
+   * @param {string|null} ref - Commit SHA or ref name to read from
+   * @param {string} scope - Subdirectory the tree entry paths are relative to
+   * @param {object} fetchOptions - Shared fetch pool, cancellation signal and progress hooks, see fetchFiles
+   * @returns {Promise<Array>}
+   */
+  async analyzePackageFiles(owner, repo, contents, ref = null, scope = '', fetchOptions = {}) {
+    // Ensure contents is an array
+    if (!Array.isArray(contents)) {
+      return [];
+    }
+    
+    const manifests = contents.filter(file => file.type !== 'dir' && MANIFEST_FILE_NAMES.includes(file.name));
+    const files = await this.fetchFiles(owner, repo, manifests, ref, scope, fetchOptions);
+    
+    return files.map(({ file, path, content }) => ({
+      name: file.name,
+      path,
+      content,
+      dependencies: this.parseDependencies(file.name, content)
+    }));
+  }
+
+  /**
+   * Fetches and parses lockfiles anywhere in the tree
+   * Only the resolved versions are kept; lockfile contents can be very large
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} contents - Repository tree entries
+   * @param {string|null} ref - Commit SHA or ref name to read from
+   * @param {string} scope - Subdirectory the tree entry paths are relative to
+   * @param {object} fetchOptions - Shared fetch pool, cancellation signal and progress hooks, see fetchFiles
+   * @returns {Promise<Array<{name: string, path: string, versions: object}>>}
+   */
+  async analyzeLockfiles(owner, repo, contents, ref = null, scope = '', fetchOptions = {}) {
+    if (!Array.isArray(contents)) {
+      return [];
+    }
+
+    const lockfiles = contents.filter(file => file.type !== 'dir' && LOCKFILE_NAMES.includes(file.name));
+    const files = await this.fetchFiles(owner, repo, lockfiles, ref, scope, fetchOptions);
+
+    return files.map(({ file, path, content }) => ({ name: file.name, path, versions: parseLockfile(file.name, content) }));
+  }
+
+  /**
+   * Fetches non-manifest configuration files needed by the detectors
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} contents - Repository tree entries
+   * @param {Array<string>} fileNames - Root-relative paths to fetch when present
+   * @param {Array<string>} nestedFileNames - File names to fetch at any depth
+   * @param {string|null} ref - Commit SHA or ref name to read from
+   * @param {string} scope - Subdirectory the tree entry paths are relative to
+   * @param {object} fetchOptions - Shared fetch pool, cancellation signal and progress hooks, see fetchFiles
+   * @returns {Promise<Array<{name: string, path: string, content: string}>>}
+   */
+  async analyzeConfigFiles(owner, repo, contents, fileNames, nestedFileNames = [], ref = null, scope = '', fetchOptions = {}) {
+    if (!Array.isArray(contents)) {
+      return [];
+    }
+
+    const configFiles = contents.filter(file => (
+      file.type !== 'dir' && (fileNames.includes(file.path || file.name) || nestedFileNames.includes(file.name))
+    ));
+    const files = await this.fetchFiles(owner, repo, configFiles, ref, scope, fetchOptions);
+
+    return files.map(({ file, path, content }) => ({ name: file.name, path, content }));
+  }
+
+  /**
+   * Fetches tree entries through a bounded pool, keeping the tree order
+   * Timeouts, rate limits and auth failures reject; files that cannot be read are skipped
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} entries - Tree entries to read
+   * @param {string|null} ref - Commit SHA or ref name to read from
+   * @param {string} scope - Subdirectory the tree entry paths are relative to
+   * @param {object} fetchOptions - {pool} from createFetchPool, shared so concurrent callers respect one
+   * limit; {requests} map of reads by path, shared so a file wanted twice is fetched once;
+   * {signal} cancelling queued and in-flight reads; {onQueued, onFetched} called as each file is
+   * queued and settles
+   * @returns {Promise<Array<{file: object, path: string, content: string}>>}
+   */
+  async fetchFiles(owner, repo, entries, ref = null, scope = '', fetchOptions = {}) {
+    const {
+      pool = createFetchPool(DEFAULT_FETCH_CONCURRENCY, { beforeTask: () => this.waitForRateLimit({ signal }) }),
+      requests = new Map(),
+      signal = null,
+      onQueued,
+      onFetched
+    } = fetchOptions;
+
+    const reads = entries.map(file => {
+      const path = file.path || file.name;
+      if (!requests.has(path)) {
+        onQueued?.();
+        requests.set(path, pool(() => {
+          // Reads still queued when the run is cancelled are never sent
+          throwIfCancelled(signal);
+          return this.fetchTreeFile(owner, repo, file, ref, scope, { signal });
+        }).then(
+          content => {
+            onFetched?.();
+            return content;
+          },
+          error => {
+            onFetched?.();
+            // Timeouts, rate limits and auth failures fail the analysis; unparseable files are skipped
+            if (error instanceof GitHubError) throw error;
+            console.warn(`Failed to fetch ${path}:`, error.message);
+            return null;
+          }
+        ));
+      }
+      return requests.get(path).then(content => ({ file, path, content }));
+    });
+
+    return (await Promise.all(reads)).filter(read => read.content !== null);
+  }
+
+  /**
+   * Parses dependencies from package file content
+   * @param {string} fileName - Package file name
+   * @param {string} content - File content
+   * @returns {Array<{name: string, version: string|null, scope: string}>}
+   */
+  parseDependencies(fileName, content) {
+    return parseManifest(fileName, content);
+  }
+
+  /**
+   * Detects technologies from languages, dependencies, and file structure
+   * @param {object} languages - Repository languages
+   * @param {Array} packageFiles - Package files with dependencies
+   * @param {Array} contents - Repository tree entries
+   * @param {object} runtimeVersions - Runtime versions from detectRuntimeVersions
+   * @param {Array} configFiles - Fetched configuration files (compose, Prisma schema, env templates)
+   * @returns {Array}
+   */
+  detectTechnologies(languages, packageFiles, contents, runtimeVersions = {}, configFiles = []) {
+    const technologies = [];
+    
+    // Detect from languages
+    Object.keys(languages).forEach(language => {
+      technologies.push(this.withRuntimeVersion({
+        id: language.toLowerCase(),
+        name: language,
+        category: 'language',
+        confidence: 0.9,
+        source: `${this.providerId}_languages`,
+        evidence: [`${language} detected in repository languages`]
+      }, runtimeVersions));
+    });
+    
+    // Detect frameworks from dependencies
+    packageFiles.forEach(packageFile => {
+      const frameworks = this.detectFrameworks(packageFile.dependencies);
+      technologies.push(...frameworks);
+    });
+    
+    // Detect databases, caches and queues
+    technologies.push(...detectDataStores(packageFiles, configFiles));
+    
+    // Detect from file structure
+    const structureTechnologies = this.detectFromFileStructure(contents);
+    technologies.push(...structureTechnologies);
+    
+    // The same framework is often declared by several manifests
+    return mergeTechnologies(technologies);
+  }
+
+  /**
+   * Detects deployable components in monorepos and their individual stacks
+   * Repositories with a single deployable unit yield no components
+   * @param {Array} packageFiles - Package files with dependencies
+   * @param {Array} contents - Repository tree entries
+   * @param {Array} configFiles - Workspace configuration files
+   * @param {object} runtimeVersions - Repository-wide runtime versions
+   * @returns {{components: Array, workspace: object}}
+   */
+  detectComponents(packageFiles, contents, configFiles = [], runtimeVersions = {}) {
+    const entries = Array.isArray(contents) ? contents : [];
+    const workspace = detectWorkspaceLayout([...packageFiles, ...configFiles]);
+    const directories = findComponentDirectories(workspace, packageFiles, entries);
+
+    if (directories.length < 2) {
+      return { components: [], workspace };
+    }
+
+    const components = directories.map(directory => {
+      const componentFiles = packageFiles.filter(file =>
+        getDirectory(file.path || file.name) === directory
+      );
+      const componentEntries = entries.filter(entry =>
+        isWithinDirectory(entry.path || entry.name, directory)
+      );
+      const languages = detectLanguagesFromEntries(componentEntries);
+      const location = directory || '.';
+
+      // Component manifests (engines, go directive, ...) override repository-wide pins
+      const componentRuntimes = {
+        ...runtimeVersions,
+        ...detectRuntimeVersions(componentFiles.map(file => ({
+          ...file,
+          path: file.name
+        })))
+      };
+
+      const technologies = Object.keys(languages).map(language => this.withRuntimeVersion({
+        id: language.toLowerCase(),
+        name: language,
+        category: 'language',
+        confidence: 0.8,
+        source: 'file_extensions',
+        evidence: [`${language} files found in ${location}`]
+      }, componentRuntimes));
+      componentFiles.forEach(file => {
+        technologies.push(...this.detectFrameworks(file.dependencies));
+      });
+
+      return {
+        id: directory ? directory.replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase() : 'root',
+        name: getComponentName(directory, componentFiles),
+        path: location,
+        technologies: mergeTechnologies(technologies),
+        languages,
+        packageFiles: componentFiles.map(file => file.path || file.name)
+      };
+    });
+
+    return { components, workspace };
+  }
+
+  /**
+   * Attaches the pinned runtime version to a language technology
+   * @param {object} technology - Language technology
+   * @param {object} runtimeVersions - Runtime versions from detectRuntimeVersions
+   * @returns {object}
+   */
+  withRuntimeVersion(technology, runtimeVersions) {
+    const runtime = LANGUAGE_RUNTIMES[technology.name];
+    const detected = runtime ? runtimeVersions[runtime] : null;
+
+    if (!detected) {
+      return technology;
+    }
+
+    return {
+      ...technology,
+      runtime,
+      version: detected.version,
+      versionIsMinimum: detected.minimum,
+      evidence: [...technology.evidence, `${runtime} ${detected.version} pinned in ${detected.source}`]
+    };
+  }
+
+  /**
+   * Detects frameworks from dependency list
+   * @param {Array<string|object>} dependencies - Dependency names or parsed dependency records
+   * @returns {Array}
+   */
+  detectFrameworks(dependencies) {
+    return detectFrameworksFromDependencies(dependencies);
+  }
+
+  /**
+   * Detects Kubernetes and Helm from parsed manifests
+   * @param {object} kubernetes - Result of analyzeKubernetesManifests
+   * @returns {Array}
+   */
+  detectKubernetesTechnologies(kubernetes) {
+    const technologies = [];
+    const resources = [
+      ...kubernetes.workloads.filter(workload => workload.kind !== 'HelmRelease'),
+      ...kubernetes.services.map(service => ({ ...service, kind: 'Service' })),
+      ...kubernetes.ingresses.map(ingress => ({ ...ingress, kind: 'Ingress' }))
+    ];
+
+    if (resources.length > 0 || kubernetes.helmCharts.length > 0) {
+      technologies.push({
+        id: 'kubernetes',
+        name: 'Kubernetes',
+        category: 'tool',
+        confidence: 0.95,
+        source: 'kubernetes_manifests',
+        evidence: resources.map(resource => `${resource.kind} ${resource.name} in ${resource.source}`)
+      });
+    }
+
+    if (kubernetes.helmCharts.length > 0) {
+      technologies.push({
+        id: 'helm',
+        name: 'Helm',
+        category: 'tool',
+        confidence: 0.95,
+        source: 'kubernetes_manifests',
+        evidence: kubernetes.helmCharts.map(chart => `Helm chart ${chart.name} in ${chart.path}`)
+      });
+    }
+
+    return technologies;
+  }
+
+  /**
+   * Reports each infrastructure-as-code tool with the resources it declares
+   * @param {object} infrastructure - Result of detectInfrastructureAsCode
+   * @returns {Array}
+   */
+  detectInfrastructureTechnologies(infrastructure) {
+    return infrastructure.tools.map(tool => {
+      const resources = infrastructure.resources.filter(resource => resource.tool === tool);
+      const providers = [...new Set(resources.map(resource => resource.provider).filter(Boolean))];
+      return {
+        id: tool,
+        name: IAC_TOOLS[tool].name,
+        category: 'tool',
+        confidence: 0.95,
+        source: 'infrastructure_as_code',
+        evidence: [
+          `${resources.length} resources declared` + (providers.length > 0 ? ` for ${providers.join(', ')}` : '')
+        ]
+      };
+    });
+  }
+
+  /**
+   * Reports each CI system with the targets it deploys to, and the build tools its jobs run
+   * @param {object} ci - Result of analyzeCiWorkflows
+   * @returns {Array}
+   */
+  detectCiTechnologies(ci) {
+    const systems = ci.systems.map(system => {
+      const workflows = ci.workflows.filter(workflow => workflow.system === system);
+      const deployments = ci.deployments.filter(deployment => deployment.system === system);
+      return {
+        id: system,
+        name: CI_SYSTEMS[system].name,
+        category: 'tool',
+        confidence: 0.95,
+        source: 'ci_workflows',
+        evidence: [
+          ...workflows.map(workflow => `${workflow.jobs.length} jobs in ${workflow.path}`),
+          ...deployments.map(deployment =>
+            `Deploys to ${deployment.target}${deployment.provider ? ` (${deployment.provider})` : ''} in ${deployment.source}`
+          )
+        ]
+      };
+    });
+
+    const buildTools = ci.buildTools.map(tool => ({
+      id: tool,
+      name: BUILD_TOOLS[tool].name,
+      category: 'tool',
+      confidence: 0.85,
+      source: 'ci_workflows',
+      evidence: ['Used by CI/CD workflows']
+    }));
+
+    return [...systems, ...buildTools];
+  }
+
+  /**
+   * Detects technologies from file structure patterns
+   * @param {Array} contents - Repository tree entries
+   * @returns {Array}
+   */
+  detectFromFileStructure(contents) {
+    const technologies = [];
+    
+    // Ensure contents is an array
+    if (!Array.isArray(contents)) {
+      return technologies;
+    }
+    
+    const fileNames = contents.map(file => file.name);
+    
+    // Docker detection
+    if (fileNames.some(name => DOCKERFILE_NAMES.includes(name) || COMPOSE_FILE_NAMES.includes(name))) {
+      technologies.push({
+        id: 'docker',
+        name: 'Docker',
+        category: 'tool',
+        confidence: 0.9,
+        source: 'file_structure',
+        evidence: ['Docker configuration files found']
+      });
+    }
+
+    // Kubernetes comes from parsed manifests (detectKubernetesTechnologies); a path naming
+    // k8s or kubernetes says nothing about whether the repository deploys to it
+    
+    return technologies;
+  }
+}
+
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { gzipSync, strFromU8, strToU8, zipSync } from 'fflate'
+import { ArchiveService } from '../ArchiveService.js'
+import { extractArchive, getArchiveFormat, validateArchiveFile } from '../archives.js'
+
+const PACKAGE_JSON = JSON.stringify({ dependencies: { fastify: '^4.0.0' } })
+
+// Minimal ustar writer: one header block per file, content padded to 512 bytes
+function tar(files) {
+  const blocks = []
+  Object.entries(files).forEach(([path, content]) => {
+    const data = strToU8(content)
+    const header = new Uint8Array(512)
+    header.set(strToU8(path), 0)
+    header.set(strToU8('0000644\0'), 100)
+    header.set(strToU8(data.length.toString(8).padStart(11, '0') + '\0'), 124)
+    header[156] = 0x30
+    header.set(strToU8('ustar\0'), 257)
+    blocks.push(header, data, new Uint8Array((512 - (data.length % 512)) % 512))
+  })
+  blocks.push(new Uint8Array(1024))
+
+  const bytes = new Uint8Array(blocks.reduce((total, block) => total + block.length, 0))
+  let offset = 0
+  blocks.forEach(block => {
+    bytes.set(block, offset)
+    offset += block.length
+  })
+  return bytes
+}
+
+describe('archives', () => {
+  describe('getArchiveFormat', () => {
+    it('should prefer magic bytes over the file name', () => {
+      expect(getArchiveFormat('source.tar.gz', zipSync({ 'a.txt': strToU8('a') }))).toBe('zip')
+      expect(getArchiveFormat('source.zip', gzipSync(strToU8('a')))).toBe('tar.gz')
+      expect(getArchiveFormat('source.tar', tar({ 'a.txt': 'a' }))).toBe('tar')
+      expect(getArchiveFormat('notes.txt', strToU8('a'))).toBeNull()
+    })
+  })
+
+  describe('validateArchiveFile', () => {
+    it('should check the extension and size', () => {
+      expect(validateArchiveFile({ name: 'app.tgz', size: 1024 }).isValid).toBe(true)
+      expect(validateArchiveFile({ name: 'app.rar', size: 1024 }).error).toBe('Unsupported archive type. Expected .zip, .tar.gz, .tgz, .tar')
+      expect(validateArchiveFile({ name: 'app.zip', size: 200 * 1024 * 1024 }).error).toBe('Archive is larger than 100 MB')
+    })
+  })
+
+  describe('extractArchive', () => {
+    it('should strip the wrapping directory and skip ignored directories', () => {
+      const files = extractArchive(zipSync({
+        'shop-main/package.json': strToU8(PACKAGE_JSON),
+        'shop-main/src/index.js': strToU8('console.log(1)'),
+        'shop-main/node_modules/fastify/package.json': strToU8('{}')
+      }), 'shop-main.zip')
+
+      expect(files.map(file => file.path).sort()).toEqual(['package.json', 'src/index.js'])
+    })
+
+    it('should read gzipped tarballs', () => {
+      const files = extractArchive(gzipSync(tar({ 'package.json': PACKAGE_JSON, 'lib/app.py': 'print(1)' })), 'shop.tar.gz')
+
+      expect(files.map(file => ({ path: file.path, size: file.size, content: strFromU8(file.content) }))).toEqual([
+        { path: 'package.json', size: PACKAGE_JSON.length, content: PACKAGE_JSON },
+        { path: 'lib/app.py', size: 8, content: 'print(1)' }
+      ])
+    })
+  })
+})
+
+describe('ArchiveService', () => {
+  it('should analyze an uploaded archive', async () => {
+    const archive = zipSync({
+      'shop/package.json': strToU8(PACKAGE_JSON),
+      'shop/src/server.ts': strToU8("import Fastify from 'fastify'\nconst fastify = Fastify()\nfastify.listen({ port: 3000 })")
+    })
+    // Stands in for the browser File the upload input provides
+    const upload = { name: 'shop.zip', size: archive.length, arrayBuffer: async () => archive.buffer }
+
+    const service = await ArchiveService.fromFile(upload)
+    const validation = await service.validateRepository(upload.name)
+    const result = await service.analyzeRepository(upload.name)
+
+    expect(validation.repository.name).toBe('shop')
+    expect(result.error).toBeNull()
+    expect(result.technologies).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'typescript', source: 'archive_languages' }),
+      expect.objectContaining({ id: 'fastify' })
+    ]))
+    expect(result.workloads.map(workload => workload.type)).toEqual(['api'])
+  })
+
+  it('should reject empty archives', async () => {
+    const validation = await new ArchiveService('empty.zip', []).validateRepository('empty.zip')
+
+    expect(validation).toEqual(expect.objectContaining({ isValid: false, error: 'Archive contains no files' }))
+  })
+})
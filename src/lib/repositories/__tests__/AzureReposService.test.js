@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { AzureReposService } from '../AzureReposService.js'
+
+const json = (body) => ({ ok: true, status: 200, json: vi.fn().mockResolvedValue(body) })
+
+describe('AzureReposService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new AzureReposService()
+    vi.clearAllMocks()
+  })
+
+  describe('parseRepositoryUrl', () => {
+    it('should parse dev.azure.com and visualstudio.com URLs', () => {
+      expect(service.parseRepositoryUrl('https://dev.azure.com/acme/Shop/_git/web?path=/src')).toEqual({ owner: 'acme/Shop', repo: 'web', path: 'src' })
+      expect(service.parseRepositoryUrl('https://dev.azure.com/acme/Shop/_git/web?version=GBrelease%2F2.x')).toEqual({ owner: 'acme/Shop', repo: 'web', ref: 'release/2.x' })
+      expect(service.parseRepositoryUrl('https://acme@dev.azure.com/acme/Shop/_git/web')).toEqual({ owner: 'acme/Shop', repo: 'web' })
+      expect(service.parseRepositoryUrl('https://acme.visualstudio.com/DefaultCollection/Shop/_git/web')).toEqual({ owner: 'acme/Shop', repo: 'web' })
+      expect(service.parseRepositoryUrl('https://dev.azure.com/acme/web/_git/web')).toEqual({ owner: 'acme/web', repo: 'web' })
+      expect(service.parseRepositoryUrl('https://dev.azure.com/acme/_git/web')).toEqual({ owner: 'acme/web', repo: 'web' })
+      expect(service.parseRepositoryUrl('https://dev.azure.com/acme/Shop')).toEqual({ owner: null, repo: null })
+    })
+  })
+
+  describe('validateRepository', () => {
+    it('should authenticate with the token and pin the API version', async () => {
+      global.fetch.mockResolvedValue(json({
+        name: 'web',
+        size: 2048,
+        defaultBranch: 'refs/heads/main',
+        project: { name: 'Shop', visibility: 'private', lastUpdateTime: '2026-01-01T00:00:00Z' }
+      }))
+
+      const result = await new AzureReposService('pat').validateRepository('https://dev.azure.com/acme/My Shop/_git/web')
+
+      expect(global.fetch).toHaveBeenCalledWith('https://dev.azure.com/acme/My%20Shop/_apis/git/repositories/web?api-version=7.1', {
+        headers: {
+          'Accept': 'application/json',
+          'X-TFS-FedAuthRedirect': 'Suppress',
+          'Authorization': `Basic ${btoa(':pat')}`
+        },
+        signal: expect.any(AbortSignal)
+      })
+      expect(result.repository).toEqual(expect.objectContaining({
+        fullName: 'Shop/web',
+        isPrivate: true,
+        metadata: expect.objectContaining({ defaultBranch: 'main' })
+      }))
+    })
+  })
+
+  describe('fetchCommitSha', () => {
+    it('should pick the exact branch and peel annotated tags', async () => {
+      global.fetch.mockImplementation(async (url) => {
+        if (url.includes('filter=heads%2Fv1')) return json({ value: [{ name: 'refs/heads/v1-old', objectId: 'aaa' }] })
+        if (url.includes('filter=tags%2Fv1')) return json({ value: [{ name: 'refs/tags/v1', objectId: 'tag', peeledObjectId: 'bbb' }] })
+        return { ok: false, status: 404 }
+      })
+
+      expect(await service.fetchCommitSha('acme/Shop', 'web', 'v1')).toBe('bbb')
+      expect(await service.fetchCommitSha('acme/Shop', 'web', 'missing')).toBeNull()
+    })
+  })
+
+  describe('fetchRepositoryTree', () => {
+    it('should list items recursively without the root folder', async () => {
+      global.fetch.mockResolvedValue(json({
+        value: [
+          { path: '/', isFolder: true, objectId: 'r' },
+          { path: '/src', isFolder: true, objectId: 'a' },
+          { path: '/src/Program.cs', gitObjectType: 'blob', objectId: 'b' }
+        ]
+      }))
+
+      const { entries } = await service.fetchRepositoryTree('acme/Shop', 'web')
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://dev.azure.com/acme/Shop/_apis/git/repositories/web/items?recursionLevel=Full&api-version=7.1')
+      expect(entries.map(entry => `${entry.type}:${entry.path}`)).toEqual(['dir:src', 'file:src/Program.cs'])
+    })
+  })
+
+  describe('fetchFileContent', () => {
+    it('should read item content', async () => {
+      global.fetch.mockResolvedValue(json({ content: '<Project Sdk="Microsoft.NET.Sdk.Web" />' }))
+
+      const content = await service.fetchFileContent('acme/Shop', 'web', 'src/web.csproj')
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/items?path=%2Fsrc%2Fweb.csproj&includeContent=true&api-version=7.1')
+      expect(content).toBe('<Project Sdk="Microsoft.NET.Sdk.Web" />')
+    })
+  })
+})
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { BitbucketService } from '../BitbucketService.js'
+
+const json = (body) => ({ ok: true, status: 200, json: vi.fn().mockResolvedValue(body) })
+const text = (body) => ({ ok: true, status: 200, text: vi.fn().mockResolvedValue(body) })
+const notFound = () => ({ ok: false, status: 404 })
+
+describe('BitbucketService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new BitbucketService()
+    vi.clearAllMocks()
+  })
+
+  describe('parseRepositoryUrl', () => {
+    it('should parse web and clone URLs', () => {
+      expect(service.parseRepositoryUrl('https://bitbucket.org/acme/shop/src/main/')).toEqual({ owner: 'acme', repo: 'shop', ref: 'main', path: '' })
+      expect(service.parseRepositoryUrl('https://bitbucket.org/acme/shop/src/main/services/billing')).toEqual({ owner: 'acme', repo: 'shop', ref: 'main', path: 'services/billing' })
+      expect(service.parseRepositoryUrl('https://bitbucket.org/acme/shop/commits/9f1c2ab')).toEqual({ owner: 'acme', repo: 'shop', ref: '9f1c2ab', path: '' })
+      expect(service.parseRepositoryUrl('https://bitbucket.org/acme/shop/pull-requests/4')).toEqual({ owner: 'acme', repo: 'shop' })
+      expect(service.parseRepositoryUrl('https://dev@bitbucket.org/acme/shop.git')).toEqual({ owner: 'acme', repo: 'shop' })
+      expect(service.parseRepositoryUrl('https://bitbucket.org/acme')).toEqual({ owner: null, repo: null })
+    })
+  })
+
+  describe('getRequestHeaders', () => {
+    it('should use Basic auth for app passwords and Bearer for access tokens', () => {
+      expect(new BitbucketService('dev:secret').getRequestHeaders().Authorization).toBe(`Basic ${btoa('dev:secret')}`)
+      expect(new BitbucketService('token').getRequestHeaders().Authorization).toBe('Bearer token')
+    })
+  })
+
+  describe('analyzeRepository', () => {
+    it('should read the main branch and count languages from the tree', async () => {
+      global.fetch.mockImplementation(async (url) => {
+        if (url === 'https://api.bitbucket.org/2.0/repositories/acme/shop') return json({ mainbranch: { name: 'develop' } })
+        if (url.endsWith('/src/develop/?max_depth=6&pagelen=100')) {
+          return json({
+            values: [{ path: 'requirements.txt', type: 'commit_file', size: 40 }],
+            next: 'https://api.bitbucket.org/2.0/repositories/acme/shop/src/develop/?max_depth=6&pagelen=100&page=2'
+          })
+        }
+        if (url.endsWith('&page=2')) {
+          return json({ values: [{ path: 'app', type: 'commit_directory' }, { path: 'app/main.py', type: 'commit_file', size: 900 }] })
+        }
+        if (url.endsWith('/src/develop/requirements.txt')) return text('fastapi==0.110.0\n')
+        return notFound()
+      })
+
+      const result = await service.analyzeRepository('https://bitbucket.org/acme/shop')
+
+      expect(result.error).toBeNull()
+      expect(result.languages).toEqual({ Python: 900 })
+      expect(result.technologies).toEqual(expect.arrayContaining([
+        expect.objectContaining({ id: 'python', source: 'bitbucket_languages' }),
+        expect.objectContaining({ id: 'fastapi' })
+      ]))
+      // The main branch is resolved once
+      expect(global.fetch.mock.calls.filter(([url]) => url.endsWith('/repositories/acme/shop'))).toHaveLength(1)
+    })
+  })
+
+  describe('getRepositoryMetadata', () => {
+    it('should derive contributors from recent commits', async () => {
+      global.fetch.mockResolvedValue(json({
+        values: [
+          { date: '2026-03-02T00:00:00Z', author: { user: { display_name: 'Ada' } } },
+          { date: '2026-03-01T00:00:00Z', author: { raw: 'Lin <lin@acme.io>' } },
+          { date: '2026-02-28T00:00:00Z', author: { user: { display_name: 'Ada' } } }
+        ]
+      }))
+
+      const metadata = await service.getRepositoryMetadata('https://bitbucket.org/acme/shop')
+
+      expect(metadata).toEqual({
+        contributors: 2,
+        recentActivity: new Date('2026-03-02T00:00:00Z'),
+        topContributors: [{ login: 'Ada', contributions: 2 }, { login: 'Lin <lin@acme.io>', contributions: 1 }]
+      })
+    })
+  })
+})
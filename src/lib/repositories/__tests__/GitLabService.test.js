@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { GitLabService } from '../GitLabService.js'
+
+const json = (body, headers = {}) => ({ ok: true, status: 200, headers: new Headers(headers), json: vi.fn().mockResolvedValue(body) })
+const text = (body) => ({ ok: true, status: 200, text: vi.fn().mockResolvedValue(body) })
+const notFound = () => ({ ok: false, status: 404 })
+
+describe('GitLabService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new GitLabService()
+    vi.clearAllMocks()
+  })
+
+  describe('parseRepositoryUrl', () => {
+    it('should parse nested groups and strip project routes', () => {
+      expect(service.parseRepositoryUrl('https://gitlab.com/group/sub/project.git')).toEqual({ owner: 'group/sub', repo: 'project' })
+      expect(service.parseRepositoryUrl('gitlab.com/group/project/-/blob/main/README.md')).toEqual({ owner: 'group', repo: 'project', ref: 'main', path: '' })
+      expect(service.parseRepositoryUrl('https://gitlab.com/group/project/-/tree/main/services/billing')).toEqual({ owner: 'group', repo: 'project', ref: 'main', path: 'services/billing' })
+      expect(service.parseRepositoryUrl('https://gitlab.com/group/project/-/tags/v2.0.1')).toEqual({ owner: 'group', repo: 'project', ref: 'v2.0.1', path: '' })
+      expect(service.parseRepositoryUrl('https://gitlab.com/group/project/-/merge_requests/7')).toEqual({ owner: 'group', repo: 'project' })
+      expect(service.parseRepositoryUrl('https://gitlab.com/group')).toEqual({ owner: null, repo: null })
+      expect(service.parseRepositoryUrl('https://github.com/owner/repo')).toEqual({ owner: null, repo: null })
+    })
+
+    it('should parse URLs of a self-hosted instance', () => {
+      const selfHosted = new GitLabService(null, { host: 'git.acme.io' })
+      expect(selfHosted.parseRepositoryUrl('https://git.acme.io/platform/api')).toEqual({ owner: 'platform', repo: 'api' })
+      expect(selfHosted.baseUrl).toBe('https://git.acme.io/api/v4')
+    })
+  })
+
+  describe('validateRepository', () => {
+    it('should look the project up by its encoded path', async () => {
+      global.fetch.mockResolvedValue(json({
+        name: 'project',
+        path_with_namespace: 'group/sub/project',
+        namespace: { full_path: 'group/sub' },
+        visibility: 'private',
+        star_count: 3,
+        forks_count: 1,
+        open_issues_count: 2,
+        default_branch: 'main',
+        last_activity_at: '2026-01-01T00:00:00Z'
+      }))
+
+      const result = await new GitLabService('token').validateRepository('https://gitlab.com/group/sub/project')
+
+      expect(global.fetch).toHaveBeenCalledWith('https://gitlab.com/api/v4/projects/group%2Fsub%2Fproject', {
+        headers: { 'Accept': 'application/json', 'Authorization': 'Bearer token' },
+        signal: expect.any(AbortSignal)
+      })
+      expect(result.isAccessible).toBe(true)
+      expect(result.repository).toEqual(expect.objectContaining({
+        fullName: 'group/sub/project',
+        owner: 'group/sub',
+        isPrivate: true,
+        metadata: { stars: 3, forks: 1, openIssues: 2, defaultBranch: 'main' }
+      }))
+    })
+
+    it('should report missing projects', async () => {
+      global.fetch.mockResolvedValue(notFound())
+
+      const result = await service.validateRepository('https://gitlab.com/group/project')
+
+      expect(result).toEqual(expect.objectContaining({ isValid: true, isAccessible: false, error: 'Repository not found or is private' }))
+    })
+  })
+
+  describe('analyzeRepository', () => {
+    it('should page through the tree and read raw files', async () => {
+      global.fetch.mockImplementation(async (url) => {
+        if (url.endsWith('/languages')) return json({ TypeScript: 80.5, Dockerfile: 19.5 })
+        if (url.includes('/repository/tree') && url.endsWith('page=1')) {
+          return json([{ id: 'a1', path: 'package.json', type: 'blob' }], { 'x-next-page': '2' })
+        }
+        if (url.includes('/repository/tree')) {
+          return json([{ id: 'b1', path: 'Dockerfile', type: 'blob' }, { id: 'c1', path: 'src', type: 'tree' }], { 'x-next-page': '' })
+        }
+        if (url.includes('/repository/files/package.json/raw')) {
+          return text(JSON.stringify({ dependencies: { express: '^4.18.0' } }))
+        }
+        return notFound()
+      })
+
+      const result = await service.analyzeRepository('https://gitlab.com/group/project')
+
+      expect(result.error).toBeNull()
+      expect(result.treeTruncated).toBe(false)
+      expect(result.technologies).toEqual(expect.arrayContaining([
+        expect.objectContaining({ id: 'typescript', source: 'gitlab_languages' }),
+        expect.objectContaining({ id: 'express' }),
+        expect.objectContaining({ id: 'docker' })
+      ]))
+    })
+
+    it('should fail for projects whose tree cannot be listed', async () => {
+      global.fetch.mockResolvedValue(notFound())
+
+      const result = await service.analyzeRepository('https://gitlab.com/group/missing')
+
+      expect(result).toEqual(expect.objectContaining({ error: 'Repository not found or is private', errorType: 'REPOSITORY_NOT_FOUND' }))
+    })
+  })
+
+  describe('getRepositoryMetadata', () => {
+    it('should summarize contributors and the latest commit', async () => {
+      global.fetch
+        .mockResolvedValueOnce(json([{ name: 'Ada', commits: 12 }, { name: 'Lin', commits: 4 }]))
+        .mockResolvedValueOnce(json([{ committed_date: '2026-02-01T10:00:00Z' }]))
+
+      const metadata = await service.getRepositoryMetadata('https://gitlab.com/group/project')
+
+      expect(metadata).toEqual({
+        contributors: 2,
+        recentActivity: new Date('2026-02-01T10:00:00Z'),
+        topContributors: [{ login: 'Ada', contributions: 12 }, { login: 'Lin', contributions: 4 }]
+      })
+    })
+  })
+})
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { join } from 'node:path'
+import { LocalDirectoryService } from '../LocalDirectoryService.js'
+
+const fixture = (name) => join(__dirname, 'fixtures', name)
+
+describe('LocalDirectoryService', () => {
+  const service = new LocalDirectoryService()
+
+  describe('validateRepository', () => {
+    it('should accept directories and report missing paths', async () => {
+      const valid = await service.validateRepository(fixture('node-api'))
+      const missing = await service.validateRepository(fixture('missing'))
+
+      expect(valid.isAccessible).toBe(true)
+      expect(valid.repository.name).toBe('node-api')
+      expect(missing).toEqual(expect.objectContaining({ isAccessible: false, error: `Directory not found: ${fixture('missing')}` }))
+    })
+  })
+
+  describe('fetchRepositoryTree', () => {
+    it('should list files relative to the directory within the depth limit', async () => {
+      const { owner, repo } = service.parseRepositoryUrl(fixture('node-api'))
+
+      const { entries } = await service.fetchRepositoryTree(owner, repo)
+      const shallow = await service.fetchRepositoryTree(owner, repo, { maxDepth: 0 })
+
+      expect(entries.map(entry => `${entry.type}:${entry.path}`)).toEqual([
+        'file:Dockerfile',
+        'file:package.json',
+        'dir:src',
+        'file:src/server.js'
+      ])
+      expect(shallow.entries.map(entry => entry.path)).not.toContain('src/server.js')
+    })
+  })
+
+  describe('analyzeRepository', () => {
+    it('should run the detection pipeline on a fixture directory', async () => {
+      const result = await service.analyzeRepository(fixture('node-api'))
+
+      expect(result.error).toBeNull()
+      expect(result.languages).toEqual({ JavaScript: expect.any(Number) })
+      expect(result.packageFiles.map(file => file.path)).toEqual(['package.json'])
+      expect(result.technologies).toEqual(expect.arrayContaining([
+        expect.objectContaining({ id: 'javascript', version: '20' }),
+        expect.objectContaining({ id: 'express' }),
+        expect.objectContaining({ id: 'postgresql' }),
+        expect.objectContaining({ id: 'docker' })
+      ]))
+      expect(result.workloads.map(workload => workload.type)).toEqual(['api'])
+    })
+  })
+})
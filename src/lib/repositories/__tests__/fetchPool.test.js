@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createFetchPool } from '../fetchPool.js'
+
+const deferred = () => {
+  let resolve
+  const promise = new Promise(done => { resolve = done })
+  return { promise, resolve }
+}
+
+describe('createFetchPool', () => {
+  it('should run at most the configured number of tasks at once', async () => {
+    const run = createFetchPool(2)
+    const gates = [deferred(), deferred(), deferred()]
+    let active = 0
+    let peak = 0
+
+    const results = Promise.all(gates.map((gate, index) => run(async () => {
+      active++
+      peak = Math.max(peak, active)
+      await gate.promise
+      active--
+      return index
+    })))
+
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(active).toBe(2)
+
+    gates.forEach(gate => gate.resolve())
+    expect(await results).toEqual([0, 1, 2])
+    expect(peak).toBe(2)
+  })
+
+  it('should await beforeTask before starting each task', async () => {
+    const order = []
+    const run = createFetchPool(1, {
+      beforeTask: vi.fn(async () => {
+        order.push('wait')
+      })
+    })
+
+    await Promise.all([run(() => order.push('a')), run(() => order.push('b'))])
+
+    expect(order).toEqual(['wait', 'a', 'wait', 'b'])
+  })
+
+  it('should reject a task without stalling the queue', async () => {
+    const run = createFetchPool(1)
+
+    const failed = run(() => Promise.reject(new Error('boom')))
+    const next = run(() => 'ok')
+
+    await expect(failed).rejects.toThrow('boom')
+    expect(await next).toBe('ok')
+  })
+})
@@ -0,0 +1,111 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  createRepositoryService,
+  detectRepositoryProvider,
+  isTrustedRepositoryUrl,
+  validateRepositoryUrl
+} from '../providers.js'
+import { GitHubService } from '../../github/GitHubService.js'
+import { GitLabService } from '../GitLabService.js'
+import { BitbucketService } from '../BitbucketService.js'
+import { AzureReposService } from '../AzureReposService.js'
+
+describe('repository providers', () => {
+  afterEach(() => {
+    delete process.env.NEXT_PUBLIC_GITLAB_HOSTS
+  })
+
+  describe('detectRepositoryProvider', () => {
+    it('should dispatch by host', () => {
+      expect(detectRepositoryProvider('https://github.com/owner/repo')).toBe('github')
+      expect(detectRepositoryProvider('owner/repo')).toBe('github')
+      expect(detectRepositoryProvider('https://gitlab.com/group/project')).toBe('gitlab')
+      expect(detectRepositoryProvider('https://bitbucket.org/workspace/repo')).toBe('bitbucket')
+      expect(detectRepositoryProvider('https://dev.azure.com/org/project/_git/repo')).toBe('azure-repos')
+      expect(detectRepositoryProvider('https://org.visualstudio.com/project/_git/repo')).toBe('azure-repos')
+      expect(detectRepositoryProvider('https://example.com/owner/repo')).toBeNull()
+    })
+
+    it('should not take a host for GitLab by its name', () => {
+      expect(detectRepositoryProvider('https://gitlab.acme.io/platform/api')).toBeNull()
+      expect(detectRepositoryProvider('http://gitlab.evil.tld/a/b')).toBeNull()
+    })
+
+    it('should recognize self-hosted GitLab hosts from configuration', () => {
+      process.env.NEXT_PUBLIC_GITLAB_HOSTS = 'code.acme.io, git.internal'
+
+      expect(detectRepositoryProvider('https://code.acme.io/team/service')).toBe('gitlab')
+      expect(detectRepositoryProvider('http://git.internal/team/service')).toBe('gitlab')
+    })
+  })
+
+  describe('isTrustedRepositoryUrl', () => {
+    it('should trust supported hosts over https only', () => {
+      process.env.NEXT_PUBLIC_GITLAB_HOSTS = 'git.internal'
+
+      expect(isTrustedRepositoryUrl('https://github.com/owner/repo')).toBe(true)
+      expect(isTrustedRepositoryUrl('owner/repo')).toBe(true)
+      expect(isTrustedRepositoryUrl('https://git.internal/team/service')).toBe(true)
+      expect(isTrustedRepositoryUrl('http://git.internal/team/service')).toBe(false)
+      expect(isTrustedRepositoryUrl('http://github.com/owner/repo')).toBe(false)
+      expect(isTrustedRepositoryUrl('https://github.com@evil.tld/owner/repo')).toBe(false)
+      expect(isTrustedRepositoryUrl('https://gitlab.evil.tld/a/b')).toBe(false)
+    })
+  })
+
+  describe('createRepositoryService', () => {
+    it('should create the service for the host', () => {
+      expect(createRepositoryService('https://github.com/owner/repo')).toBeInstanceOf(GitHubService)
+      expect(createRepositoryService('https://bitbucket.org/workspace/repo')).toBeInstanceOf(BitbucketService)
+      expect(createRepositoryService('https://dev.azure.com/org/project/_git/repo')).toBeInstanceOf(AzureReposService)
+
+      process.env.NEXT_PUBLIC_GITLAB_HOSTS = 'gitlab.acme.io:8080'
+      const gitlab = createRepositoryService('http://gitlab.acme.io:8080/group/project', 'token')
+      expect(gitlab).toBeInstanceOf(GitLabService)
+      expect(gitlab.baseUrl).toBe('http://gitlab.acme.io:8080/api/v4')
+      expect(gitlab.apiToken).toBe('token')
+    })
+
+    it('should reject unsupported hosts', () => {
+      expect(() => createRepositoryService('https://example.com/owner/repo')).toThrow('Unsupported repository host: example.com')
+    })
+  })
+
+  describe('validateRepositoryUrl', () => {
+    it('should keep the GitHub owner and repository checks', () => {
+      expect(validateRepositoryUrl('https://github.com/owner/repo/tree/release-2.x/services/api').details).toEqual(expect.objectContaining({
+        provider: 'github',
+        ref: 'release-2.x',
+        path: 'services/api',
+        normalizedUrl: 'https://github.com/owner/repo'
+      }))
+      expect(validateRepositoryUrl('https://github.com/-owner/repo').isValid).toBe(false)
+      expect(validateRepositoryUrl('').error).toBe('URL is required')
+    })
+
+    it('should validate and normalize URLs of other hosts', () => {
+      expect(validateRepositoryUrl('https://gitlab.com/group/sub/project/-/tree/main')).toEqual({
+        isValid: true,
+        error: null,
+        details: {
+          provider: 'gitlab',
+          owner: 'group/sub',
+          repo: 'project',
+          ref: 'main',
+          path: '',
+          normalizedUrl: 'https://gitlab.com/group/sub/project',
+          originalUrl: 'https://gitlab.com/group/sub/project/-/tree/main'
+        }
+      })
+      expect(validateRepositoryUrl('https://org.visualstudio.com/DefaultCollection/project/_git/repo').details.normalizedUrl)
+        .toBe('https://dev.azure.com/org/project/_git/repo')
+    })
+
+    it('should explain the expected format', () => {
+      expect(validateRepositoryUrl('https://bitbucket.org/workspace').error)
+        .toBe('Invalid Bitbucket URL format. Expected format: https://bitbucket.org/workspace/repository')
+      expect(validateRepositoryUrl('https://example.com/owner/repo').error)
+        .toBe('Unsupported repository host. Supported hosts: GitHub, GitLab, Bitbucket, Azure Repos')
+    })
+  })
+})
@@ -0,0 +1,180 @@
+/**
+ * Source archive extraction
+ * Unpacks uploaded .zip, .tar.gz and .tar archives into repository-relative files in memory
+ */
+
+import { gunzipSync, unzipSync } from 'fflate';
+import { DEFAULT_IGNORE_PATTERNS, matchesGlob } from '../analysis/treeFilter.js';
+
+/**
+ * Accepted archive extensions
+ */
+export const ARCHIVE_EXTENSIONS = ['.zip', '.tar.gz', '.tgz', '.tar'];
+
+/**
+ * Upper bound on the uploaded archive size
+ */
+export const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+
+// Larger files are listed but not extracted; the detectors never need them
+const MAX_EXTRACTED_FILE_SIZE = 10 * 1024 * 1024;
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Detects the archive format from magic bytes, falling back to the file name
+ * @param {string} name - Archive file name
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {'zip'|'tar.gz'|'tar'|null}
+ */
+export function getArchiveFormat(name, bytes = new Uint8Array()) {
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) {
+    return 'zip';
+  }
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  if (readString(bytes, 257, 5) === 'ustar') {
+    return 'tar';
+  }
+
+  const lowerName = String(name || '').toLowerCase();
+  if (lowerName.endsWith('.zip')) return 'zip';
+  if (lowerName.endsWith('.tar.gz') || lowerName.endsWith('.tgz')) return 'tar.gz';
+  if (lowerName.endsWith('.tar')) return 'tar';
+  return null;
+}
+
+/**
+ * Checks an uploaded file before it is read
+ * @param {{name: string, size: number}} file - Uploaded file
+ * @returns {{isValid: boolean, error: string|null}}
+ */
+export function validateArchiveFile(file) {
+  if (!file) {
+    return { isValid: false, error: 'Archive is required' };
+  }
+  if (!ARCHIVE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))) {
+    return { isValid: false, error: `Unsupported archive type. Expected ${ARCHIVE_EXTENSIONS.join(', ')}` };
+  }
+  if (file.size > MAX_ARCHIVE_SIZE) {
+    return { isValid: false, error: `Archive is larger than ${MAX_ARCHIVE_SIZE / 1024 / 1024} MB` };
+  }
+  return { isValid: true, error: null };
+}
+
+function readString(bytes, offset, length) {
+  const slice = bytes.subarray(offset, offset + length);
+  const end = slice.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? slice : slice.subarray(0, end));
+}
+
+function isIgnored(path) {
+  return DEFAULT_IGNORE_PATTERNS.some(pattern => matchesGlob(path, pattern));
+}
+
+/**
+ * Reads tar entries, honouring ustar prefixes, GNU long names and pax `path` records
+ */
+function parseTar(bytes) {
+  const files = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= bytes.length) {
+    const header = bytes.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const prefix = readString(header, 257, 6) === 'ustar' ? readString(header, 345, 155) : '';
+    const name = readString(header, 0, 100);
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    const data = bytes.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === 'L') {
+      longName = readString(data, 0, size);
+      continue;
+    }
+    if (type === 'x') {
+      const match = new TextDecoder().decode(data).match(/^\d+ path=(.*)$/m);
+      longName = match ? match[1] : longName;
+      continue;
+    }
+
+    const path = longName || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    // Regular files only; directories are derived from file paths
+    if (type !== '0') {
+      continue;
+    }
+
+    files.push({ path, size, content: size <= MAX_EXTRACTED_FILE_SIZE ? data.slice() : null });
+  }
+
+  return files;
+}
+
+function parseZip(bytes) {
+  const oversized = [];
+  const extracted = unzipSync(bytes, {
+    filter: (file) => {
+      if (file.name.endsWith('/') || isIgnored(file.name)) {
+        return false;
+      }
+      if (file.originalSize > MAX_EXTRACTED_FILE_SIZE) {
+        oversized.push({ path: file.name, size: file.originalSize, content: null });
+        return false;
+      }
+      return true;
+    }
+  });
+
+  return [
+    ...Object.entries(extracted).map(([path, content]) => ({ path, size: content.length, content })),
+    ...oversized
+  ];
+}
+
+/**
+ * Removes the single top-level directory hosting services wrap downloads in
+ */
+function stripCommonRoot(files) {
+  const roots = new Set(files.map(file => file.path.split('/')[0]));
+  const [root] = roots;
+
+  if (roots.size !== 1 || files.some(file => !file.path.includes('/'))) {
+    return files;
+  }
+  return files.map(file => ({ ...file, path: file.path.slice(root.length + 1) }));
+}
+
+/**
+ * Extracts the files of a source archive
+ * @param {Uint8Array|ArrayBuffer} data - Archive contents
+ * @param {string} name - Archive file name
+ * @returns {Array<{path: string, size: number, content: Uint8Array|null}>} - Files, content null when too large to extract
+ */
+export function extractArchive(data, name) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const format = getArchiveFormat(name, bytes);
+
+  let files;
+  if (format === 'zip') {
+    files = parseZip(bytes);
+  } else if (format === 'tar.gz') {
+    files = parseTar(gunzipSync(bytes));
+  } else if (format === 'tar') {
+    files = parseTar(bytes);
+  } else {
+    throw new Error(`Unsupported archive format: ${name}`);
+  }
+
+  return stripCommonRoot(
+    files
+      .map(file => ({ ...file, path: file.path.replace(/^\.?\//, '') }))
+      .filter(file => file.path && !isIgnored(file.path))
+  );
+}
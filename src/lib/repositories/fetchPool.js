@@ -0,0 +1,44 @@
+/**
+ * Bounded-concurrency pool for file fetches
+ * Large monorepos list hundreds of manifests; fetching them a few at a time finishes quickly
+ * without tripping the hosts' secondary rate limits on concurrent requests
+ */
+
+/**
+ * Requests in flight at once when the caller sets no limit
+ */
+export const DEFAULT_FETCH_CONCURRENCY = 8;
+
+/**
+ * Creates a pool that runs at most `concurrency` tasks at a time, in the order they are queued
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @param {object} options - {beforeTask} awaited before each task starts, e.g. to wait out a rate limit
+ * @returns {Function} - run(task) queues an async task and resolves or rejects with its result
+ */
+export function createFetchPool(concurrency = DEFAULT_FETCH_CONCURRENCY, { beforeTask = null } = {}) {
+  const limit = Math.max(1, Math.floor(concurrency) || DEFAULT_FETCH_CONCURRENCY);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    while (active < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(() => beforeTask?.())
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  return function run(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Repository source providers
+ * Exports the provider services and the host registry
+ * LocalDirectoryService reads from disk and is imported from its module on the server only
+ */
+
+export { RepositoryService } from './RepositoryService.js'
+export { GitLabService } from './GitLabService.js'
+export { BitbucketService } from './BitbucketService.js'
+export { AzureReposService } from './AzureReposService.js'
+export { ArchiveService } from './ArchiveService.js'
+export {
+  ARCHIVE_EXTENSIONS,
+  MAX_ARCHIVE_SIZE,
+  extractArchive,
+  getArchiveFormat,
+  validateArchiveFile
+} from './archives.js'
+export {
+  REPOSITORY_PROVIDERS,
+  detectRepositoryProvider,
+  createRepositoryService,
+  validateRepositoryUrl
+} from './providers.js'
+export { DEFAULT_FETCH_CONCURRENCY, createFetchPool } from './fetchPool.js'
@@ -0,0 +1,176 @@
+/**
+ * Repository provider registry
+ * Maps repository URLs to the provider that serves their host
+ */
+
+import { GitHubService } from '../github/GitHubService.js';
+import { validateGitHubUrl } from '../github/urlValidation.js';
+import { ValidationError } from '../github/errorHandling.js';
+import { GitLabService } from './GitLabService.js';
+import { BitbucketService } from './BitbucketService.js';
+import { AzureReposService } from './AzureReposService.js';
+
+/**
+ * Supported providers with their public hosts and URL format
+ */
+export const REPOSITORY_PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    hosts: ['github.com'],
+    example: 'https://github.com/owner/repository',
+    create: (apiToken, location, options) => new GitHubService(apiToken, options)
+  },
+  gitlab: {
+    name: 'GitLab',
+    hosts: ['gitlab.com'],
+    example: 'https://gitlab.com/group/project',
+    create: (apiToken, location) => new GitLabService(apiToken, location)
+  },
+  bitbucket: {
+    name: 'Bitbucket',
+    hosts: ['bitbucket.org'],
+    example: 'https://bitbucket.org/workspace/repository',
+    create: (apiToken) => new BitbucketService(apiToken)
+  },
+  'azure-repos': {
+    name: 'Azure Repos',
+    hosts: ['dev.azure.com'],
+    example: 'https://dev.azure.com/organization/project/_git/repository',
+    create: (apiToken) => new AzureReposService(apiToken)
+  }
+};
+
+/**
+ * Self-hosted GitLab instances, listed by the operator as `host` or `host:port`
+ * Other hosts are never treated as GitLab, whatever their name, so URLs cannot point the
+ * service at an arbitrary server
+ */
+function getSelfHostedGitLabHosts() {
+  return (process.env.NEXT_PUBLIC_GITLAB_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Splits a repository URL into protocol and host
+ * @param {string} url - Repository URL
+ * @returns {{protocol: string, host: string}|null} - null for `owner/repo` shorthand
+ */
+function getLocation(url) {
+  const match = String(url || '').trim().match(/^(?:(https?):\/\/)?(?:[^@/]+@)?([^/:?#]+(?::\d+)?)\//i);
+  if (!match || !match[2].includes('.')) {
+    return null;
+  }
+  return { protocol: (match[1] || 'https').toLowerCase(), host: match[2].toLowerCase().replace(/^www\./, '') };
+}
+
+/**
+ * Detects the provider serving a repository URL
+ * `owner/repo` shorthand resolves to GitHub
+ * @param {string} url - Repository URL
+ * @returns {string|null} - Provider id, or null for unsupported hosts
+ */
+export function detectRepositoryProvider(url) {
+  const location = getLocation(url);
+  if (!location) {
+    return 'github';
+  }
+
+  const { host } = location;
+  if (host.endsWith('.visualstudio.com')) {
+    return 'azure-repos';
+  }
+  if (getSelfHostedGitLabHosts().includes(host)) {
+    return 'gitlab';
+  }
+
+  return Object.keys(REPOSITORY_PROVIDERS).find(id => REPOSITORY_PROVIDERS[id].hosts.includes(host)) || null;
+}
+
+/**
+ * Checks that a repository URL points over https at a supported host, so it may be sent the
+ * server's access tokens
+ * @param {string} url - Repository URL
+ * @returns {boolean}
+ */
+export function isTrustedRepositoryUrl(url) {
+  const location = getLocation(url);
+  return detectRepositoryProvider(url) !== null && (!location || location.protocol === 'https');
+}
+
+/**
+ * Creates the service for the host of a repository URL
+ * @param {string} url - Repository URL
+ * @param {string|null} apiToken - Access token for the host
+ * @param {object} options - {cache} ResponseCache for GitHub requests, see GitHubService
+ * @returns {import('./RepositoryService.js').RepositoryService}
+ */
+export function createRepositoryService(url, apiToken = null, options = {}) {
+  const provider = detectRepositoryProvider(url);
+  if (!provider) {
+    throw new ValidationError(`Unsupported repository host: ${getLocation(url).host}`, 'url');
+  }
+  return REPOSITORY_PROVIDERS[provider].create(apiToken, getLocation(url), options);
+}
+
+/**
+ * Validates a repository URL for any supported host
+ * GitHub URLs get the full owner and repository name checks of validateGitHubUrl
+ * @param {string} url - URL to validate
+ * @returns {object} - Validation result with details, including the provider id and the ref and directory the URL points at
+ */
+export function validateRepositoryUrl(url) {
+  const provider = detectRepositoryProvider(url);
+
+  if (provider === 'github') {
+    const validation = validateGitHubUrl(url);
+    if (!validation.isValid) {
+      return validation;
+    }
+    const { ref = null, path = '' } = createRepositoryService(url).parseRepositoryUrl(url.trim());
+    return { ...validation, details: { ...validation.details, provider, ref, path } };
+  }
+
+  const trimmedUrl = url.trim();
+  if (!provider) {
+    return {
+      isValid: false,
+      error: `Unsupported repository host. Supported hosts: ${Object.values(REPOSITORY_PROVIDERS).map(entry => entry.name).join(', ')}`,
+      details: {
+        providedUrl: trimmedUrl,
+        expectedFormats: Object.values(REPOSITORY_PROVIDERS).map(entry => entry.example)
+      }
+    };
+  }
+
+  const service = createRepositoryService(trimmedUrl);
+  const { owner, repo, ref = null, path = '' } = service.parseRepositoryUrl(trimmedUrl);
+  const { name, example } = REPOSITORY_PROVIDERS[provider];
+
+  if (!owner || !repo) {
+    return {
+      isValid: false,
+      error: `Invalid ${name} URL format. Expected format: ${example}`,
+      details: {
+        providedUrl: trimmedUrl,
+        provider,
+        expectedFormats: [example]
+      }
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    details: {
+      provider,
+      owner,
+      repo,
+      ref,
+      path,
+      normalizedUrl: service.getRepositoryUrl(owner, repo),
+      originalUrl: trimmedUrl
+    }
+  };
+}
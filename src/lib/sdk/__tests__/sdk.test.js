@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { dirname, join, normalize } from 'node:path'
+import {
+  SDK_VERSION,
+  analyze,
+  estimate,
+  rank,
+  recommend,
+  RepositoryNotFoundError,
+  ValidationError
+} from '../index.js'
+
+const fixture = join(__dirname, '..', '..', 'repositories', '__tests__', 'fixtures', 'node-api')
+
+// Packages imported anywhere below a module, following relative imports
+function collectPackageImports(path, seen = new Set(), packages = new Set()) {
+  if (seen.has(path)) return packages
+  seen.add(path)
+
+  const source = readFileSync(path, 'utf8')
+  for (const [, specifier] of source.matchAll(/^(?:import|export)\s[^;]*?from\s+'([^']+)'/gm)) {
+    if (specifier.startsWith('.')) {
+      collectPackageImports(normalize(join(dirname(path), specifier)), seen, packages)
+    } else {
+      packages.add(specifier)
+    }
+  }
+  return packages
+}
+
+describe('SDK', () => {
+  it('should expose a semantic version', () => {
+    expect(SDK_VERSION).toMatch(/^\d+\.\d+\.\d+$/)
+  })
+
+  it('should not import UI packages', () => {
+    const packages = [...collectPackageImports(join(__dirname, '..', 'index.js'))]
+
+    expect(packages.filter(name => /^(next|react|react-dom|gsap)(\/|$)/.test(name))).toEqual([])
+  })
+
+  describe('analyze', () => {
+    it('should analyze a local directory and report progress', async () => {
+      const onProgress = vi.fn()
+
+      const analysis = await analyze(fixture, { onProgress })
+
+      expect(analysis.source).toBe(fixture)
+      expect(analysis.technologies.map(technology => technology.name)).toEqual(expect.arrayContaining(['Express.js', 'PostgreSQL']))
+      expect(analysis.packageFiles.every(file => !('content' in file))).toBe(true)
+      expect(onProgress).toHaveBeenCalledWith('Detecting technologies...', expect.any(Number), { stage: 'technologies' })
+    })
+
+    it('should throw typed errors for invalid targets and missing repositories', async () => {
+      global.fetch.mockResolvedValue(new Response('{}', { status: 404 }))
+
+      await expect(analyze('not a repository')).rejects.toBeInstanceOf(ValidationError)
+      await expect(analyze('https://github.com/owner/missing')).rejects.toBeInstanceOf(RepositoryNotFoundError)
+    })
+  })
+
+  describe('recommend', () => {
+    it('should recommend ranked architectures for each provider', async () => {
+      const analysis = await analyze(fixture)
+
+      const { recommendations, currentArchitecture } = await recommend(analysis, { priority: 'cost' })
+
+      expect(recommendations.map(recommendation => recommendation.provider).sort()).toEqual(['aws', 'azure', 'gcp'])
+      expect(recommendations[0].score).toBeGreaterThanOrEqual(recommendations[2].score)
+      expect(currentArchitecture).toBeNull()
+    })
+
+    it('should reject invalid requirements before doing any work', async () => {
+      await expect(recommend({ technologies: [] }, { priority: 'speed' })).rejects.toThrow('Invalid requirements: priority must be one of')
+      await expect(recommend({}, {})).rejects.toThrow('analysis.technologies must be an array')
+    })
+  })
+
+  describe('estimate', () => {
+    it('should price services on one provider', async () => {
+      const result = await estimate('aws', [{ name: 'Lambda', category: 'compute', type: 'serverless' }], { region: 'eu-west-1' })
+
+      expect(result).toEqual(expect.objectContaining({ provider: 'aws', currency: 'USD', region: 'eu-west-1' }))
+      expect(Object.keys(result.breakdown)).toEqual(['Lambda'])
+    })
+
+    it('should reject unknown providers and unnamed services', async () => {
+      await expect(estimate('ibm', [])).rejects.toThrow('provider must be one of aws, azure, gcp')
+      await expect(estimate('aws', [{ category: 'compute' }])).rejects.toThrow('services must be an array of services with a name')
+    })
+  })
+
+  describe('rank', () => {
+    it('should re-rank recommendations for other requirements', () => {
+      const recommendation = (provider, monthly) => ({
+        provider,
+        services: [{ name: 'Compute', category: 'compute', type: 'managed' }],
+        estimatedCost: { monthly }
+      })
+
+      const ranked = rank([recommendation('aws', 900), recommendation('gcp', 90)], { priority: 'cost', maxBudget: 100 })
+
+      expect(ranked.map(entry => entry.provider)).toEqual(['gcp', 'aws'])
+      expect(ranked[0]).toHaveProperty('scoreBreakdown')
+      expect(() => rank(null)).toThrow('recommendations must be an array')
+    })
+  })
+})
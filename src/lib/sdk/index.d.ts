@@ -0,0 +1,238 @@
+/**
+ * Type declarations for the cloud-opti SDK
+ * Shapes follow SDK_VERSION; fields not listed here may change between minor versions
+ */
+
+export declare const SDK_VERSION: string;
+
+export type CloudProvider = 'aws' | 'azure' | 'gcp';
+export type Level = 'low' | 'medium' | 'high';
+
+export interface Preferences {
+  costOptimization?: boolean;
+  managedServices?: boolean;
+  scalability?: Level;
+}
+
+/** Matches REQUIREMENTS_SCHEMA; every field is optional */
+export interface Requirements {
+  scale?: 'small' | 'medium' | 'large';
+  traffic?: 'low' | 'medium' | 'high' | 'variable';
+  workload?: 'predictable' | 'variable';
+  region?: string;
+  commitment?: 'none' | '1year' | '3year';
+  maxBudget?: number;
+  priority?: 'balanced' | 'cost' | 'performance' | 'simplicity';
+  organizationType?: 'startup' | 'smb' | 'enterprise';
+  performance?: Level;
+  expectedGrowth?: Level;
+  preferences?: Preferences;
+}
+
+export interface RequirementsError {
+  /** Dotted path of the invalid field; null when the requirements are not an object */
+  field: string | null;
+  message: string;
+}
+
+export interface RequirementsValidation {
+  isValid: boolean;
+  errors: RequirementsError[];
+  /** Requirements with the default preferences filled in; null when invalid */
+  requirements: (Requirements & { preferences: Required<Preferences> }) | null;
+}
+
+export declare const DEFAULT_PREFERENCES: Required<Preferences>;
+export declare const DEFAULT_REQUIREMENTS: Required<Omit<Requirements, 'maxBudget'>>;
+export declare const REQUIREMENTS_SCHEMA: Record<string, unknown>;
+export declare function validateRequirements(requirements?: Requirements): RequirementsValidation;
+/** @throws {ValidationError} */
+export declare function assertRequirements(requirements?: Requirements): Requirements & { preferences: Required<Preferences> };
+
+export interface Technology {
+  id?: string;
+  name: string;
+  category: string;
+  /** 0 to 1 */
+  confidence: number;
+  version?: string | null;
+  source?: string;
+  evidence?: string[];
+}
+
+export interface Component {
+  id: string;
+  name: string;
+  path: string;
+  technologies: Technology[];
+  languages: Record<string, number>;
+  packageFiles: string[];
+}
+
+export interface PackageFile {
+  name: string;
+  path: string;
+  type?: string;
+  dependencies?: Array<{ name: string; version?: string | null }>;
+}
+
+export interface InfrastructureResource {
+  tool: string;
+  provider: string | null;
+  type: string;
+  name: string;
+  source: string;
+  service: CloudService | null;
+}
+
+export interface Analysis {
+  /** Repository URL, or the absolute path of a local directory */
+  source: string;
+  technologies: Technology[];
+  components: Component[];
+  languages: Record<string, number>;
+  packageFiles: PackageFile[];
+  runtimeVersions: Record<string, unknown>;
+  ref: { name: string | null; sha: string | null };
+  /** Subdirectory the analysis was scoped to; empty for the whole repository */
+  path: string;
+  treeTruncated: boolean;
+  infrastructure: {
+    tools: string[];
+    providers: string[];
+    primaryProvider: string | null;
+    resources: InfrastructureResource[];
+    services: CloudService[];
+  };
+  workspace: Record<string, unknown>;
+  topology: Record<string, unknown>;
+  kubernetes: Record<string, unknown>;
+  ci: Record<string, unknown>;
+  deploymentHints: unknown[];
+  workloads: unknown[];
+}
+
+export interface AnalyzeOptions {
+  /** Access token for the repository host */
+  token?: string | null;
+  /** Branch, tag or commit */
+  ref?: string | null;
+  /** Subdirectory to scope the analysis to */
+  path?: string;
+  /** ResponseCache for GitHub requests; the shared in-memory cache when omitted */
+  cache?: unknown;
+  /** Files fetched at once */
+  concurrency?: number;
+  signal?: AbortSignal | null;
+  onProgress?: ((message: string, percent: number, details: { stage: string; completed?: number; total?: number }) => void) | null;
+  /** Directory relative paths resolve against; the process working directory when omitted */
+  cwd?: string;
+}
+
+export interface CloudService {
+  name: string;
+  category: string;
+  type?: 'serverless' | 'managed' | 'self-managed' | string;
+  /** Instances billed; 1 when omitted */
+  quantity?: number;
+  purpose?: string;
+  reservedInstanceOption?: boolean;
+  [key: string]: unknown;
+}
+
+export interface ServiceCost {
+  monthly: number;
+  breakdown: Record<string, number>;
+  unit: 'USD';
+}
+
+export interface CostEstimate {
+  monthly: number;
+  /** Keyed by service name, qualified by component when services repeat per component */
+  breakdown: Record<string, ServiceCost>;
+  scalingProjections: Array<{ scale: string; monthlyCost: number; costIncrease: number; efficiency: number }>;
+  currency: 'USD';
+  region: string;
+  assumptions: string[];
+}
+
+export interface Estimate extends CostEstimate {
+  provider: CloudProvider;
+}
+
+export interface ScoreBreakdown {
+  [criterion: string]: { score: number | null; weight: number; contribution: number | null };
+}
+
+export interface Recommendation {
+  id: string;
+  provider: CloudProvider;
+  services: CloudService[];
+  estimatedCost: CostEstimate;
+  reasoning: string[];
+  /** 0 to 1 */
+  confidence: number;
+  optimizations: Array<{ type: string; title: string; description: string; [key: string]: unknown }>;
+  compatibilityWarnings: unknown[];
+  topology: unknown;
+  /** 0 to 1, higher is better */
+  score: number | null;
+  scoreBreakdown: ScoreBreakdown;
+  costComparison?: Record<string, unknown>;
+}
+
+export interface CurrentArchitecture {
+  provider: CloudProvider;
+  services: CloudService[];
+  estimatedCost: CostEstimate;
+  [key: string]: unknown;
+}
+
+export interface RecommendResult {
+  /** Best first */
+  recommendations: Recommendation[];
+  /** Prices what the repository's infrastructure as code already declares */
+  currentArchitecture: CurrentArchitecture | null;
+}
+
+/** @throws {GitHubError} */
+export declare function analyze(target: string, options?: AnalyzeOptions): Promise<Analysis>;
+/** @throws {ValidationError} */
+export declare function recommend(analysis: Pick<Analysis, 'technologies'> & Partial<Analysis>, requirements?: Requirements): Promise<RecommendResult>;
+/** @throws {ValidationError} */
+export declare function estimate(provider: CloudProvider, services: CloudService[], requirements?: Requirements): Promise<Estimate>;
+/** @throws {ValidationError} */
+export declare function rank<T extends Pick<Recommendation, 'services' | 'estimatedCost'>>(
+  recommendations: T[],
+  requirements?: Requirements
+): Array<T & Pick<Recommendation, 'score' | 'scoreBreakdown'>>;
+
+export declare class GitHubError extends Error {
+  constructor(message: string, type: string, statusCode?: number | null, retryable?: boolean);
+  type: string;
+  statusCode: number | null;
+  retryable: boolean;
+  timestamp: Date;
+}
+export declare class NetworkError extends GitHubError {
+  constructor(message: string, originalError?: unknown);
+  originalError: unknown;
+}
+export declare class RateLimitError extends GitHubError {
+  constructor(message: string, resetTime?: Date | null);
+  resetTime: Date | null;
+}
+export declare class AuthenticationError extends GitHubError {
+  constructor(message: string);
+}
+export declare class RepositoryNotFoundError extends GitHubError {
+  constructor(message: string, repositoryUrl?: string | null);
+  repositoryUrl: string | null;
+}
+export declare class ValidationError extends GitHubError {
+  constructor(message: string, field?: string | null);
+  field: string | null;
+}
+export declare class CancelledError extends GitHubError {
+  constructor(message?: string);
+}
@@ -0,0 +1,177 @@
+/**
+ * cloud-opti SDK
+ * Programmatic entry to the analysis and recommendation engine for scripts and internal tools.
+ * Imports no UI code (Next.js, React, GSAP); node only, since local directories are read from
+ * disk. Result shapes are declared in index.d.ts and follow SDK_VERSION: a breaking change to
+ * a signature or result shape bumps the major version
+ */
+
+import { stat } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { GitHubService } from '../github/GitHubService.js';
+import {
+  AuthenticationError,
+  CancelledError,
+  GitHubError,
+  NetworkError,
+  RateLimitError,
+  RepositoryNotFoundError,
+  ValidationError
+} from '../github/errorHandling.js';
+import { createRepositoryService, validateRepositoryUrl } from '../repositories/providers.js';
+import { LocalDirectoryService } from '../repositories/LocalDirectoryService.js';
+import { ArchitectureRecommendationService } from '../cloud/ArchitectureRecommendationService.js';
+import { CostCalculator } from '../cloud/cost/CostCalculator.js';
+import { RecommendationRanker } from '../cloud/ranking/RecommendationRanker.js';
+import { assertRequirements } from '../cloud/requirements.js';
+
+export const SDK_VERSION = '1.0.0';
+
+export {
+  DEFAULT_PREFERENCES,
+  DEFAULT_REQUIREMENTS,
+  REQUIREMENTS_SCHEMA,
+  assertRequirements,
+  validateRequirements
+} from '../cloud/requirements.js';
+export {
+  GitHubError,
+  NetworkError,
+  RateLimitError,
+  AuthenticationError,
+  RepositoryNotFoundError,
+  ValidationError,
+  CancelledError
+} from '../github/errorHandling.js';
+
+/**
+ * Rebuilds the typed error of a failed analysis from its errorType
+ */
+function getAnalysisError({ error, errorType }, target) {
+  switch (errorType) {
+    case 'REPOSITORY_NOT_FOUND':
+      return new RepositoryNotFoundError(error, target);
+    case 'AUTHENTICATION_ERROR':
+      return new AuthenticationError(error);
+    case 'NETWORK_ERROR':
+      return new NetworkError(error);
+    case 'RATE_LIMIT_ERROR':
+      return new RateLimitError(error);
+    case 'CANCELLED':
+      return new CancelledError(error);
+    default:
+      return new GitHubError(error, errorType);
+  }
+}
+
+/**
+ * Analyzes a hosted repository or a local directory
+ * @param {string} target - Repository URL, `owner/repo` GitHub shorthand, or directory path
+ * @param {object} options - {token} access token for the host; {ref} branch, tag or commit; {path} subdirectory;
+ * {cache} ResponseCache for GitHub requests; {concurrency} files fetched at once; {signal} AbortSignal;
+ * {onProgress} called with (message, percent, {stage, completed, total}); {cwd} directory relative paths resolve against
+ * @returns {Promise<object>} - Analysis, see index.d.ts
+ * @throws {GitHubError} - RepositoryNotFoundError, AuthenticationError, NetworkError, RateLimitError,
+ * CancelledError, or ValidationError for targets that are neither a directory nor a supported URL
+ */
+export async function analyze(target, {
+  token = null,
+  ref = null,
+  path,
+  cache,
+  concurrency,
+  signal = null,
+  onProgress = null,
+  cwd = process.cwd()
+} = {}) {
+  if (typeof target !== 'string' || !target.trim()) {
+    throw new ValidationError('A repository URL or directory is required', 'target');
+  }
+
+  const directory = resolve(cwd, target);
+  const isLocal = await stat(directory).then(stats => stats.isDirectory(), () => false);
+
+  let service;
+  if (isLocal) {
+    service = new LocalDirectoryService();
+  } else {
+    const validation = validateRepositoryUrl(target);
+    if (!validation.isValid) {
+      throw new ValidationError(`${target} is neither a directory nor a supported repository URL: ${validation.error}`, 'target');
+    }
+
+    service = validation.details.provider === 'github'
+      ? new GitHubService(token, cache ? { cache } : {})
+      : createRepositoryService(target, token);
+  }
+
+  const analysis = await service.analyzeRepository(isLocal ? directory : target, onProgress, {
+    ref,
+    path,
+    concurrency,
+    signal
+  });
+  if (analysis.error) {
+    throw getAnalysisError(analysis, target);
+  }
+
+  // File contents are only needed by the detectors
+  const packageFiles = analysis.packageFiles.map(({ content, ...packageFile }) => packageFile);
+  return { source: isLocal ? directory : target, ...analysis, packageFiles };
+}
+
+/**
+ * Recommends an architecture on each cloud provider, best first
+ * @param {object} analysis - Result of analyze; only `technologies` is required
+ * @param {object} requirements - Requirements matching REQUIREMENTS_SCHEMA
+ * @returns {Promise<{recommendations: Array, currentArchitecture: object|null}>} - currentArchitecture prices what
+ * the repository's infrastructure as code already declares
+ * @throws {ValidationError} - For invalid requirements or an analysis without technologies
+ */
+export async function recommend(analysis, requirements = {}) {
+  if (!Array.isArray(analysis?.technologies)) {
+    throw new ValidationError('analysis.technologies must be an array', 'analysis');
+  }
+
+  return new ArchitectureRecommendationService().generateRecommendationReport(
+    analysis.technologies,
+    assertRequirements(requirements),
+    analysis
+  );
+}
+
+/**
+ * Estimates the monthly cost of a set of services on one provider
+ * @param {string} provider - aws, azure or gcp
+ * @param {Array<object>} services - Services with {name, category, type, quantity}, as in a recommendation
+ * @param {object} requirements - Requirements matching REQUIREMENTS_SCHEMA
+ * @returns {Promise<object>} - Cost estimate with the provider, see index.d.ts
+ * @throws {ValidationError} - For unknown providers, services without a name, or invalid requirements
+ */
+export async function estimate(provider, services, requirements = {}) {
+  const calculator = new CostCalculator();
+  const providers = Object.keys(calculator.pricingData);
+  if (!providers.includes(provider)) {
+    throw new ValidationError(`provider must be one of ${providers.join(', ')}`, 'provider');
+  }
+  if (!Array.isArray(services) || services.some(service => typeof service?.name !== 'string')) {
+    throw new ValidationError('services must be an array of services with a name', 'services');
+  }
+
+  return { provider, ...await calculator.calculateCosts(provider, services, assertRequirements(requirements)) };
+}
+
+/**
+ * Scores and orders recommendations for a set of requirements
+ * Recommendations from `recommend` are already ranked; this re-ranks them for other requirements
+ * @param {Array<object>} recommendations - Recommendations with {services, estimatedCost}
+ * @param {object} requirements - Requirements matching REQUIREMENTS_SCHEMA
+ * @returns {Array<object>} - Copies with {score, scoreBreakdown}, highest score first
+ * @throws {ValidationError} - For invalid requirements
+ */
+export function rank(recommendations, requirements = {}) {
+  if (!Array.isArray(recommendations)) {
+    throw new ValidationError('recommendations must be an array', 'recommendations');
+  }
+  return new RecommendationRanker().rankRecommendations(recommendations, assertRequirements(requirements));
+}
@@ -0,0 +1,9 @@
+/**
+ * Builders for the repository files and tree entries the analysis modules read
+ */
+
+// A fetched file, as the detectors receive it
+export const file = (path, content) => ({ name: path.split('/').pop(), path, content })
+
+// A repository tree entry, as listed before any file is fetched
+export const treeEntry = (path, type = 'file') => ({ name: path.split('/').pop(), path, type })
@@ -7,6 +7,10 @@ export default defineConfig({
     setupFiles: ['./src/test/setup.js'],
     globals: true,
   },
+  // Components rely on the automatic JSX runtime, as in the Next.js build
+  esbuild: {
+    jsx: 'automatic',
+  },
   resolve: {
     alias: {
       '@': resolve(__dirname, './src'),